@@ -9,35 +9,43 @@ module.exports = {
     './web/themes/custom/*/css/bootstrap.css',
     './web/libraries/bootstrap/css/bootstrap.css'
   ],
-  whitelist: [
-    'active',
-    'show',
-    'fade',
-    'collapse',
-    'collapsing'
-  ],
-  whitelistPatterns: [
-    /^d-/,
-    /^col-/,
-    /^btn/,
-    /^modal/,
-    /^dropdown/,
-    /^nav/,
-    /^carousel/,
-    /^alert/,
-    /^badge/,
-    /^card/,
-    /^form-/,
-    /^input-/,
-    /^table/,
-    /^text-/,
-    /^bg-/,
-    /^border-/,
-    /^p-/,
-    /^m-/,
-    /^w-/,
-    /^h-/
-  ],
+  safelist: {
+    standard: [
+      'active',
+      'show',
+      'fade',
+      'collapse',
+      'collapsing'
+    ],
+    deep: [
+      /^modal/,
+      /^dropdown/,
+      /^carousel/
+    ],
+    greedy: [
+      /^d-/,
+      /^col-/,
+      /^btn/,
+      /^nav/,
+      /^alert/,
+      /^badge/,
+      /^card/,
+      /^form-/,
+      /^input-/,
+      /^table/,
+      /^text-/,
+      /^bg-/,
+      /^border-/,
+      /^p-/,
+      /^m-/,
+      /^w-/,
+      /^h-/
+    ]
+  },
+  blocklist: [],
+  keyframes: false,
+  fontFace: false,
+  variables: false,
   extractors: [
     {
       extractor: content => content.match(/[\w-/:]+(?<!:)/g) || [],
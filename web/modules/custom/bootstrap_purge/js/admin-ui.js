@@ -3,7 +3,7 @@
  * Admin UI enhancements for Bootstrap Purge.
  */
 
-(function ($, Drupal) {
+(function ($, Drupal, drupalSettings, once) {
   'use strict';
 
   /**
@@ -12,7 +12,7 @@
   Drupal.behaviors.bootstrapPurgeAdminUI = {
     attach: function (context, settings) {
       // Confirmation dialogs
-      $('[data-confirm]', context).once('bootstrap-purge-confirm').on('click', function (e) {
+      $(once('bootstrap-purge-confirm', '[data-confirm]', context)).on('click', function (e) {
         var message = $(this).data('confirm');
         if (!confirm(message)) {
           e.preventDefault();
@@ -21,8 +21,8 @@
       });
 
       // Diff viewer enhancements
-      $('.bootstrap-purge-diff', context).once('bootstrap-purge-diff').each(function () {
-        var $container = $(this);
+      once('bootstrap-purge-diff', '.bootstrap-purge-diff', context).forEach(function (container) {
+        var $container = $(container);
         
         // Add line numbers
         $container.find('pre').each(function () {
@@ -36,8 +36,8 @@
       });
 
       // Asset table enhancements
-      $('.bootstrap-purge-assets-table', context).once('bootstrap-purge-table').each(function () {
-        var $table = $(this);
+      once('bootstrap-purge-table', '.bootstrap-purge-assets-table', context).forEach(function (table) {
+        var $table = $(table);
         
         // Add sorting
         $table.find('th').on('click', function () {
@@ -74,28 +74,243 @@
           $tbody.empty().append(rows);
         });
       });
+    }
+  };
 
-      // Progress indicators for long operations
-      $('.bootstrap-purge-action-button', context).once('bootstrap-purge-progress').on('click', function () {
-        var $button = $(this);
-        var originalText = $button.text();
-        
-        $button.prop('disabled', true).text('Processing...');
-        
-        // Re-enable after a delay (in case of redirect)
-        setTimeout(function () {
-          $button.prop('disabled', false).text(originalText);
-        }, 5000);
+  /**
+   * Milliseconds between two polls of a running analysis.
+   */
+  var PROGRESS_INTERVAL = 2000;
+
+  /**
+   * Live progress of the analysis run on the dashboard.
+   *
+   * The run is polled while it is queued or running; the dashboard stats are
+   * refreshed once it finishes.
+   */
+  Drupal.behaviors.bootstrapPurgeAnalysisProgress = {
+    attach: function (context, settings) {
+      once('analysis-progress', '.bootstrap-purge-analysis-progress', context).forEach(function (panel) {
+        var $panel = $(panel);
+        var $button = $('.bootstrap-purge-run-analysis');
+        var progressBar = new Drupal.ProgressBar('bootstrap-purge-analysis-progress');
+        var $progress = $(progressBar.element).hide().appendTo($panel);
+        var $details = $('<div class="analysis-details"></div>').appendTo($panel);
+        var polling = false;
+
+        $button.on('click', function (e) {
+          if ($button.attr('aria-disabled') === 'true') {
+            e.preventDefault();
+          }
+        });
+
+        function poll() {
+          $.getJSON(settings.bootstrapPurgeAnalysis.progressUrl).done(function (run) {
+            var active = !!run && (run.status === 'queued' || run.status === 'running');
+
+            $button.toggleClass('is-disabled', active).attr('aria-disabled', active ? 'true' : 'false');
+            $panel.find('> p').text(run ? run.summary : '');
+            if (run) {
+              $progress.toggle(active);
+              progressBar.setProgress(analysisPercent(run), analysisMessage(run));
+              // Lists the user opened stay open across polls.
+              var open = $details.find('details[open]').map(function () {
+                return $(this).data('list');
+              }).get();
+              $details.html(renderAnalysisDetails(run, open));
+            }
+
+            if (active) {
+              polling = true;
+              setTimeout(poll, PROGRESS_INTERVAL);
+            } else if (polling) {
+              polling = false;
+              $('.bootstrap-purge-stats').load(window.location.href + ' .bootstrap-purge-stats > *');
+            }
+          }).fail(function () {
+            // Keep polling through a failed request, less often.
+            setTimeout(poll, PROGRESS_INTERVAL * 5);
+          });
+        }
+
+        poll();
+      });
+    }
+  };
+
+  /**
+   * Gets the share of snapshots and stylesheets an analysis run finished.
+   */
+  function analysisPercent(run) {
+    if (run.status === 'completed') {
+      return 100;
+    }
+
+    var items = $.map(run.routes, function (status) {
+      return status;
+    }).concat($.map(run.assets, function (status) {
+      return status;
+    }));
+    var finished = items.filter(function (status) {
+      return status === 'done' || status === 'failed';
+    }).length;
+
+    return items.length ? Math.round(finished / items.length * 100) : 0;
+  }
+
+  /**
+   * Describes what an analysis run is doing.
+   */
+  function analysisMessage(run) {
+    if (run.status === 'queued') {
+      return Drupal.t('Waiting to start');
+    }
+    if (run.route) {
+      return Drupal.t('Taking a snapshot of @route', {'@route': run.route});
+    }
+    if (run.asset) {
+      return run.phase === 'runtime' ?
+        Drupal.t('Matching runtime data against @asset', {'@asset': run.asset}) :
+        Drupal.t('Analyzing @asset', {'@asset': run.asset});
+    }
+    if (run.phase === 'applying') {
+      return Drupal.t('Storing candidates and applying approved purges');
+    }
+
+    return '';
+  }
+
+  /**
+   * Lists the routes, stylesheets and errors of an analysis run.
+   *
+   * @param {object} run
+   *   The analysis run.
+   * @param {string[]} open
+   *   The lists to render open: routes, assets or both.
+   */
+  function renderAnalysisDetails(run, open) {
+    var labels = {
+      pending: Drupal.t('pending'),
+      active: Drupal.t('in progress'),
+      done: Drupal.t('done'),
+      failed: Drupal.t('failed')
+    };
+    var html = '';
+
+    [
+      {key: 'routes', items: run.routes, title: Drupal.t('Routes')},
+      {key: 'assets', items: run.assets, title: Drupal.t('Stylesheets')}
+    ].forEach(function (list) {
+      var names = Object.keys(list.items || {});
+      if (!names.length) {
+        return;
+      }
+      html += '<details class="analysis-items" data-list="' + list.key + '"' + (open.indexOf(list.key) !== -1 ? ' open' : '') + '><summary>' + Drupal.checkPlain(list.title) + ' (' + names.length + ')</summary><ul>';
+      names.forEach(function (name) {
+        html += '<li class="analysis-item is-' + list.items[name] + '">' + Drupal.checkPlain(name) + ' <span class="analysis-item-status">' + labels[list.items[name]] + '</span></li>';
+      });
+      html += '</ul></details>';
+    });
+
+    if (run.errors.length) {
+      html += '<div class="messages messages--warning"><ul class="analysis-errors">';
+      run.errors.forEach(function (error) {
+        var subject = error.route || error.asset;
+        html += '<li>' + (subject ? '<code>' + Drupal.checkPlain(subject) + '</code>: ' : '') + Drupal.checkPlain(error.message) + '</li>';
       });
+      html += '</ul></div>';
+    }
+
+    return html;
+  }
+
+  /**
+   * Keyboard shortcuts for reviewing the pending candidates.
+   *
+   * j and k move through the pending rows of the assets table; the actions
+   * apply to the current row. Keys typed into form fields are ignored.
+   */
+  Drupal.behaviors.bootstrapPurgeReviewShortcuts = {
+    attach: function (context) {
+      once('review-shortcuts', '.bootstrap-purge-review-table', context).forEach(function (table) {
+        var $table = $(table);
+        var $help = $table.closest('form').find('.bootstrap-purge-review-shortcuts');
+        var current = -1;
+
+        function pendingRows() {
+          return $table.find('tbody tr[data-status="pending"]');
+        }
+
+        function move(step) {
+          var $rows = pendingRows();
+          if (!$rows.length) {
+            return;
+          }
+          current = Math.max(0, Math.min($rows.length - 1, current + step));
+          $table.find('tr.is-current').removeClass('is-current');
+          var $row = $rows.eq(current).addClass('is-current');
+          $row[0].scrollIntoView({block: 'nearest'});
+          $row.find('input.form-checkbox').trigger('focus');
+        }
+
+        function follow(shortcut) {
+          var link = pendingRows().eq(current).find('[data-shortcut="' + shortcut + '"]')[0];
+          // A native click runs the [data-confirm] handler of
+          // bootstrapPurgeAdminUI before following.
+          if (link) {
+            link.click();
+          }
+        }
+
+        $(document).on('keydown.bootstrapPurgeReview', function (e) {
+          if (e.ctrlKey || e.metaKey || e.altKey || $(e.target).is(':input:not(.form-checkbox), [contenteditable]')) {
+            return;
+          }
+
+          switch (e.key) {
+            case 'j':
+              move(1);
+              break;
+
+            case 'k':
+              move(current < 0 ? 1 : -1);
+              break;
 
-      // Auto-refresh for dashboard stats
-      if ($('.bootstrap-purge-dashboard', context).length) {
-        setInterval(function () {
-          // Only refresh if page is visible
-          if (!document.hidden) {
-            $('.bootstrap-purge-stats').load(window.location.href + ' .bootstrap-purge-stats > *');
+            case 'x':
+              if (current < 0) {
+                return;
+              }
+              pendingRows().eq(current).find('input.form-checkbox').trigger('click');
+              break;
+
+            case 'd':
+              follow('diff');
+              break;
+
+            case 'a':
+              follow('approve');
+              break;
+
+            case 'r':
+              follow('reject');
+              break;
+
+            case '?':
+              $help.toggle();
+              break;
+
+            default:
+              return;
           }
-        }, 30000); // Every 30 seconds
+          e.preventDefault();
+        });
+      });
+    },
+    detach: function (context, settings, trigger) {
+      // The handler is bound to the document, so a table replaced by AJAX
+      // must not leave its handler behind.
+      if (trigger === 'unload' && once.remove('review-shortcuts', '.bootstrap-purge-review-table', context).length) {
+        $(document).off('keydown.bootstrapPurgeReview');
       }
     }
   };
@@ -118,59 +333,465 @@
     }
   }
 
+  /**
+   * Components removed rules are grouped by.
+   *
+   * Each pattern is tested against the first class of the selector; the first
+   * match wins, so more specific components come first.
+   */
+  var RULE_GROUPS = [
+    {label: Drupal.t('Close button'), pattern: /^btn-close/},
+    {label: Drupal.t('Buttons'), pattern: /^btn/},
+    {label: Drupal.t('Navbar'), pattern: /^navbar/},
+    {label: Drupal.t('Navs and tabs'), pattern: /^(nav|tab-)/},
+    {label: Drupal.t('Dropdowns'), pattern: /^drop(down|up|end|start)/},
+    {label: Drupal.t('Forms'), pattern: /^(form-|col-form-label|input-group|was-validated|valid-|invalid-)/},
+    {label: Drupal.t('Grid and layout'), pattern: /^(container|row|col|offset-|g[xy]?-\d|g[xy]?-\w+-\d)/},
+    {label: Drupal.t('Cards'), pattern: /^card/},
+    {label: Drupal.t('Modal'), pattern: /^modal/},
+    {label: Drupal.t('Offcanvas'), pattern: /^offcanvas/},
+    {label: Drupal.t('Alerts'), pattern: /^alert/},
+    {label: Drupal.t('Badges'), pattern: /^badge/},
+    {label: Drupal.t('Tables'), pattern: /^(table|caption-)/},
+    {label: Drupal.t('Accordion'), pattern: /^accordion/},
+    {label: Drupal.t('Carousel'), pattern: /^carousel/},
+    {label: Drupal.t('List group'), pattern: /^list-group/},
+    {label: Drupal.t('Pagination'), pattern: /^(pagination|page-)/},
+    {label: Drupal.t('Breadcrumb'), pattern: /^breadcrumb/},
+    {label: Drupal.t('Progress'), pattern: /^progress/},
+    {label: Drupal.t('Spinners'), pattern: /^spinner/},
+    {label: Drupal.t('Toasts'), pattern: /^toast/},
+    {label: Drupal.t('Tooltips and popovers'), pattern: /^(bs-)?(tooltip|popover)/},
+    {label: Drupal.t('Placeholders'), pattern: /^placeholder/},
+    {label: Drupal.t('Transitions'), pattern: /^(fade|collapse|collapsing)/},
+    {label: Drupal.t('Typography'), pattern: /^(h[1-6]$|display-|lead$|small$|mark$|initialism|blockquote|list-unstyled|list-inline)/},
+    {label: Drupal.t('Images and figures'), pattern: /^(img-|figure)/},
+    {label: Drupal.t('Helpers'), pattern: /^(clearfix|link-|icon-link|ratio|fixed-|sticky-|hstack|vstack|visually-hidden|stretched-link|text-truncate|vr$|focus-ring)/},
+    {label: Drupal.t('Utilities'), pattern: /^(d|[mp][tbsexy]?|text|bg|border|rounded|shadow|flex|justify-content|align-(items|content|self|baseline|top|middle|bottom|text-top|text-bottom)|order|w|h|mw|mh|vw|vh|min-vw|min-vh|position|top|bottom|start|end|translate-middle|overflow|opacity|float|user-select|pe|fs|fw|fst|lh|font-monospace|gap|row-gap|column-gap|visible|invisible|z|object-fit|link-opacity|link-offset|link-underline)(-|$)/}
+  ];
+
+  /**
+   * Parses a stylesheet into its rules.
+   *
+   * Conditional group rules (@media, @supports, ...) are descended into and
+   * become the context of the rules they contain; other at-rules such as
+   * @keyframes and @font-face are kept whole.
+   *
+   * @param {string} css
+   *   The stylesheet.
+   *
+   * @return {Array}
+   *   Rules with their normalized 'selector', 'context' and 'body', the
+   *   selector as written ('raw') and the rule's 'text'.
+   */
+  function parseCssRules(css) {
+    var rules = [];
+    css = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    parseCssBlock(css, 0, css.length, '', rules);
+    return rules;
+  }
+
+  function parseCssBlock(css, start, end, context, rules) {
+    var pos = start;
+
+    while (pos < end) {
+      var open = css.indexOf('{', pos);
+      if (open === -1 || open >= end) {
+        return;
+      }
+
+      // Statements such as @charset and @import have no block.
+      var semicolon = css.indexOf(';', pos);
+      if (semicolon !== -1 && semicolon < open) {
+        pos = semicolon + 1;
+        continue;
+      }
+
+      var close = findBlockEnd(css, open);
+      var prelude = normalizeCss(css.slice(pos, open));
+
+      if (/^@(media|supports|layer|container|document)/.test(prelude)) {
+        parseCssBlock(css, open + 1, close, context ? context + ' ' + prelude : prelude, rules);
+      } else if (prelude) {
+        rules.push({
+          selector: prelude,
+          raw: $.trim(css.slice(pos, open).replace(/\s+/g, ' ')),
+          context: context,
+          body: normalizeCss(css.slice(open + 1, close)).replace(/;$/, ''),
+          text: $.trim(css.slice(pos, close + 1))
+        });
+      }
+      pos = close + 1;
+    }
+  }
+
+  function findBlockEnd(css, open) {
+    var depth = 0;
+    var quote = null;
+
+    for (var i = open; i < css.length; i++) {
+      var c = css.charAt(i);
+      if (quote) {
+        if (c === '\\') {
+          i++;
+        } else if (c === quote) {
+          quote = null;
+        }
+      } else if (c === '"' || c === "'") {
+        quote = c;
+      } else if (c === '{') {
+        depth++;
+      } else if (c === '}' && --depth === 0) {
+        return i;
+      }
+    }
+
+    return css.length - 1;
+  }
+
+  function normalizeCss(text) {
+    return $.trim(text.replace(/\s+/g, ' ').replace(/\s*([{}:;,>+~()])\s*/g, '$1'));
+  }
+
+  function splitSelectors(selector) {
+    return selector.charAt(0) === '@' ? [selector] : selector.split(/,(?![^(]*\))/);
+  }
+
+  function byteLength(text) {
+    return unescape(encodeURIComponent(text)).length;
+  }
+
+  /**
+   * Lists the rules of the original stylesheet missing from the purged one.
+   *
+   * Rules are matched on their context and declarations. When PurgeCSS drops
+   * only part of a selector list, the rule is listed with the selectors it
+   * lost and the bytes they took.
+   *
+   * @param {Array} original
+   *   Rules of the original stylesheet.
+   * @param {Array} purged
+   *   Rules of the purged stylesheet.
+   *
+   * @return {Array}
+   *   Removed rules with their 'selectors' as written, 'context', 'text',
+   *   'bytes' and whether they were only 'partial'ly removed.
+   */
+  function diffCssRules(original, purged) {
+    var remaining = {};
+    purged.forEach(function (rule) {
+      var key = rule.context + '{' + rule.body;
+      (remaining[key] = remaining[key] || []).push(rule);
+    });
+
+    var removed = [];
+    original.forEach(function (rule) {
+      var selectors = splitSelectors(rule.selector);
+      var raw = splitSelectors(rule.raw);
+      var candidates = remaining[rule.context + '{' + rule.body] || [];
+      var match = null;
+
+      // Several rules can share declarations; only one that kept a selector
+      // is the same rule.
+      for (var i = 0; i < candidates.length; i++) {
+        var kept = splitSelectors(candidates[i].selector);
+        if (kept.some(function (selector) { return selectors.indexOf(selector) !== -1; })) {
+          match = candidates.splice(i, 1)[0];
+          raw = raw.filter(function (selector, index) { return kept.indexOf(selectors[index]) === -1; });
+          selectors = selectors.filter(function (selector) { return kept.indexOf(selector) === -1; });
+          break;
+        }
+      }
+
+      if (selectors.length) {
+        removed.push({
+          selectors: raw.map($.trim),
+          context: rule.context,
+          text: rule.text,
+          bytes: match ? Math.max(byteLength(rule.text) - byteLength(match.text), 0) : byteLength(rule.text),
+          partial: !!match
+        });
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Gets the component label a removed rule is grouped under.
+   */
+  function ruleGroup(rule) {
+    var selector = rule.selectors[0];
+    if (selector.charAt(0) === '@') {
+      return Drupal.t('Keyframes and fonts');
+    }
+
+    var match = selector.match(/\.((?:\\.|[\w-])+)/);
+    if (!match) {
+      return Drupal.t('Base and reboot');
+    }
+
+    var name = match[1].replace(/\\(.)/g, '$1');
+    for (var i = 0; i < RULE_GROUPS.length; i++) {
+      if (RULE_GROUPS[i].pattern.test(name)) {
+        return RULE_GROUPS[i].label;
+      }
+    }
+
+    return Drupal.t('Other');
+  }
+
+  /**
+   * Format a byte count the way the admin tables do.
+   */
+  function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+    }
+    if (bytes >= 1024) {
+      return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    return bytes + ' B';
+  }
+
+  /**
+   * Renders removed rules as collapsible groups, largest savings first.
+   */
+  function renderRuleDiff(removed, originalSize, restorable) {
+    var groups = {};
+    var total = 0;
+
+    removed.forEach(function (rule) {
+      var label = ruleGroup(rule);
+      groups[label] = groups[label] || {label: label, rules: [], bytes: 0};
+      groups[label].rules.push(rule);
+      groups[label].bytes += rule.bytes;
+      total += rule.bytes;
+    });
+
+    var sorted = Object.keys(groups).map(function (label) {
+      return groups[label];
+    }).sort(function (a, b) {
+      return b.bytes - a.bytes;
+    });
+
+    var html = '<p class="rule-diff-summary">' + Drupal.t('@rules rules removed in @groups groups, saving @size (@percent%).', {
+      '@rules': removed.length,
+      '@groups': sorted.length,
+      '@size': formatSize(total),
+      '@percent': originalSize ? (total / originalSize * 100).toFixed(1) : 0
+    }) + '</p>';
+
+    sorted.forEach(function (group) {
+      html += '<details class="rule-group"><summary>' +
+        '<span class="rule-group-label">' + Drupal.checkPlain(group.label) + '</span> ' +
+        '<span class="rule-group-stats">' + Drupal.formatPlural(group.rules.length, '1 rule', '@count rules') + ', ' + formatSize(group.bytes) + '</span>' +
+        '</summary><ul class="rule-list">';
+
+      group.rules.forEach(function (rule) {
+        var selector = rule.selectors.join(', ');
+        html += '<li class="diff-rule" data-selector="' + Drupal.checkPlain(selector.toLowerCase()) + '">' +
+          (restorable ? '<input type="checkbox" class="rule-restore" data-selectors="' + Drupal.checkPlain(JSON.stringify(rule.selectors)) + '" title="' + Drupal.t('Keep this rule') + '">' : '') +
+          '<details><summary>' +
+          '<code class="rule-selector">' + Drupal.checkPlain(selector) + '</code>' +
+          (rule.context ? ' <span class="rule-context">' + Drupal.checkPlain(rule.context) + '</span>' : '') +
+          (rule.partial ? ' <span class="rule-partial">' + Drupal.t('other selectors kept') + '</span>' : '') +
+          ' <span class="rule-size">' + formatSize(rule.bytes) + '</span>' +
+          '</summary><pre>' + Drupal.checkPlain(rule.text) + '</pre></details></li>';
+      });
+
+      html += '</ul></details>';
+    });
+
+    return html;
+  }
+
   /**
    * Bootstrap Purge diff viewer.
+   *
+   * Stylesheets are compared rule by rule; the raw text of both files stays
+   * available, and is all that is shown for JS assets or CSS that fails to
+   * parse.
    */
   Drupal.behaviors.bootstrapPurgeDiffViewer = {
     attach: function (context, settings) {
-      $('.bootstrap-purge-diff-viewer', context).once('diff-viewer').each(function () {
-        var $viewer = $(this);
+      once('diff-viewer', '.bootstrap-purge-diff-viewer', context).forEach(function (viewer) {
+        var $viewer = $(viewer);
         var $original = $viewer.find('.original-content');
         var $purged = $viewer.find('.purged-content');
         
         // Add toggle between side-by-side and unified view
         var $toggle = $('<button type="button" class="diff-view-toggle">Toggle View</button>');
-        $viewer.prepend($toggle);
+        $viewer.find('.diff-content').before($toggle);
         
         $toggle.on('click', function () {
           $viewer.toggleClass('unified-view');
         });
         
-        // Highlight differences
-        if (typeof diff_match_patch !== 'undefined') {
-          var dmp = new diff_match_patch();
-          var originalText = $original.text();
-          var purgedText = $purged.text();
-          var diffs = dmp.diff_main(originalText, purgedText);
-          
-          dmp.diff_cleanupSemantic(diffs);
-          
-          var originalHtml = '';
-          var purgedHtml = '';
-          
-          diffs.forEach(function (diff) {
-            var operation = diff[0];
-            var text = diff[1];
-            
-            switch (operation) {
-              case 0: // Equal
-                originalHtml += text;
-                purgedHtml += text;
-                break;
-              case -1: // Deletion
-                originalHtml += '<span class="diff-removed">' + text + '</span>';
-                break;
-              case 1: // Insertion
-                purgedHtml += '<span class="diff-added">' + text + '</span>';
-                break;
-            }
+        if ($viewer.data('diff-mode') !== 'rules') {
+          return;
+        }
+        
+        var removed;
+        try {
+          removed = diffCssRules(parseCssRules($original.text()), parseCssRules($purged.text()));
+        } catch (e) {
+          return;
+        }
+        
+        var restoreUrl = settings.bootstrapPurgeDiff && settings.bootstrapPurgeDiff.restoreUrl;
+        var $rules = $('<div class="rule-diff"></div>').html(renderRuleDiff(removed, byteLength($original.text()), !!restoreUrl));
+        var $search = $('<input type="search" class="form-text rule-diff-search">').attr('placeholder', Drupal.t('Search removed selectors'));
+        var $expand = $('<button type="button" class="button button--small">' + Drupal.t('Expand all') + '</button>');
+        var $raw = $('<button type="button" class="button button--small">' + Drupal.t('Show raw text') + '</button>');
+        
+        $('<div class="rule-diff-controls"></div>').append($search, $expand).prependTo($rules);
+        $viewer.addClass('rules-view').find('.diff-content').before($raw.addClass('diff-mode-toggle'), $rules);
+        
+        $search.on('input', Drupal.debounce(function () {
+          var text = $.trim($search.val()).toLowerCase();
+          $rules.find('.rule-group').each(function () {
+            var $group = $(this);
+            var matches = 0;
+            $group.find('.diff-rule').each(function () {
+              var show = !text || $(this).data('selector').indexOf(text) !== -1;
+              $(this).toggle(show);
+              matches += show ? 1 : 0;
+            });
+            $group.toggle(matches > 0).prop('open', !!text && matches > 0);
           });
-          
-          $original.html('<pre>' + originalHtml + '</pre>');
-          $purged.html('<pre>' + purgedHtml + '</pre>');
+        }, 200));
+        
+        $expand.on('click', function () {
+          var open = !$rules.find('.rule-group').first().prop('open');
+          $rules.find('.rule-group').prop('open', open);
+          $expand.text(open ? Drupal.t('Collapse all') : Drupal.t('Expand all'));
+        });
+        
+        $raw.on('click', function () {
+          $viewer.toggleClass('rules-view');
+          $raw.text($viewer.hasClass('rules-view') ? Drupal.t('Show raw text') : Drupal.t('Show removed rules'));
+        });
+        
+        if (restoreUrl) {
+          attachRestoreBar($rules, restoreUrl);
         }
       });
     }
   };
 
-})(jQuery, Drupal);
\ No newline at end of file
+  /**
+   * Adds the bar restoring checked rules to the whitelist.
+   *
+   * The selectors are whitelisted, affected purges are redone on the server,
+   * and the diff page is then reloaded in place.
+   */
+  function attachRestoreBar($rules, restoreUrl) {
+    var $mode = $('<select class="form-select rule-restore-mode"></select>')
+      .append($('<option value="selector">').text(Drupal.t('Exact selectors')))
+      .append($('<option value="pattern">').text(Drupal.t('Generated patterns')));
+    var $submit = $('<button type="button" class="button button--primary button--small" disabled></button>');
+    var $bar = $('<div class="rule-restore-bar"></div>')
+      .append($('<label>').text(Drupal.t('Keep checked rules as')), $mode, $submit)
+      .appendTo($rules.find('.rule-diff-controls'));
+    var messages = new Drupal.Message();
+
+    var update = function () {
+      var count = $rules.find('.rule-restore:checked').length;
+      $submit.prop('disabled', !count).text(Drupal.formatPlural(count, 'Keep 1 rule and re-purge', 'Keep @count rules and re-purge'));
+    };
+    $rules.on('change', '.rule-restore', update);
+    update();
+
+    $submit.on('click', function () {
+      var selectors = [];
+      $rules.find('.rule-restore:checked').each(function () {
+        selectors = selectors.concat($(this).data('selectors'));
+      });
+
+      $bar.addClass('bootstrap-purge-loading');
+      $submit.prop('disabled', true);
+
+      $.get(Drupal.url('session/token')).then(function (token) {
+        return $.ajax({
+          url: restoreUrl,
+          type: 'POST',
+          contentType: 'application/json',
+          headers: {'X-CSRF-Token': token},
+          data: JSON.stringify({selectors: selectors, mode: $mode.val()}),
+          dataType: 'json'
+        });
+      }).then(function (response) {
+        messages.add(response.message);
+        return $.get(window.location.href).then(function (html) {
+          var $page = $('.bootstrap-purge-diff-page');
+          var $fresh = $('<div>').append($.parseHTML(html)).find('.bootstrap-purge-diff-page');
+          // The fresh viewer has no once() mark, so the diff viewer behavior
+          // builds it, and this bar, again.
+          Drupal.detachBehaviors($page[0], drupalSettings, 'unload');
+          $page.replaceWith($fresh);
+          Drupal.attachBehaviors($fresh.parent()[0], drupalSettings);
+        });
+      }).fail(function (xhr) {
+        $bar.removeClass('bootstrap-purge-loading');
+        update();
+        messages.add((xhr.responseJSON && xhr.responseJSON.message) || Drupal.t('The selectors could not be restored.'), {type: 'error'});
+      });
+    });
+  }
+
+  /**
+   * Filters for the selector provenance panel.
+   */
+  Drupal.behaviors.bootstrapPurgeProvenance = {
+    attach: function (context, settings) {
+      once('bootstrap-purge-provenance', '.bootstrap-purge-provenance', context).forEach(function (panel) {
+        var $panel = $(panel);
+        var $rows = $panel.find('.bootstrap-purge-provenance-table tbody tr');
+        var $search = $('<input type="search" class="form-text provenance-search">').attr('placeholder', Drupal.t('Filter by selector or source'));
+        var $status = $('<select class="form-select provenance-status"></select>')
+          .append($('<option value="">').text(Drupal.t('- Any status -')))
+          .append($('<option value="kept">').text(Drupal.t('Kept')))
+          .append($('<option value="removed">').text(Drupal.t('Removed')));
+        var $reason = $('<select class="form-select provenance-reason"></select>')
+          .append($('<option value="">').text(Drupal.t('- Any reason -')));
+
+        // Offer only the reasons present, labelled as in the table.
+        var reasons = {};
+        $rows.each(function () {
+          var reason = $(this).data('reason');
+          if (!reasons[reason]) {
+            reasons[reason] = true;
+            $reason.append($('<option>').val(reason).text($(this).find('td').eq(2).text()));
+          }
+        });
+
+        var $count = $('<span class="provenance-count"></span>');
+        var filter = function () {
+          var text = $search.val().toLowerCase();
+          var status = $status.val();
+          var reason = $reason.val();
+          var visible = 0;
+
+          $rows.each(function () {
+            var $row = $(this);
+            var show = (!status || $row.data('status') === status) &&
+              (!reason || $row.data('reason') === reason) &&
+              (!text || $row.text().toLowerCase().indexOf(text) !== -1);
+            $row.toggle(show);
+            visible += show ? 1 : 0;
+          });
+          $count.text(Drupal.t('@visible of @total selectors', {'@visible': visible, '@total': $rows.length}));
+        };
+
+        $('<div class="provenance-filters"></div>')
+          .append($search, $status, $reason, $count)
+          .insertBefore($panel.find('.bootstrap-purge-provenance-table'));
+        $search.on('input', Drupal.debounce(filter, 200));
+        $status.add($reason).on('change', filter);
+        filter();
+      });
+    }
+  };
+
+})(jQuery, Drupal, drupalSettings, once);
\ No newline at end of file
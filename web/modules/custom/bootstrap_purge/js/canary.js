@@ -0,0 +1,58 @@
+/**
+ * @file
+ * Serves canary purges of Bootstrap stylesheets to a share of sessions.
+ *
+ * Runs in the page head right after the stylesheets, so canary sessions never
+ * render the original stylesheet first.
+ */
+
+(function (drupalSettings) {
+  'use strict';
+
+  var config = drupalSettings.bootstrapPurgeCanary;
+  if (!config || !config.stylesheets || !config.stylesheets.length) {
+    return;
+  }
+
+  /**
+   * Checks whether the browser session is a canary.
+   *
+   * Like the runtime collection sample, the decision is kept for the browser
+   * session so a visitor sees one version of the site on every page.
+   */
+  function isCanary(percentage) {
+    var canary = null;
+    try {
+      canary = window.sessionStorage.getItem('bootstrapPurge.canary');
+      if (canary === null) {
+        canary = Math.random() * 100 < percentage ? '1' : '0';
+        window.sessionStorage.setItem('bootstrapPurge.canary', canary);
+      }
+    } catch (e) {
+      // Without storage the session could not stay in its group.
+      return false;
+    }
+
+    return canary === '1';
+  }
+
+  if (!isCanary(config.percentage)) {
+    return;
+  }
+
+  var links = document.querySelectorAll('link[rel~="stylesheet"]');
+  for (var i = 0; i < links.length; i++) {
+    var path = links[i].href.split('?')[0];
+    for (var j = 0; j < config.stylesheets.length; j++) {
+      var stylesheet = config.stylesheets[j];
+      if (path.slice(-stylesheet.original.length) === stylesheet.original) {
+        // The runtime collector checks the marked stylesheets for missing
+        // styles.
+        links[i].setAttribute('data-bootstrap-purge-canary', stylesheet.id);
+        links[i].href = stylesheet.purged;
+        break;
+      }
+    }
+  }
+
+})(drupalSettings);
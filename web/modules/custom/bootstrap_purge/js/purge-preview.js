@@ -0,0 +1,224 @@
+/**
+ * @file
+ * In-page preview of pending Bootstrap Purge stylesheets.
+ */
+
+(function ($, Drupal, drupalSettings, once) {
+  'use strict';
+
+  // Keeps the preview on while clicking through pages.
+  var STORAGE_KEY = 'bootstrapPurgePreview';
+
+  // Elements compared per page; the rest are skipped.
+  var MAX_ELEMENTS = 5000;
+
+  var preview = null;
+
+  /**
+   * Gets the path of a URL, without host and query string.
+   */
+  function urlPath(href) {
+    var link = document.createElement('a');
+    link.href = href;
+    return link.pathname.charAt(0) === '/' ? link.pathname : '/' + link.pathname;
+  }
+
+  /**
+   * Lists the page elements whose styles are compared.
+   */
+  function getElements() {
+    return $('body *').not('#toolbar-administration, #toolbar-administration *, .bootstrap-purge-preview-panel, .bootstrap-purge-preview-panel *, script, style, link').slice(0, MAX_ELEMENTS).get();
+  }
+
+  /**
+   * Reads the computed style of each element as one string.
+   */
+  function captureStyles(elements) {
+    return elements.map(function (element) {
+      var computed = window.getComputedStyle(element);
+      var values = [];
+      for (var i = 0; i < computed.length; i++) {
+        values.push(computed[i] + ':' + computed.getPropertyValue(computed[i]));
+      }
+      return values.join(';');
+    });
+  }
+
+  /**
+   * Adds the purged stylesheet next to the original, disabled until loaded.
+   */
+  function loadPurged(swap) {
+    var deferred = $.Deferred();
+    var link = document.createElement('link');
+
+    link.rel = 'stylesheet';
+    link.href = swap.purged;
+    link.onload = function () {
+      deferred.resolve();
+    };
+    link.onerror = function () {
+      deferred.reject();
+    };
+    swap.original.parentNode.insertBefore(link, swap.original.nextSibling);
+    swap.link = link;
+
+    return deferred.promise();
+  }
+
+  /**
+   * Switches between the original ('before') and purged ('after') styles.
+   */
+  function showState(state) {
+    preview.swaps.forEach(function (swap) {
+      swap.original.disabled = state === 'after';
+      swap.link.disabled = state !== 'after';
+    });
+    $('body').toggleClass('bootstrap-purge-preview-after', state === 'after');
+    preview.$panel.find('[data-state]').each(function () {
+      $(this).attr('aria-pressed', String($(this).data('state') === state));
+    });
+  }
+
+  function buildPanel() {
+    var $panel = $('<div class="bootstrap-purge-preview-panel" role="region"></div>').attr('aria-label', Drupal.t('Purge preview'));
+    $panel.append(
+      $('<strong></strong>').text(Drupal.t('Purge preview')),
+      $('<div class="preview-message" aria-live="polite"></div>'),
+      $('<div class="preview-switch"></div>').append(
+        $('<button type="button" data-state="before"></button>').text(Drupal.t('Before')),
+        $('<button type="button" data-state="after"></button>').text(Drupal.t('After'))
+      ),
+      $('<button type="button" class="preview-next"></button>').text(Drupal.t('Next change')).hide(),
+      $('<button type="button" class="preview-exit"></button>').text(Drupal.t('Exit preview'))
+    );
+    $panel.find('.preview-switch').hide();
+
+    $panel.on('click', '[data-state]', function () {
+      showState($(this).data('state'));
+    });
+    $panel.on('click', '.preview-exit', stop);
+    $panel.on('click', '.preview-next', function () {
+      if (!preview.changed.length) {
+        return;
+      }
+      preview.current = (preview.current + 1) % preview.changed.length;
+      showState('after');
+      preview.changed[preview.current].scrollIntoView({block: 'center'});
+    });
+
+    return $panel.appendTo('body');
+  }
+
+  function setMessage(message) {
+    preview.$panel.find('.preview-message').text(message);
+  }
+
+  /**
+   * Applies the pending purged stylesheets to the page.
+   */
+  function start($tab) {
+    preview = {$tab: $tab, swaps: [], changed: [], current: -1};
+    preview.$panel = buildPanel();
+    $tab.attr('aria-pressed', 'true');
+    sessionStorage.setItem(STORAGE_KEY, '1');
+    setMessage(Drupal.t('Loading pending purges...'));
+
+    $.getJSON(drupalSettings.bootstrapPurgePreview.assetsUrl).then(function (assets) {
+      var links = $('link[rel~="stylesheet"]').get();
+
+      assets.forEach(function (asset) {
+        links.forEach(function (link) {
+          if (urlPath(link.href) === asset.original) {
+            preview.swaps.push({label: asset.label, original: link, purged: asset.purged});
+          }
+        });
+      });
+
+      if (!preview.swaps.length) {
+        setMessage(assets.length ?
+          Drupal.t('No stylesheet with a pending purge is loaded on its own on this page. With CSS aggregation on, it cannot be swapped.') :
+          Drupal.t('There are no pending stylesheet purges.'));
+        return;
+      }
+
+      var elements = getElements();
+      var before = captureStyles(elements);
+
+      return $.when.apply($, preview.swaps.map(loadPurged)).then(function () {
+        showState('after');
+        var after = captureStyles(elements);
+
+        elements.forEach(function (element, i) {
+          if (before[i] !== after[i]) {
+            preview.changed.push(element);
+            $(element).addClass('bootstrap-purge-preview-changed');
+          }
+        });
+
+        preview.$panel.find('.preview-switch').show();
+        preview.$panel.find('.preview-next').toggle(preview.changed.length > 0);
+        setMessage(Drupal.t('@files purged; @count of @total elements look different.', {
+          '@files': preview.swaps.map(function (swap) { return swap.label; }).join(', '),
+          '@count': preview.changed.length,
+          '@total': elements.length
+        }));
+      }, function () {
+        setMessage(Drupal.t('A purged stylesheet could not be loaded.'));
+      });
+    }, function () {
+      setMessage(Drupal.t('The pending purges could not be loaded.'));
+    });
+  }
+
+  /**
+   * Restores the original stylesheets.
+   */
+  function stop() {
+    preview.swaps.forEach(function (swap) {
+      swap.original.disabled = false;
+      if (swap.link) {
+        $(swap.link).remove();
+      }
+    });
+    $(preview.changed).removeClass('bootstrap-purge-preview-changed');
+    $('body').removeClass('bootstrap-purge-preview-after');
+    preview.$panel.remove();
+    preview.$tab.attr('aria-pressed', 'false');
+    sessionStorage.removeItem(STORAGE_KEY);
+    preview = null;
+  }
+
+  /**
+   * Toolbar toggle for the purge preview.
+   */
+  Drupal.behaviors.bootstrapPurgePreview = {
+    attach: function (context, settings) {
+      once('purge-preview', '.toolbar-icon-bootstrap-purge-preview', context).forEach(function (tab) {
+        var $tab = $(tab);
+
+        $tab.on('click', function () {
+          if (preview) {
+            stop();
+          } else {
+            start($tab);
+          }
+        });
+
+        // Styles are compared once the page is fully loaded.
+        if (sessionStorage.getItem(STORAGE_KEY)) {
+          var resume = function () {
+            if (!preview) {
+              start($tab);
+            }
+          };
+          if (document.readyState === 'complete') {
+            resume();
+          } else {
+            $(window).on('load', resume);
+          }
+        }
+      });
+    }
+  };
+
+})(jQuery, Drupal, drupalSettings, once);
@@ -6,17 +6,534 @@
 (function (Drupal, drupalSettings) {
   'use strict';
 
+  /**
+   * Pseudo-classes whose conditions only hold during user interaction.
+   */
+  var STATE_PSEUDO_CLASSES = /:(hover|focus|focus-visible|focus-within|active|checked|indeterminate|valid|invalid|target)\b/;
+
+  /**
+   * Classes Bootstrap only adds while a component is open or transitioning.
+   */
+  var STATE_CLASSES = /\.(show|showing|hiding|collapsing|active|modal-open|modal-static|carousel-item-(start|end|next|prev)|was-validated|is-valid|is-invalid)(?![\w-])/;
+
+  /**
+   * Bootstrap plugin events that accompany transient state changes.
+   */
+  var BOOTSTRAP_STATE_EVENTS = [
+    'show.bs.dropdown', 'shown.bs.dropdown', 'hide.bs.dropdown',
+    'show.bs.modal', 'shown.bs.modal', 'hide.bs.modal',
+    'show.bs.collapse', 'shown.bs.collapse', 'hide.bs.collapse',
+    'show.bs.offcanvas', 'shown.bs.offcanvas', 'hide.bs.offcanvas',
+    'show.bs.tab', 'shown.bs.tab',
+    'show.bs.tooltip', 'shown.bs.tooltip',
+    'show.bs.popover', 'shown.bs.popover',
+    'show.bs.toast', 'shown.bs.toast',
+    'slide.bs.carousel', 'slid.bs.carousel'
+  ];
+
+  /**
+   * Bootstrap JavaScript plugins, keyed by their data-(bs-)toggle value.
+   */
+  var TOGGLE_PLUGINS = {
+    button: 'button',
+    collapse: 'collapse',
+    dropdown: 'dropdown',
+    list: 'tab',
+    modal: 'modal',
+    offcanvas: 'offcanvas',
+    pill: 'tab',
+    popover: 'popover',
+    tab: 'tab',
+    tooltip: 'tooltip'
+  };
+
+  /**
+   * Bootstrap JavaScript plugins, keyed by their data-(bs-)dismiss value.
+   */
+  var DISMISS_PLUGINS = {
+    alert: 'alert',
+    modal: 'modal',
+    offcanvas: 'offcanvas',
+    toast: 'toast'
+  };
+
+  /**
+   * Elements that may hold an instance of each Bootstrap plugin.
+   */
+  var PLUGIN_INSTANCE_CANDIDATES = {
+    alert: ['Alert', '.alert'],
+    button: ['Button', '.btn'],
+    carousel: ['Carousel', '.carousel'],
+    collapse: ['Collapse', '.collapse, .collapsing'],
+    dropdown: ['Dropdown', '.dropdown-toggle'],
+    modal: ['Modal', '.modal'],
+    offcanvas: ['Offcanvas', '.offcanvas'],
+    popover: ['Popover', '[data-bs-content], [data-content]'],
+    scrollspy: ['ScrollSpy', 'body, [data-bs-spy], [data-spy]'],
+    tab: ['Tab', '.nav-link, .list-group-item'],
+    toast: ['Toast', '.toast'],
+    tooltip: ['Tooltip', '[data-bs-original-title], [data-original-title], [title]']
+  };
+
+  /**
+   * Bootstrap 5 breakpoint minimum widths, in pixels.
+   */
+  var DEFAULT_BREAKPOINTS = {
+    sm: 576,
+    md: 768,
+    lg: 992,
+    xl: 1200,
+    xxl: 1400
+  };
+
+  /**
+   * Interval between delta deliveries, in milliseconds.
+   */
+  var FLUSH_INTERVAL = 30000;
+
+  /**
+   * Storage key, size cap and backoff limits of the retry queue.
+   */
+  var RETRY_QUEUE_KEY = 'bootstrapPurge.retryQueue';
+  var RETRY_QUEUE_MAX_BYTES = 256 * 1024;
+  var RETRY_MAX_ATTEMPTS = 8;
+  var RETRY_BASE_DELAY = 30000;
+  var RETRY_MAX_DELAY = 6 * 60 * 60 * 1000;
+
+  /**
+   * Delay before elements added or restyled are checked for missing styles.
+   */
+  var MISSING_STYLE_DELAY = 1000;
+
+  /**
+   * The collector for the current page, if one was started.
+   */
+  var activeCollector = null;
+
+  /**
+   * The missing-style detector for the current page, if one was started.
+   */
+  var activeDetector = null;
+
   /**
    * Bootstrap Purge runtime collector.
    */
   Drupal.behaviors.bootstrapPurgeRuntimeCollector = {
     attach: function (context, settings) {
-      if (!settings.bootstrapPurge || !settings.bootstrapPurge.endpoint) {
+      if (activeCollector || !settings.bootstrapPurge || !settings.bootstrapPurge.endpoint) {
+        return;
+      }
+
+      if (!hasConsent(settings.bootstrapPurge)) {
+        return;
+      }
+
+      // Payloads that failed on earlier pages are replayed even when this
+      // session is not sampled.
+      retryQueue.replay(settings.bootstrapPurge.endpoint);
+      window.addEventListener('online', function () {
+        retryQueue.replay(settings.bootstrapPurge.endpoint);
+      });
+
+      if (!isSampled(settings.bootstrapPurge)) {
+        return;
+      }
+
+      activeCollector = new BootstrapPurgeCollector(settings.bootstrapPurge);
+      activeCollector.start();
+    }
+  };
+
+  /**
+   * Missing-style detection in canary sessions.
+   *
+   * canary.js marks the stylesheets it swapped for their purged version; only
+   * canary sessions have any. Missing styles are reported regardless of the
+   * runtime collection sample.
+   */
+  Drupal.behaviors.bootstrapPurgeMissingStyles = {
+    attach: function (context, settings) {
+      if (activeDetector || !settings.bootstrapPurgeCanary) {
+        return;
+      }
+
+      var links = document.querySelectorAll('link[data-bootstrap-purge-canary]');
+      if (!links.length) {
+        return;
+      }
+
+      activeDetector = new MissingStyleDetector(settings.bootstrapPurgeCanary, links);
+      activeDetector.start();
+    }
+  };
+
+  /**
+   * Reads a value from session storage, tolerating disabled storage.
+   */
+  function sessionGet(key) {
+    try {
+      return window.sessionStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes a value to session storage, tolerating disabled storage.
+   */
+  function sessionSet(key, value) {
+    try {
+      window.sessionStorage.setItem(key, value);
+    } catch (e) {
+      // Storage is unavailable; the value only lives for this page.
+    }
+  }
+
+  /**
+   * Reads a cookie value.
+   */
+  function getCookie(name) {
+    var cookies = document.cookie ? document.cookie.split('; ') : [];
+    for (var i = 0; i < cookies.length; i++) {
+      var index = cookies[i].indexOf('=');
+      if (decodeURIComponent(cookies[i].slice(0, index)) === name) {
+        return decodeURIComponent(cookies[i].slice(index + 1));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks Do-Not-Track and the consent cookie before collecting.
+   */
+  function hasConsent(config) {
+    if (config.respectDoNotTrack) {
+      var dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+      if (dnt === '1' || dnt === 'yes') {
+        return false;
+      }
+    }
+
+    if (config.consentCookie) {
+      var consent = getCookie(config.consentCookie);
+      if (!consent || consent === '0' || consent === 'false') {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks whether the browser session is part of the sample.
+   *
+   * The sampling decision is kept for the browser session so a visitor is
+   * either tracked on every page or on none.
+   */
+  function isSampled(config) {
+    var sampled = sessionGet('bootstrapPurge.sampled');
+    if (sampled === null) {
+      var rate = typeof config.sampleRate === 'number' ? config.sampleRate : 100;
+      sampled = Math.random() * 100 < rate ? '1' : '0';
+      sessionSet('bootstrapPurge.sampled', sampled);
+    }
+
+    return sampled === '1';
+  }
+
+  /**
+   * Persistent queue of payloads whose delivery failed.
+   *
+   * Entries live in localStorage so they survive navigation and browser
+   * restarts. The oldest entries are dropped once the queue exceeds its size
+   * cap, and each entry is retried with exponential backoff until it is
+   * delivered or runs out of attempts.
+   */
+  var retryQueue = {
+    replaying: false,
+
+    load: function () {
+      try {
+        return JSON.parse(window.localStorage.getItem(RETRY_QUEUE_KEY)) || [];
+      } catch (e) {
+        return [];
+      }
+    },
+
+    save: function (entries) {
+      var serialized = JSON.stringify(entries);
+      while (entries.length && serialized.length > RETRY_QUEUE_MAX_BYTES) {
+        entries.shift();
+        serialized = JSON.stringify(entries);
+      }
+
+      try {
+        if (entries.length) {
+          window.localStorage.setItem(RETRY_QUEUE_KEY, serialized);
+        } else {
+          window.localStorage.removeItem(RETRY_QUEUE_KEY);
+        }
+      } catch (e) {
+        // Storage is full or disabled; the payloads are lost.
+      }
+    },
+
+    add: function (body) {
+      var entries = this.load();
+      entries.push({
+        body: body,
+        attempts: 0,
+        nextAttempt: Date.now() + RETRY_BASE_DELAY
+      });
+      this.save(entries);
+    },
+
+    /**
+     * Re-sends the entries that are due, one at a time.
+     */
+    replay: function (endpoint) {
+      if (this.replaying || !window.fetch || navigator.onLine === false) {
+        return;
+      }
+
+      var self = this;
+      var now = Date.now();
+      var due = this.load().filter(function (entry) {
+        return entry.nextAttempt <= now;
+      });
+      if (!due.length) {
         return;
       }
 
-      var collector = new BootstrapPurgeCollector(settings.bootstrapPurge);
-      collector.start();
+      this.replaying = true;
+      var next = function () {
+        var entry = due.shift();
+        if (!entry) {
+          self.replaying = false;
+          return;
+        }
+
+        postPayload(endpoint, entry.body).then(function (delivered) {
+          var entries = self.load().filter(function (stored) {
+            return stored.body !== entry.body;
+          });
+          if (!delivered && entry.attempts + 1 < RETRY_MAX_ATTEMPTS) {
+            entry.attempts++;
+            entry.nextAttempt = Date.now() + Math.min(RETRY_BASE_DELAY * Math.pow(2, entry.attempts), RETRY_MAX_DELAY);
+            entries.push(entry);
+          }
+          self.save(entries);
+          next();
+        });
+      };
+      next();
+    }
+  };
+
+  /**
+   * Posts a payload with fetch.
+   *
+   * @return {Promise}
+   *   Resolves to whether the server accepted the payload. Client errors other
+   *   than rate limiting count as delivered, since retrying will not help.
+   */
+  function postPayload(endpoint, body) {
+    return fetch(endpoint, {
+      method: 'POST',
+      body: body,
+      headers: {'Content-Type': 'application/json'},
+      keepalive: true
+    }).then(function (response) {
+      return response.ok || (response.status >= 400 && response.status < 500 && response.status !== 429);
+    }, function () {
+      return false;
+    });
+  }
+
+  /**
+   * Gets the collection session id, creating one if needed.
+   */
+  function getSessionId() {
+    var sessionId = sessionGet('bootstrapPurge.session');
+    if (!sessionId) {
+      sessionId = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+      sessionSet('bootstrapPurge.session', sessionId);
+    }
+    return sessionId;
+  }
+
+  /**
+   * Gets the next payload sequence number for the session.
+   */
+  function nextSequence() {
+    var sequence = parseInt(sessionGet('bootstrapPurge.sequence'), 10) || 0;
+    sequence++;
+    sessionSet('bootstrapPurge.sequence', String(sequence));
+    return sequence;
+  }
+
+  /**
+   * Detects classes the purged canary stylesheets no longer style.
+   *
+   * A class is missing when the original stylesheet has a rule for it and the
+   * purged stylesheet loaded in its place has none. Each missing class is
+   * reported once per page.
+   */
+  function MissingStyleDetector(config, links) {
+    this.config = config;
+    this.links = Array.prototype.slice.call(links);
+    this.original = {};
+    this.purged = {};
+    this.reported = {};
+    this.pending = [];
+    this.timer = null;
+    this.sessionId = getSessionId();
+  }
+
+  MissingStyleDetector.prototype = {
+    start: function () {
+      var self = this;
+
+      fetch(this.config.indexUrl, {credentials: 'same-origin'}).then(function (response) {
+        return response.ok ? response.json() : {};
+      }).then(function (index) {
+        return Promise.all(self.links.map(function (link) {
+          var id = link.getAttribute('data-bootstrap-purge-canary');
+          if (!index[id]) {
+            return null;
+          }
+          return self.readStylesheet(link).then(function (classes) {
+            if (classes) {
+              self.original[id] = new Set(index[id]);
+              self.purged[id] = classes;
+              self.reported[id] = new Set();
+            }
+          });
+        }));
+      }).then(function () {
+        if (!Object.keys(self.purged).length) {
+          return;
+        }
+        self.check(document.querySelectorAll('[class]'));
+        self.setupMutationObserver();
+      }, function () {
+        // Without the class index nothing can be compared.
+      });
+    },
+
+    /**
+     * Reads the classes of a stylesheet once it is loaded.
+     *
+     * @return {Promise}
+     *   Resolves to a Set of class names, or null when the stylesheet failed
+     *   to load or cannot be inspected.
+     */
+    readStylesheet: function (link) {
+      var self = this;
+
+      return new Promise(function (resolve) {
+        var read = function () {
+          try {
+            var classes = new Set();
+            self.collectClasses(link.sheet.cssRules, classes);
+            resolve(classes);
+          } catch (e) {
+            resolve(null);
+          }
+        };
+
+        if (link.sheet && link.sheet.href === link.href) {
+          read();
+        } else {
+          link.addEventListener('load', read);
+          link.addEventListener('error', function () {
+            resolve(null);
+          });
+        }
+      });
+    },
+
+    collectClasses: function (cssRules, classes) {
+      for (var i = 0; i < cssRules.length; i++) {
+        if (cssRules[i].selectorText) {
+          var matches = cssRules[i].selectorText.match(/\.(?:\\.|[\w-])+/g) || [];
+          for (var j = 0; j < matches.length; j++) {
+            classes.add(matches[j].slice(1).replace(/\\(.)/g, '$1'));
+          }
+        } else if (cssRules[i].cssRules) {
+          this.collectClasses(cssRules[i].cssRules, classes);
+        }
+      }
+    },
+
+    /**
+     * Reports the missing classes of the given elements.
+     */
+    check: function (elements) {
+      var missing = {};
+
+      for (var i = 0; i < elements.length; i++) {
+        var classes = elements[i].classList || [];
+        for (var j = 0; j < classes.length; j++) {
+          for (var id in this.purged) {
+            if (this.original[id].has(classes[j]) && !this.purged[id].has(classes[j]) && !this.reported[id].has(classes[j])) {
+              this.reported[id].add(classes[j]);
+              (missing[id] = missing[id] || []).push(classes[j]);
+            }
+          }
+        }
+      }
+
+      for (var asset in missing) {
+        postPayload(this.config.endpoint, JSON.stringify({
+          asset: asset,
+          session: this.sessionId,
+          route: this.config.route,
+          token: this.config.token,
+          classes: missing[asset]
+        }));
+      }
+    },
+
+    /**
+     * Checks elements that are added or change their classes later.
+     */
+    setupMutationObserver: function () {
+      if (!window.MutationObserver) {
+        return;
+      }
+
+      var self = this;
+      var observer = new MutationObserver(function (mutations) {
+        mutations.forEach(function (mutation) {
+          if (mutation.type === 'childList') {
+            mutation.addedNodes.forEach(function (node) {
+              if (node.nodeType === Node.ELEMENT_NODE) {
+                self.pending.push(node);
+                Array.prototype.push.apply(self.pending, node.querySelectorAll('[class]'));
+              }
+            });
+          } else {
+            self.pending.push(mutation.target);
+          }
+        });
+
+        if (!self.timer) {
+          self.timer = setTimeout(function () {
+            self.timer = null;
+            var elements = self.pending;
+            self.pending = [];
+            self.check(elements);
+          }, MISSING_STYLE_DELAY);
+        }
+      });
+
+      observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['class']
+      });
     }
   };
 
@@ -26,17 +543,42 @@
   function BootstrapPurgeCollector(config) {
     this.config = config;
     this.usedSelectors = new Set();
+    this.documentSelectors = {};
+    this.scopes = [{root: document, key: 'document', styled: true}];
+    this.scopeKeys = new Map([[document, 'document']]);
+    this.usedRules = new Set();
+    this.styleRules = null;
+    this.pendingRules = {};
+    this.breakpoints = config.breakpoints || DEFAULT_BREAKPOINTS;
+    this.currentBreakpoint = this.detectBreakpoint();
+    this.breakpointRules = {};
+    this.breakpointTimer = null;
+    this.stateRules = new Set();
+    this.stateCollectionTimer = null;
     this.usedEvents = new Set();
+    this.usedPlugins = new Set();
+    this.sessionId = getSessionId();
+    this.sent = {
+      selectors: new Set(),
+      rules: new Set(),
+      states: new Set(),
+      events: new Set(),
+      plugins: new Set(),
+      breakpoints: {},
+      documents: {}
+    };
     this.startTime = Date.now();
     this.observer = null;
     this.collectInterval = null;
+    this.flushInterval = null;
   }
 
   BootstrapPurgeCollector.prototype = {
     start: function () {
-      this.collectInitialSelectors();
       this.setupMutationObserver();
+      this.collectInitialSelectors();
       this.setupEventListeners();
+      this.setupBreakpointTracking();
       this.setupPeriodicCollection();
       this.setupBeaconSending();
     },
@@ -46,6 +588,421 @@
       for (var i = 0; i < elements.length; i++) {
         this.collectElementClasses(elements[i]);
       }
+      this.discoverScopes();
+      this.collectMatchedRules();
+      this.collectPlugins();
+    },
+
+    /**
+     * Records the Bootstrap JavaScript plugins the page uses.
+     *
+     * Plugins are detected from their data attributes and from the instances
+     * Bootstrap 5 (window.bootstrap) or Bootstrap 4 (jQuery data) created.
+     */
+    collectPlugins: function () {
+      var self = this;
+      var toggles = document.querySelectorAll('[data-bs-toggle], [data-toggle]');
+      for (var i = 0; i < toggles.length; i++) {
+        var toggle = toggles[i].getAttribute('data-bs-toggle') || toggles[i].getAttribute('data-toggle');
+        if (TOGGLE_PLUGINS[toggle]) {
+          this.usedPlugins.add(TOGGLE_PLUGINS[toggle]);
+        }
+      }
+
+      var dismissers = document.querySelectorAll('[data-bs-dismiss], [data-dismiss]');
+      for (var j = 0; j < dismissers.length; j++) {
+        var dismiss = dismissers[j].getAttribute('data-bs-dismiss') || dismissers[j].getAttribute('data-dismiss');
+        if (DISMISS_PLUGINS[dismiss]) {
+          this.usedPlugins.add(DISMISS_PLUGINS[dismiss]);
+        }
+      }
+
+      if (document.querySelector('[data-bs-ride], [data-ride="carousel"]')) {
+        this.usedPlugins.add('carousel');
+      }
+      if (document.querySelector('[data-bs-spy="scroll"], [data-spy="scroll"]')) {
+        this.usedPlugins.add('scrollspy');
+      }
+
+      var bootstrap = window.bootstrap;
+      var jQuery = window.jQuery;
+      Object.keys(PLUGIN_INSTANCE_CANDIDATES).forEach(function (plugin) {
+        if (self.usedPlugins.has(plugin)) {
+          return;
+        }
+
+        var className = PLUGIN_INSTANCE_CANDIDATES[plugin][0];
+        var pluginClass = bootstrap && bootstrap[className];
+        var hasBs5 = pluginClass && typeof pluginClass.getInstance === 'function';
+        var hasBs4 = jQuery && jQuery.fn && jQuery.fn[plugin];
+        if (!hasBs5 && !hasBs4) {
+          return;
+        }
+
+        var candidates = document.querySelectorAll(PLUGIN_INSTANCE_CANDIDATES[plugin][1]);
+        for (var k = 0; k < candidates.length; k++) {
+          if ((hasBs5 && pluginClass.getInstance(candidates[k])) || (hasBs4 && jQuery(candidates[k]).data('bs.' + plugin))) {
+            self.usedPlugins.add(plugin);
+            return;
+          }
+        }
+      });
+    },
+
+    /**
+     * Gathers the style rules of the tracked stylesheets.
+     *
+     * Stylesheets are tracked when their path ends with one of the paths in
+     * config.stylesheets. When no paths are configured every same-origin
+     * stylesheet is walked. Rules nested in @media and @supports blocks are
+     * included; each rule records the media query it is nested in.
+     */
+    collectStyleRules: function () {
+      var rules = [];
+      var sheets = document.styleSheets;
+
+      for (var i = 0; i < sheets.length; i++) {
+        if (!this.isTrackedStylesheet(sheets[i])) {
+          continue;
+        }
+
+        var cssRules;
+        try {
+          cssRules = sheets[i].cssRules;
+        } catch (e) {
+          // Cross-origin stylesheets cannot be inspected.
+          continue;
+        }
+        this.flattenStyleRules(cssRules, rules, '');
+      }
+
+      return rules;
+    },
+
+    flattenStyleRules: function (cssRules, rules, media) {
+      if (!cssRules) {
+        return;
+      }
+
+      for (var i = 0; i < cssRules.length; i++) {
+        var rule = cssRules[i];
+        if (rule.selectorText) {
+          var selectors = this.splitSelectorList(rule.selectorText);
+          for (var j = 0; j < selectors.length; j++) {
+            rules.push({
+              selector: selectors[j],
+              media: media,
+              key: media ? '@media ' + media + '{' + selectors[j] + '}' : selectors[j]
+            });
+          }
+        } else if (rule.cssRules) {
+          var nestedMedia = media;
+          if (rule.media && rule.media.mediaText) {
+            nestedMedia = media ? media + ' and ' + rule.media.mediaText : rule.media.mediaText;
+          }
+          this.flattenStyleRules(rule.cssRules, rules, nestedMedia);
+        }
+      }
+    },
+
+    isTrackedStylesheet: function (sheet) {
+      var tracked = this.config.stylesheets || [];
+      if (!sheet.href) {
+        return false;
+      }
+      if (tracked.length === 0) {
+        return sheet.href.indexOf(window.location.origin) === 0;
+      }
+
+      var path = sheet.href.split('?')[0];
+      for (var i = 0; i < tracked.length; i++) {
+        if (path.slice(-tracked[i].length) === tracked[i]) {
+          return true;
+        }
+      }
+      return false;
+    },
+
+    /**
+     * Finds open shadow roots and same-origin frames not seen before.
+     *
+     * Each is registered as a scope keyed by its owning document, e.g.
+     * "iframe:/node/1/edit" or "document > shadow:my-widget"; its classes are
+     * collected and it is observed for later changes. Closed shadow roots and
+     * cross-origin frames cannot be inspected.
+     */
+    discoverScopes: function () {
+      for (var i = 0; i < this.scopes.length; i++) {
+        var scope = this.scopes[i];
+        var elements = scope.root.querySelectorAll('*');
+
+        for (var j = 0; j < elements.length; j++) {
+          var element = elements[j];
+          if (element.shadowRoot) {
+            this.addScope(element.shadowRoot, scope.key + ' > shadow:' + element.localName);
+          }
+          if (element.localName === 'iframe' || element.localName === 'frame') {
+            var frameDocument = null;
+            try {
+              frameDocument = element.contentDocument;
+            } catch (e) {
+              // Cross-origin frames throw in some browsers.
+            }
+            if (frameDocument && frameDocument.documentElement) {
+              this.addScope(frameDocument, this.frameKey(element, frameDocument, j));
+            }
+          }
+        }
+      }
+    },
+
+    /**
+     * Builds the key of a same-origin frame document.
+     */
+    frameKey: function (frame, frameDocument, index) {
+      var location = frameDocument.location;
+      if (location && location.protocol !== 'about:') {
+        return 'iframe:' + location.pathname;
+      }
+      // Editors such as CKEditor 4 write into an about:blank frame.
+      return 'iframe#' + (frame.id || frame.name || index);
+    },
+
+    addScope: function (root, key) {
+      if (this.scopeKeys.has(root)) {
+        return;
+      }
+
+      var scope = {root: root, key: key.slice(0, 255), styled: false};
+      this.scopes.push(scope);
+      this.scopeKeys.set(root, scope.key);
+
+      // Rules are only matched where the tracked stylesheets apply.
+      var sheets = root.styleSheets || [];
+      for (var i = 0; i < sheets.length; i++) {
+        if (this.isTrackedStylesheet(sheets[i])) {
+          scope.styled = true;
+          break;
+        }
+      }
+
+      var elements = root.querySelectorAll('*[class]');
+      for (var j = 0; j < elements.length; j++) {
+        this.collectElementClasses(elements[j]);
+      }
+      this.observeRoot(root.body || root);
+    },
+
+    /**
+     * Returns the key of the document or shadow root owning an element.
+     */
+    scopeKey: function (element) {
+      var root = element.getRootNode ? element.getRootNode() : element.ownerDocument;
+      return this.scopeKeys.get(root) || this.scopeKeys.get(element.ownerDocument) || 'document';
+    },
+
+    /**
+     * Checks whether a selector matches in any scope the stylesheets apply to.
+     */
+    matchesInScopes: function (selector) {
+      for (var i = 0; i < this.scopes.length; i++) {
+        if (this.scopes[i].styled && this.scopes[i].root.querySelector(selector) !== null) {
+          return true;
+        }
+      }
+      return false;
+    },
+
+    /**
+     * Splits a selector list on top-level commas.
+     */
+    splitSelectorList: function (selectorText) {
+      var selectors = [];
+      var depth = 0;
+      var current = '';
+
+      for (var i = 0; i < selectorText.length; i++) {
+        var ch = selectorText.charAt(i);
+        if (ch === '(' || ch === '[') {
+          depth++;
+        } else if (ch === ')' || ch === ']') {
+          depth--;
+        } else if (ch === ',' && depth === 0) {
+          if (current.trim()) {
+            selectors.push(current.trim());
+          }
+          current = '';
+          continue;
+        }
+        current += ch;
+      }
+      if (current.trim()) {
+        selectors.push(current.trim());
+      }
+
+      return selectors;
+    },
+
+    /**
+     * Strips pseudo-elements, which never match through querySelector.
+     */
+    matchableSelector: function (selector) {
+      var matchable = selector
+        .replace(/::?(before|after|first-line|first-letter|placeholder|selection|marker|backdrop|file-selector-button)\b/g, '')
+        .replace(/::-(webkit|moz|ms)-[\w-]+(\([^)]*\))?/g, '')
+        .trim();
+
+      if (!matchable || /[>+~]$/.test(matchable)) {
+        matchable += '*';
+      }
+      return matchable;
+    },
+
+    /**
+     * Checks whether a selector depends on an interaction or transient state.
+     */
+    isStateSelector: function (selector) {
+      return STATE_PSEUDO_CLASSES.test(selector) || STATE_CLASSES.test(selector);
+    },
+
+    /**
+     * Records rule selectors that match at least one element.
+     *
+     * Rules are read from the CSSOM once and checked separately for each
+     * breakpoint the page is viewed at; later calls only re-check the rules
+     * that have not matched at the current breakpoint yet. Rules nested in a
+     * media query only count while that query applies. Matching state
+     * selectors are also recorded in stateRules so the analyzer never purges
+     * them.
+     *
+     * @param {boolean} statesOnly
+     *   Only re-check selectors that depend on an interaction state.
+     */
+    collectMatchedRules: function (statesOnly) {
+      if (this.styleRules === null) {
+        this.styleRules = this.collectStyleRules();
+      }
+
+      var breakpoint = this.currentBreakpoint;
+      if (!this.pendingRules[breakpoint]) {
+        this.pendingRules[breakpoint] = this.styleRules.slice();
+        this.breakpointRules[breakpoint] = new Set();
+      }
+
+      var seen = this.breakpointRules[breakpoint];
+      var pending = this.pendingRules[breakpoint];
+      var mediaMatches = {};
+      var remaining = [];
+
+      for (var i = 0; i < pending.length; i++) {
+        var rule = pending[i];
+        var isState = this.isStateSelector(rule.selector);
+        if (statesOnly && !isState) {
+          remaining.push(rule);
+          continue;
+        }
+
+        if (rule.media) {
+          if (!(rule.media in mediaMatches)) {
+            mediaMatches[rule.media] = window.matchMedia(rule.media).matches;
+          }
+          if (!mediaMatches[rule.media]) {
+            remaining.push(rule);
+            continue;
+          }
+        }
+
+        var matched = false;
+        try {
+          matched = this.matchesInScopes(this.matchableSelector(rule.selector));
+        } catch (e) {
+          // Selectors the browser cannot evaluate are dropped.
+          continue;
+        }
+
+        if (matched) {
+          this.usedRules.add(rule.selector);
+          seen.add(rule.key);
+          if (isState) {
+            this.stateRules.add(rule.selector);
+          }
+        } else {
+          remaining.push(rule);
+        }
+      }
+      this.pendingRules[breakpoint] = remaining;
+    },
+
+    /**
+     * Determines the Bootstrap breakpoint currently in effect.
+     */
+    detectBreakpoint: function () {
+      var current = 'xs';
+      var currentWidth = 0;
+
+      for (var name in this.breakpoints) {
+        if (this.breakpoints.hasOwnProperty(name)) {
+          var width = this.breakpoints[name];
+          if (width > currentWidth && window.matchMedia('(min-width: ' + width + 'px)').matches) {
+            current = name;
+            currentWidth = width;
+          }
+        }
+      }
+
+      return current;
+    },
+
+    /**
+     * Re-collects rules when resizing or rotating crosses a breakpoint.
+     */
+    setupBreakpointTracking: function () {
+      var self = this;
+      var onChange = function () {
+        if (self.breakpointTimer) {
+          clearTimeout(self.breakpointTimer);
+        }
+        self.breakpointTimer = setTimeout(function () {
+          self.breakpointTimer = null;
+          var breakpoint = self.detectBreakpoint();
+          if (breakpoint !== self.currentBreakpoint) {
+            self.currentBreakpoint = breakpoint;
+            self.collectMatchedRules();
+          }
+        }, 250);
+      };
+
+      for (var name in this.breakpoints) {
+        if (this.breakpoints.hasOwnProperty(name)) {
+          var query = window.matchMedia('(min-width: ' + this.breakpoints[name] + 'px)');
+          if (query.addEventListener) {
+            query.addEventListener('change', onChange);
+          } else if (query.addListener) {
+            query.addListener(onChange);
+          }
+        }
+      }
+
+      window.addEventListener('resize', onChange);
+      window.addEventListener('orientationchange', onChange);
+    },
+
+    /**
+     * Re-checks state selectors shortly after an interaction.
+     *
+     * :hover and .collapsing only hold for a moment, so the check runs while
+     * the triggering interaction is still in progress.
+     */
+    scheduleStateCollection: function () {
+      if (this.stateCollectionTimer) {
+        return;
+      }
+
+      var self = this;
+      this.stateCollectionTimer = setTimeout(function () {
+        self.stateCollectionTimer = null;
+        self.collectMatchedRules(true);
+      }, 50);
     },
 
     setupMutationObserver: function () {
@@ -72,29 +1029,48 @@
         });
       });
 
-      this.observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['class']
-      });
+      this.observeRoot(document.body);
+    },
+
+    observeRoot: function (root) {
+      if (this.observer && root) {
+        this.observer.observe(root, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['class']
+        });
+      }
     },
 
+    /**
+     * Records the classes and id of an element.
+     *
+     * className is an SVGAnimatedString on SVG elements, so classList or the
+     * class attribute is read instead. Elements outside the main document are
+     * recorded against the shadow root or frame that owns them.
+     */
     collectElementClasses: function (element) {
-      if (!element.className) {
-        return;
+      var classes = element.classList;
+      if (!classes) {
+        var attribute = element.getAttribute ? element.getAttribute('class') : '';
+        classes = attribute ? attribute.split(/\s+/) : [];
+      }
+
+      var key = this.scopeKey(element);
+      var selectors = key === 'document' ? this.usedSelectors : this.documentSelectors[key];
+      if (!selectors) {
+        selectors = this.documentSelectors[key] = new Set();
       }
 
-      var classes = element.className.split(/\s+/);
       for (var i = 0; i < classes.length; i++) {
-        var className = classes[i].trim();
-        if (className) {
-          this.usedSelectors.add('.' + className);
+        if (classes[i]) {
+          selectors.add('.' + classes[i]);
         }
       }
 
       if (element.id) {
-        this.usedSelectors.add('#' + element.id);
+        selectors.add('#' + element.id);
       }
     },
 
@@ -105,11 +1081,39 @@
       events.forEach(function (eventType) {
         document.addEventListener(eventType, function (event) {
           self.usedEvents.add(eventType);
-          if (event.target) {
-            self.collectElementClasses(event.target);
+          // Events from shadow trees are retargeted to their host.
+          var target = event.composedPath ? event.composedPath()[0] : event.target;
+          if (target && target.nodeType === Node.ELEMENT_NODE) {
+            self.collectElementClasses(target);
           }
+          self.scheduleStateCollection();
+        }, true);
+      });
+
+      // Transitions and animations run while classes such as .collapsing are
+      // applied and :focus-visible rules only match during keyboard focus.
+      ['focusin', 'transitionrun', 'animationstart'].forEach(function (eventType) {
+        document.addEventListener(eventType, function () {
+          self.scheduleStateCollection();
         }, true);
       });
+
+      var onBootstrapEvent = function (event) {
+        var eventName = event.type + (event.namespace ? '.' + event.namespace : '');
+        self.usedEvents.add(eventName);
+        // The last part of the namespace is the plugin, e.g. shown.bs.modal.
+        self.usedPlugins.add(eventName.split('.').pop());
+        self.scheduleStateCollection();
+      };
+
+      BOOTSTRAP_STATE_EVENTS.forEach(function (eventType) {
+        document.addEventListener(eventType, onBootstrapEvent, true);
+      });
+
+      // Bootstrap 4 triggers its events through jQuery only.
+      if (window.jQuery) {
+        window.jQuery(document).on(BOOTSTRAP_STATE_EVENTS.join(' '), onBootstrapEvent);
+      }
     },
 
     setupPeriodicCollection: function () {
@@ -128,29 +1132,119 @@
           this.collectElementClasses(element);
         }
       }
+      this.discoverScopes();
+      this.collectMatchedRules();
+      this.collectPlugins();
     },
 
     setupBeaconSending: function () {
       var self = this;
-      window.addEventListener('beforeunload', function () {
+      this.flushInterval = setInterval(function () {
         self.sendData();
+      }, FLUSH_INTERVAL);
+
+      document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'hidden') {
+          self.sendData();
+        }
       });
-      setTimeout(function () {
+      window.addEventListener('pagehide', function (event) {
         self.sendData();
-      }, 30000);
+        if (!event.persisted) {
+          self.stop();
+        }
+      });
     },
 
-    sendData: function () {
-      if (this.usedSelectors.size === 0) {
-        return;
+    /**
+     * Returns the items of a set that have not been sent yet.
+     */
+    takeDelta: function (name, items) {
+      var sent = this.sent[name];
+      var delta = [];
+      items.forEach(function (item) {
+        if (!sent.has(item)) {
+          sent.add(item);
+          delta.push(item);
+        }
+      });
+      return delta;
+    },
+
+    /**
+     * Returns the per-breakpoint rules that have not been sent yet.
+     */
+    takeBreakpointDelta: function () {
+      var delta = {};
+
+      for (var breakpoint in this.breakpointRules) {
+        if (this.breakpointRules.hasOwnProperty(breakpoint)) {
+          if (!this.sent.breakpoints[breakpoint]) {
+            this.sent.breakpoints[breakpoint] = new Set();
+          }
+          var sent = this.sent.breakpoints[breakpoint];
+          var items = [];
+          this.breakpointRules[breakpoint].forEach(function (key) {
+            if (!sent.has(key)) {
+              sent.add(key);
+              items.push(key);
+            }
+          });
+          if (items.length) {
+            delta[breakpoint] = items;
+          }
+        }
+      }
+
+      return delta;
+    },
+
+    /**
+     * Returns the selectors of each shadow root or frame not sent yet.
+     */
+    takeDocumentDelta: function () {
+      var delta = {};
+
+      for (var key in this.documentSelectors) {
+        if (this.documentSelectors.hasOwnProperty(key)) {
+          if (!this.sent.documents[key]) {
+            this.sent.documents[key] = new Set();
+          }
+          var sent = this.sent.documents[key];
+          var items = [];
+          this.documentSelectors[key].forEach(function (selector) {
+            if (!sent.has(selector)) {
+              sent.add(selector);
+              items.push(selector);
+            }
+          });
+          if (items.length) {
+            delta[key] = items;
+          }
+        }
       }
 
+      return delta;
+    },
+
+    /**
+     * Sends what was collected since the previous delivery.
+     */
+    sendData: function () {
       var data = {
+        session: this.sessionId,
+        sequence: 0,
         route: this.config.route,
-        selectors: Array.from(this.usedSelectors),
-        events: Array.from(this.usedEvents),
+        token: this.config.token,
+        selectors: this.takeDelta('selectors', this.usedSelectors),
+        rules: this.takeDelta('rules', this.usedRules),
+        states: this.takeDelta('states', this.stateRules),
+        events: this.takeDelta('events', this.usedEvents),
+        plugins: this.takeDelta('plugins', this.usedPlugins),
+        breakpoints: this.takeBreakpointDelta(),
+        documents: this.takeDocumentDelta(),
         duration: Date.now() - this.startTime,
-        timestamp: Date.now(),
+        timestamp: Math.floor(Date.now() / 1000),
         url: window.location.href,
         viewport: {
           width: window.innerWidth,
@@ -158,23 +1252,54 @@
         }
       };
 
-      if (navigator.sendBeacon) {
-        navigator.sendBeacon(this.config.endpoint, JSON.stringify(data));
-      } else if (window.fetch) {
-        fetch(this.config.endpoint, {
-          method: 'POST',
-          body: JSON.stringify(data),
-          headers: {'Content-Type': 'application/json'},
-          keepalive: true
-        }).catch(function () {});
+      if (!data.selectors.length && !data.rules.length && !data.states.length && !data.events.length && !data.plugins.length && !Object.keys(data.breakpoints).length && !Object.keys(data.documents).length) {
+        return;
+      }
+      data.sequence = nextSequence();
+      this.deliver(JSON.stringify(data));
+    },
+
+    /**
+     * Delivers a payload, queueing it for a later retry when that fails.
+     */
+    deliver: function (body) {
+      var endpoint = this.config.endpoint;
+
+      if (navigator.onLine === false) {
+        retryQueue.add(body);
+        return;
+      }
+
+      // sendBeacon only reports whether the browser accepted the payload,
+      // so it is used when the page is going away and fetch otherwise.
+      if (document.visibilityState === 'hidden' && navigator.sendBeacon) {
+        if (!navigator.sendBeacon(endpoint, body)) {
+          retryQueue.add(body);
+        }
+        return;
       }
 
+      if (window.fetch) {
+        postPayload(endpoint, body).then(function (delivered) {
+          if (!delivered) {
+            retryQueue.add(body);
+          }
+        });
+      } else if (navigator.sendBeacon && !navigator.sendBeacon(endpoint, body)) {
+        retryQueue.add(body);
+      }
+    },
+
+    stop: function () {
       if (this.observer) {
         this.observer.disconnect();
       }
       if (this.collectInterval) {
         clearInterval(this.collectInterval);
       }
+      if (this.flushInterval) {
+        clearInterval(this.flushInterval);
+      }
     }
   };
 
@@ -0,0 +1,186 @@
+/**
+ * @file
+ * Live whitelist pattern tester for Bootstrap Purge.
+ */
+
+(function ($, Drupal, drupalSettings, once) {
+  'use strict';
+
+  // Matched selectors listed below the summary.
+  var MAX_LISTED = 200;
+
+  /**
+   * Converts a whitelist pattern to a RegExp.
+   *
+   * Patterns are read the way WhitelistManager::matchesPattern() reads them:
+   * "/.../" is a regular expression, anything else an fnmatch() glob.
+   *
+   * @param {string} pattern
+   *   The whitelist pattern.
+   *
+   * @return {RegExp}
+   *   The pattern as a regular expression.
+   *
+   * @throws {Error}
+   *   When the pattern is not a valid regular expression.
+   */
+  function toRegExp(pattern) {
+    if (/^\/.*\/$/.test(pattern)) {
+      var body = pattern.slice(1, -1);
+      // preg_match() ends the pattern at the first unescaped delimiter.
+      if (/(^|[^\\])(\\\\)*\//.test(body)) {
+        throw new Error(Drupal.t('Escape "/" inside the pattern as "\\/".'));
+      }
+      return new RegExp(body);
+    }
+
+    var source = pattern
+      .replace(/[.+^${}()|\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.')
+      .replace(/\[!/g, '[^');
+    return new RegExp('^' + source + '$');
+  }
+
+  /**
+   * Matches a pattern against the rule index.
+   *
+   * A rule is kept when any of its selectors matches, so its bytes count
+   * once however many of them do.
+   */
+  function testPattern(regexp, index) {
+    var result = {selectors: {}, count: 0, rules: 0, bytes: 0, total: 0};
+
+    index.rules.forEach(function (rule) {
+      var kept = false;
+      result.total += rule[1];
+      rule[0].forEach(function (selector) {
+        if (regexp.test(selector)) {
+          kept = true;
+          if (!result.selectors.hasOwnProperty(selector)) {
+            result.selectors[selector] = true;
+            result.count++;
+          }
+        }
+      });
+      if (kept) {
+        result.rules++;
+        result.bytes += rule[1];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Lists what is worth a second look in a pattern and its matches.
+   */
+  function getWarnings(pattern, result, index) {
+    var warnings = [];
+
+    if (/^\/[^\^]/.test(pattern)) {
+      warnings.push(Drupal.t('The pattern is not anchored with "^", so it matches anywhere in a selector.'));
+    }
+    if (/^\/\^[\w-]/.test(pattern)) {
+      warnings.push(Drupal.t('Selectors start with "." or "#"; a pattern for a class name should start with "^\\.".'));
+    }
+    if (!result.count) {
+      warnings.push(Drupal.t('No selector of the Bootstrap stylesheets matches.'));
+    } else if (result.rules / index.rules.length > 0.25) {
+      warnings.push(Drupal.t('The pattern keeps more than a quarter of all rules.'));
+    }
+
+    return warnings;
+  }
+
+  function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+    }
+    if (bytes >= 1024) {
+      return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    return bytes + ' B';
+  }
+
+  function renderResult(pattern, result, index) {
+    var html = '<p class="pattern-tester-summary">' + Drupal.t('Matches @selectors selectors in @rules of @total rules, keeping @size of @all (@percent%).', {
+      '@selectors': result.count,
+      '@rules': result.rules,
+      '@total': index.rules.length,
+      '@size': formatSize(result.bytes),
+      '@all': formatSize(result.total),
+      '@percent': result.total ? (result.bytes / result.total * 100).toFixed(1) : 0
+    }) + '</p>';
+
+    getWarnings(pattern, result, index).forEach(function (warning) {
+      html += '<div class="messages messages--warning">' + warning + '</div>';
+    });
+
+    var selectors = Object.keys(result.selectors);
+    if (selectors.length) {
+      html += '<div class="selectors-list">' + selectors.slice(0, MAX_LISTED).map(function (selector) {
+        return '<span class="selector-item">' + Drupal.checkPlain(selector) + '</span>';
+      }).join('');
+      if (selectors.length > MAX_LISTED) {
+        html += '<p>' + Drupal.t('... and @count more.', {'@count': selectors.length - MAX_LISTED}) + '</p>';
+      }
+      html += '</div>';
+    }
+
+    return html;
+  }
+
+  /**
+   * Tests the pattern typed on the whitelist page as it changes.
+   */
+  Drupal.behaviors.bootstrapPurgeWhitelistTester = {
+    attach: function (context, settings) {
+      once('pattern-tester', '.bootstrap-purge-pattern-tester', context).forEach(function (tester) {
+        var $input = $(tester).find('.pattern-tester-input');
+        var $results = $(tester).find('.pattern-tester-results');
+        var index = null;
+
+        var update = function () {
+          var pattern = $.trim($input.val());
+          if (!pattern) {
+            $results.empty();
+            return;
+          }
+
+          var regexp;
+          try {
+            regexp = toRegExp(pattern);
+          } catch (e) {
+            $results.html('<div class="messages messages--error">' + Drupal.t('Invalid pattern: @message', {'@message': e.message}) + '</div>');
+            return;
+          }
+
+          // Loaded on first use; the index covers every Bootstrap stylesheet.
+          if (!index) {
+            index = $.getJSON(settings.bootstrapPurgeWhitelistTester.indexUrl);
+            $results.addClass('bootstrap-purge-loading');
+          }
+          index.done(function (data) {
+            $results.removeClass('bootstrap-purge-loading');
+            if ($.trim($input.val()) === pattern) {
+              $results.html(renderResult(pattern, testPattern(regexp, data), data));
+            }
+          }).fail(function () {
+            $results.removeClass('bootstrap-purge-loading').html('<div class="messages messages--error">' + Drupal.t('The selector index could not be loaded.') + '</div>');
+            index = null;
+          });
+        };
+
+        $input.on('input', Drupal.debounce(update, 250));
+        // Keep Enter from submitting the whitelist form.
+        $input.on('keydown', function (e) {
+          if (e.which === 13) {
+            e.preventDefault();
+          }
+        });
+      });
+    }
+  };
+
+})(jQuery, Drupal, drupalSettings, once);
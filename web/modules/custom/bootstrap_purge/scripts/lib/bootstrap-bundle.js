@@ -0,0 +1,141 @@
+const { minify } = require('terser');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Bootstrap JavaScript plugins, by the name used in runtime data.
+ */
+const PLUGINS = {
+  alert: 'alert.js',
+  button: 'button.js',
+  carousel: 'carousel.js',
+  collapse: 'collapse.js',
+  dropdown: 'dropdown.js',
+  modal: 'modal.js',
+  offcanvas: 'offcanvas.js',
+  popover: 'popover.js',
+  scrollspy: 'scrollspy.js',
+  tab: 'tab.js',
+  toast: 'toast.js',
+  tooltip: 'tooltip.js'
+};
+
+/**
+ * Reads the relative and package dependencies from a UMD dist file.
+ */
+function readDependencies(source) {
+  const umdHeader = source.slice(0, source.indexOf('factory));') + 1 || 2000);
+  const local = [];
+  const external = [];
+  const pattern = /require\('([^']+)'\)/g;
+  let match;
+
+  while ((match = pattern.exec(umdHeader)) !== null) {
+    if (match[1].startsWith('.')) {
+      local.push(match[1]);
+    } else {
+      external.push(match[1]);
+    }
+  }
+
+  return { local, external };
+}
+
+/**
+ * Orders the dist files needed for the given plugins, dependencies first.
+ */
+function resolveFiles(distDir, plugins) {
+  const ordered = [];
+  const visited = new Set();
+  const external = new Set();
+
+  const visit = (file) => {
+    const resolved = path.resolve(file);
+    if (visited.has(resolved)) {
+      return;
+    }
+    visited.add(resolved);
+
+    const source = fs.readFileSync(resolved, 'utf8');
+    const dependencies = readDependencies(source);
+    dependencies.external.forEach((name) => external.add(name));
+    dependencies.local.forEach((dependency) => {
+      visit(path.join(path.dirname(resolved), dependency));
+    });
+    ordered.push({ file: resolved, source });
+  };
+
+  plugins.forEach((plugin) => {
+    if (!PLUGINS[plugin]) {
+      throw new Error(`Unknown Bootstrap plugin "${plugin}"`);
+    }
+    visit(path.join(distDir, PLUGINS[plugin]));
+  });
+
+  return { files: ordered, external: Array.from(external) };
+}
+
+/**
+ * Builds a minified Bootstrap bundle containing only the given plugins.
+ *
+ * The dist files are UMD modules that register browser globals, so they are
+ * concatenated in dependency order inside a wrapper that hides CommonJS and
+ * AMD loaders. The used plugins are then exposed as window.bootstrap, like
+ * the full bundle does.
+ *
+ * @param {object} options
+ *   - distDir: Bootstrap's js/dist directory.
+ *   - plugins: Names of the plugins to include.
+ *   - popper: Optional path to Popper's UMD build, included when a plugin
+ *     needs it.
+ *
+ * @return {Promise<object>}
+ *   The bundle code, the included files and any missing package dependencies.
+ */
+async function buildBootstrapBundle(options) {
+  const plugins = Array.from(new Set(options.plugins || [])).filter((plugin) => plugin !== 'base');
+  const { files, external } = resolveFiles(options.distDir, plugins);
+  const missing = [];
+  const parts = [];
+
+  if (external.includes('@popperjs/core')) {
+    if (options.popper && fs.existsSync(options.popper)) {
+      parts.push(fs.readFileSync(options.popper, 'utf8'));
+    } else {
+      missing.push('@popperjs/core');
+    }
+  }
+
+  const exported = [];
+  files.forEach(({ file, source }) => {
+    parts.push(source);
+    const globalName = source.match(/global\.(\w+) = factory\(/);
+    if (globalName && path.dirname(file) === path.resolve(options.distDir) && file.indexOf('base-component') === -1) {
+      exported.push(globalName[1]);
+    }
+  });
+
+  const code = [
+    '(function (exports, module, define) {',
+    parts.join('\n'),
+    'globalThis.bootstrap = Object.assign(globalThis.bootstrap || {}, {',
+    exported.map((name) => `  ${name}: globalThis.${name}`).join(',\n'),
+    '});',
+    '})();'
+  ].join('\n');
+
+  const result = await minify(code, {
+    compress: true,
+    mangle: true,
+    format: { comments: /^!/ }
+  });
+
+  return {
+    code: result.code,
+    files: files.map(({ file }) => path.relative(options.distDir, file)),
+    plugins,
+    missing
+  };
+}
+
+module.exports = { PLUGINS, buildBootstrapBundle };
@@ -0,0 +1,184 @@
+const CLASS_NAME = /^-?[_a-zA-Z][\w-]*$/;
+
+// Places Drupal code names classes. "open" contexts end at the matching
+// bracket, the others at the first "until" token outside brackets.
+const CONTEXTS = [
+  // attributes.addClass(...) in Twig, $attributes->addClass(...) in PHP.
+  { pattern: /\baddClass\s*\(/g, open: true },
+  { pattern: /\bHtml::getClass\s*\(/g, open: true, clean: true },
+  // {% set classes = [...] %}, {% set item_classes = ... %}.
+  { pattern: /\{%-?\s*set\s+\w*class\w*\s*=/gi, until: ['%}'] },
+  // classes|merge([...]).
+  { pattern: /\b\w*class\w*\s*\|\s*merge\s*\(/gi, open: true },
+  // {'class': [...]} in Twig and '#attributes' => ['class' => [...]] in PHP.
+  { pattern: /['"]class['"]\s*(?::|=>)/g, until: [',', ';', '%}', '}}'] },
+  // $variables['attributes']['class'][] = ...;
+  { pattern: /\[['"]class['"]\](?:\s*\[\s*\])?\s*=(?![=>])/g, until: [';'] }
+];
+
+const CLASS_ATTRIBUTE = /\bclass\s*=\s*(?:"((?:\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|[^"])*)"|'((?:\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|[^'])*)')/g;
+const STRING_LITERAL = /'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"/g;
+const MAX_EXPRESSION = 4000;
+
+/**
+ * Mirrors Html::getClass() and the Twig clean_class filter.
+ */
+function cleanClass(name) {
+  return name.toLowerCase()
+    .replace(/__/g, '\u0001')
+    .replace(/[ _/[]/g, '-')
+    .replace(/]/g, '')
+    .replace(/\u0001/g, '__')
+    .replace(/[^\w-]/g, '');
+}
+
+/**
+ * Reads an expression up to its closing bracket or terminator.
+ */
+function readExpression(content, start, context) {
+  let depth = context.open ? 1 : 0;
+  const end = Math.min(content.length, start + MAX_EXPRESSION);
+
+  for (let i = start; i < end; i++) {
+    const char = content[i];
+    if (char === '"' || char === '\'') {
+      for (i++; i < end && content[i] !== char; i++) {
+        if (content[i] === '\\') {
+          i++;
+        }
+      }
+      continue;
+    }
+    if (depth === 0 && context.until && context.until.some(token => content.startsWith(token, i))) {
+      return content.slice(start, i);
+    }
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+      if (depth < 0 || (depth === 0 && context.open)) {
+        return content.slice(start, i);
+      }
+    }
+  }
+
+  return content.slice(start, end);
+}
+
+/**
+ * Collects classes and dynamic prefixes from the string literals of an
+ * expression.
+ *
+ * A literal joined to a variable, like 'btn-' ~ variant in Twig or
+ * 'btn-' . $variant in PHP, ends in a prefix rather than a class, and one
+ * joined after a variable starts with a suffix, which is dropped.
+ */
+function scanExpression(expression, clean, result) {
+  let match;
+  STRING_LITERAL.lastIndex = 0;
+
+  while ((match = STRING_LITERAL.exec(expression)) !== null) {
+    const before = expression.slice(0, match.index).trimEnd();
+    const after = expression.slice(match.index + match[0].length).trimStart();
+    // Array keys, like $variables['node'], are not classes.
+    if (/[\w\]]\s*\[$/.test(before)) {
+      continue;
+    }
+    let text = match[1] !== undefined ? match[1] : match[2];
+    let joinedAfter = /^[~.](?!\.)/.test(after);
+
+    // "btn-#{variant}" in Twig, "btn-$variant" and "btn-{$variant}" in PHP.
+    if (match[2] !== undefined) {
+      const interpolation = text.search(/#\{|\{?\$/);
+      if (interpolation !== -1) {
+        text = text.slice(0, interpolation);
+        joinedAfter = true;
+      }
+    }
+
+    const cleaned = clean || /\bHtml::getClass\s*\($/.test(before) || /^\|\s*clean_class\b/.test(after);
+    addTokens(text, /[~.]$/.test(before), joinedAfter, cleaned, result);
+  }
+}
+
+/**
+ * Adds the whitespace separated names of a string to the result.
+ *
+ * Html::getClass() and clean_class turn a whole string into one class, so a
+ * cleaned string is not split.
+ */
+function addTokens(text, joinedBefore, joinedAfter, clean, result) {
+  const tokens = clean ? [text] : text.split(/\s+/);
+  if (joinedBefore && !/^\s/.test(text)) {
+    tokens.shift();
+  }
+  const prefix = joinedAfter && !/\s$/.test(text) ? tokens.pop() : null;
+
+  tokens.forEach(token => {
+    const name = clean ? cleanClass(token) : token;
+    if (CLASS_NAME.test(name)) {
+      result.classes.add(name);
+    }
+  });
+  const prefixName = prefix && clean ? cleanClass(prefix) : prefix;
+  if (prefixName && CLASS_NAME.test(prefixName)) {
+    result.prefixes.add(prefixName);
+  }
+}
+
+/**
+ * Collects classes and prefixes from an HTML class attribute in a template.
+ */
+function scanClassAttribute(value, result) {
+  value.replace(/\{\{([\s\S]*?)\}\}/g, (match, expression) => scanExpression(expression, false, result));
+
+  const text = value.replace(/\{%[\s\S]*?%\}/g, ' ').replace(/\{\{[\s\S]*?\}\}/g, '\u0000');
+  text.split(/\s+/).forEach(token => {
+    if (token.includes('\u0000')) {
+      const prefix = token.slice(0, token.indexOf('\u0000'));
+      if (CLASS_NAME.test(prefix)) {
+        result.prefixes.add(prefix);
+      }
+    } else if (CLASS_NAME.test(token)) {
+      result.classes.add(token);
+    }
+  });
+}
+
+/**
+ * Extracts the classes named by Twig templates and Drupal PHP code.
+ *
+ * @param {string} content
+ *   The contents of a .twig, .php or .theme file.
+ *
+ * @return {{classes: Array, prefixes: Array}}
+ *   The classes found, and the prefixes of classes built at runtime.
+ */
+function extractDrupal(content) {
+  const result = { classes: new Set(), prefixes: new Set() };
+
+  CONTEXTS.forEach(context => {
+    let match;
+    context.pattern.lastIndex = 0;
+    while ((match = context.pattern.exec(content)) !== null) {
+      const start = match.index + match[0].length;
+      scanExpression(readExpression(content, start, context), Boolean(context.clean), result);
+    }
+  });
+
+  let match;
+  CLASS_ATTRIBUTE.lastIndex = 0;
+  while ((match = CLASS_ATTRIBUTE.exec(content)) !== null) {
+    scanClassAttribute(match[1] !== undefined ? match[1] : match[2], result);
+  }
+
+  return {
+    classes: Array.from(result.classes),
+    prefixes: Array.from(result.prefixes)
+  };
+}
+
+module.exports = {
+  cleanClass,
+  extractDrupal
+};
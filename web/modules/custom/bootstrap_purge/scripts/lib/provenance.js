@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+
+// Labels raw content entries; Drupal passes database markup this way.
+const RAW_CONTENT = '(raw content)';
+
+const SELECTOR_TOKENS = /([.#])((?:\\.|[\w-])+)|\[\s*([\w-]+)|(?:^|[\s>+~(,])([a-zA-Z][\w-]*)/g;
+
+/**
+ * Flattens what an extractor returns into a list of tokens.
+ */
+function extractorTokens(result) {
+  if (Array.isArray(result)) {
+    return result;
+  }
+  const attributes = result.attributes || {};
+  return [].concat(
+    result.classes || [], result.ids || [], result.tags || [], result.undetermined || [],
+    attributes.names || [], attributes.values || []
+  );
+}
+
+/**
+ * Maps every token found in the content to the first file it was found in.
+ *
+ * @param {Object} options
+ *   PurgeCSS options as built by buildPurgeOptions().
+ * @param {Function} fallbackExtractor
+ *   Extractor for files no configured extractor handles.
+ *
+ * @return {Promise<Map>}
+ *   File paths keyed by token.
+ */
+async function buildTokenIndex(options, fallbackExtractor) {
+  const index = new Map();
+  const extractorFor = file => {
+    const item = options.extractors.find(entry => entry.extensions.some(extension => file.endsWith(extension)));
+    return item ? item.extractor : (options.defaultExtractor || fallbackExtractor);
+  };
+  const add = async (source, content, extractor) => {
+    extractorTokens(await extractor(content)).forEach(token => {
+      if (!index.has(token)) {
+        index.set(token, source);
+      }
+    });
+  };
+
+  for (const item of options.content) {
+    if (typeof item === 'object') {
+      await add(RAW_CONTENT, item.raw, extractorFor(`.${item.extension}`));
+      continue;
+    }
+    const files = fs.existsSync(item) ? [item] : glob.sync(item, { nodir: true, ignore: options.skippedContentGlobs || [] });
+    for (const file of files) {
+      await add(path.normalize(file), fs.readFileSync(file, 'utf8'), extractorFor(file));
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Splits a selector into the class, ID, attribute and tag names PurgeCSS
+ * matches on.
+ */
+function selectorTokens(selector) {
+  const tokens = [];
+  let match;
+  SELECTOR_TOKENS.lastIndex = 0;
+
+  while ((match = SELECTOR_TOKENS.exec(selector)) !== null) {
+    if (match[1]) {
+      tokens.push({ type: match[1] === '.' ? 'class' : 'id', value: match[2].replace(/\\(.)/g, '$1') });
+    } else if (match[3]) {
+      tokens.push({ type: 'attribute', value: match[3] });
+    } else if (match[4]) {
+      tokens.push({ type: 'tag', value: match[4] });
+    }
+  }
+
+  return tokens;
+}
+
+function matches(pattern, value) {
+  return typeof pattern === 'string' ? pattern === value : pattern.test(value);
+}
+
+function describePattern(pattern) {
+  return pattern instanceof RegExp ? pattern.toString() : pattern;
+}
+
+/**
+ * Explains why each selector of a stylesheet was kept or removed.
+ *
+ * Checks follow the order PurgeCSS applies them in: the greedy safelist, the
+ * deep and standard safelists, the blocklist, then the content.
+ *
+ * @param {Array} selectors
+ *   The selectors of the original stylesheet.
+ * @param {Set} rejected
+ *   The selectors PurgeCSS removed.
+ * @param {Object} context
+ *   The PurgeCSS 'options', the 'dynamicPrefixes' added to the greedy
+ *   safelist and the token 'index' from buildTokenIndex().
+ *
+ * @return {Object}
+ *   Per selector, its 'status' (kept or removed), the 'reason' and, where
+ *   known, the 'source': the pattern, prefix or content file responsible.
+ */
+function explainSelectors(selectors, rejected, context) {
+  const { options, dynamicPrefixes, index } = context;
+  const prefixes = new Map(dynamicPrefixes.map(prefix => [`/^${prefix}/`, prefix]));
+  const provenance = {};
+
+  selectors.forEach(selector => {
+    const tokens = selectorTokens(selector);
+
+    if (rejected.has(selector)) {
+      const blocked = options.blocklist.find(pattern => tokens.some(token => matches(pattern, token.value)));
+      provenance[selector] = blocked !== undefined
+        ? { status: 'removed', reason: 'blocklist', source: describePattern(blocked) }
+        : { status: 'removed', reason: 'never_seen' };
+      return;
+    }
+
+    const greedy = options.safelist.greedy.find(pattern => tokens.some(token => pattern.test(token.value)));
+    if (greedy) {
+      const prefix = prefixes.get(greedy.toString());
+      provenance[selector] = prefix
+        ? { status: 'kept', reason: 'dynamic_prefix', source: prefix }
+        : { status: 'kept', reason: 'safelist', source: `greedy ${describePattern(greedy)}` };
+      return;
+    }
+
+    for (const list of ['deep', 'standard']) {
+      const pattern = options.safelist[list].find(item => tokens.some(token => matches(item, token.value)));
+      if (pattern !== undefined) {
+        provenance[selector] = { status: 'kept', reason: 'safelist', source: `${list} ${describePattern(pattern)}` };
+        return;
+      }
+    }
+
+    // The most specific token tells best where the selector was seen.
+    const seen = ['class', 'id', 'attribute', 'tag']
+      .map(type => tokens.find(token => token.type === type && index.has(token.value)))
+      .find(Boolean);
+    provenance[selector] = seen
+      ? { status: 'kept', reason: 'content', source: index.get(seen.value) }
+      : { status: 'kept', reason: 'purgecss' };
+  });
+
+  return provenance;
+}
+
+module.exports = {
+  RAW_CONTENT,
+  buildTokenIndex,
+  selectorTokens,
+  explainSelectors
+};
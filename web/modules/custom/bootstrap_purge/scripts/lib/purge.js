@@ -0,0 +1,319 @@
+const fs = require('fs');
+const glob = require('glob');
+const postcss = require('postcss');
+const { PurgeCSS } = require('purgecss');
+const { extractDrupal } = require('./drupal-extractor');
+const { buildTokenIndex, explainSelectors } = require('./provenance');
+
+const defaultExtractor = content => content.match(/[\w-/:]+(?<!:)/g) || [];
+
+// Keeps the default tokens, which cover plain markup in templates, and adds
+// the classes resolved from Drupal idioms.
+const drupalExtractor = content => defaultExtractor(content).concat(extractDrupal(content).classes);
+
+// Extractors JSON configs can name, since they cannot hold functions.
+const NAMED_EXTRACTORS = {
+  'purgeCSS.defaultExtractor': defaultExtractor,
+  drupal: drupalExtractor
+};
+
+const DRUPAL_EXTENSIONS = ['twig', 'php', 'theme', 'module', 'inc'];
+
+// Options PurgeCSS 5 reads, and options only the runner uses.
+const PURGECSS_KEYS = [
+  'content', 'css', 'extractors', 'defaultExtractor', 'safelist', 'blocklist',
+  'keyframes', 'fontFace', 'variables', 'rejected', 'rejectedCss',
+  'dynamicAttributes', 'skippedContentGlobs'
+];
+const RUNNER_KEYS = ['bootstrapJs'];
+
+// Options removed in PurgeCSS 3 and where they moved.
+const LEGACY_KEYS = {
+  whitelist: 'standard',
+  whitelistPatterns: 'standard',
+  whitelistPatternsChildren: 'deep'
+};
+
+/**
+ * Turns a config value into a string or RegExp PurgeCSS can match with.
+ *
+ * JSON cannot hold regular expressions, so strings written as "/^btn-/i" are
+ * turned into one.
+ */
+function toPattern(value) {
+  if (value instanceof RegExp) {
+    return value;
+  }
+  const match = /^\/(.+)\/([gimsuy]*)$/s.exec(String(value));
+  return match ? new RegExp(match[1], match[2]) : String(value);
+}
+
+/**
+ * Turns a config value into a RegExp, matching plain strings exactly.
+ */
+function toRegExp(value) {
+  const pattern = toPattern(value);
+  return pattern instanceof RegExp ? pattern : new RegExp(`^${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`);
+}
+
+/**
+ * Normalizes a safelist to the PurgeCSS 5 object form.
+ */
+function buildSafelist(safelist) {
+  const list = Array.isArray(safelist) ? { standard: safelist } : (safelist || {});
+
+  return {
+    standard: (list.standard || []).map(toPattern),
+    deep: (list.deep || []).map(toRegExp),
+    greedy: (list.greedy || []).map(toRegExp),
+    keyframes: (list.keyframes || []).map(toPattern),
+    variables: (list.variables || []).map(toPattern)
+  };
+}
+
+/**
+ * Builds PurgeCSS options from a runner config.
+ *
+ * Configs written by Drupal are JSON, so extractors given there name one of
+ * NAMED_EXTRACTORS instead of carrying a function. Pre-3.0 whitelist options
+ * are moved to the safelist, and unknown options are reported.
+ *
+ * @return {{options: Object, warnings: Array}}
+ */
+function buildPurgeOptions(config) {
+  const warnings = [];
+  const safelist = buildSafelist(config.safelist);
+
+  Object.keys(config).forEach(key => {
+    if (LEGACY_KEYS[key]) {
+      safelist[LEGACY_KEYS[key]].push(...(config[key] || []).map(LEGACY_KEYS[key] === 'deep' ? toRegExp : toPattern));
+      warnings.push(`"${key}" is not read by PurgeCSS 5; moved to safelist.${LEGACY_KEYS[key]}.`);
+    } else if (!PURGECSS_KEYS.includes(key) && !RUNNER_KEYS.includes(key)) {
+      warnings.push(`Unsupported option "${key}" is ignored.`);
+    }
+  });
+
+  const extractors = (config.extractors || [])
+    .map(item => typeof item.extractor === 'string' ? { ...item, extractor: NAMED_EXTRACTORS[item.extractor] } : item)
+    .filter(item => typeof item.extractor === 'function');
+  const options = {
+    content: config.content,
+    css: config.css,
+    safelist,
+    blocklist: (config.blocklist || []).map(toPattern),
+    keyframes: Boolean(config.keyframes),
+    fontFace: Boolean(config.fontFace),
+    variables: Boolean(config.variables),
+    extractors: extractors.length ? extractors : [{
+      extractor: drupalExtractor,
+      extensions: DRUPAL_EXTENSIONS
+    }, {
+      extractor: defaultExtractor,
+      extensions: ['html', 'js']
+    }],
+    rejected: true
+  };
+
+  ['defaultExtractor', 'dynamicAttributes', 'skippedContentGlobs'].forEach(key => {
+    if (config[key] !== undefined) {
+      options[key] = config[key];
+    }
+  });
+
+  return { options, warnings };
+}
+
+/**
+ * Finds the prefixes of classes that Drupal content builds at runtime.
+ *
+ * A class like 'btn-' ~ variant cannot be matched by name, so the content
+ * read by the Drupal extractor is scanned first and each prefix is added to
+ * the greedy safelist.
+ *
+ * @return {Array}
+ *   The prefixes found.
+ */
+function collectDynamicPrefixes(options) {
+  const extensions = options.extractors
+    .filter(item => item.extractor === drupalExtractor)
+    .reduce((all, item) => all.concat(item.extensions), []);
+  if (!extensions.length) {
+    return [];
+  }
+
+  const handled = file => extensions.some(extension => file.endsWith(extension));
+  const sources = [];
+  options.content.forEach(item => {
+    if (typeof item === 'object') {
+      if (handled(`.${item.extension}`)) {
+        sources.push(item.raw);
+      }
+      return;
+    }
+    const files = fs.existsSync(item) ? [item] : glob.sync(item, { nodir: true, ignore: options.skippedContentGlobs || [] });
+    files.filter(handled).forEach(file => sources.push(fs.readFileSync(file, 'utf8')));
+  });
+
+  const prefixes = new Set();
+  sources.forEach(source => extractDrupal(source).prefixes.forEach(prefix => prefixes.add(prefix)));
+
+  return Array.from(prefixes).sort();
+}
+
+/**
+ * Lists the selectors of a stylesheet, excluding keyframe steps.
+ */
+function collectSelectors(css) {
+  const selectors = new Set();
+
+  postcss.parse(css).walkRules(rule => {
+    if (rule.parent && rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) {
+      return;
+    }
+    rule.selectors.forEach(selector => selectors.add(selector.trim()));
+  });
+
+  return Array.from(selectors);
+}
+
+/**
+ * Runs PurgeCSS and collects per-file results.
+ *
+ * @param {Object} config
+ *   The runner config.
+ * @param {{provenance: boolean}} [flags]
+ *   With provenance, each file also explains why its selectors were kept or
+ *   removed; see explainSelectors().
+ *
+ * @return {Promise<{files: Array, warnings: Array, dynamicPrefixes: Array}>}
+ *   One entry per stylesheet with the purged css, sizes and the used and
+ *   rejected selectors, the warnings about the config and the class prefixes
+ *   added to the greedy safelist.
+ */
+async function runPurge(config, flags = {}) {
+  const { options, warnings } = buildPurgeOptions(config);
+  const dynamicPrefixes = collectDynamicPrefixes(options);
+  // Prefixes are valid class names, so they need no escaping.
+  dynamicPrefixes.forEach(prefix => options.safelist.greedy.push(new RegExp(`^${prefix}`)));
+  const results = await new PurgeCSS().purge(options);
+  const index = flags.provenance ? await buildTokenIndex(options, defaultExtractor) : null;
+
+  const files = results.map((result, i) => {
+    const file = result.file || config.css[i];
+    const original = fs.readFileSync(file, 'utf8');
+    const rejected = Array.from(new Set((result.rejected || []).map(selector => selector.trim())));
+    const rejectedSet = new Set(rejected);
+    const selectors = collectSelectors(original);
+    const entry = {
+      file,
+      css: result.css,
+      originalSize: Buffer.byteLength(original, 'utf8'),
+      purgedSize: Buffer.byteLength(result.css, 'utf8'),
+      selectors: selectors.length,
+      used: selectors.filter(selector => !rejectedSet.has(selector)),
+      rejected
+    };
+    if (index) {
+      entry.provenance = explainSelectors(selectors, rejectedSet, { options, dynamicPrefixes, index });
+    }
+
+    return entry;
+  });
+
+  return { files, warnings, dynamicPrefixes };
+}
+
+/**
+ * Builds a report from purge results.
+ */
+function buildReport(results, configFile, warnings = [], dynamicPrefixes = []) {
+  const totals = { originalSize: 0, purgedSize: 0, rejected: 0 };
+
+  const files = results.map(result => {
+    totals.originalSize += result.originalSize;
+    totals.purgedSize += result.purgedSize;
+    totals.rejected += result.rejected.length;
+
+    const entry = {
+      file: result.file,
+      originalSize: result.originalSize,
+      purgedSize: result.purgedSize,
+      savedBytes: result.originalSize - result.purgedSize,
+      savedPercent: percent(result.originalSize - result.purgedSize, result.originalSize),
+      selectors: result.selectors,
+      used: result.used.length,
+      rejected: result.rejected
+    };
+    if (result.output) {
+      entry.output = result.output;
+    }
+    if (result.provenance) {
+      entry.provenance = result.provenance;
+    }
+    return entry;
+  });
+
+  totals.savedBytes = totals.originalSize - totals.purgedSize;
+  totals.savedPercent = percent(totals.savedBytes, totals.originalSize);
+
+  return {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    config: configFile,
+    files,
+    totals,
+    warnings,
+    dynamicPrefixes
+  };
+}
+
+/**
+ * Compares two reports.
+ *
+ * Files are matched by path. Selectors rejected only by the second run are
+ * "newlyRejected", those rejected only by the first are "restored".
+ */
+function diffReports(before, after) {
+  const beforeFiles = new Map(before.files.map(file => [file.file, file]));
+  const afterFiles = new Map(after.files.map(file => [file.file, file]));
+  const paths = Array.from(new Set([...beforeFiles.keys(), ...afterFiles.keys()]));
+
+  const files = paths.map(file => {
+    const a = beforeFiles.get(file);
+    const b = afterFiles.get(file);
+    const rejectedBefore = new Set(a ? a.rejected : []);
+    const rejectedAfter = new Set(b ? b.rejected : []);
+
+    return {
+      file,
+      status: !a ? 'added' : (!b ? 'removed' : 'changed'),
+      purgedSizeBefore: a ? a.purgedSize : null,
+      purgedSizeAfter: b ? b.purgedSize : null,
+      sizeDelta: (b ? b.purgedSize : 0) - (a ? a.purgedSize : 0),
+      newlyRejected: Array.from(rejectedAfter).filter(selector => !rejectedBefore.has(selector)),
+      restored: Array.from(rejectedBefore).filter(selector => !rejectedAfter.has(selector))
+    };
+  });
+
+  return {
+    before: before.generatedAt,
+    after: after.generatedAt,
+    files,
+    sizeDelta: files.reduce((sum, file) => sum + file.sizeDelta, 0)
+  };
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+module.exports = {
+  toPattern,
+  drupalExtractor,
+  buildPurgeOptions,
+  collectDynamicPrefixes,
+  collectSelectors,
+  runPurge,
+  buildReport,
+  diffReports
+};
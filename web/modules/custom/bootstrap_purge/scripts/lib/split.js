@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { PurgeCSS } = require('purgecss');
+const { runPurge } = require('./purge');
+
+// Elements, in document order, treated as above the fold. jsdom has no
+// layout, so the fold is approximated by how early an element comes.
+const DEFAULT_CRITICAL_ELEMENTS = 150;
+
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META'];
+
+/**
+ * Builds markup holding the first elements of a snapshot.
+ *
+ * Only opening tags are kept; they carry every tag, class, ID and attribute
+ * PurgeCSS matches on.
+ */
+function aboveTheFold(html, limit) {
+  const dom = new JSDOM(html, { virtualConsole: new VirtualConsole() });
+  const { document } = dom.window;
+  const tags = ['<html>', '<body>'];
+
+  for (const element of document.querySelectorAll('body *')) {
+    if (tags.length >= limit + 2) {
+      break;
+    }
+    if (SKIPPED_TAGS.includes(element.tagName)) {
+      continue;
+    }
+    const attributes = Array.from(element.attributes)
+      .map(attribute => ` ${attribute.name}="${attribute.value.replace(/"/g, '&quot;')}"`)
+      .join('');
+    tags.push(`<${element.tagName.toLowerCase()}${attributes}>`);
+  }
+
+  dom.window.close();
+  return tags.join('\n');
+}
+
+/**
+ * Makes a route name usable as a file name.
+ */
+function fileName(name) {
+  return name.replace(/[^a-zA-Z0-9_.-]+/g, '_');
+}
+
+/**
+ * Purges stylesheets per route group and extracts critical CSS per route.
+ *
+ * @param {Object} config
+ *   A runner config with, next to the PurgeCSS options:
+ *   - routes: HTML snapshot files keyed by route name.
+ *   - groups: Route names keyed by group name.
+ *   - critical: Optional { elements } treated as above the fold.
+ * @param {string} outputDir
+ *   Directory the bundles and critical CSS are written to.
+ *
+ * @return {Promise<Object>}
+ *   The written group bundles and critical CSS files.
+ */
+async function splitByRoute(config, outputDir) {
+  const { routes = {}, groups = {}, critical = {}, ...options } = config;
+  const limit = critical.elements || DEFAULT_CRITICAL_ELEMENTS;
+  const warnings = [];
+  const routeCss = {};
+  const result = { groups: [], critical: [], warnings };
+
+  for (const [group, groupRoutes] of Object.entries(groups)) {
+    const snapshots = groupRoutes.filter(route => routes[route]);
+    if (!snapshots.length) {
+      warnings.push(`Group "${group}" has no snapshots and was skipped.`);
+      continue;
+    }
+
+    const purged = await runPurge({ ...options, content: snapshots.map(route => routes[route]) });
+    warnings.push(...purged.warnings.filter(warning => !warnings.includes(warning)));
+
+    const files = purged.files.map(file => {
+      const output = path.join(outputDir, `${fileName(group)}.${path.basename(file.file)}`);
+      fs.writeFileSync(output, file.css);
+      return {
+        file: file.file,
+        output,
+        originalSize: file.originalSize,
+        purgedSize: file.purgedSize
+      };
+    });
+    snapshots.forEach(route => {
+      routeCss[route] = purged.files.map(file => file.css);
+    });
+
+    result.groups.push({ name: group, routes: snapshots, files });
+  }
+
+  // Critical CSS comes from the group bundle when the route has one. Unused
+  // custom properties are dropped; the full stylesheet still declares them.
+  for (const [route, snapshot] of Object.entries(routes)) {
+    const css = routeCss[route] || options.css.map(file => fs.readFileSync(file, 'utf8'));
+    const purged = await new PurgeCSS().purge({
+      variables: true,
+      content: [{ raw: aboveTheFold(fs.readFileSync(snapshot, 'utf8'), limit), extension: 'html' }],
+      css: css.map(raw => ({ raw }))
+    });
+
+    const output = path.join(outputDir, `critical.${fileName(route)}.css`);
+    const code = purged.map(file => file.css).join('\n');
+    fs.writeFileSync(output, code);
+    result.critical.push({ route, output, size: Buffer.byteLength(code, 'utf8') });
+  }
+
+  return result;
+}
+
+module.exports = {
+  aboveTheFold,
+  splitByRoute
+};
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const postcss = require('postcss');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// Regressions listed per snapshot; the rest are only counted.
+const MAX_LISTED = 200;
+
+// Viewport widths compared by default: a phone, then the Bootstrap 5
+// breakpoints sm to xxl.
+const DEFAULT_WIDTHS = [375, 576, 768, 992, 1200, 1400];
+
+// Viewport height media queries are evaluated against.
+const VIEWPORT_HEIGHT = 800;
+
+// Pixels per em and rem in media queries.
+const EM = 16;
+
+// What computed styles cannot show, listed in every report.
+const LIMITATIONS = [
+  'Pseudo-classes that depend on interaction (:hover, :focus, :active, :checked and similar) are not triggered.',
+  'Pseudo-elements (::before, ::after, ::placeholder and similar) have no computed style in jsdom.',
+  'Media features other than the viewport width, orientation and common user preferences are treated as not matching.',
+  'Elements added by JavaScript are not in the snapshots, since scripts are not run.'
+];
+
+/**
+ * Gets a media feature value in pixels.
+ */
+function toPixels(value) {
+  const match = /^(-?[\d.]+)(px|em|rem)?$/.exec(value.trim());
+  if (!match) {
+    return NaN;
+  }
+  return parseFloat(match[1]) * (match[2] === 'em' || match[2] === 'rem' ? EM : 1);
+}
+
+/**
+ * Checks a media feature, like "min-width: 768px", at a viewport width.
+ */
+function matchesFeature(feature, width) {
+  const range = /^(width|height)\s*(<=|>=|<|>|=)\s*(.+)$/.exec(feature);
+  if (range) {
+    const actual = range[1] === 'width' ? width : VIEWPORT_HEIGHT;
+    const limit = toPixels(range[3]);
+    return {
+      '<': actual < limit,
+      '<=': actual <= limit,
+      '>': actual > limit,
+      '>=': actual >= limit,
+      '=': actual === limit
+    }[range[2]];
+  }
+
+  const [name, rawValue = ''] = feature.split(':').map(part => part.trim());
+  const value = rawValue.toLowerCase();
+  switch (name) {
+    case 'min-width':
+      return width >= toPixels(value);
+    case 'max-width':
+      return width <= toPixels(value);
+    case 'width':
+      return width === toPixels(value);
+    case 'min-height':
+      return VIEWPORT_HEIGHT >= toPixels(value);
+    case 'max-height':
+      return VIEWPORT_HEIGHT <= toPixels(value);
+    case 'orientation':
+      return value === (width > VIEWPORT_HEIGHT ? 'landscape' : 'portrait');
+    case 'prefers-reduced-motion':
+    case 'prefers-reduced-transparency':
+    case 'prefers-contrast':
+      return value === 'no-preference';
+    case 'prefers-color-scheme':
+      return value === 'light';
+    case 'hover':
+      return value === 'hover' || value === '';
+    case 'pointer':
+      return value === 'fine' || value === '';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks a media query list, like "screen and (min-width: 768px)", at a
+ * viewport width of a screen.
+ */
+function matchesMedia(params, width) {
+  return postcss.list.comma(params.toLowerCase()).some(query => {
+    let negated = false;
+    let rest = query.trim().replace(/^only\s+/, '');
+    if (/^not\s+/.test(rest)) {
+      negated = true;
+      rest = rest.replace(/^not\s+/, '');
+    }
+
+    const type = /^([a-z-]+)(?:\s+and\s+|$)/.exec(rest);
+    let matches = true;
+    if (type) {
+      matches = type[1] === 'all' || type[1] === 'screen';
+      rest = rest.slice(type[0].length);
+    }
+
+    const features = rest.match(/\(([^()]+)\)/g) || [];
+    matches = matches && features.every(feature => matchesFeature(feature.slice(1, -1).trim(), width));
+
+    return negated ? !matches : matches;
+  });
+}
+
+/**
+ * Resolves the @media blocks of a stylesheet for a viewport width.
+ *
+ * jsdom only applies rules inside @media blocks that name the "screen" type
+ * and ignores their conditions, so the blocks matching the width are
+ * replaced by their rules and the others are removed. @supports blocks are
+ * assumed to match, except "not" conditions.
+ */
+function resolveMedia(css, width) {
+  const root = postcss.parse(css);
+  const blocks = [];
+  root.walkAtRules(/^(media|supports)$/i, atRule => {
+    blocks.push(atRule);
+  });
+
+  // Inner blocks come after their parent, so they are resolved first.
+  blocks.reverse().forEach(atRule => {
+    const matches = atRule.name.toLowerCase() === 'media' ? matchesMedia(atRule.params, width) : !/^not\b/i.test(atRule.params.trim());
+    if (matches && atRule.nodes && atRule.nodes.length) {
+      atRule.replaceWith(atRule.nodes);
+    } else {
+      atRule.remove();
+    }
+  });
+
+  return root.toString();
+}
+
+/**
+ * Loads a snapshot with only the given stylesheet applied.
+ *
+ * Other stylesheets of the page are removed so both runs differ only in the
+ * stylesheet under test. Scripts are not run.
+ */
+function loadSnapshot(html, css) {
+  const dom = new JSDOM(html, { virtualConsole: new VirtualConsole() });
+  const { document } = dom.window;
+
+  document.querySelectorAll('link[rel~="stylesheet"], style').forEach(node => node.remove());
+  const style = document.createElement('style');
+  style.textContent = css;
+  document.head.appendChild(style);
+
+  return dom;
+}
+
+/**
+ * Describes what selectors can match on an element and its ancestors.
+ *
+ * Elements with the same signature, like the cards of a listing, get the
+ * same computed style, so it is computed once for all of them.
+ */
+function signature(element) {
+  const parts = [];
+
+  for (let node = element; node; node = node.parentElement) {
+    const previous = node.previousElementSibling;
+    parts.push([
+      node.tagName,
+      node.id,
+      node.getAttribute('class') || '',
+      Array.from(node.attributes).map(attribute => attribute.name).sort().join(','),
+      previous ? `${previous.tagName}.${previous.getAttribute('class') || ''}` : '^',
+      node.nextElementSibling ? '' : '$'
+    ].join('|'));
+  }
+
+  return parts.join('>');
+}
+
+/**
+ * Gets the computed style of every element signature.
+ */
+function computeStyles(dom, signatures) {
+  const { window } = dom;
+  const styles = new Map();
+
+  window.document.querySelectorAll('body, body *').forEach((element, i) => {
+    if (styles.has(signatures[i])) {
+      return;
+    }
+    const computed = window.getComputedStyle(element);
+    const values = {};
+    for (let j = 0; j < computed.length; j++) {
+      values[computed[j]] = computed.getPropertyValue(computed[j]);
+    }
+    styles.set(signatures[i], values);
+  });
+
+  return styles;
+}
+
+/**
+ * Describes an element by its path, like "body > div:nth-child(2) > a.btn".
+ */
+function describeElement(element) {
+  const parts = [];
+
+  for (let node = element; node && node.tagName !== 'HTML'; node = node.parentElement) {
+    let part = node.tagName.toLowerCase();
+    if (node.id) {
+      part += `#${node.id}`;
+    }
+    part += Array.from(node.classList).map(name => `.${name}`).join('');
+    if (node.parentElement && node.tagName !== 'BODY') {
+      part += `:nth-child(${Array.from(node.parentElement.children).indexOf(node) + 1})`;
+    }
+    parts.unshift(part);
+  }
+
+  return parts.join(' > ');
+}
+
+/**
+ * Lists the properties whose computed values differ.
+ */
+function compareStyles(before, after) {
+  const properties = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return Array.from(properties)
+    .filter(property => (before[property] || '') !== (after[property] || ''))
+    .map(property => ({
+      property,
+      original: before[property] || '',
+      purged: after[property] || ''
+    }));
+}
+
+/**
+ * Compares the computed styles of a snapshot at one viewport width.
+ *
+ * @return {Map}
+ *   The changed properties keyed by element signature.
+ */
+function compareSnapshot(html, originalCss, purgedCss, signatures) {
+  const original = loadSnapshot(html, originalCss);
+  const purged = loadSnapshot(html, purgedCss);
+  const before = computeStyles(original, signatures);
+  const after = computeStyles(purged, signatures);
+  original.window.close();
+  purged.window.close();
+
+  const changed = new Map();
+  before.forEach((styles, key) => {
+    const changes = compareStyles(styles, after.get(key));
+    if (changes.length) {
+      changed.set(key, changes);
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * Compares the computed styles of snapshots with the original and the purged
+ * stylesheet.
+ *
+ * Styles are compared once per viewport width, so purged responsive rules
+ * show up at the widths they apply at.
+ *
+ * @param {{original: string, purged: string, snapshots: Array, widths: Array}} options
+ *   Paths of the original and purged stylesheets and of the HTML snapshots,
+ *   and the viewport widths to compare at, DEFAULT_WIDTHS if not given.
+ *
+ * @return {Object}
+ *   A report listing, per snapshot, the elements whose styles changed and
+ *   the width they changed at, and what verification cannot detect.
+ */
+function verifyPurge(options) {
+  const originalCss = fs.readFileSync(options.original, 'utf8');
+  const purgedCss = fs.readFileSync(options.purged, 'utf8');
+  const widths = options.widths && options.widths.length ? options.widths : DEFAULT_WIDTHS;
+  const stylesheets = widths.map(width => ({
+    width,
+    original: resolveMedia(originalCss, width),
+    purged: resolveMedia(purgedCss, width)
+  }));
+  const totals = { elements: 0, regressions: 0 };
+
+  const snapshots = options.snapshots.map(file => {
+    const html = fs.readFileSync(file, 'utf8');
+    const dom = new JSDOM(html, { virtualConsole: new VirtualConsole() });
+    const elements = Array.from(dom.window.document.querySelectorAll('body, body *'));
+    const signatures = elements.map(signature);
+    const descriptions = elements.map(describeElement);
+    dom.window.close();
+
+    const regressions = [];
+    const regressed = new Set();
+    stylesheets.forEach(stylesheet => {
+      const changed = compareSnapshot(html, stylesheet.original, stylesheet.purged, signatures);
+      elements.forEach((element, i) => {
+        if (!changed.has(signatures[i])) {
+          return;
+        }
+        regressed.add(i);
+        if (regressions.length < MAX_LISTED) {
+          regressions.push({ element: descriptions[i], width: stylesheet.width, changes: changed.get(signatures[i]) });
+        }
+      });
+    });
+
+    totals.elements += elements.length;
+    totals.regressions += regressed.size;
+
+    return {
+      file,
+      elements: elements.length,
+      regressionCount: regressed.size,
+      regressions
+    };
+  });
+
+  return {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    original: options.original,
+    purged: options.purged,
+    widths,
+    limitations: LIMITATIONS,
+    snapshots,
+    totals
+  };
+}
+
+module.exports = {
+  DEFAULT_WIDTHS,
+  matchesMedia,
+  resolveMedia,
+  verifyPurge
+};
@@ -1,49 +1,292 @@
 #!/usr/bin/env node
-const { PurgeCSS } = require('purgecss');
 const fs = require('fs');
 const path = require('path');
+const { buildBootstrapBundle } = require('./lib/bootstrap-bundle');
+const { runPurge, buildReport, diffReports } = require('./lib/purge');
+const { splitByRoute } = require('./lib/split');
+const { verifyPurge } = require('./lib/verify');
 
-async function runPurge() {
-  const args = process.argv.slice(2);
-  if (args.length < 2) {
-    console.error('Usage: node purge-runner.js <config-file> <output-dir>');
-    process.exit(1);
+const USAGE = `Usage: node purge-runner.js <command> [options]
+
+Commands:
+  analyze --config <file>                 List used and unused selectors
+  purge   --config <file> --output <dir>  Write the purged CSS
+  report  --config <file> [--output <file>]
+                                          Write a JSON report with per-file
+                                          stats and rejected selectors
+  diff    <before.json> <after.json>      Compare two reports
+  verify  --original <css> --purged <css> [--widths <px,...>] <snapshot.html>...
+                                          Compare computed styles of HTML
+                                          snapshots with both stylesheets at
+                                          each viewport width (default: 375
+                                          and the Bootstrap breakpoints);
+                                          exits with 2 on regressions
+  split   --config <file> --output <dir>  Write a purged bundle per route
+                                          group and critical CSS per route
+
+Options:
+  --json        Print machine-readable JSON instead of text
+  --provenance  With analyze, purge and report: explain per selector why it
+                was kept (safelist pattern, dynamic prefix, content file) or
+                removed (blocklist, never seen)
+  --help   Show this help
+
+The legacy form "node purge-runner.js <config-file> <output-dir>" runs purge.`;
+
+const COMMANDS = { analyze, purge, report, diff, verify, split };
+
+/**
+ * Parses command line arguments into a command, positionals and options.
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (value !== undefined) {
+      options[name] = value;
+    } else if (name === 'json' || name === 'help' || name === 'provenance') {
+      options[name] = true;
+    } else {
+      options[name] = argv[++i];
+    }
   }
 
-  const configFile = args[0];
-  const outputDir = args[1];
+  let command = positionals.shift();
+  if (!COMMANDS[command] && command !== undefined && positionals.length === 1) {
+    // Legacy invocation: <config-file> <output-dir>.
+    options.config = command;
+    options.output = positionals.shift();
+    command = 'purge';
+  }
 
-  try {
-    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-    
-    const purgeCSSOptions = {
-      content: config.content,
-      css: config.css,
-      whitelist: config.whitelist || [],
-      whitelistPatterns: config.whitelistPatterns || [],
-      extractors: config.extractors || [{
-        extractor: content => content.match(/[\w-/:]+(?<!:)/g) || [],
-        extensions: ['html', 'php', 'twig', 'js']
-      }]
-    };
-
-    const results = await new PurgeCSS().purge(purgeCSSOptions);
-
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i];
-      const inputFile = config.css[i];
-      const outputFile = path.join(outputDir, path.basename(inputFile));
-      fs.writeFileSync(outputFile, result.css);
-      
-      const originalSize = fs.statSync(inputFile).size;
-      const purgedSize = Buffer.byteLength(result.css, 'utf8');
-      console.log(`${path.basename(inputFile)}: ${originalSize} -> ${purgedSize} bytes`);
+  return { command, positionals, options };
+}
+
+function loadJson(file) {
+  if (!file) {
+    throw new Error('Missing --config option.');
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function print(options, json, text) {
+  console.log(options.json ? JSON.stringify(json, null, 2) : text());
+}
+
+function warn(options, warnings) {
+  if (!options.json) {
+    warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+  }
+}
+
+/**
+ * Describes the provenance of a selector in one line.
+ */
+function explain(provenance) {
+  return provenance ? ` (${provenance.reason}${provenance.source ? `: ${provenance.source}` : ''})` : '';
+}
+
+async function analyze(args) {
+  const config = loadJson(args.options.config);
+  const { files: results, warnings, dynamicPrefixes } = await runPurge(config, { provenance: args.options.provenance });
+  warn(args.options, warnings);
+
+  print(args.options, {
+    command: 'analyze',
+    warnings,
+    dynamicPrefixes,
+    files: results.map(result => {
+      const file = {
+        file: result.file,
+        used: result.used,
+        unused: result.rejected
+      };
+      if (result.provenance) {
+        file.provenance = result.provenance;
+      }
+      return file;
+    })
+  }, () => (dynamicPrefixes.length ? `Dynamic class prefixes kept: ${dynamicPrefixes.join(', ')}\n\n` : '') + results.map(result => {
+    const provenance = result.provenance || {};
+    return [
+      `${result.file}: ${result.used.length} used, ${result.rejected.length} unused`,
+      `Used:`,
+      ...result.used.map(selector => `  ${selector}${explain(provenance[selector])}`),
+      `Unused:`,
+      ...result.rejected.map(selector => `  ${selector}${explain(provenance[selector])}`)
+    ].join('\n');
+  }).join('\n\n'));
+}
+
+async function purge(args) {
+  const config = loadJson(args.options.config);
+  const outputDir = args.options.output;
+  if (!outputDir) {
+    throw new Error('Missing --output option.');
+  }
+
+  const bundles = [];
+  if (config.bootstrapJs) {
+    const bundle = await buildBootstrapBundle(config.bootstrapJs);
+    const outputFile = path.join(outputDir, config.bootstrapJs.output || 'bootstrap.custom.js');
+    fs.writeFileSync(outputFile, bundle.code);
+    bundles.push({
+      output: outputFile,
+      plugins: bundle.plugins,
+      missing: bundle.missing,
+      size: Buffer.byteLength(bundle.code, 'utf8')
+    });
+  }
+
+  let results = [];
+  let warnings = [];
+  let dynamicPrefixes = [];
+  if (config.css) {
+    ({ files: results, warnings, dynamicPrefixes } = await runPurge(config, { provenance: args.options.provenance }));
+    warn(args.options, warnings);
+    for (const result of results) {
+      result.output = path.join(outputDir, path.basename(result.file));
+      fs.writeFileSync(result.output, result.css);
     }
+  }
 
+  const json = buildReport(results, args.options.config, warnings, dynamicPrefixes);
+  json.command = 'purge';
+  json.bundles = bundles;
+
+  print(args.options, json, () => [
+    ...bundles.map(bundle => {
+      const line = `${path.basename(bundle.output)}: ${bundle.plugins.join(', ')} -> ${bundle.size} bytes`;
+      return bundle.missing.length ? `${line}\nWarning: not bundled, load separately: ${bundle.missing.join(', ')}` : line;
+    }),
+    ...results.map(result => `${path.basename(result.file)}: ${result.originalSize} -> ${result.purgedSize} bytes`)
+  ].join('\n'));
+}
+
+async function report(args) {
+  const config = loadJson(args.options.config);
+  const { files, warnings, dynamicPrefixes } = await runPurge(config, { provenance: args.options.provenance });
+  const json = buildReport(files, args.options.config, warnings, dynamicPrefixes);
+  json.command = 'report';
+
+  if (args.options.output) {
+    fs.writeFileSync(args.options.output, JSON.stringify(json, null, 2));
+    print(args.options, { command: 'report', output: args.options.output }, () => `Report written to ${args.options.output}`);
+  } else {
+    console.log(JSON.stringify(json, null, 2));
+  }
+}
+
+async function diff(args) {
+  if (args.positionals.length !== 2) {
+    throw new Error('diff needs two report files.');
+  }
+
+  const result = diffReports(loadJson(args.positionals[0]), loadJson(args.positionals[1]));
+  result.command = 'diff';
+
+  print(args.options, result, () => [
+    ...result.files.map(file => [
+      `${file.file} (${file.status}): ${file.sizeDelta >= 0 ? '+' : ''}${file.sizeDelta} bytes`,
+      ...file.newlyRejected.map(selector => `  - ${selector}`),
+      ...file.restored.map(selector => `  + ${selector}`)
+    ].join('\n')),
+    `Total: ${result.sizeDelta >= 0 ? '+' : ''}${result.sizeDelta} bytes`
+  ].join('\n'));
+}
+
+async function verify(args) {
+  if (!args.options.original || !args.options.purged) {
+    throw new Error('verify needs --original and --purged stylesheets.');
+  }
+  if (!args.positionals.length) {
+    throw new Error('verify needs at least one HTML snapshot.');
+  }
+
+  const widths = args.options.widths ? String(args.options.widths).split(',').map(Number) : undefined;
+  if (widths && widths.some(width => !Number.isFinite(width) || width <= 0)) {
+    throw new Error('--widths must be a comma-separated list of pixel widths.');
+  }
+
+  const result = verifyPurge({
+    original: args.options.original,
+    purged: args.options.purged,
+    snapshots: args.positionals,
+    widths
+  });
+  result.command = 'verify';
+
+  print(args.options, result, () => [
+    ...result.snapshots.map(snapshot => [
+      `${snapshot.file}: ${snapshot.regressionCount} of ${snapshot.elements} elements changed`,
+      ...snapshot.regressions.map(regression => [
+        `  ${regression.element} at ${regression.width}px`,
+        ...regression.changes.map(change => `    ${change.property}: ${change.original} -> ${change.purged || '(unset)'}`)
+      ].join('\n'))
+    ].join('\n')),
+    `Total: ${result.totals.regressions} of ${result.totals.elements} elements changed at ${result.widths.join(', ')}px`,
+    'Not verified:',
+    ...result.limitations.map(limitation => `  ${limitation}`)
+  ].join('\n'));
+
+  if (result.totals.regressions) {
+    process.exitCode = 2;
+  }
+}
+
+async function split(args) {
+  const config = loadJson(args.options.config);
+  const outputDir = args.options.output;
+  if (!outputDir) {
+    throw new Error('Missing --output option.');
+  }
+  if (!config.css || !config.routes || !config.groups) {
+    throw new Error('split needs css, routes and groups in the config.');
+  }
+
+  const result = await splitByRoute(config, outputDir);
+  result.command = 'split';
+  warn(args.options, result.warnings);
+
+  print(args.options, result, () => [
+    ...result.groups.map(group => [
+      `${group.name} (${group.routes.join(', ')}):`,
+      ...group.files.map(file => `  ${path.basename(file.file)}: ${file.originalSize} -> ${file.purgedSize} bytes`)
+    ].join('\n')),
+    'Critical CSS:',
+    ...result.critical.map(file => `  ${file.route}: ${file.size} bytes`)
+  ].join('\n'));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[args.command]) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await COMMANDS[args.command](args);
   } catch (error) {
+    if (args.options.json) {
+      console.log(JSON.stringify({ command: args.command, error: error.message }));
+    }
     console.error('Error:', error.message);
     process.exit(1);
   }
 }
 
-runPurge();
\ No newline at end of file
+main();
@@ -5,6 +5,9 @@ namespace Drupal\bootstrap_purge\Commands;
 use Drupal\bootstrap_purge\Service\AssetManager;
 use Drupal\bootstrap_purge\Service\AssetCollector;
 use Drupal\bootstrap_purge\Service\AssetAnalyzer;
+use Drupal\bootstrap_purge\Service\CoverageImporter;
+use Drupal\bootstrap_purge\Service\PurgeHistory;
+use Drupal\Core\StringTranslation\ByteSizeMarkup;
 use Drush\Commands\DrushCommands;
 use Drush\Exceptions\UserAbortException;
 
@@ -34,6 +37,20 @@ class BootstrapPurgeCommands extends DrushCommands {
    */
   protected $assetAnalyzer;
 
+  /**
+   * The coverage importer service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\CoverageImporter
+   */
+  protected $coverageImporter;
+
+  /**
+   * The purge history service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\PurgeHistory
+   */
+  protected $purgeHistory;
+
   /**
    * Constructs a BootstrapPurgeCommands object.
    *
@@ -43,15 +60,23 @@ class BootstrapPurgeCommands extends DrushCommands {
    *   The asset collector service.
    * @param \Drupal\bootstrap_purge\Service\AssetAnalyzer $asset_analyzer
    *   The asset analyzer service.
+   * @param \Drupal\bootstrap_purge\Service\CoverageImporter $coverage_importer
+   *   The coverage importer service.
+   * @param \Drupal\bootstrap_purge\Service\PurgeHistory $purge_history
+   *   The purge history service.
    */
   public function __construct(
     AssetManager $asset_manager,
     AssetCollector $asset_collector,
-    AssetAnalyzer $asset_analyzer
+    AssetAnalyzer $asset_analyzer,
+    CoverageImporter $coverage_importer,
+    PurgeHistory $purge_history
   ) {
     $this->assetManager = $asset_manager;
     $this->assetCollector = $asset_collector;
     $this->assetAnalyzer = $asset_analyzer;
+    $this->coverageImporter = $coverage_importer;
+    $this->purgeHistory = $purge_history;
   }
 
   /**
@@ -205,9 +230,18 @@ class BootstrapPurgeCommands extends DrushCommands {
     foreach ($to_apply as $asset_key => $candidate) {
       $this->output()->writeln(sprintf('<info>Applying purge for %s...</info>', $asset_key));
 
-      if ($this->assetManager->approvePurge($asset_key)) {
+      $result = $this->assetManager->approvePurge($asset_key);
+      $regressions = $this->assetManager->getAssetAnalysis($asset_key)['verification']['regressions'] ?? 0;
+
+      if ($result) {
         $applied++;
         $this->output()->writeln('<info>  ✓ Applied successfully</info>');
+        if ($regressions) {
+          $this->output()->writeln(sprintf('<comment>  ! Verification: computed styles change on %d elements</comment>', $regressions));
+        }
+      } elseif ($regressions) {
+        $failed++;
+        $this->output()->writeln(sprintf('<error>  ✗ Refused: computed styles change on %d elements</error>', $regressions));
       } else {
         $failed++;
         $this->output()->writeln('<error>  ✗ Failed to apply</error>');
@@ -258,7 +292,7 @@ class BootstrapPurgeCommands extends DrushCommands {
         $assets = array_map(function($item) { return $item + ['status' => 'pending']; }, $pending);
         break;
       case 'approved':
-        $assets = array_map(function($item) { return $item + ['status' => 'approved']; }, $approved);
+        $assets = array_map(function($item) { return $item + ['status' => empty($item['canary']) ? 'approved' : 'canary']; }, $approved);
         break;
       case 'rejected':
         $assets = array_map(function($item) { return $item + ['status' => 'rejected']; }, $rejected);
@@ -266,7 +300,7 @@ class BootstrapPurgeCommands extends DrushCommands {
       default:
         $assets = array_merge(
           array_map(function($item) { return $item + ['status' => 'pending']; }, $pending),
-          array_map(function($item) { return $item + ['status' => 'approved']; }, $approved),
+          array_map(function($item) { return $item + ['status' => empty($item['canary']) ? 'approved' : 'canary']; }, $approved),
           array_map(function($item) { return $item + ['status' => 'rejected']; }, $rejected)
         );
     }
@@ -375,6 +409,147 @@ class BootstrapPurgeCommands extends DrushCommands {
     ));
   }
 
+  /**
+   * Lists the versions in the purge history of an asset.
+   *
+   * @param string $asset
+   *   Asset key or part of it.
+   *
+   * @command bootstrap-purge:history
+   * @aliases bp:history
+   * @usage bootstrap-purge:history bootstrap.min.css
+   *   List the approved purges of the Bootstrap stylesheet.
+   */
+  public function history($asset) {
+    $asset_key = $this->findVersionedAsset($asset);
+    if ($asset_key === NULL) {
+      return;
+    }
+
+    $current = $this->assetManager->getApprovedPurges()[$asset_key]['version'] ?? NULL;
+    $asset_info = $this->assetCollector->collectAssets()[$asset_key] ?? NULL;
+
+    $rows = [];
+    foreach ($this->purgeHistory->getVersions($asset_key) as $number => $version) {
+      $rows[] = [
+        $number === $current ? $number . ' (current)' : $number,
+        date('Y-m-d H:i:s', $version['created']),
+        $version['options']['method'] ?? '-',
+        (string) ByteSizeMarkup::create($version['size']),
+        count($version['whitelist']),
+        $asset_info && $this->purgeHistory->isStale($version, $asset_info) ? 'changed' : 'unchanged',
+      ];
+    }
+
+    $this->output()->writeln(sprintf('<info>%s</info>', $asset_key));
+    $this->io()->table(['Version', 'Approved', 'Method', 'Purged Size', 'Whitelist Patterns', 'Original File'], $rows);
+  }
+
+  /**
+   * Compares two versions from the purge history of an asset.
+   *
+   * @param string $asset
+   *   Asset key or part of it.
+   * @param int $from
+   *   The version compared against.
+   * @param int $to
+   *   The version compared.
+   *
+   * @command bootstrap-purge:diff-versions
+   * @aliases bp:diff
+   * @usage bootstrap-purge:diff-versions bootstrap.min.css 2 3
+   *   Show what changed between versions 2 and 3.
+   */
+  public function diffVersions($asset, $from, $to) {
+    $asset_key = $this->findVersionedAsset($asset);
+    if ($asset_key === NULL) {
+      return;
+    }
+
+    $diff = $this->purgeHistory->diffVersions($asset_key, $from, $to);
+    if (!$diff) {
+      $this->output()->writeln(sprintf('<error>%s has no version %d or %d.</error>', $asset_key, $from, $to));
+      return;
+    }
+
+    $this->output()->writeln(sprintf(
+      '<info>%s: version %d (%s) to version %d (%s)</info>',
+      $asset_key,
+      $from,
+      ByteSizeMarkup::create($diff['from']['size']),
+      $to,
+      ByteSizeMarkup::create($diff['to']['size'])
+    ));
+
+    if ($diff['original_changed']) {
+      $this->output()->writeln('<comment>The versions were purged from different original files.</comment>');
+    }
+
+    $lists = [
+      'removed' => 'Selectors removed',
+      'added' => 'Selectors kept again',
+      'whitelist_added' => 'Whitelist patterns added',
+      'whitelist_removed' => 'Whitelist patterns removed',
+    ];
+    foreach ($lists as $key => $label) {
+      $this->output()->writeln(sprintf('%s: %d', $label, count($diff[$key])));
+      foreach ($diff[$key] as $item) {
+        $this->output()->writeln('  - ' . $item);
+      }
+    }
+
+    foreach ($diff['options'] as $option => $values) {
+      $this->output()->writeln(sprintf('Option %s: %s -> %s', $option, json_encode($values[0]), json_encode($values[1])));
+    }
+  }
+
+  /**
+   * Serves a version from the purge history of an asset again.
+   *
+   * @param string $asset
+   *   Asset key or part of it.
+   * @param int $version
+   *   The version number.
+   * @param array $options
+   *   Command options.
+   *
+   * @option force
+   *   Restore without confirmation, even if the original file changed since.
+   *
+   * @command bootstrap-purge:restore-version
+   * @aliases bp:restore
+   * @usage bootstrap-purge:restore-version bootstrap.min.css 2
+   *   Serve version 2 of the Bootstrap stylesheet again.
+   */
+  public function restoreVersion($asset, $version, array $options = ['force' => FALSE]) {
+    $asset_key = $this->findVersionedAsset($asset);
+    if ($asset_key === NULL) {
+      return;
+    }
+
+    $record = $this->purgeHistory->loadVersion($asset_key, $version);
+    $asset_info = $this->assetCollector->collectAssets()[$asset_key] ?? NULL;
+    if (!$record || !$asset_info) {
+      $this->output()->writeln(sprintf('<error>%s has no version %d.</error>', $asset_key, $version));
+      return;
+    }
+
+    if (!$options['force']) {
+      if ($this->purgeHistory->isStale($record, $asset_info)) {
+        $this->output()->writeln('<comment>The original file changed since this version was purged; rules it gained since are missing from the version.</comment>');
+      }
+      if (!$this->io()->confirm(sprintf('Serve version %d of %s to every visitor?', $version, $asset_key), FALSE)) {
+        throw new UserAbortException();
+      }
+    }
+
+    if ($this->assetManager->restoreVersion($asset_key, $version, TRUE)) {
+      $this->output()->writeln(sprintf('<info>Version %d of %s is served to every visitor.</info>', $version, $asset_key));
+    } else {
+      $this->output()->writeln(sprintf('<error>Failed to restore version %d of %s.</error>', $version, $asset_key));
+    }
+  }
+
   /**
    * Shows statistics about purged assets.
    *
@@ -428,6 +603,129 @@ class BootstrapPurgeCommands extends DrushCommands {
     $this->output()->writeln('<info>All analysis data cleared.</info>');
   }
 
+  /**
+   * Rebuilds the route group bundles and critical CSS.
+   *
+   * @command bootstrap-purge:route-bundles
+   * @aliases bp:routes
+   * @usage bootstrap-purge:route-bundles
+   *   Purge approved stylesheets per route group against the last snapshots.
+   */
+  public function routeBundles() {
+    $bundles = $this->assetManager->rebuildRouteBundles();
+    if ($bundles === NULL) {
+      $this->output()->writeln('<error>Route bundles are disabled or could not be built. Check the logs for details.</error>');
+      return;
+    }
+
+    $rows = [];
+    foreach ($bundles['groups'] as $group => $bundle) {
+      foreach ($bundle['files'] as $asset_key => $file) {
+        $rows[] = [
+          $group,
+          implode(', ', $bundle['routes']),
+          $asset_key,
+          (string) ByteSizeMarkup::create($file['original_size']),
+          (string) ByteSizeMarkup::create($file['size']),
+        ];
+      }
+    }
+    $this->io()->table(['Group', 'Routes', 'Asset', 'Original Size', 'Bundle Size'], $rows);
+
+    foreach ($bundles['critical'] as $route => $critical) {
+      $this->output()->writeln(sprintf('  - %s: %s critical CSS', $route, ByteSizeMarkup::create($critical['size'])));
+    }
+
+    $this->output()->writeln(sprintf(
+      '<info>Built %d route group bundles and critical CSS for %d routes.</info>',
+      count($bundles['groups']),
+      count($bundles['critical'])
+    ));
+  }
+
+  /**
+   * Imports CSS coverage files recorded by DevTools or Puppeteer.
+   *
+   * @param array $files
+   *   Paths of the coverage JSON files.
+   * @param array $options
+   *   Command options.
+   *
+   * @option route
+   *   Route name the coverage was recorded on.
+   *
+   * @command bootstrap-purge:import-coverage
+   * @aliases bp:coverage
+   * @usage bootstrap-purge:import-coverage coverage/*.json
+   *   Import all coverage files recorded by a test run.
+   * @usage bootstrap-purge:import-coverage front.json --route=view.frontpage.page_1
+   *   Import coverage recorded on the front page.
+   */
+  public function importCoverage(array $files, array $options = ['route' => '<coverage>']) {
+    $imported = 0;
+
+    foreach ($files as $file) {
+      if (!is_readable($file)) {
+        $this->output()->writeln(sprintf('<error>Cannot read %s</error>', $file));
+        continue;
+      }
+
+      try {
+        $summary = $this->coverageImporter->import(file_get_contents($file), $options['route'], basename($file));
+      } catch (\InvalidArgumentException $e) {
+        $this->output()->writeln(sprintf('<error>%s: %s</error>', $file, $e->getMessage()));
+        continue;
+      }
+
+      $this->output()->writeln(sprintf('<info>%s</info>', $file));
+      foreach ($summary['assets'] as $asset_key => $count) {
+        $this->output()->writeln(sprintf('  - %s: %d used rules', $asset_key, $count));
+      }
+      foreach ($summary['skipped'] as $url) {
+        $this->output()->writeln(sprintf('<comment>  - skipped %s (not a collected asset)</comment>', $url));
+      }
+
+      if (!empty($summary['assets'])) {
+        $imported++;
+      }
+    }
+
+    $this->output()->writeln(sprintf(
+      '<info>Coverage import complete. Imported %d of %d files.</info>',
+      $imported,
+      count($files)
+    ));
+  }
+
+  /**
+   * Finds the asset with a purge history matching a command argument.
+   *
+   * @param string $asset
+   *   Asset key or part of it.
+   *
+   * @return string|null
+   *   The asset key, or NULL if no asset or several match.
+   */
+  protected function findVersionedAsset($asset) {
+    $matches = array_filter(array_keys($this->purgeHistory->getVersionCounts()), function ($asset_key) use ($asset) {
+      return strpos($asset_key, $asset) !== FALSE;
+    });
+
+    if (in_array($asset, $matches, TRUE)) {
+      return $asset;
+    }
+
+    if (count($matches) !== 1) {
+      $this->output()->writeln(sprintf('<error>%d assets with a purge history match %s.</error>', count($matches), $asset));
+      foreach ($matches as $asset_key) {
+        $this->output()->writeln('  - ' . $asset_key);
+      }
+      return NULL;
+    }
+
+    return reset($matches);
+  }
+
   /**
    * Displays analysis results in a table format.
    *
@@ -2,18 +2,30 @@
 
 namespace Drupal\bootstrap_purge\Controller;
 
+use Drupal\Component\Utility\Html;
 use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\StringTranslation\ByteSizeMarkup;
 use Drupal\Core\Url;
+use Drupal\bootstrap_purge\Service\AnalysisRunner;
 use Drupal\bootstrap_purge\Service\AssetManager;
+use Drupal\bootstrap_purge\Service\CanaryRollout;
+use Drupal\bootstrap_purge\Service\PurgeHistory;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\RedirectResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
 
 /**
  * Controller for Bootstrap Purge admin pages.
  */
 class BootstrapPurgeController extends ControllerBase {
 
+  /**
+   * Assets listed per page of the review table.
+   */
+  const REVIEW_PAGE_SIZE = 50;
+
   /**
    * The asset manager service.
    *
@@ -21,14 +33,44 @@ class BootstrapPurgeController extends ControllerBase {
    */
   protected $assetManager;
 
+  /**
+   * The canary rollout service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\CanaryRollout
+   */
+  protected $canaryRollout;
+
+  /**
+   * The purge history service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\PurgeHistory
+   */
+  protected $purgeHistory;
+
+  /**
+   * The analysis runner service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AnalysisRunner
+   */
+  protected $analysisRunner;
+
   /**
    * Constructs a BootstrapPurgeController object.
    *
    * @param \Drupal\bootstrap_purge\Service\AssetManager $asset_manager
    *   The asset manager service.
+   * @param \Drupal\bootstrap_purge\Service\CanaryRollout $canary_rollout
+   *   The canary rollout service.
+   * @param \Drupal\bootstrap_purge\Service\PurgeHistory $purge_history
+   *   The purge history service.
+   * @param \Drupal\bootstrap_purge\Service\AnalysisRunner $analysis_runner
+   *   The analysis runner service.
    */
-  public function __construct(AssetManager $asset_manager) {
+  public function __construct(AssetManager $asset_manager, CanaryRollout $canary_rollout, PurgeHistory $purge_history, AnalysisRunner $analysis_runner) {
     $this->assetManager = $asset_manager;
+    $this->canaryRollout = $canary_rollout;
+    $this->purgeHistory = $purge_history;
+    $this->analysisRunner = $analysis_runner;
   }
 
   /**
@@ -36,7 +78,10 @@ class BootstrapPurgeController extends ControllerBase {
    */
   public static function create(ContainerInterface $container) {
     return new static(
-      $container->get('bootstrap_purge.asset_manager')
+      $container->get('bootstrap_purge.asset_manager'),
+      $container->get('bootstrap_purge.canary'),
+      $container->get('bootstrap_purge.history'),
+      $container->get('bootstrap_purge.analysis_runner')
     );
   }
 
@@ -54,9 +99,11 @@ class BootstrapPurgeController extends ControllerBase {
     $recent_purges = array_slice($approved, -5, 5, TRUE);
     
     $build = [
-      '#theme' => 'bootstrap_purge_dashboard',
-      '#stats' => $stats,
-      '#recent_purges' => $recent_purges,
+      'dashboard' => [
+        '#theme' => 'bootstrap_purge_dashboard',
+        '#stats' => $stats,
+        '#recent_purges' => $recent_purges,
+      ],
       '#attached' => [
         'library' => ['bootstrap_purge/admin_ui'],
       ],
@@ -73,7 +120,7 @@ class BootstrapPurgeController extends ControllerBase {
       '#title' => $this->t('Run Analysis'),
       '#url' => Url::fromRoute('bootstrap_purge.run_analysis'),
       '#attributes' => [
-        'class' => ['button', 'button--primary'],
+        'class' => ['button', 'button--primary', 'bootstrap-purge-run-analysis'],
       ],
     ];
     
@@ -86,6 +133,21 @@ class BootstrapPurgeController extends ControllerBase {
       ],
     ];
     
+    // admin-ui.js polls the progress of a run and fills in the details.
+    $run = $this->analysisRunner->getRun();
+    $build['analysis_progress'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['bootstrap-purge-analysis-progress']],
+      'status' => [
+        '#type' => 'html_tag',
+        '#tag' => 'p',
+        '#value' => $run ? $this->buildAnalysisStatus($run) : '',
+      ],
+    ];
+    $build['#attached']['drupalSettings']['bootstrapPurgeAnalysis'] = [
+      'progressUrl' => Url::fromRoute('bootstrap_purge.analysis_progress')->toString(),
+    ];
+    
     // Add pending candidates summary
     if (!empty($pending)) {
       $build['pending_summary'] = [
@@ -118,57 +180,95 @@ class BootstrapPurgeController extends ControllerBase {
         ],
       ];
     }
+
+    $build['coverage_import'] = $this->formBuilder()->getForm('Drupal\bootstrap_purge\Form\CoverageImportForm');
     
     return $build;
   }
 
   /**
-   * Assets list page.
+   * Summarizes the status of an analysis run.
    *
-   * @return array
-   *   Render array for the assets list.
+   * @param array $run
+   *   The analysis run.
+   *
+   * @return \Drupal\Core\StringTranslation\TranslatableMarkup
+   *   The summary.
    */
-  public function assetsList() {
-    $pending = $this->assetManager->getPendingCandidates();
-    $approved = $this->assetManager->getApprovedPurges();
-    $rejected = $this->assetManager->getRejectedPurges();
+  protected function buildAnalysisStatus(array $run) {
+    $date_formatter = \Drupal::service('date.formatter');
     
-    $build = [];
-    
-    // Pending candidates table
-    if (!empty($pending)) {
-      $build['pending'] = [
-        '#type' => 'details',
-        '#title' => $this->t('Pending Candidates (@count)', ['@count' => count($pending)]),
-        '#open' => TRUE,
-      ];
+    switch ($run['status']) {
+      case 'queued':
+        return $this->t('Analysis queued on @date.', ['@date' => $date_formatter->format($run['queued'], 'short')]);
       
-      $build['pending']['table'] = $this->buildAssetsTable($pending, 'pending');
-    }
-    
-    // Approved purges table
-    if (!empty($approved)) {
-      $build['approved'] = [
-        '#type' => 'details',
-        '#title' => $this->t('Approved Purges (@count)', ['@count' => count($approved)]),
-        '#open' => FALSE,
-      ];
+      case 'running':
+        return $this->t('Analysis running since @date.', ['@date' => $date_formatter->format($run['started'], 'short')]);
       
-      $build['approved']['table'] = $this->buildAssetsTable($approved, 'approved');
+      case 'completed':
+        return $this->formatPlural($run['candidates'], 'The last analysis run finished on @date with 1 purge candidate.', 'The last analysis run finished on @date with @count purge candidates.', [
+          '@date' => $date_formatter->format($run['finished'], 'short'),
+        ]);
+      
+      default:
+        return $this->t('The last analysis run failed on @date: @message', [
+          '@date' => $date_formatter->format($run['finished'], 'short'),
+          '@message' => $run['errors'] ? end($run['errors'])['message'] : '',
+        ]);
+    }
+  }
+
+  /**
+   * Starts an analysis run in the background.
+   *
+   * @return \Symfony\Component\HttpFoundation\RedirectResponse
+   *   Redirect response.
+   */
+  public function runAnalysis() {
+    if ($this->analysisRunner->queue()) {
+      $this->messenger()->addStatus($this->t('Analysis started. Its progress is shown on the dashboard.'));
+    } else {
+      $this->messenger()->addWarning($this->t('An analysis is already running.'));
     }
     
-    // Rejected purges table
-    if (!empty($rejected)) {
-      $build['rejected'] = [
-        '#type' => 'details',
-        '#title' => $this->t('Rejected Purges (@count)', ['@count' => count($rejected)]),
-        '#open' => FALSE,
-      ];
-      
-      $build['rejected']['table'] = $this->buildAssetsTable($rejected, 'rejected');
+    return new RedirectResponse(Url::fromRoute('bootstrap_purge.dashboard')->toString());
+  }
+
+  /**
+   * Reports the progress of the current or last analysis run.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The run, or NULL if none was started yet.
+   */
+  public function analysisProgress() {
+    $run = $this->analysisRunner->getRun();
+    if ($run) {
+      $run['summary'] = (string) $this->buildAnalysisStatus($run);
     }
     
-    if (empty($pending) && empty($approved) && empty($rejected)) {
+    return new JsonResponse($run);
+  }
+
+  /**
+   * Assets list page.
+   *
+   * Lists the analyzed assets filtered by the query string, a page at a time,
+   * in a form for reviewing them in bulk.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return array
+   *   Render array for the assets list.
+   */
+  public function assetsList(Request $request) {
+    $filters = $this->getReviewFilters($request);
+    $items = $this->assetManager->getReviewItems($filters);
+    $extensions = $this->assetManager->getReviewExtensions();
+    
+    $build = [];
+    
+    if (empty($extensions)) {
       $build['empty'] = [
         '#type' => 'html_tag',
         '#tag' => 'p',
@@ -176,118 +276,322 @@ class BootstrapPurgeController extends ControllerBase {
           '@url' => Url::fromRoute('bootstrap_purge.run_analysis')->toString(),
         ]),
       ];
+      
+      return $build;
+    }
+    
+    $build['filters'] = $this->formBuilder()->getForm('Drupal\bootstrap_purge\Form\AssetFilterForm', $filters, $extensions);
+    
+    $pager = \Drupal::service('pager.manager')->createPager(count($items), self::REVIEW_PAGE_SIZE);
+    $page = array_slice($items, $pager->getCurrentPage() * self::REVIEW_PAGE_SIZE, self::REVIEW_PAGE_SIZE, TRUE);
+    
+    $pending = count(array_filter($items, function ($item) {
+      return $item['status'] === 'pending';
+    }));
+    $build['summary'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'p',
+      '#value' => $this->t('@count assets match, @pending of them pending review.', [
+        '@count' => count($items),
+        '@pending' => $pending,
+      ]),
+    ];
+    
+    $version_counts = $this->purgeHistory->getVersionCounts();
+    $rows = [];
+    foreach ($page as $asset_key => $item) {
+      $rows[$asset_key] = $this->buildAssetRow($asset_key, $item, $version_counts);
     }
     
+    $build['review'] = $this->formBuilder()->getForm('Drupal\bootstrap_purge\Form\AssetReviewForm', $this->getAssetsHeader(), $rows);
+    $build['pager'] = ['#type' => 'pager'];
+    
+    $build['#cache']['contexts'][] = 'url.query_args';
     $build['#attached']['library'][] = 'bootstrap_purge/admin_ui';
     
     return $build;
   }
 
   /**
-   * Builds an assets table.
+   * Reads the review filters from the query string.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
    *
-   * @param array $assets
-   *   Array of assets.
-   * @param string $status
-   *   The status (pending, approved, rejected).
+   * @return array
+   *   The filters set, as AssetManager::getReviewItems() takes them.
+   */
+  protected function getReviewFilters(Request $request) {
+    $filters = [];
+    
+    $status = $request->query->get('status');
+    if (in_array($status, ['pending', 'approved', 'rejected'], TRUE)) {
+      $filters['status'] = $status;
+    }
+    
+    foreach (['confidence_min', 'confidence_max', 'min_savings'] as $key) {
+      $value = $request->query->get($key);
+      if (is_numeric($value)) {
+        $filters[$key] = max(0, min(100, (float) $value));
+      }
+    }
+    
+    $extension = $request->query->get('extension');
+    if (is_string($extension) && $extension !== '') {
+      $filters['extension'] = $extension;
+    }
+    
+    return $filters;
+  }
+
+  /**
+   * Gets the header of the assets table.
    *
    * @return array
-   *   Table render array.
-   */
-  protected function buildAssetsTable(array $assets, $status) {
-    $header = [
-      $this->t('Asset'),
-      $this->t('Type'),
-      $this->t('Original Size'),
-      $this->t('Purged Size'),
-      $this->t('Savings'),
-      $this->t('Confidence'),
-      $this->t('Actions'),
+   *   Column labels, keyed by column.
+   */
+  protected function getAssetsHeader() {
+    return [
+      'asset' => $this->t('Asset'),
+      'status' => $this->t('Status'),
+      'type' => $this->t('Type'),
+      'original_size' => $this->t('Original Size'),
+      'purged_size' => $this->t('Purged Size'),
+      'savings' => $this->t('Savings'),
+      'confidence' => $this->t('Confidence'),
+      'actions' => $this->t('Actions'),
     ];
+  }
+
+  /**
+   * Builds a row of the assets table.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   * @param array $item
+   *   The review item.
+   * @param array $version_counts
+   *   Numbers of purge versions, keyed by asset key.
+   *
+   * @return array
+   *   The row cells, keyed by column, with the row '#attributes'.
+   *
+   * @see \Drupal\bootstrap_purge\Service\AssetManager::getReviewItems()
+   */
+  protected function buildAssetRow($asset_key, array $item, array $version_counts) {
+    $asset_data = $item['data'];
+    $status = $item['status'];
+    $asset_info = $this->assetManager->getAssetInfo($asset_key);
     
-    $rows = [];
-    foreach ($assets as $asset_key => $asset_data) {
-      $asset_info = $this->assetManager->getAssetInfo($asset_key);
-      
-      $original_size = $asset_data['original_size'] ?? 0;
-      $purged_size = $asset_data['estimated_purged_size'] ?? $asset_data['size'] ?? 0;
-      $savings = $original_size - $purged_size;
-      $savings_percent = $original_size > 0 ? round(($savings / $original_size) * 100, 1) : 0;
+    $original_size = $asset_data['original_size'] ?? 0;
+    $purged_size = $asset_data['estimated_purged_size'] ?? $asset_data['size'] ?? 0;
+    $statuses = [
+      'pending' => $this->t('Pending'),
+      'approved' => !empty($asset_data['canary']) ? $this->t('Canary') : $this->t('Approved'),
+      'rejected' => $this->t('Rejected'),
+    ];
+    
+    $actions = [];
+    
+    // Diff link
+    $actions[] = [
+      '#type' => 'link',
+      '#title' => $this->t('Diff'),
+      '#url' => Url::fromRoute('bootstrap_purge.asset_diff', ['asset_id' => base64_encode($asset_key)]),
+      '#attributes' => [
+        'class' => ['button', 'button--small'],
+        'data-shortcut' => 'diff',
+      ],
+    ];
+    
+    if ($status === 'pending') {
+      // Approve link
+      $actions[] = [
+        '#type' => 'link',
+        '#title' => $this->t('Approve'),
+        '#url' => Url::fromRoute('bootstrap_purge.asset_approve', ['asset_id' => base64_encode($asset_key)]),
+        '#attributes' => [
+          'class' => ['button', 'button--small', 'button--primary'],
+          'data-confirm' => $this->t('Are you sure you want to approve this purge?'),
+          'data-shortcut' => 'approve',
+        ],
+      ];
       
-      $actions = [];
+      // Reject link
+      $actions[] = [
+        '#type' => 'link',
+        '#title' => $this->t('Reject'),
+        '#url' => Url::fromRoute('bootstrap_purge.asset_reject', ['asset_id' => base64_encode($asset_key)]),
+        '#attributes' => [
+          'class' => ['button', 'button--small', 'button--danger'],
+          'data-confirm' => $this->t('Are you sure you want to reject this purge?'),
+          'data-shortcut' => 'reject',
+        ],
+      ];
+    }
+    
+    if ($status === 'approved' && !empty($asset_data['canary'])) {
+      $actions[] = [
+        '#type' => 'link',
+        '#title' => $this->t('Promote'),
+        '#url' => Url::fromRoute('bootstrap_purge.canary_promote', ['asset_id' => base64_encode($asset_key)]),
+        '#attributes' => [
+          'class' => ['button', 'button--small', 'button--primary'],
+          'data-confirm' => $this->t('Are you sure you want to serve this purge to every visitor?'),
+        ],
+      ];
       
-      // Diff link
       $actions[] = [
         '#type' => 'link',
-        '#title' => $this->t('Diff'),
-        '#url' => Url::fromRoute('bootstrap_purge.asset_diff', ['asset_id' => base64_encode($asset_key)]),
+        '#title' => $this->t('Roll back'),
+        '#url' => Url::fromRoute('bootstrap_purge.canary_rollback', ['asset_id' => base64_encode($asset_key)]),
+        '#attributes' => [
+          'class' => ['button', 'button--small', 'button--danger'],
+          'data-confirm' => $this->t('Are you sure you want to roll this purge back to the pending candidates?'),
+        ],
+      ];
+    } elseif ($status === 'approved') {
+      // Preview link
+      $actions[] = [
+        '#type' => 'link',
+        '#title' => $this->t('Preview'),
+        '#url' => Url::fromRoute('bootstrap_purge.preview', ['asset_id' => base64_encode($asset_key)]),
         '#attributes' => ['class' => ['button', 'button--small']],
       ];
       
-      if ($status === 'pending') {
-        // Approve link
-        $actions[] = [
-          '#type' => 'link',
-          '#title' => $this->t('Approve'),
-          '#url' => Url::fromRoute('bootstrap_purge.asset_approve', ['asset_id' => base64_encode($asset_key)]),
-          '#attributes' => [
-            'class' => ['button', 'button--small', 'button--primary'],
-            'data-confirm' => $this->t('Are you sure you want to approve this purge?'),
-          ],
-        ];
-        
-        // Reject link
-        $actions[] = [
-          '#type' => 'link',
-          '#title' => $this->t('Reject'),
-          '#url' => Url::fromRoute('bootstrap_purge.asset_reject', ['asset_id' => base64_encode($asset_key)]),
-          '#attributes' => [
-            'class' => ['button', 'button--small', 'button--danger'],
-            'data-confirm' => $this->t('Are you sure you want to reject this purge?'),
-          ],
-        ];
-      }
-      
-      if ($status === 'approved') {
-        // Preview link
-        $actions[] = [
-          '#type' => 'link',
-          '#title' => $this->t('Preview'),
-          '#url' => Url::fromRoute('bootstrap_purge.preview', ['asset_id' => base64_encode($asset_key)]),
-          '#attributes' => ['class' => ['button', 'button--small']],
-        ];
-        
-        // Revert link
-        $actions[] = [
-          '#type' => 'link',
-          '#title' => $this->t('Revert'),
-          '#url' => Url::fromRoute('bootstrap_purge.asset_revert', ['asset_id' => base64_encode($asset_key)]),
-          '#attributes' => [
-            'class' => ['button', 'button--small', 'button--danger'],
-            'data-confirm' => $this->t('Are you sure you want to revert this purge?'),
-          ],
-        ];
-      }
-      
-      $rows[] = [
-        $asset_info ? $asset_info['file_path'] : $asset_key,
-        $asset_info ? $asset_info['type'] : 'unknown',
-        format_size($original_size),
-        format_size($purged_size),
-        format_size($savings) . ' (' . $savings_percent . '%)',
-        ($asset_data['confidence_score'] ?? 0) . '%',
-        ['data' => $actions],
+      // Revert link
+      $actions[] = [
+        '#type' => 'link',
+        '#title' => $this->t('Revert'),
+        '#url' => Url::fromRoute('bootstrap_purge.asset_revert', ['asset_id' => base64_encode($asset_key)]),
+        '#attributes' => [
+          'class' => ['button', 'button--small', 'button--danger'],
+          'data-confirm' => $this->t('Are you sure you want to revert this purge?'),
+        ],
+      ];
+    }
+    
+    if (!empty($version_counts[$asset_key])) {
+      $actions[] = [
+        '#type' => 'link',
+        '#title' => $this->t('History (@count)', ['@count' => $version_counts[$asset_key]]),
+        '#url' => Url::fromRoute('bootstrap_purge.asset_history', ['asset_id' => base64_encode($asset_key)]),
+        '#attributes' => ['class' => ['button', 'button--small']],
       ];
     }
     
     return [
-      '#type' => 'table',
-      '#header' => $header,
-      '#rows' => $rows,
-      '#empty' => $this->t('No assets found.'),
+      'asset' => ['data' => $this->buildAssetLabel($asset_key, $asset_info, $asset_data)],
+      'status' => $statuses[$status],
+      'type' => $asset_info ? $asset_info['type'] : 'unknown',
+      'original_size' => ByteSizeMarkup::create($original_size),
+      'purged_size' => ByteSizeMarkup::create($purged_size),
+      'savings' => ByteSizeMarkup::create($item['savings']) . ' (' . $item['savings_percent'] . '%)',
+      'confidence' => ($asset_data['confidence_score'] ?? 0) . '%',
+      'actions' => ['data' => $actions],
+      '#attributes' => [
+        'class' => ['bootstrap-purge-review-row'],
+        'data-status' => $status,
+      ],
     ];
   }
 
+  /**
+   * Builds the asset cell of an assets table row.
+   *
+   * Canary rollouts and candidates rolled back from one are annotated with
+   * their missing-style reports.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   * @param array|null $asset_info
+   *   The collected asset, if it still exists.
+   * @param array $asset_data
+   *   The analysis or purge of the asset.
+   *
+   * @return array
+   *   Render array for the cell.
+   */
+  protected function buildAssetLabel($asset_key, $asset_info, array $asset_data) {
+    $build = [
+      'path' => ['#plain_text' => $asset_info ? $asset_info['file_path'] : $asset_key],
+    ];
+    
+    $note = NULL;
+    if (!empty($asset_data['canary'])) {
+      $summary = $this->canaryRollout->getReportSummary($asset_key);
+      $note = $this->t('Canary since @date: served to @percent% of sessions, visitors from @count IP addresses reported missing styles.', [
+        '@date' => \Drupal::service('date.formatter')->format($asset_data['canary']['started'], 'short'),
+        '@percent' => (int) $this->config('bootstrap_purge.settings')->get('canary.percentage'),
+        '@count' => $summary['visitors'],
+      ]);
+      $classes = array_keys($summary['classes']);
+    } elseif (!empty($asset_data['canary_rollback'])) {
+      $rollback = $asset_data['canary_rollback'];
+      $note = $this->t('Rolled back from canary on @date: visitors from @count IP addresses reported missing styles.', [
+        '@date' => \Drupal::service('date.formatter')->format($rollback['time'], 'short'),
+        '@count' => $rollback['visitors'] ?? $rollback['sessions'],
+      ]);
+      $classes = array_keys($rollback['classes']);
+    }
+    
+    if ($note) {
+      if ($classes) {
+        $note .= ' ' . $this->t('Most reported: @classes', [
+          '@classes' => implode(', ', array_map(function ($class) {
+            return '.' . $class;
+          }, array_slice($classes, 0, 10))),
+        ]);
+      }
+      $build['canary'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'div',
+        '#attributes' => ['class' => ['bootstrap-purge-canary-note']],
+        '#value' => $note,
+      ];
+    }
+    
+    return $build;
+  }
+
+  /**
+   * Promotes a canary rollout to every visitor.
+   *
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   *
+   * @return \Symfony\Component\HttpFoundation\RedirectResponse
+   *   Redirect response.
+   */
+  public function promoteCanary($asset_id) {
+    if ($this->canaryRollout->promote(base64_decode($asset_id))) {
+      $this->messenger()->addStatus($this->t('The purge is now served to every visitor.'));
+    } else {
+      $this->messenger()->addError($this->t('Failed to promote the canary rollout.'));
+    }
+    
+    return new RedirectResponse(Url::fromRoute('bootstrap_purge.assets')->toString());
+  }
+
+  /**
+   * Rolls a canary rollout back to the pending candidates.
+   *
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   *
+   * @return \Symfony\Component\HttpFoundation\RedirectResponse
+   *   Redirect response.
+   */
+  public function rollbackCanary($asset_id) {
+    if ($this->canaryRollout->rollback(base64_decode($asset_id))) {
+      $this->messenger()->addStatus($this->t('The canary rollout was rolled back; the purge is pending again.'));
+    } else {
+      $this->messenger()->addError($this->t('Failed to roll back the canary rollout.'));
+    }
+    
+    return new RedirectResponse(Url::fromRoute('bootstrap_purge.assets')->toString());
+  }
+
   /**
    * Asset diff page.
    *
@@ -308,9 +612,12 @@ class BootstrapPurgeController extends ControllerBase {
     
     $original_content = file_get_contents($asset_info['full_path']);
     
-    // Generate purged content for preview
+    // Approved purges are compared with the file PurgeCSS wrote; candidates
+    // with a preview.
     $purged_content = $original_content;
-    if ($asset_info['type'] === 'css' && !empty($analysis['unused_selectors'])) {
+    if (!empty($analysis['path']) && file_exists($analysis['path'])) {
+      $purged_content = file_get_contents($analysis['path']);
+    } elseif ($asset_info['type'] === 'css' && !empty($analysis['unused_selectors'])) {
       // Simple removal for preview
       foreach ($analysis['unused_selectors'] as $selector) {
         $pattern = '/[^{}]*' . preg_quote($selector, '/') . '[^{}]*\{[^}]*\}/s';
@@ -318,17 +625,315 @@ class BootstrapPurgeController extends ControllerBase {
       }
     }
     
+    // The wrapper is replaced after selectors are restored.
     $build = [
-      '#theme' => 'bootstrap_purge_asset_diff',
-      '#original_content' => $original_content,
-      '#purged_content' => $purged_content,
-      '#removed_selectors' => $analysis['unused_selectors'] ?? [],
-      '#file_path' => $asset_info['file_path'],
+      '#type' => 'container',
+      '#attributes' => ['class' => ['bootstrap-purge-diff-page']],
+      'diff' => [
+        '#theme' => 'bootstrap_purge_asset_diff',
+        '#original_content' => $original_content,
+        '#purged_content' => $purged_content,
+        '#removed_selectors' => $analysis['unused_selectors'] ?? [],
+        '#file_path' => $asset_info['file_path'],
+      ],
       '#attached' => [
         'library' => ['bootstrap_purge/admin_ui'],
       ],
     ];
     
+    if ($asset_info['type'] === 'css') {
+      $build['#attached']['drupalSettings']['bootstrapPurgeDiff'] = [
+        'restoreUrl' => Url::fromRoute('bootstrap_purge.asset_restore', ['asset_id' => $asset_id])->toString(),
+      ];
+    }
+    
+    if (!empty($analysis['verification'])) {
+      $build['verification'] = $this->buildVerificationReport($analysis['verification']);
+    }
+    
+    $provenance = $this->assetManager->getSelectorProvenance($asset_key);
+    if ($provenance) {
+      $build['provenance'] = $this->buildProvenancePanel($provenance, $asset_id);
+    }
+    
+    return $build;
+  }
+
+  /**
+   * Builds the panel explaining why each selector is kept or removed.
+   *
+   * @param array $provenance
+   *   Provenance records keyed by selector.
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   *
+   * @return array
+   *   Render array for the panel; admin-ui.js adds the filters.
+   */
+  protected function buildProvenancePanel(array $provenance, $asset_id) {
+    $reasons = $this->getProvenanceReasons();
+    $counts = ['kept' => 0, 'removed' => 0];
+    
+    $rows = [];
+    foreach ($provenance as $selector => $record) {
+      $counts[$record['status']]++;
+      $rows[] = [
+        'data' => [
+          ['data' => ['#markup' => '<code>' . Html::escape($selector) . '</code>']],
+          $record['status'] === 'kept' ? $this->t('Kept') : $this->t('Removed'),
+          $reasons[$record['reason']] ?? $record['reason'],
+          $record['source'] ?? '',
+          $record['stage'] === 'purge' ? $this->t('Purge') : $this->t('Analysis'),
+        ],
+        'data-status' => $record['status'],
+        'data-reason' => $record['reason'],
+      ];
+    }
+    
+    return [
+      '#type' => 'details',
+      '#title' => $this->t('Selector provenance: @kept kept, @removed removed', [
+        '@kept' => $counts['kept'],
+        '@removed' => $counts['removed'],
+      ]),
+      '#open' => FALSE,
+      '#attributes' => ['class' => ['bootstrap-purge-provenance']],
+      'export' => [
+        '#type' => 'link',
+        '#title' => $this->t('Export JSON'),
+        '#url' => Url::fromRoute('bootstrap_purge.asset_provenance', ['asset_id' => $asset_id]),
+        '#attributes' => ['class' => ['button', 'button--small']],
+      ],
+      'table' => [
+        '#type' => 'table',
+        '#header' => [$this->t('Selector'), $this->t('Status'), $this->t('Reason'), $this->t('Source'), $this->t('Recorded by')],
+        '#rows' => $rows,
+        '#attributes' => ['class' => ['bootstrap-purge-provenance-table']],
+      ],
+    ];
+  }
+
+  /**
+   * Gets the labels of provenance reasons.
+   *
+   * @return array
+   *   Labels keyed by reason.
+   */
+  protected function getProvenanceReasons() {
+    return [
+      'whitelist' => $this->t('Whitelist pattern'),
+      'safelist' => $this->t('PurgeCSS safelist'),
+      'dynamic_prefix' => $this->t('Dynamic class prefix'),
+      'snapshot' => $this->t('Static match on route'),
+      'template' => $this->t('Static match in template'),
+      'content' => $this->t('Database content'),
+      'runtime' => $this->t('Runtime hit on route'),
+      'state' => $this->t('Interaction state seen at runtime'),
+      'complex' => $this->t('Complex selector, kept conservatively'),
+      'purgecss' => $this->t('Always kept by PurgeCSS'),
+      'blocklist' => $this->t('Blocklist pattern'),
+      'never_seen' => $this->t('Never seen'),
+    ];
+  }
+
+  /**
+   * Exports the selector provenance of an asset as JSON.
+   *
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The provenance records, as a download.
+   */
+  public function assetProvenance($asset_id) {
+    $asset_key = base64_decode($asset_id);
+    $provenance = $this->assetManager->getSelectorProvenance($asset_key);
+    
+    if ($provenance === NULL) {
+      throw new \Symfony\Component\HttpKernel\Exception\NotFoundHttpException();
+    }
+    
+    $selectors = [];
+    foreach ($provenance as $selector => $record) {
+      $selectors[] = ['selector' => $selector] + $record;
+    }
+    
+    $response = new JsonResponse([
+      'asset' => $asset_key,
+      'generated' => date('c'),
+      'selectors' => $selectors,
+    ]);
+    $response->headers->set('Content-Disposition', 'attachment; filename="' . pathinfo($asset_key, PATHINFO_FILENAME) . '.provenance.json"');
+    
+    return $response;
+  }
+
+  /**
+   * Restores selectors removed from an asset, from the diff view.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with a JSON body holding the 'selectors' and the 'mode'
+   *   (selector or pattern).
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   What was added to the whitelist and which assets were updated.
+   */
+  public function restoreSelectors(Request $request, $asset_id) {
+    $asset_key = base64_decode($asset_id);
+    if (!$this->assetManager->getAssetAnalysis($asset_key)) {
+      throw new \Symfony\Component\HttpKernel\Exception\NotFoundHttpException();
+    }
+    
+    $data = json_decode($request->getContent(), TRUE);
+    $selectors = array_values(array_filter(array_map('trim', (array) ($data['selectors'] ?? [])), 'strlen'));
+    if (!$selectors) {
+      return new JsonResponse(['message' => (string) $this->t('No selectors were given.')], 400);
+    }
+    
+    $mode = ($data['mode'] ?? '') === 'pattern' ? 'pattern' : 'selector';
+    $result = $this->assetManager->restoreSelectors($selectors, $mode);
+    
+    $this->getLogger('bootstrap_purge')->info('Restored @selectors from the diff of @asset; whitelisted @entries.', [
+      '@selectors' => implode(', ', $selectors),
+      '@asset' => $asset_key,
+      '@entries' => implode(', ', $result['whitelisted']) ?: '-',
+    ]);
+    
+    return new JsonResponse($result + [
+      'message' => (string) $this->t('Added @count whitelist entries. Updated @updated analyses and purged @repurged assets again.', [
+        '@count' => count($result['whitelisted']),
+        '@updated' => count($result['updated']),
+        '@repurged' => count($result['repurged']),
+      ]),
+    ]);
+  }
+
+  /**
+   * Serves the rules the whitelist pattern tester matches against.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The rule index of the Bootstrap stylesheets.
+   */
+  public function whitelistRuleIndex() {
+    return new JsonResponse($this->assetManager->getWhitelistRuleIndex());
+  }
+
+  /**
+   * Lists the pending stylesheet purges the in-page preview can apply.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   Per asset, its 'label', the URL path of the 'original' stylesheet and
+   *   the URL of the 'purged' one.
+   */
+  public function previewAssets(Request $request) {
+    $assets = [];
+    foreach ($this->assetManager->getPreviewableAssets() as $asset_key => $asset) {
+      $assets[] = [
+        'label' => $asset['file_path'],
+        'original' => $request->getBasePath() . substr($asset['full_path'], strlen(DRUPAL_ROOT)),
+        'purged' => Url::fromRoute('bootstrap_purge.preview_css', ['asset_id' => base64_encode($asset_key)])->toString(),
+      ];
+    }
+    
+    return new JsonResponse($assets);
+  }
+
+  /**
+   * Serves the CSS a pending purge would produce.
+   *
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   The purged stylesheet.
+   */
+  public function previewCss($asset_id) {
+    $css = $this->assetManager->getPreviewCss(base64_decode($asset_id));
+    
+    if ($css === NULL) {
+      throw new \Symfony\Component\HttpKernel\Exception\NotFoundHttpException();
+    }
+    
+    return new Response($css, 200, [
+      'Content-Type' => 'text/css; charset=utf-8',
+      'Cache-Control' => 'private, no-store',
+    ]);
+  }
+
+  /**
+   * Builds the verification report of a purge.
+   *
+   * @param array $verification
+   *   The report stored by the purge verifier.
+   *
+   * @return array
+   *   Render array for the report.
+   */
+  protected function buildVerificationReport(array $verification) {
+    $build = [
+      '#type' => 'details',
+      '#title' => $this->t('Verification: @count of @total elements changed', [
+        '@count' => $verification['regressions'],
+        '@total' => $verification['elements'],
+      ]),
+      '#open' => $verification['regressions'] > 0,
+      '#weight' => -10,
+    ];
+    
+    $rows = [];
+    foreach ($verification['snapshots'] as $snapshot) {
+      foreach ($snapshot['items'] as $item) {
+        $changes = [];
+        foreach (array_slice($item['changes'], 0, 5) as $change) {
+          $changes[] = $change['property'] . ': ' . $change['original'] . ' → ' . ($change['purged'] !== '' ? $change['purged'] : $this->t('(unset)'));
+        }
+        if (count($item['changes']) > 5) {
+          $changes[] = $this->t('… @count more', ['@count' => count($item['changes']) - 5]);
+        }
+        
+        $rows[] = [
+          $snapshot['route'],
+          ['data' => ['#markup' => '<code>' . Html::escape($item['element']) . '</code>']],
+          isset($item['width']) ? $this->t('@width px', ['@width' => $item['width']]) : '',
+          ['data' => ['#theme' => 'item_list', '#items' => $changes]],
+        ];
+      }
+    }
+    
+    $args = ['@date' => \Drupal::service('date.formatter')->format($verification['verified'])];
+    if (!empty($verification['widths'])) {
+      $args['@widths'] = implode(', ', $verification['widths']);
+      $summary = $this->t('Computed styles of the analysis snapshots were compared with the original and the purged stylesheet on @date, at viewport widths of @widths px.', $args);
+    } else {
+      $summary = $this->t('Computed styles of the analysis snapshots were compared with the original and the purged stylesheet on @date, without media queries. Verify again to compare at each breakpoint.', $args);
+    }
+    $build['summary'] = [
+      '#markup' => '<p>' . $summary . '</p>',
+    ];
+    
+    $build['limitations'] = [
+      '#theme' => 'item_list',
+      '#title' => $this->t('Not verified'),
+      '#items' => [
+        $this->t('Styles of interaction pseudo-classes, such as :hover, :focus and :checked.'),
+        $this->t('Styles of pseudo-elements, such as ::before, ::after and ::placeholder.'),
+        $this->t('Media queries other than viewport width, orientation and common user preferences; print styles.'),
+        $this->t('Elements added by JavaScript after the page loads.'),
+      ],
+    ];
+    
+    $build['table'] = [
+      '#type' => 'table',
+      '#header' => [$this->t('Snapshot'), $this->t('Element'), $this->t('Viewport'), $this->t('Changed styles')],
+      '#rows' => $rows,
+      '#empty' => $this->t('No element changed.'),
+    ];
+    
     return $build;
   }
 
@@ -344,8 +949,23 @@ class BootstrapPurgeController extends ControllerBase {
   public function approveAsset($asset_id) {
     $asset_key = base64_decode($asset_id);
     
-    if ($this->assetManager->approvePurge($asset_key)) {
+    $approved = $this->assetManager->approvePurge($asset_key);
+    $verification = $this->assetManager->getAssetAnalysis($asset_key)['verification'] ?? NULL;
+    $diff_url = Url::fromRoute('bootstrap_purge.asset_diff', ['asset_id' => $asset_id])->toString();
+    
+    if ($approved) {
       $this->messenger()->addStatus($this->t('Asset purge approved successfully.'));
+      if (!empty($verification['regressions'])) {
+        $this->messenger()->addWarning($this->t('Verification found @count elements whose computed styles change with the purged stylesheet. Review the <a href=":url">verification report</a>.', [
+          '@count' => $verification['regressions'],
+          ':url' => $diff_url,
+        ]));
+      }
+    } elseif (!empty($verification['regressions'])) {
+      $this->messenger()->addError($this->t('The purge was not approved: verification found @count elements whose computed styles change with the purged stylesheet. Review the <a href=":url">verification report</a>, whitelist the missing selectors and try again.', [
+        '@count' => $verification['regressions'],
+        ':url' => $diff_url,
+      ]));
     } else {
       $this->messenger()->addError($this->t('Failed to approve asset purge.'));
     }
@@ -374,6 +994,258 @@ class BootstrapPurgeController extends ControllerBase {
     return new RedirectResponse(Url::fromRoute('bootstrap_purge.assets')->toString());
   }
 
+  /**
+   * Reverts an approved purge so the original file is served again.
+   *
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   *
+   * @return \Symfony\Component\HttpFoundation\RedirectResponse
+   *   Redirect response.
+   */
+  public function revertAsset($asset_id) {
+    if ($this->assetManager->revertAsset(base64_decode($asset_id))) {
+      $this->messenger()->addStatus($this->t('The purge was reverted; the original file is served again.'));
+    } else {
+      $this->messenger()->addError($this->t('Failed to revert the purge.'));
+    }
+    
+    return new RedirectResponse(Url::fromRoute('bootstrap_purge.assets')->toString());
+  }
+
+  /**
+   * Purge history page of an asset.
+   *
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   *
+   * @return array
+   *   Render array for the history page.
+   */
+  public function assetHistory($asset_id) {
+    $asset_key = base64_decode($asset_id);
+    $asset_info = $this->assetManager->getAssetInfo($asset_key);
+    $versions = $this->purgeHistory->getVersions($asset_key);
+    
+    if (!$versions) {
+      throw new \Symfony\Component\HttpKernel\Exception\NotFoundHttpException();
+    }
+    
+    $current = $this->assetManager->getApprovedPurges()[$asset_key]['version'] ?? NULL;
+    $numbers = array_keys($versions);
+    
+    $build = [];
+    $build['asset'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'h2',
+      '#value' => $this->t('History of @file', ['@file' => $asset_info ? $asset_info['file_path'] : $asset_key]),
+    ];
+    
+    if ($current) {
+      $build['revert'] = [
+        '#type' => 'link',
+        '#title' => $this->t('Revert to the original file'),
+        '#url' => Url::fromRoute('bootstrap_purge.asset_revert', ['asset_id' => $asset_id]),
+        '#attributes' => [
+          'class' => ['button', 'button--danger'],
+          'data-confirm' => $this->t('Are you sure you want to revert this purge?'),
+        ],
+      ];
+    }
+    
+    if (count($versions) > 1) {
+      $build['compare'] = $this->formBuilder()->getForm('Drupal\bootstrap_purge\Form\VersionCompareForm', $asset_id, $numbers);
+    }
+    
+    $rows = [];
+    foreach ($versions as $number => $version) {
+      $stale = $asset_info && $this->purgeHistory->isStale($version, $asset_info);
+      $account = $version['uid'] ? $this->entityTypeManager()->getStorage('user')->load($version['uid']) : NULL;
+      
+      $actions = [];
+      $previous = $numbers[array_search($number, $numbers) + 1] ?? NULL;
+      if ($previous) {
+        $actions[] = [
+          '#type' => 'link',
+          '#title' => $this->t('Diff with v@version', ['@version' => $previous]),
+          '#url' => Url::fromRoute('bootstrap_purge.version_diff', [
+            'asset_id' => $asset_id,
+            'from' => $previous,
+            'to' => $number,
+          ]),
+          '#attributes' => ['class' => ['button', 'button--small']],
+        ];
+      }
+      
+      // Versions of an older original file may drop rules it gained since;
+      // they can still be restored from Drush with --force.
+      if ($number !== $current && $asset_info && !$stale) {
+        $actions[] = [
+          '#type' => 'link',
+          '#title' => $this->t('Restore'),
+          '#url' => Url::fromRoute('bootstrap_purge.version_restore', [
+            'asset_id' => $asset_id,
+            'version' => $number,
+          ]),
+          '#attributes' => [
+            'class' => ['button', 'button--small', 'button--primary'],
+            'data-confirm' => $this->t('Are you sure you want to serve version @version to every visitor?', ['@version' => $number]),
+          ],
+        ];
+      }
+      
+      $rows[] = [
+        $number === $current ? $this->t('v@version (current)', ['@version' => $number]) : 'v' . $number,
+        \Drupal::service('date.formatter')->format($version['created'], 'short'),
+        $account ? $account->getDisplayName() : $this->t('System'),
+        $version['options']['method'] ?? '-',
+        ByteSizeMarkup::create($version['size']),
+        $this->formatPlural(count($version['whitelist']), '1 pattern', '@count patterns'),
+        $stale ? $this->t('Changed since') : $this->t('Unchanged'),
+        ['data' => $actions],
+      ];
+    }
+    
+    $build['versions'] = [
+      '#type' => 'table',
+      '#header' => [
+        $this->t('Version'),
+        $this->t('Approved'),
+        $this->t('By'),
+        $this->t('Method'),
+        $this->t('Purged Size'),
+        $this->t('Whitelist'),
+        $this->t('Original File'),
+        $this->t('Actions'),
+      ],
+      '#rows' => $rows,
+    ];
+    
+    $build['#attached']['library'][] = 'bootstrap_purge/admin_ui';
+    
+    return $build;
+  }
+
+  /**
+   * Compares two versions from the purge history of an asset.
+   *
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   * @param int $from
+   *   The version compared against.
+   * @param int $to
+   *   The version compared.
+   *
+   * @return array
+   *   Render array for the diff page.
+   */
+  public function versionDiff($asset_id, $from, $to) {
+    $asset_key = base64_decode($asset_id);
+    $diff = $this->purgeHistory->diffVersions($asset_key, $from, $to);
+    
+    if (!$diff) {
+      throw new \Symfony\Component\HttpKernel\Exception\NotFoundHttpException();
+    }
+    
+    $asset_info = $this->assetManager->getAssetInfo($asset_key);
+    $file_path = $asset_info ? $asset_info['file_path'] : $diff['to']['path'];
+    
+    // The rule diff lists the rules the newer version dropped; rules it kept
+    // again are listed with the other changes.
+    $build = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['bootstrap-purge-diff-page']],
+      'diff' => [
+        '#theme' => 'bootstrap_purge_asset_diff',
+        '#original_content' => (string) @file_get_contents($diff['from']['path']),
+        '#purged_content' => (string) @file_get_contents($diff['to']['path']),
+        '#removed_selectors' => $diff['removed'],
+        '#file_path' => $file_path,
+        '#original_label' => $this->t('Version @version', ['@version' => $from]),
+        '#purged_label' => $this->t('Version @version', ['@version' => $to]),
+      ],
+      '#attached' => [
+        'library' => ['bootstrap_purge/admin_ui'],
+      ],
+    ];
+    
+    $build['changes'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Changes from version @from to version @to', ['@from' => $from, '@to' => $to]),
+      '#open' => TRUE,
+    ];
+    
+    if ($diff['original_changed']) {
+      $build['changes']['original'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'p',
+        '#value' => $this->t('The versions were purged from different original files.'),
+      ];
+    }
+    
+    $lists = [
+      'added' => $this->t('Selectors kept again (@count)', ['@count' => count($diff['added'])]),
+      'whitelist_added' => $this->t('Whitelist patterns added (@count)', ['@count' => count($diff['whitelist_added'])]),
+      'whitelist_removed' => $this->t('Whitelist patterns removed (@count)', ['@count' => count($diff['whitelist_removed'])]),
+    ];
+    foreach ($lists as $key => $title) {
+      if ($diff[$key]) {
+        $build['changes'][$key] = [
+          '#theme' => 'item_list',
+          '#title' => $title,
+          '#items' => $diff[$key],
+        ];
+      }
+    }
+    
+    if ($diff['options']) {
+      $rows = [];
+      foreach ($diff['options'] as $option => $values) {
+        $rows[] = [$option, json_encode($values[0]), json_encode($values[1])];
+      }
+      $build['changes']['options'] = [
+        '#type' => 'table',
+        '#caption' => $this->t('Analysis options'),
+        '#header' => [
+          $this->t('Option'),
+          $this->t('Version @version', ['@version' => $from]),
+          $this->t('Version @version', ['@version' => $to]),
+        ],
+        '#rows' => $rows,
+      ];
+    }
+    
+    $build['changes']['history'] = [
+      '#type' => 'link',
+      '#title' => $this->t('Back to the history'),
+      '#url' => Url::fromRoute('bootstrap_purge.asset_history', ['asset_id' => $asset_id]),
+      '#attributes' => ['class' => ['button', 'button--small']],
+    ];
+    
+    return $build;
+  }
+
+  /**
+   * Serves a version from the purge history of an asset again.
+   *
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   * @param int $version
+   *   The version number.
+   *
+   * @return \Symfony\Component\HttpFoundation\RedirectResponse
+   *   Redirect response.
+   */
+  public function restoreVersion($asset_id, $version) {
+    if ($this->assetManager->restoreVersion(base64_decode($asset_id), $version)) {
+      $this->messenger()->addStatus($this->t('Version @version is served to every visitor.', ['@version' => $version]));
+    } else {
+      $this->messenger()->addError($this->t('Failed to restore version @version.', ['@version' => $version]));
+    }
+    
+    return new RedirectResponse(Url::fromRoute('bootstrap_purge.asset_history', ['asset_id' => $asset_id])->toString());
+  }
+
   /**
    * Previews a purged asset.
    *
@@ -3,7 +3,12 @@
 namespace Drupal\bootstrap_purge\Controller;
 
 use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Cache\CacheableJsonResponse;
+use Drupal\Core\Cache\CacheableMetadata;
+use Drupal\Core\Flood\FloodInterface;
+use Drupal\bootstrap_purge\Service\CanaryRollout;
 use Drupal\bootstrap_purge\Service\RuntimeDataCollector;
+use Drupal\bootstrap_purge\Service\RuntimeRequestValidator;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
@@ -13,16 +18,39 @@ use Symfony\Component\HttpFoundation\Request;
  */
 class RuntimeDataController extends ControllerBase {
 
+  /**
+   * Flood window for runtime data requests, in seconds.
+   */
+  const FLOOD_WINDOW = 3600;
+
   /**
    * The runtime data collector service.
    */
   protected $runtimeDataCollector;
 
+  /**
+   * The runtime request validator service.
+   */
+  protected $requestValidator;
+
+  /**
+   * The flood service.
+   */
+  protected $flood;
+
+  /**
+   * The canary rollout service.
+   */
+  protected $canaryRollout;
+
   /**
    * Constructs a RuntimeDataController object.
    */
-  public function __construct(RuntimeDataCollector $runtime_data_collector) {
+  public function __construct(RuntimeDataCollector $runtime_data_collector, RuntimeRequestValidator $request_validator, FloodInterface $flood, CanaryRollout $canary_rollout) {
     $this->runtimeDataCollector = $runtime_data_collector;
+    $this->requestValidator = $request_validator;
+    $this->flood = $flood;
+    $this->canaryRollout = $canary_rollout;
   }
 
   /**
@@ -30,7 +58,10 @@ class RuntimeDataController extends ControllerBase {
    */
   public static function create(ContainerInterface $container) {
     return new static(
-      $container->get('bootstrap_purge.runtime_collector')
+      $container->get('bootstrap_purge.runtime_collector'),
+      $container->get('bootstrap_purge.runtime_validator'),
+      $container->get('flood'),
+      $container->get('bootstrap_purge.canary')
     );
   }
 
@@ -39,7 +70,7 @@ class RuntimeDataController extends ControllerBase {
    */
   public function collect(Request $request) {
     $config = $this->config('bootstrap_purge.settings');
-    
+
     if (!$config->get('enabled') || !$config->get('runtime_collection_enabled')) {
       return new JsonResponse(['status' => 'disabled'], 200);
     }
@@ -49,11 +80,35 @@ class RuntimeDataController extends ControllerBase {
       return new JsonResponse(['error' => 'No data provided'], 400);
     }
 
+    if (strlen($content) > RuntimeRequestValidator::MAX_PAYLOAD_BYTES) {
+      return new JsonResponse(['error' => 'Payload too large'], 413);
+    }
+
     $data = json_decode($content, TRUE);
     if (json_last_error() !== JSON_ERROR_NONE) {
       return new JsonResponse(['error' => 'Invalid JSON'], 400);
     }
 
+    $errors = $this->requestValidator->validatePayload($data);
+    if ($errors) {
+      return new JsonResponse(['error' => 'Invalid payload', 'details' => $errors], 400);
+    }
+
+    if (!$this->requestValidator->validateToken($data['token'] ?? NULL, $data['route'])) {
+      return new JsonResponse(['error' => 'Invalid token'], 403);
+    }
+
+    if (!$this->registerRequest('bootstrap_purge.runtime_data', $data['session'] ?? '')) {
+      return new JsonResponse(['error' => 'Too many requests'], 429, ['Retry-After' => self::FLOOD_WINDOW]);
+    }
+
+    // A payload whose selectors are all untracked is accepted but not stored,
+    // so the collector does not retry it.
+    $data = $this->requestValidator->filterUntrackedSelectors($data);
+    if (!array_filter(array_intersect_key($data, array_flip(array_merge(RuntimeRequestValidator::LIST_KEYS, RuntimeRequestValidator::MAP_KEYS))))) {
+      return new JsonResponse(['status' => 'ignored'], 200);
+    }
+
     if ($this->runtimeDataCollector->storeRuntimeData($data)) {
       return new JsonResponse(['status' => 'success'], 200);
     } else {
@@ -61,4 +116,83 @@ class RuntimeDataController extends ControllerBase {
     }
   }
 
-}
\ No newline at end of file
+  /**
+   * Lists the classes the purge of each canary removed.
+   *
+   * Canary sessions compare these with the rules of the purged stylesheet.
+   */
+  public function canaryIndex() {
+    $response = new CacheableJsonResponse($this->canaryRollout->getClassIndex());
+    $response->addCacheableDependency((new CacheableMetadata())
+      ->setCacheTags([CanaryRollout::CACHE_TAG])
+      ->setCacheMaxAge(RuntimeRequestValidator::TOKEN_LIFETIME));
+
+    return $response;
+  }
+
+  /**
+   * Collects classes a canary session found without styles.
+   */
+  public function reportMissingStyles(Request $request) {
+    $config = $this->config('bootstrap_purge.settings');
+
+    if (!$config->get('enabled') || !$config->get('canary.enabled')) {
+      return new JsonResponse(['status' => 'disabled'], 200);
+    }
+
+    $content = $request->getContent();
+    if (strlen($content) > RuntimeRequestValidator::MAX_PAYLOAD_BYTES) {
+      return new JsonResponse(['error' => 'Payload too large'], 413);
+    }
+
+    $data = json_decode($content, TRUE);
+    $errors = $this->requestValidator->validateCanaryReport($data);
+    if ($errors) {
+      return new JsonResponse(['error' => 'Invalid report', 'details' => $errors], 400);
+    }
+
+    if (!$this->requestValidator->validateToken($data['token'] ?? NULL, $data['route'])) {
+      return new JsonResponse(['error' => 'Invalid token'], 403);
+    }
+
+    if (!$this->registerRequest('bootstrap_purge.canary_report', $data['session'])) {
+      return new JsonResponse(['error' => 'Too many requests'], 429, ['Retry-After' => self::FLOOD_WINDOW]);
+    }
+
+    $rolled_back = $this->canaryRollout->recordReport(base64_decode($data['asset']), $data['token'], $this->runtimeDataCollector->getAnonymizedIp(), $data['route'], $data['classes']);
+    if ($rolled_back === NULL) {
+      return new JsonResponse(['status' => 'ignored'], 200);
+    }
+
+    return new JsonResponse(['status' => $rolled_back ? 'rolled_back' : 'success'], 200);
+  }
+
+  /**
+   * Registers a request against the flood limits.
+   *
+   * Each session is limited, and each anonymized IP address more loosely
+   * since many visitors can share one.
+   *
+   * @param string $event
+   *   The flood event name prefix.
+   * @param string $session
+   *   The collection session ID.
+   *
+   * @return bool
+   *   TRUE if the request is allowed.
+   */
+  protected function registerRequest($event, $session) {
+    $limit = (int) ($this->config('bootstrap_purge.settings')->get('runtime_rate_limit') ?: 60);
+    $ip = $this->runtimeDataCollector->getAnonymizedIp();
+    $session_identifier = $ip . ':' . $session;
+    if (!$this->flood->isAllowed($event . '_session', $limit, self::FLOOD_WINDOW, $session_identifier)
+      || !$this->flood->isAllowed($event . '_ip', $limit * 10, self::FLOOD_WINDOW, $ip)) {
+      return FALSE;
+    }
+    $this->flood->register($event . '_session', self::FLOOD_WINDOW, $session_identifier);
+    $this->flood->register($event . '_ip', self::FLOOD_WINDOW, $ip);
+
+    return TRUE;
+  }
+
+}
@@ -0,0 +1,329 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Form;
+
+use Drupal\Core\Batch\BatchBuilder;
+use Drupal\Core\Form\ConfirmFormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\StringTranslation\ByteSizeMarkup;
+use Drupal\Core\TempStore\PrivateTempStoreFactory;
+use Drupal\Core\Url;
+use Drupal\bootstrap_purge\Service\AnalysisRunner;
+use Drupal\bootstrap_purge\Service\AssetManager;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\RedirectResponse;
+
+/**
+ * Confirmation form for a bulk action on the assets table.
+ *
+ * Approvals and rejections run as a batch, one asset at a time; a
+ * re-analysis is queued as a background run of the selected assets.
+ *
+ * @see \Drupal\bootstrap_purge\Form\AssetReviewForm
+ */
+class AssetBulkConfirmForm extends ConfirmFormBase {
+
+  /**
+   * The private tempstore of the module.
+   *
+   * @var \Drupal\Core\TempStore\PrivateTempStore
+   */
+  protected $tempStore;
+
+  /**
+   * The asset manager service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetManager
+   */
+  protected $assetManager;
+
+  /**
+   * The analysis runner service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AnalysisRunner
+   */
+  protected $analysisRunner;
+
+  /**
+   * The action confirmed: approve, reject or reanalyze.
+   *
+   * @var string
+   */
+  protected $action;
+
+  /**
+   * The review items the action applies to, keyed by asset key.
+   *
+   * @var array
+   */
+  protected $items = [];
+
+  /**
+   * Constructs an AssetBulkConfirmForm object.
+   *
+   * @param \Drupal\Core\TempStore\PrivateTempStoreFactory $temp_store_factory
+   *   The private tempstore factory.
+   * @param \Drupal\bootstrap_purge\Service\AssetManager $asset_manager
+   *   The asset manager service.
+   * @param \Drupal\bootstrap_purge\Service\AnalysisRunner $analysis_runner
+   *   The analysis runner service.
+   */
+  public function __construct(PrivateTempStoreFactory $temp_store_factory, AssetManager $asset_manager, AnalysisRunner $analysis_runner) {
+    $this->tempStore = $temp_store_factory->get('bootstrap_purge');
+    $this->assetManager = $asset_manager;
+    $this->analysisRunner = $analysis_runner;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('tempstore.private'),
+      $container->get('bootstrap_purge.asset_manager'),
+      $container->get('bootstrap_purge.analysis_runner')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'bootstrap_purge_asset_bulk_confirm_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getQuestion() {
+    $args = ['@count' => count($this->items)];
+
+    switch ($this->action) {
+      case 'approve':
+        return $this->t('Approve @count purges?', $args);
+
+      case 'reject':
+        return $this->t('Reject @count purges?', $args);
+
+      default:
+        return $this->t('Re-analyze @count assets?', $args);
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getConfirmText() {
+    switch ($this->action) {
+      case 'approve':
+        return $this->t('Approve');
+
+      case 'reject':
+        return $this->t('Reject');
+
+      default:
+        return $this->t('Re-analyze');
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getDescription() {
+    switch ($this->action) {
+      case 'approve':
+        return $this->t('Approved purges can be reverted from the assets table.');
+
+      case 'reject':
+        return $this->t('Rejected purges are pending review again after the next analysis of their assets.');
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getCancelUrl() {
+    return Url::fromRoute('bootstrap_purge.assets', [], [
+      'query' => $this->getRequest()->query->all(),
+    ]);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state) {
+    $selection = $this->tempStore->get('bulk_review');
+    if (empty($selection['assets'])) {
+      $this->messenger()->addWarning($this->t('Select the assets to review first.'));
+      return new RedirectResponse($this->getCancelUrl()->setAbsolute()->toString());
+    }
+
+    $this->action = $selection['action'];
+    $items = $this->assetManager->getReviewItems();
+    $selected = array_intersect_key($items, array_flip($selection['assets']));
+
+    // Only pending candidates can be approved or rejected.
+    $this->items = $this->action === 'reanalyze' ? $selected : array_filter($selected, function ($item) {
+      return $item['status'] === 'pending';
+    });
+    $skipped = count($selection['assets']) - count($this->items);
+
+    $form = parent::buildForm($form, $form_state);
+
+    $summary = [];
+    if ($this->items) {
+      $original = array_sum(array_map(function ($item) {
+        return $item['data']['original_size'] ?? 0;
+      }, $this->items));
+      $savings = array_sum(array_column($this->items, 'savings'));
+      $confidences = array_map(function ($item) {
+        return $item['data']['confidence_score'] ?? 0;
+      }, $this->items);
+
+      $summary[] = $this->t('Estimated savings: @savings of @original (@percent%).', [
+        '@savings' => ByteSizeMarkup::create($savings),
+        '@original' => ByteSizeMarkup::create($original),
+        '@percent' => $original > 0 ? round(($savings / $original) * 100, 1) : 0,
+      ]);
+      $summary[] = $this->t('Confidence: @min% to @max%.', [
+        '@min' => min($confidences),
+        '@max' => max($confidences),
+      ]);
+    }
+    if ($skipped) {
+      $summary[] = $this->action === 'reanalyze'
+        ? $this->formatPlural($skipped, '1 selected asset is no longer listed and is skipped.', '@count selected assets are no longer listed and are skipped.')
+        : $this->formatPlural($skipped, '1 selected asset is not pending review and is skipped.', '@count selected assets are not pending review and are skipped.');
+    }
+    if ($this->action === 'reanalyze') {
+      $summary[] = $this->t('The analysis runs in the background. Its results replace the pending candidates of these assets; rejected ones are pending review again.');
+    } elseif ($this->action === 'approve' && $this->config('bootstrap_purge.settings')->get('canary.enabled')) {
+      $summary[] = $this->t('Stylesheets are served to canary sessions first.');
+    }
+
+    $form['summary'] = [
+      '#theme' => 'item_list',
+      '#items' => $summary,
+      '#weight' => -10,
+    ];
+
+    $assets = [];
+    foreach ($this->items as $asset_key => $item) {
+      $assets[] = $this->t('@asset: saves @savings (@percent%), @confidence% confidence', [
+        '@asset' => $asset_key,
+        '@savings' => ByteSizeMarkup::create($item['savings']),
+        '@percent' => $item['savings_percent'],
+        '@confidence' => $item['data']['confidence_score'] ?? 0,
+      ]);
+    }
+
+    $form['assets'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Assets'),
+      '#open' => count($assets) <= 10,
+      '#weight' => -5,
+      'list' => [
+        '#theme' => 'item_list',
+        '#items' => $assets,
+      ],
+    ];
+
+    if (!$this->items) {
+      $form['actions']['submit']['#access'] = FALSE;
+    }
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $this->tempStore->delete('bulk_review');
+    $asset_keys = array_keys($this->items);
+    $form_state->setRedirectUrl($this->getCancelUrl());
+
+    if ($this->action === 'reanalyze') {
+      if ($this->analysisRunner->queue(['assets' => $asset_keys])) {
+        $this->messenger()->addStatus($this->t('Analysis of @count assets started. Its progress is shown on the dashboard.', [
+          '@count' => count($asset_keys),
+        ]));
+        $form_state->setRedirect('bootstrap_purge.dashboard');
+      } else {
+        $this->messenger()->addWarning($this->t('An analysis is already running.'));
+      }
+      return;
+    }
+
+    $batch = (new BatchBuilder())
+      ->setTitle($this->action === 'approve' ? $this->t('Approving purges') : $this->t('Rejecting purges'))
+      ->setFinishCallback([static::class, 'finishBatch']);
+    foreach ($asset_keys as $asset_key) {
+      $batch->addOperation([static::class, 'processAsset'], [$this->action, $asset_key]);
+    }
+    batch_set($batch->toArray());
+  }
+
+  /**
+   * Batch operation: approves or rejects one purge.
+   *
+   * @param string $action
+   *   Either approve or reject.
+   * @param string $asset_key
+   *   The asset key.
+   * @param array $context
+   *   The batch context.
+   */
+  public static function processAsset($action, $asset_key, &$context) {
+    $asset_manager = \Drupal::service('bootstrap_purge.asset_manager');
+
+    // Route bundles are rebuilt once the batch finished.
+    $done = $action === 'approve' ? $asset_manager->approvePurge($asset_key, FALSE) : $asset_manager->rejectPurge($asset_key);
+
+    $context['results']['action'] = $action;
+    $context['results'][$done ? 'done' : 'failed'][] = $asset_key;
+    $context['message'] = t('Processed @asset', ['@asset' => $asset_key]);
+  }
+
+  /**
+   * Batch finished callback: reports the result of a bulk action.
+   *
+   * @param bool $success
+   *   Whether the batch completed.
+   * @param array $results
+   *   The results of the operations.
+   * @param array $operations
+   *   The operations that did not run.
+   */
+  public static function finishBatch($success, array $results, array $operations) {
+    $messenger = \Drupal::messenger();
+    $approve = ($results['action'] ?? NULL) === 'approve';
+
+    if ($approve && !empty($results['done'])) {
+      \Drupal::service('bootstrap_purge.asset_manager')->rebuildRouteBundles();
+    }
+
+    if (!empty($results['done'])) {
+      $messenger->addStatus($approve
+        ? \Drupal::translation()->formatPlural(count($results['done']), 'Approved 1 purge.', 'Approved @count purges.')
+        : \Drupal::translation()->formatPlural(count($results['done']), 'Rejected 1 purge.', 'Rejected @count purges.'));
+    }
+
+    if (!empty($results['failed'])) {
+      $args = ['@assets' => implode(', ', $results['failed'])];
+      $messenger->addError($approve
+        ? t('Failed to approve @assets. Their diffs show whether verification found regressions.', $args)
+        : t('Failed to reject @assets.', $args));
+    }
+
+    if (!$success) {
+      $messenger->addError(t('The bulk review stopped before @count assets were processed.', [
+        '@count' => count($operations),
+      ]));
+    }
+  }
+
+}
@@ -0,0 +1,147 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Form;
+
+use Drupal\Core\Form\FormBase;
+use Drupal\Core\Form\FormStateInterface;
+
+/**
+ * Form for filtering the assets table.
+ *
+ * The filters are kept in the query string, so pages and bookmarks keep them.
+ */
+class AssetFilterForm extends FormBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'bootstrap_purge_asset_filter_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   *
+   * @param array $form
+   *   The form structure.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   * @param array $filters
+   *   The filters set.
+   * @param array $extensions
+   *   The themes and modules with analyzed assets.
+   */
+  public function buildForm(array $form, FormStateInterface $form_state, array $filters = [], array $extensions = []) {
+    $form['filters'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Filter assets'),
+      '#open' => TRUE,
+      '#attributes' => ['class' => ['bootstrap-purge-review-filters']],
+    ];
+
+    $form['filters']['status'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Status'),
+      '#options' => [
+        '' => $this->t('- Any -'),
+        'pending' => $this->t('Pending'),
+        'approved' => $this->t('Approved'),
+        'rejected' => $this->t('Rejected'),
+      ],
+      '#default_value' => $filters['status'] ?? '',
+    ];
+
+    $form['filters']['extension'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Theme or module'),
+      '#options' => ['' => $this->t('- Any -')] + array_combine($extensions, $extensions),
+      '#default_value' => $filters['extension'] ?? '',
+    ];
+
+    $form['filters']['confidence_min'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Confidence from (%)'),
+      '#min' => 0,
+      '#max' => 100,
+      '#size' => 5,
+      '#default_value' => $filters['confidence_min'] ?? '',
+    ];
+
+    $form['filters']['confidence_max'] = [
+      '#type' => 'number',
+      '#title' => $this->t('to (%)'),
+      '#min' => 0,
+      '#max' => 100,
+      '#size' => 5,
+      '#default_value' => $filters['confidence_max'] ?? '',
+    ];
+
+    $form['filters']['min_savings'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Saving at least (%)'),
+      '#min' => 0,
+      '#max' => 100,
+      '#step' => 0.1,
+      '#size' => 5,
+      '#default_value' => $filters['min_savings'] ?? '',
+    ];
+
+    $form['filters']['actions'] = [
+      '#type' => 'actions',
+    ];
+
+    $form['filters']['actions']['submit'] = [
+      '#type' => 'submit',
+      '#value' => $this->t('Filter'),
+    ];
+
+    if ($filters) {
+      $form['filters']['actions']['reset'] = [
+        '#type' => 'submit',
+        '#value' => $this->t('Reset'),
+        '#submit' => ['::resetForm'],
+      ];
+    }
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    $min = $form_state->getValue('confidence_min');
+    $max = $form_state->getValue('confidence_max');
+    if ($min !== '' && $max !== '' && $min > $max) {
+      $form_state->setErrorByName('confidence_max', $this->t('The highest confidence must not be below the lowest.'));
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $query = [];
+    foreach (['status', 'extension', 'confidence_min', 'confidence_max', 'min_savings'] as $key) {
+      $value = $form_state->getValue($key);
+      if ($value !== NULL && $value !== '') {
+        $query[$key] = $value;
+      }
+    }
+
+    $form_state->setRedirect('bootstrap_purge.assets', [], ['query' => $query]);
+  }
+
+  /**
+   * Clears the filters.
+   *
+   * @param array $form
+   *   The form structure.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  public function resetForm(array &$form, FormStateInterface $form_state) {
+    $form_state->setRedirect('bootstrap_purge.assets');
+  }
+
+}
@@ -0,0 +1,126 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Form;
+
+use Drupal\Core\Form\FormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\TempStore\PrivateTempStoreFactory;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Form for applying an action to the selected rows of the assets table.
+ *
+ * The selection is kept in the private tempstore for the confirmation form.
+ *
+ * @see \Drupal\bootstrap_purge\Form\AssetBulkConfirmForm
+ */
+class AssetReviewForm extends FormBase {
+
+  /**
+   * The private tempstore of the module.
+   *
+   * @var \Drupal\Core\TempStore\PrivateTempStore
+   */
+  protected $tempStore;
+
+  /**
+   * Constructs an AssetReviewForm object.
+   *
+   * @param \Drupal\Core\TempStore\PrivateTempStoreFactory $temp_store_factory
+   *   The private tempstore factory.
+   */
+  public function __construct(PrivateTempStoreFactory $temp_store_factory) {
+    $this->tempStore = $temp_store_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('tempstore.private')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'bootstrap_purge_asset_review_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   *
+   * @param array $form
+   *   The form structure.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   * @param array $header
+   *   The table header, keyed by column.
+   * @param array $rows
+   *   The table rows, keyed by asset key.
+   */
+  public function buildForm(array $form, FormStateInterface $form_state, array $header = [], array $rows = []) {
+    $form['bulk'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['container-inline', 'bootstrap-purge-review-bulk']],
+    ];
+
+    $form['bulk']['action'] = [
+      '#type' => 'select',
+      '#title' => $this->t('With the selected assets'),
+      '#options' => [
+        'approve' => $this->t('Approve'),
+        'reject' => $this->t('Reject'),
+        'reanalyze' => $this->t('Re-analyze'),
+      ],
+    ];
+
+    $form['bulk']['submit'] = [
+      '#type' => 'submit',
+      '#value' => $this->t('Apply'),
+    ];
+
+    $form['assets'] = [
+      '#type' => 'tableselect',
+      '#header' => $header,
+      '#options' => $rows,
+      '#empty' => $this->t('No assets match the filters.'),
+      '#attributes' => ['class' => ['bootstrap-purge-review-table']],
+    ];
+
+    $form['shortcuts'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'p',
+      '#attributes' => ['class' => ['description', 'bootstrap-purge-review-shortcuts']],
+      '#value' => $this->t('Keyboard: <kbd>j</kbd>/<kbd>k</kbd> next/previous pending candidate, <kbd>x</kbd> select, <kbd>d</kbd> diff, <kbd>a</kbd> approve, <kbd>r</kbd> reject, <kbd>?</kbd> toggle this help.'),
+    ];
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    if (!array_filter($form_state->getValue('assets') ?: [])) {
+      $form_state->setErrorByName('assets', $this->t('Select at least one asset.'));
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $this->tempStore->set('bulk_review', [
+      'action' => $form_state->getValue('action'),
+      'assets' => array_values(array_filter($form_state->getValue('assets'))),
+    ]);
+
+    $form_state->setRedirect('bootstrap_purge.assets_bulk', [], [
+      'query' => $this->getRequest()->query->all(),
+    ]);
+  }
+
+}
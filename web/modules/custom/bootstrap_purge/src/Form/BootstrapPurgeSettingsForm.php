@@ -2,6 +2,7 @@
 
 namespace Drupal\bootstrap_purge\Form;
 
+use Drupal\Core\Cache\Cache;
 use Drupal\Core\Form\ConfigFormBase;
 use Drupal\Core\Form\FormStateInterface;
 
@@ -87,6 +88,45 @@ class BootstrapPurgeSettingsForm extends ConfigFormBase {
       ],
     ];
 
+    $content_markup = $config->get('content_markup') ?: [];
+
+    $form['analysis']['content_markup'] = [
+      '#type' => 'fieldset',
+      '#title' => $this->t('Database Content'),
+      '#tree' => TRUE,
+    ];
+
+    $form['analysis']['content_markup']['enabled'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Include markup stored in the database'),
+      '#description' => $this->t('Keep classes, tags and IDs used in formatted text fields, such as node and custom block bodies, in menu link attributes and in CKEditor styles and templates.'),
+      '#default_value' => !empty($content_markup['enabled']),
+    ];
+
+    $form['analysis']['content_markup']['include_revisions'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Include past revisions'),
+      '#description' => $this->t('Also read revisions, so reverting content does not bring back markup whose styles were purged.'),
+      '#default_value' => !empty($content_markup['include_revisions']),
+      '#states' => [
+        'visible' => [
+          ':input[name="content_markup[enabled]"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
+    $form['analysis']['verification_mode'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Purge Verification'),
+      '#description' => $this->t('Before a CSS purge is approved, compare the computed styles of every element in the snapshots of the last static analysis with the original and the purged stylesheet. Requires Node.js and the module\'s npm dependencies.'),
+      '#options' => [
+        'off' => $this->t('Off'),
+        'warn' => $this->t('Warn when styles change'),
+        'refuse' => $this->t('Refuse approval when styles change'),
+      ],
+      '#default_value' => $config->get('verification_mode') ?: 'warn',
+    ];
+
     $form['analysis']['confidence_threshold'] = [
       '#type' => 'number',
       '#title' => $this->t('Confidence Threshold'),
@@ -101,6 +141,110 @@ class BootstrapPurgeSettingsForm extends ConfigFormBase {
       ],
     ];
 
+    $crawl = $config->get('crawl') ?: [];
+    $entity_type_manager = \Drupal::entityTypeManager();
+    $role_options = array_map(function ($role) {
+      return $role->label();
+    }, $entity_type_manager->getStorage('user_role')->loadMultiple());
+    $menu_options = array_map(function ($menu) {
+      return $menu->label();
+    }, $entity_type_manager->getStorage('menu')->loadMultiple());
+    $entity_type_options = [];
+    foreach ($entity_type_manager->getDefinitions() as $entity_type_id => $entity_type) {
+      if ($entity_type->entityClassImplements('\Drupal\Core\Entity\ContentEntityInterface') && $entity_type->hasLinkTemplate('canonical')) {
+        $entity_type_options[$entity_type_id] = $entity_type->getLabel();
+      }
+    }
+
+    $form['crawl'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Snapshot Crawl'),
+      '#description' => $this->t('Snapshot more pages than the routes above for static analysis: menu links, routes without parameters and a sample of entities of each bundle, rendered as each selected role. Pages are rendered by this site itself, without network requests.'),
+      '#open' => FALSE,
+      '#tree' => TRUE,
+    ];
+
+    $form['crawl']['enabled'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Crawl beyond the snapshot routes'),
+      '#default_value' => !empty($crawl['enabled']),
+    ];
+
+    $crawl_visible = [
+      'visible' => [
+        ':input[name="crawl[enabled]"]' => ['checked' => TRUE],
+      ],
+    ];
+
+    $form['crawl']['roles'] = [
+      '#type' => 'checkboxes',
+      '#title' => $this->t('Roles'),
+      '#description' => $this->t('Each page is rendered once per role. A role is rendered as the active user with the lowest ID holding it, other than user 1, with the permissions of that role only; roles no user holds are skipped.'),
+      '#options' => $role_options,
+      '#default_value' => $crawl['roles'] ?? ['anonymous'],
+      '#states' => $crawl_visible,
+    ];
+
+    $form['crawl']['menus'] = [
+      '#type' => 'checkboxes',
+      '#title' => $this->t('Menus'),
+      '#options' => $menu_options,
+      '#default_value' => $crawl['menus'] ?? [],
+      '#states' => $crawl_visible,
+    ];
+
+    $form['crawl']['menu_depth'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Menu Depth'),
+      '#description' => $this->t('Number of menu levels followed. Use 0 for all.'),
+      '#default_value' => $crawl['menu_depth'] ?? 2,
+      '#min' => 0,
+      '#states' => $crawl_visible,
+    ];
+
+    $form['crawl']['entity_types'] = [
+      '#type' => 'checkboxes',
+      '#title' => $this->t('Sampled Entity Types'),
+      '#options' => $entity_type_options,
+      '#default_value' => $crawl['entity_types'] ?? [],
+      '#states' => $crawl_visible,
+    ];
+
+    $form['crawl']['entity_samples'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Entities per Bundle'),
+      '#description' => $this->t('Number of the newest published entities of each bundle whose pages are crawled. Use 0 to sample none.'),
+      '#default_value' => $crawl['entity_samples'] ?? 1,
+      '#min' => 0,
+      '#states' => $crawl_visible,
+    ];
+
+    $form['crawl']['discover_routes'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Crawl routes without parameters'),
+      '#description' => $this->t('Also crawl every route that takes no parameters and answers GET requests, like a sitemap. Routes protected by a CSRF token are left out.'),
+      '#default_value' => !empty($crawl['discover_routes']),
+      '#states' => $crawl_visible,
+    ];
+
+    $form['crawl']['max_pages'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Page Limit'),
+      '#description' => $this->t('Maximum number of pages crawled per role, snapshot routes included. Use 0 for no limit.'),
+      '#default_value' => $crawl['max_pages'] ?? 100,
+      '#min' => 0,
+      '#states' => $crawl_visible,
+    ];
+
+    $form['crawl']['exclude_routes'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Excluded Routes'),
+      '#description' => $this->t('Route names never crawled, one per line. "*" matches anything. Exclude routes that change data or reach out to other sites when requested.'),
+      '#default_value' => implode("\n", $crawl['exclude_routes'] ?? []),
+      '#rows' => 4,
+      '#states' => $crawl_visible,
+    ];
+
     $form['runtime'] = [
       '#type' => 'details',
       '#title' => $this->t('Runtime Collection'),
@@ -117,7 +261,7 @@ class BootstrapPurgeSettingsForm extends ConfigFormBase {
     $form['runtime']['runtime_sample_rate'] = [
       '#type' => 'number',
       '#title' => $this->t('Sample Rate (%)'),
-      '#description' => $this->t('Percentage of users to include in runtime data collection.'),
+      '#description' => $this->t('Percentage of browser sessions to include in runtime data collection. The sample is drawn in the browser.'),
       '#default_value' => $config->get('runtime_sample_rate'),
       '#min' => 1,
       '#max' => 100,
@@ -128,6 +272,43 @@ class BootstrapPurgeSettingsForm extends ConfigFormBase {
       ],
     ];
 
+    $form['runtime']['runtime_respect_dnt'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Respect Do-Not-Track'),
+      '#description' => $this->t('Do not collect runtime data from browsers that send a Do-Not-Track signal.'),
+      '#default_value' => $config->get('runtime_respect_dnt'),
+      '#states' => [
+        'visible' => [
+          ':input[name="runtime_collection_enabled"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
+    $form['runtime']['runtime_consent_cookie'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Consent Cookie'),
+      '#description' => $this->t('Only collect runtime data when this cookie is set to a value other than "0" or "false". Leave empty to collect without consent.'),
+      '#default_value' => $config->get('runtime_consent_cookie'),
+      '#states' => [
+        'visible' => [
+          ':input[name="runtime_collection_enabled"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
+    $form['runtime']['runtime_rate_limit'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Rate Limit'),
+      '#description' => $this->t('Maximum runtime data requests accepted per browser session and hour. Each anonymized IP address may send ten times as many.'),
+      '#default_value' => $config->get('runtime_rate_limit') ?: 60,
+      '#min' => 1,
+      '#states' => [
+        'visible' => [
+          ':input[name="runtime_collection_enabled"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
     $form['automation'] = [
       '#type' => 'details',
       '#title' => $this->t('Automation'),
@@ -183,7 +364,7 @@ class BootstrapPurgeSettingsForm extends ConfigFormBase {
     $form['tools']['purgecss_path'] = [
       '#type' => 'textfield',
       '#title' => $this->t('PurgeCSS Path'),
-      '#description' => $this->t('Path to PurgeCSS executable. Leave empty to use PHP-based purging.'),
+      '#description' => $this->t('Path to PurgeCSS executable, used to check that PurgeCSS is installed. Purging then runs through the module\'s scripts/purge-runner.js. Leave empty to use PHP-based purging.'),
       '#default_value' => $config->get('purgecss_path'),
     ];
 
@@ -216,6 +397,151 @@ class BootstrapPurgeSettingsForm extends ConfigFormBase {
       '#rows' => 15,
     ];
 
+    $purgecss = $config->get('purgecss') ?: [];
+
+    $form['purgecss'] = [
+      '#type' => 'details',
+      '#title' => $this->t('PurgeCSS Options'),
+      '#description' => $this->t('Whitelist patterns are passed to PurgeCSS as its safelist. Patterns here match class names, IDs and attribute names without their ".", "#" or "[" prefix and support regex patterns enclosed in forward slashes.'),
+      '#open' => FALSE,
+      '#tree' => TRUE,
+    ];
+
+    $form['purgecss']['safelist_deep'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Deep Safelist'),
+      '#description' => $this->t('Keep selectors that match, and the selectors of their children (one per line).'),
+      '#default_value' => implode("\n", $purgecss['safelist_deep'] ?? []),
+      '#rows' => 4,
+    ];
+
+    $form['purgecss']['safelist_greedy'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Greedy Safelist'),
+      '#description' => $this->t('Keep any selector that contains a match (one per line).'),
+      '#default_value' => implode("\n", $purgecss['safelist_greedy'] ?? []),
+      '#rows' => 4,
+    ];
+
+    $form['purgecss']['blocklist'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Blocklist'),
+      '#description' => $this->t('Remove selectors that match, even when they are found in content (one per line).'),
+      '#default_value' => implode("\n", $purgecss['blocklist'] ?? []),
+      '#rows' => 4,
+    ];
+
+    $form['purgecss']['keyframes'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Remove unused keyframes'),
+      '#default_value' => !empty($purgecss['keyframes']),
+    ];
+
+    $form['purgecss']['font_face'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Remove unused font faces'),
+      '#default_value' => !empty($purgecss['font_face']),
+    ];
+
+    $form['purgecss']['variables'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Remove unused CSS variables'),
+      '#default_value' => !empty($purgecss['variables']),
+    ];
+
+    $route_bundles = $config->get('route_bundles') ?: [];
+    $route_groups = [];
+    foreach ($route_bundles['groups'] ?? [] as $group) {
+      $route_groups[] = $group['name'] . ': ' . implode(', ', $group['routes']);
+    }
+
+    $form['route_bundles'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Route Bundles'),
+      '#description' => $this->t('Purge approved stylesheets once more per group of routes, against the snapshots of those routes only, and write critical CSS for each snapshot route. Bundles are rebuilt after each analysis and approval.'),
+      '#open' => FALSE,
+      '#tree' => TRUE,
+    ];
+
+    $form['route_bundles']['enabled'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Serve route group bundles'),
+      '#description' => $this->t('On routes of a group, the group bundle replaces the stylesheets it was purged from.'),
+      '#default_value' => !empty($route_bundles['enabled']),
+    ];
+
+    $form['route_bundles']['groups'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Route Groups'),
+      '#description' => $this->t('One group per line as "name: route, route". Route names may use "*" as a wildcard, and "&lt;front&gt;" matches the front page. A route belongs to the first group it matches; routes in no group keep the site-wide purge. Groups are built only from routes with a snapshot.'),
+      '#default_value' => implode("\n", $route_groups),
+      '#rows' => 4,
+    ];
+
+    $form['route_bundles']['critical_css'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Inline critical CSS'),
+      '#description' => $this->t('Add the CSS of the start of the page to the head of each snapshot route.'),
+      '#default_value' => !empty($route_bundles['critical_css']),
+    ];
+
+    $form['route_bundles']['critical_elements'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Above-the-fold Elements'),
+      '#description' => $this->t('Number of elements, in document order, whose styles make up the critical CSS.'),
+      '#default_value' => $route_bundles['critical_elements'] ?? 150,
+      '#min' => 1,
+      '#states' => [
+        'visible' => [
+          ':input[name="route_bundles[critical_css]"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
+    $canary = $config->get('canary') ?: [];
+
+    $form['canary'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Canary Rollout'),
+      '#description' => $this->t('Serve newly approved stylesheet purges to a share of browser sessions first. Those sessions report classes that the original stylesheet styles and the purged one does not; a canary is promoted to every visitor from the assets page.'),
+      '#open' => FALSE,
+      '#tree' => TRUE,
+    ];
+
+    $form['canary']['enabled'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Roll out approved purges to canary sessions first'),
+      '#description' => $this->t('The canary stylesheet is swapped in the browser, so it is left out of CSS aggregation while the rollout lasts.'),
+      '#default_value' => !empty($canary['enabled']),
+    ];
+
+    $form['canary']['percentage'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Canary Sessions (%)'),
+      '#description' => $this->t('Percentage of browser sessions served the purged stylesheet. The share is drawn in the browser.'),
+      '#default_value' => $canary['percentage'] ?? 10,
+      '#min' => 1,
+      '#max' => 100,
+      '#states' => [
+        'visible' => [
+          ':input[name="canary[enabled]"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
+    $form['canary']['rollback_threshold'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Rollback Threshold'),
+      '#description' => $this->t('Number of visitors reporting missing styles, counted by anonymized IP address, after which a canary is rolled back to the pending candidates. Use 0 to only roll back by hand.'),
+      '#default_value' => $canary['rollback_threshold'] ?? 5,
+      '#min' => 0,
+      '#states' => [
+        'visible' => [
+          ':input[name="canary[enabled]"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
     $form['actions']['test_tools'] = [
       '#type' => 'submit',
       '#value' => $this->t('Test External Tools'),
@@ -247,6 +573,19 @@ class BootstrapPurgeSettingsForm extends ConfigFormBase {
       $form_state->setErrorByName('confidence_threshold', $this->t('Confidence threshold must be between 0 and 100.'));
     }
 
+    // Validate route groups
+    foreach (array_filter(array_map('trim', explode("\n", $form_state->getValue(['route_bundles', 'groups'])))) as $line) {
+      if (!preg_match('/^[a-z0-9_]+\s*:\s*\S/', $line)) {
+        $form_state->setErrorByName('route_bundles][groups', $this->t('Route group "@line" must be a machine name followed by a colon and route names.', ['@line' => $line]));
+      }
+    }
+
+    // Validate canary percentage
+    $percentage = $form_state->getValue(['canary', 'percentage']);
+    if ($percentage < 1 || $percentage > 100) {
+      $form_state->setErrorByName('canary][percentage', $this->t('Canary percentage must be between 1 and 100.'));
+    }
+
     // Validate sample rate
     $sample_rate = $form_state->getValue('runtime_sample_rate');
     if ($sample_rate < 1 || $sample_rate > 100) {
@@ -260,26 +599,81 @@ class BootstrapPurgeSettingsForm extends ConfigFormBase {
   public function submitForm(array &$form, FormStateInterface $form_state) {
     $config = $this->config('bootstrap_purge.settings');
 
+    // Tracked stylesheets are kept out of aggregates while runtime data is
+    // collected, see bootstrap_purge_css_alter().
+    $collecting = $config->get('enabled') && $config->get('runtime_collection_enabled');
+    if ($collecting !== ($form_state->getValue('enabled') && $form_state->getValue('runtime_collection_enabled'))) {
+      Cache::invalidateTags(['library_info']);
+    }
+
     // Process array fields
     $snapshot_routes = array_filter(array_map('trim', explode("\n", $form_state->getValue('snapshot_routes'))));
     $whitelist_patterns = array_filter(array_map('trim', explode("\n", $form_state->getValue('whitelist_patterns'))));
     $bootstrap_whitelist = array_filter(array_map('trim', explode("\n", $form_state->getValue('bootstrap_whitelist'))));
+    $purgecss = $form_state->getValue('purgecss');
+    foreach (['safelist_deep', 'safelist_greedy', 'blocklist'] as $key) {
+      $purgecss[$key] = array_values(array_filter(array_map('trim', explode("\n", $purgecss[$key]))));
+    }
+    foreach (['keyframes', 'font_face', 'variables'] as $key) {
+      $purgecss[$key] = (bool) $purgecss[$key];
+    }
+    $crawl = $form_state->getValue('crawl');
+    $route_bundles = $form_state->getValue('route_bundles');
+    $route_groups = [];
+    foreach (array_filter(array_map('trim', explode("\n", $route_bundles['groups']))) as $line) {
+      [$name, $routes] = array_map('trim', explode(':', $line, 2));
+      $route_groups[] = [
+        'name' => $name,
+        'routes' => array_values(array_filter(array_map('trim', explode(',', $routes)))),
+      ];
+    }
 
     $config
       ->set('enabled', $form_state->getValue('enabled'))
       ->set('auto_apply', $form_state->getValue('auto_apply'))
       ->set('analysis_mode', $form_state->getValue('analysis_mode'))
       ->set('snapshot_routes', $snapshot_routes)
+      ->set('content_markup', [
+        'enabled' => (bool) $form_state->getValue(['content_markup', 'enabled']),
+        'include_revisions' => (bool) $form_state->getValue(['content_markup', 'include_revisions']),
+      ])
       ->set('runtime_collection_enabled', $form_state->getValue('runtime_collection_enabled'))
       ->set('runtime_sample_rate', $form_state->getValue('runtime_sample_rate'))
+      ->set('runtime_respect_dnt', (bool) $form_state->getValue('runtime_respect_dnt'))
+      ->set('runtime_consent_cookie', trim($form_state->getValue('runtime_consent_cookie')))
+      ->set('runtime_rate_limit', (int) $form_state->getValue('runtime_rate_limit'))
       ->set('auto_analyze_cron', $form_state->getValue('auto_analyze_cron'))
       ->set('cron_interval', $form_state->getValue('cron_interval'))
       ->set('confidence_threshold', $form_state->getValue('confidence_threshold'))
+      ->set('verification_mode', $form_state->getValue('verification_mode'))
       ->set('storage_path', $form_state->getValue('storage_path'))
       ->set('purgecss_path', $form_state->getValue('purgecss_path'))
       ->set('node_path', $form_state->getValue('node_path'))
       ->set('whitelist_patterns', $whitelist_patterns)
       ->set('bootstrap_whitelist', $bootstrap_whitelist)
+      ->set('purgecss', $purgecss)
+      ->set('route_bundles', [
+        'enabled' => (bool) $route_bundles['enabled'],
+        'critical_css' => (bool) $route_bundles['critical_css'],
+        'critical_elements' => (int) $route_bundles['critical_elements'],
+        'groups' => $route_groups,
+      ])
+      ->set('crawl', [
+        'enabled' => (bool) $crawl['enabled'],
+        'roles' => array_values(array_filter($crawl['roles'])),
+        'menus' => array_values(array_filter($crawl['menus'])),
+        'menu_depth' => (int) $crawl['menu_depth'],
+        'discover_routes' => (bool) $crawl['discover_routes'],
+        'entity_types' => array_values(array_filter($crawl['entity_types'])),
+        'entity_samples' => (int) $crawl['entity_samples'],
+        'max_pages' => (int) $crawl['max_pages'],
+        'exclude_routes' => array_values(array_filter(array_map('trim', explode("\n", $crawl['exclude_routes'])))),
+      ])
+      ->set('canary', [
+        'enabled' => (bool) $form_state->getValue(['canary', 'enabled']),
+        'percentage' => (int) $form_state->getValue(['canary', 'percentage']),
+        'rollback_threshold' => (int) $form_state->getValue(['canary', 'rollback_threshold']),
+      ])
       ->save();
 
     parent::submitForm($form, $form_state);
@@ -0,0 +1,137 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Form;
+
+use Drupal\Core\Form\FormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\bootstrap_purge\Service\CoverageImporter;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Form for importing DevTools or Puppeteer CSS coverage files.
+ */
+class CoverageImportForm extends FormBase {
+
+  /**
+   * The coverage importer service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\CoverageImporter
+   */
+  protected $coverageImporter;
+
+  /**
+   * Constructs a CoverageImportForm object.
+   *
+   * @param \Drupal\bootstrap_purge\Service\CoverageImporter $coverage_importer
+   *   The coverage importer service.
+   */
+  public function __construct(CoverageImporter $coverage_importer) {
+    $this->coverageImporter = $coverage_importer;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('bootstrap_purge.coverage_importer')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'bootstrap_purge_coverage_import_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state) {
+    $form['coverage'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Import CSS Coverage'),
+      '#description' => $this->t('Upload a CSS coverage JSON file exported from Chrome DevTools or recorded with Puppeteer. Used rules are stored as runtime data and take part in runtime and combined analysis.'),
+      '#open' => FALSE,
+    ];
+
+    $form['coverage']['coverage_file'] = [
+      '#type' => 'file',
+      '#title' => $this->t('Coverage file'),
+      '#description' => $this->t('Allowed extension: json.'),
+    ];
+
+    $form['coverage']['route'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Route'),
+      '#description' => $this->t('Route name the coverage was recorded on, such as entity.node.canonical. Leave empty if the file covers several pages.'),
+    ];
+
+    $form['coverage']['actions'] = [
+      '#type' => 'actions',
+    ];
+
+    $form['coverage']['actions']['submit'] = [
+      '#type' => 'submit',
+      '#value' => $this->t('Import Coverage'),
+    ];
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    $files = $this->getRequest()->files->get('files', []);
+    $file = $files['coverage_file'] ?? NULL;
+
+    if (!$file || !$file->isValid()) {
+      $form_state->setErrorByName('coverage_file', $this->t('Please upload a coverage file.'));
+      return;
+    }
+
+    if (strtolower($file->getClientOriginalExtension()) !== 'json') {
+      $form_state->setErrorByName('coverage_file', $this->t('The coverage file must be a JSON file.'));
+      return;
+    }
+
+    $form_state->set('coverage_path', $file->getRealPath());
+    $form_state->set('coverage_name', $file->getClientOriginalName());
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $route = trim($form_state->getValue('route')) ?: '<coverage>';
+
+    try {
+      $summary = $this->coverageImporter->import(
+        file_get_contents($form_state->get('coverage_path')),
+        $route,
+        $form_state->get('coverage_name')
+      );
+    } catch (\InvalidArgumentException $e) {
+      $this->messenger()->addError($e->getMessage());
+      return;
+    }
+
+    if (empty($summary['assets'])) {
+      $this->messenger()->addWarning($this->t('The coverage file does not cover any collected CSS asset.'));
+    }
+    foreach ($summary['assets'] as $asset_key => $count) {
+      $this->messenger()->addStatus($this->t('@asset: @count used rules imported.', [
+        '@asset' => $asset_key,
+        '@count' => $count,
+      ]));
+    }
+    if (!empty($summary['skipped'])) {
+      $this->messenger()->addWarning($this->t('Skipped stylesheets that are not collected assets, such as aggregated files: @urls', [
+        '@urls' => implode(', ', $summary['skipped']),
+      ]));
+    }
+  }
+
+}
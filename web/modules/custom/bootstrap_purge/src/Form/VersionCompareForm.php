@@ -0,0 +1,89 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Form;
+
+use Drupal\Core\Form\FormBase;
+use Drupal\Core\Form\FormStateInterface;
+
+/**
+ * Form for choosing two versions of a purge to compare.
+ */
+class VersionCompareForm extends FormBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'bootstrap_purge_version_compare_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   *
+   * @param array $form
+   *   The form structure.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   * @param string $asset_id
+   *   Base64 encoded asset key.
+   * @param array $versions
+   *   The version numbers, newest first.
+   */
+  public function buildForm(array $form, FormStateInterface $form_state, $asset_id = NULL, array $versions = []) {
+    $options = array_combine($versions, array_map(function ($version) {
+      return $this->t('Version @version', ['@version' => $version]);
+    }, $versions));
+
+    $form['asset_id'] = [
+      '#type' => 'value',
+      '#value' => $asset_id,
+    ];
+
+    $form['compare'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['container-inline']],
+    ];
+
+    $form['compare']['from'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Compare'),
+      '#options' => $options,
+      '#default_value' => $versions[1] ?? $versions[0],
+    ];
+
+    $form['compare']['to'] = [
+      '#type' => 'select',
+      '#title' => $this->t('with'),
+      '#options' => $options,
+      '#default_value' => $versions[0],
+    ];
+
+    $form['compare']['submit'] = [
+      '#type' => 'submit',
+      '#value' => $this->t('Compare'),
+    ];
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    if ($form_state->getValue('from') === $form_state->getValue('to')) {
+      $form_state->setErrorByName('to', $this->t('Choose two different versions.'));
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $form_state->setRedirect('bootstrap_purge.version_diff', [
+      'asset_id' => $form_state->getValue('asset_id'),
+      'from' => $form_state->getValue('from'),
+      'to' => $form_state->getValue('to'),
+    ]);
+  }
+
+}
@@ -4,6 +4,8 @@ namespace Drupal\bootstrap_purge\Form;
 
 use Drupal\Core\Form\ConfigFormBase;
 use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Render\Element;
+use Drupal\Core\Url;
 use Drupal\bootstrap_purge\Service\WhitelistManager;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
@@ -119,6 +121,20 @@ class WhitelistForm extends ConfigFormBase {
       '#rows' => 8,
     ];
 
+    $form['restored_selectors'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Restored Selectors'),
+      '#open' => !empty($config->get('restored_selectors')),
+    ];
+
+    $form['restored_selectors']['restored_selectors_list'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Restored Selectors'),
+      '#description' => $this->t('Selectors kept from the asset diff view, matched exactly as written (one per line). Remove a line to let the selector be purged again.'),
+      '#default_value' => implode("\n", $config->get('restored_selectors') ?: []),
+      '#rows' => 6,
+    ];
+
     $form['js_patterns'] = [
       '#type' => 'details',
       '#title' => $this->t('JavaScript Function Patterns'),
@@ -155,6 +171,34 @@ class WhitelistForm extends ConfigFormBase {
       }
     }
 
+    $form['live_tester'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Live Pattern Tester'),
+      '#open' => TRUE,
+      '#attributes' => ['class' => ['bootstrap-purge-pattern-tester']],
+      '#attached' => [
+        'library' => ['bootstrap_purge/whitelist_tester'],
+        'drupalSettings' => [
+          'bootstrapPurgeWhitelistTester' => [
+            'indexUrl' => Url::fromRoute('bootstrap_purge.whitelist_rule_index')->toString(),
+          ],
+        ],
+      ],
+    ];
+
+    $form['live_tester']['tester_pattern'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Pattern'),
+      '#description' => $this->t('Shows, as you type, the selectors of the Bootstrap stylesheets the pattern matches and how many bytes it keeps.'),
+      '#placeholder' => '/^\.btn-outline-/',
+      '#attributes' => ['class' => ['pattern-tester-input'], 'autocomplete' => 'off'],
+    ];
+
+    $form['live_tester']['tester_results'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['pattern-tester-results'], 'aria-live' => 'polite'],
+    ];
+
     $form['test_section'] = [
       '#type' => 'details',
       '#title' => $this->t('Test Patterns'),
@@ -196,6 +240,25 @@ class WhitelistForm extends ConfigFormBase {
     return parent::buildForm($form, $form_state);
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    $fields = array_merge(['global_patterns_list', 'selector_patterns_list'], Element::children($form['theme_patterns']));
+
+    foreach ($fields as $field) {
+      $patterns = array_filter(array_map('trim', explode("\n", (string) $form_state->getValue($field))));
+      foreach ($patterns as $pattern) {
+        // Regex patterns are passed to preg_match() as they are.
+        if (preg_match('/^\/.*\/$/', $pattern) && @preg_match($pattern, '') === FALSE) {
+          $form_state->setErrorByName($field, $this->t('%pattern is not a valid regular expression.', ['%pattern' => $pattern]));
+        }
+      }
+    }
+
+    parent::validateForm($form, $form_state);
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -210,6 +273,10 @@ class WhitelistForm extends ConfigFormBase {
     $selector_patterns = array_filter(array_map('trim', explode("\n", $form_state->getValue('selector_patterns_list'))));
     $config->set('selector_patterns', $selector_patterns);
 
+    // Process restored selectors
+    $restored_selectors = array_filter(array_map('trim', explode("\n", $form_state->getValue('restored_selectors_list'))));
+    $config->set('restored_selectors', array_values($restored_selectors));
+
     // Process JS function patterns
     $js_patterns = array_filter(array_map('trim', explode("\n", $form_state->getValue('js_function_patterns'))));
     $config->set('js_function_patterns', $js_patterns);
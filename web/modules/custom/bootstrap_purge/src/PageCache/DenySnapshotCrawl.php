@@ -0,0 +1,26 @@
+<?php
+
+namespace Drupal\bootstrap_purge\PageCache;
+
+use Drupal\Core\PageCache\RequestPolicyInterface;
+use Drupal\bootstrap_purge\Service\SnapshotCrawler;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Page cache policy keeping snapshot crawl requests away from the page cache.
+ *
+ * Crawl requests carry no session cookie, so the page cache would otherwise
+ * answer pages rendered for a role with the anonymous copy.
+ */
+class DenySnapshotCrawl implements RequestPolicyInterface {
+
+  /**
+   * {@inheritdoc}
+   */
+  public function check(Request $request) {
+    if ($request->attributes->get(SnapshotCrawler::REQUEST_ATTRIBUTE)) {
+      return static::DENY;
+    }
+  }
+
+}
@@ -0,0 +1,69 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Plugin\QueueWorker;
+
+use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
+use Drupal\Core\Queue\DelayedRequeueException;
+use Drupal\Core\Queue\QueueWorkerBase;
+use Drupal\bootstrap_purge\Service\AnalysisRunner;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Processes analysis runs the request that queued them did not finish.
+ *
+ * @QueueWorker(
+ *   id = "bootstrap_purge_analysis",
+ *   title = @Translation("Bootstrap Purge analysis"),
+ *   cron = {"time" = 240}
+ * )
+ */
+class AnalysisQueueWorker extends QueueWorkerBase implements ContainerFactoryPluginInterface {
+
+  /**
+   * The analysis runner service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AnalysisRunner
+   */
+  protected $analysisRunner;
+
+  /**
+   * Constructs an AnalysisQueueWorker object.
+   *
+   * @param array $configuration
+   *   A configuration array containing information about the plugin instance.
+   * @param string $plugin_id
+   *   The plugin ID for the plugin instance.
+   * @param mixed $plugin_definition
+   *   The plugin implementation definition.
+   * @param \Drupal\bootstrap_purge\Service\AnalysisRunner $analysis_runner
+   *   The analysis runner service.
+   */
+  public function __construct(array $configuration, $plugin_id, $plugin_definition, AnalysisRunner $analysis_runner) {
+    parent::__construct($configuration, $plugin_id, $plugin_definition);
+    $this->analysisRunner = $analysis_runner;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container, array $configuration, $plugin_id, $plugin_definition) {
+    return new static(
+      $configuration,
+      $plugin_id,
+      $plugin_definition,
+      $container->get('bootstrap_purge.analysis_runner')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processItem($data) {
+    // The request processing the run outlived the lease of the item; the
+    // item is kept in case that request dies.
+    if (!$this->analysisRunner->process($data)) {
+      throw new DelayedRequeueException(AnalysisRunner::STALE_AFTER);
+    }
+  }
+
+}
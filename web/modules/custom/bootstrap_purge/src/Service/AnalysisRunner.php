@@ -0,0 +1,374 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Component\Utility\Environment;
+use Drupal\Core\DestructableInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Queue\QueueFactory;
+use Drupal\Core\State\StateInterface;
+
+/**
+ * Service for running analyses in the background and tracking their progress.
+ *
+ * A run is queued and processed once the response of the request that
+ * started it was sent, or by cron if that request could not finish it. Its
+ * progress is kept in state for the admin UI to poll.
+ *
+ * The queue item of a run is only deleted once the run was processed, so
+ * when the request processing it dies, the queue hands the item out again
+ * after its lease expired and the run starts over.
+ */
+class AnalysisRunner implements DestructableInterface {
+
+  /**
+   * The queue analysis runs are processed from.
+   */
+  const QUEUE = 'bootstrap_purge_analysis';
+
+  /**
+   * Seconds without progress after which a run is considered dead.
+   *
+   * Also the lease of its queue item.
+   */
+  const STALE_AFTER = 900;
+
+  /**
+   * Times a run is started before it is given up.
+   */
+  const MAX_ATTEMPTS = 3;
+
+  /**
+   * Errors kept with a run, oldest first.
+   */
+  const MAX_ERRORS = 50;
+
+  /**
+   * The asset manager service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetManager
+   */
+  protected $assetManager;
+
+  /**
+   * The asset analyzer service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetAnalyzer
+   */
+  protected $assetAnalyzer;
+
+  /**
+   * The state service.
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The queue factory.
+   *
+   * @var \Drupal\Core\Queue\QueueFactory
+   */
+  protected $queueFactory;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * Whether a run was queued during this request.
+   *
+   * @var bool
+   */
+  protected $queued = FALSE;
+
+  /**
+   * Constructs an AnalysisRunner object.
+   *
+   * @param \Drupal\bootstrap_purge\Service\AssetManager $asset_manager
+   *   The asset manager service.
+   * @param \Drupal\bootstrap_purge\Service\AssetAnalyzer $asset_analyzer
+   *   The asset analyzer service.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state service.
+   * @param \Drupal\Core\Queue\QueueFactory $queue_factory
+   *   The queue factory.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(
+    AssetManager $asset_manager,
+    AssetAnalyzer $asset_analyzer,
+    StateInterface $state,
+    QueueFactory $queue_factory,
+    LoggerChannelFactoryInterface $logger_factory
+  ) {
+    $this->assetManager = $asset_manager;
+    $this->assetAnalyzer = $asset_analyzer;
+    $this->state = $state;
+    $this->queueFactory = $queue_factory;
+    $this->logger = $logger_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * Queues an analysis run.
+   *
+   * @param array $options
+   *   Analysis options.
+   *
+   * @return array|null
+   *   The run, or NULL if another run is queued or running.
+   */
+  public function queue(array $options = []) {
+    if ($this->isActive()) {
+      return NULL;
+    }
+
+    $run = [
+      'id' => bin2hex(random_bytes(8)),
+      'status' => 'queued',
+      'options' => $options,
+      'queued' => time(),
+      'started' => NULL,
+      'finished' => NULL,
+      'updated' => time(),
+      'phase' => NULL,
+      'route' => NULL,
+      'routes' => [],
+      'asset' => NULL,
+      'assets' => [],
+      'errors' => [],
+      'candidates' => NULL,
+      'attempts' => 0,
+    ];
+    $this->state->set('bootstrap_purge.analysis_run', $run);
+    $this->queueFactory->get(self::QUEUE)->createItem(['run' => $run['id']]);
+    $this->queued = TRUE;
+
+    return $run;
+  }
+
+  /**
+   * Gets the current or last analysis run.
+   *
+   * @return array|null
+   *   The run, with the 'status' queued, running, completed or failed, and
+   *   the 'routes' snapshotted and 'assets' analyzed so far, each keyed by
+   *   name with the status pending, active, done or failed; or NULL if no
+   *   run was queued yet.
+   */
+  public function getRun() {
+    $run = $this->state->get('bootstrap_purge.analysis_run');
+
+    // A run whose process died is started again from its queue item, unless
+    // the item is gone or the run keeps dying; it is never finished
+    // otherwise. A queued run waits for cron as long as its item is there.
+    if ($run && in_array($run['status'], ['queued', 'running'], TRUE) && $run['updated'] < time() - self::STALE_AFTER) {
+      $queued = $this->queueFactory->get(self::QUEUE)->numberOfItems() > 0;
+      if ($run['status'] === 'queued' && $queued) {
+        return $run;
+      }
+
+      if ($run['status'] === 'running' && $queued && ($run['attempts'] ?? 1) < self::MAX_ATTEMPTS) {
+        $run = [
+          'status' => 'queued',
+          'phase' => NULL,
+          'route' => NULL,
+          'routes' => [],
+          'asset' => NULL,
+          'assets' => [],
+        ] + $run;
+        $run['errors'][] = ['message' => 'The run stopped making progress and is queued again.'];
+      } else {
+        $run['status'] = 'failed';
+        $run['finished'] = time();
+        $run['errors'][] = ['message' => 'The run stopped making progress.'];
+      }
+      $run['errors'] = array_slice($run['errors'], 0, self::MAX_ERRORS);
+      $run['updated'] = time();
+      $this->state->set('bootstrap_purge.analysis_run', $run);
+    }
+
+    return $run;
+  }
+
+  /**
+   * Checks whether a run is queued or running.
+   *
+   * @return bool
+   *   TRUE if a run is queued or running.
+   */
+  public function isActive() {
+    $run = $this->getRun();
+    return $run && in_array($run['status'], ['queued', 'running'], TRUE);
+  }
+
+  /**
+   * Processes a queued analysis run.
+   *
+   * @param array $item
+   *   The queue item, with the 'run' ID.
+   *
+   * @return bool
+   *   FALSE if the run is still being processed by another request, which
+   *   outlived the lease of the item, so the item must be kept; TRUE if the
+   *   item can be deleted.
+   */
+  public function process(array $item) {
+    $run = $this->getRun();
+    // Runs replaced by a later one, or already finished, are dropped.
+    if (!$run || $run['id'] !== ($item['run'] ?? NULL)) {
+      return TRUE;
+    }
+    if ($run['status'] === 'running') {
+      return FALSE;
+    }
+    if ($run['status'] !== 'queued') {
+      return TRUE;
+    }
+
+    $this->updateRun([
+      'status' => 'running',
+      'started' => time(),
+      'attempts' => ($run['attempts'] ?? 0) + 1,
+    ]);
+
+    $this->assetAnalyzer->setProgressCallback([$this, 'recordProgress']);
+    try {
+      $results = $this->assetManager->runAnalysis($run['options']);
+      $this->updateRun([
+        'status' => 'completed',
+        'finished' => time(),
+        'phase' => NULL,
+        'route' => NULL,
+        'asset' => NULL,
+        'candidates' => count($results),
+      ]);
+    } catch (\Throwable $e) {
+      $this->logger->error('Analysis run failed: @message', ['@message' => $e->getMessage()]);
+      $run = $this->getRun();
+      $run['errors'][] = ['message' => $e->getMessage()];
+      $this->updateRun([
+        'status' => 'failed',
+        'finished' => time(),
+        'errors' => array_slice($run['errors'], 0, self::MAX_ERRORS),
+      ]);
+    } finally {
+      $this->assetAnalyzer->setProgressCallback(NULL);
+    }
+
+    return TRUE;
+  }
+
+  /**
+   * Records the progress the analyzer reports.
+   *
+   * @param string $event
+   *   The event.
+   * @param mixed $data
+   *   The event data.
+   *
+   * @see \Drupal\bootstrap_purge\Service\AssetAnalyzer::setProgressCallback()
+   */
+  public function recordProgress($event, $data = NULL) {
+    $run = $this->getRun();
+    if (!$run) {
+      return;
+    }
+
+    switch ($event) {
+      case 'phase':
+        $run['phase'] = $data;
+        break;
+
+      case 'routes':
+        $run['routes'] = array_fill_keys($data, 'pending');
+        break;
+
+      case 'route':
+        $this->finishItem($run['routes'], $run['route']);
+        $run['route'] = $data;
+        $run['routes'][$data] = 'active';
+        break;
+
+      case 'assets':
+        // Snapshots are taken before the stylesheets are analyzed.
+        $this->finishItem($run['routes'], $run['route']);
+        $run['route'] = NULL;
+        $run['assets'] = array_fill_keys($data, 'pending');
+        break;
+
+      case 'asset':
+        $this->finishItem($run['assets'], $run['asset']);
+        $run['asset'] = $data;
+        $run['assets'][$data] = 'active';
+        break;
+
+      case 'complete':
+        $this->finishItem($run['assets'], $run['asset']);
+        $run['asset'] = NULL;
+        // Auto-approval and route bundles follow.
+        $run['phase'] = 'applying';
+        break;
+
+      case 'error':
+        if (count($run['errors']) < self::MAX_ERRORS) {
+          $run['errors'][] = $data;
+        }
+        if (isset($data['route'])) {
+          $run['routes'][$data['route']] = 'failed';
+        }
+        break;
+    }
+
+    $run['updated'] = time();
+    $this->state->set('bootstrap_purge.analysis_run', $run);
+  }
+
+  /**
+   * Processes the run queued during this request after the response is sent.
+   */
+  public function destruct() {
+    if (!$this->queued) {
+      return;
+    }
+
+    Environment::setTimeLimit(240);
+    $queue = $this->queueFactory->get(self::QUEUE);
+    while ($item = $queue->claimItem(self::STALE_AFTER)) {
+      if ($this->process($item->data)) {
+        $queue->deleteItem($item);
+      }
+    }
+  }
+
+  /**
+   * Marks the active route or asset of a run as done.
+   *
+   * @param array $items
+   *   Statuses keyed by route or asset.
+   * @param string|null $key
+   *   The active route or asset.
+   */
+  protected function finishItem(array &$items, $key) {
+    if ($key !== NULL && ($items[$key] ?? NULL) === 'active') {
+      $items[$key] = 'done';
+    }
+  }
+
+  /**
+   * Updates the current run.
+   *
+   * @param array $values
+   *   The values to set.
+   */
+  protected function updateRun(array $values) {
+    $run = $values + ($this->getRun() ?: []);
+    $run['updated'] = time();
+    $this->state->set('bootstrap_purge.analysis_run', $run);
+  }
+
+}
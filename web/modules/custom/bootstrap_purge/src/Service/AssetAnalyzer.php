@@ -6,7 +6,6 @@ use Drupal\Core\Config\ConfigFactoryInterface;
 use Drupal\Core\File\FileSystemInterface;
 use Drupal\Core\Logger\LoggerChannelFactoryInterface;
 use Drupal\Core\Logger\LoggerChannelInterface;
-use Drupal\Core\Url;
 use Symfony\Component\Process\Process;
 
 /**
@@ -14,6 +13,29 @@ use Symfony\Component\Process\Process;
  */
 class AssetAnalyzer {
 
+  /**
+   * Directory the HTML snapshots of the last static analysis are kept in.
+   */
+  const SNAPSHOT_DIRECTORY = 'temporary://bootstrap_purge/snapshots';
+
+  /**
+   * Bootstrap JavaScript plugins that can be left out of a bundle.
+   */
+  const BOOTSTRAP_JS_PLUGINS = [
+    'alert',
+    'button',
+    'carousel',
+    'collapse',
+    'dropdown',
+    'modal',
+    'offcanvas',
+    'popover',
+    'scrollspy',
+    'tab',
+    'toast',
+    'tooltip',
+  ];
+
   /**
    * The asset collector service.
    *
@@ -42,6 +64,34 @@ class AssetAnalyzer {
    */
   protected $logger;
 
+  /**
+   * The runtime data collector service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\RuntimeDataCollector
+   */
+  protected $runtimeDataCollector;
+
+  /**
+   * The content markup source service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\ContentMarkupSource
+   */
+  protected $contentMarkupSource;
+
+  /**
+   * The snapshot crawler service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\SnapshotCrawler
+   */
+  protected $snapshotCrawler;
+
+  /**
+   * The callback receiving the progress of an analysis run.
+   *
+   * @var callable|null
+   */
+  protected $progressCallback;
+
   /**
    * Constructs an AssetAnalyzer object.
    *
@@ -53,24 +103,66 @@ class AssetAnalyzer {
    *   The file system service.
    * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
    *   The logger factory.
+   * @param \Drupal\bootstrap_purge\Service\RuntimeDataCollector $runtime_data_collector
+   *   The runtime data collector service.
+   * @param \Drupal\bootstrap_purge\Service\ContentMarkupSource $content_markup_source
+   *   The content markup source service.
+   * @param \Drupal\bootstrap_purge\Service\SnapshotCrawler $snapshot_crawler
+   *   The snapshot crawler service.
    */
   public function __construct(
     AssetCollector $asset_collector,
     ConfigFactoryInterface $config_factory,
     FileSystemInterface $file_system,
-    LoggerChannelFactoryInterface $logger_factory
+    LoggerChannelFactoryInterface $logger_factory,
+    RuntimeDataCollector $runtime_data_collector,
+    ContentMarkupSource $content_markup_source,
+    SnapshotCrawler $snapshot_crawler
   ) {
     $this->assetCollector = $asset_collector;
     $this->configFactory = $config_factory;
     $this->fileSystem = $file_system;
     $this->logger = $logger_factory->get('bootstrap_purge');
+    $this->runtimeDataCollector = $runtime_data_collector;
+    $this->contentMarkupSource = $content_markup_source;
+    $this->snapshotCrawler = $snapshot_crawler;
+  }
+
+  /**
+   * Sets the callback receiving the progress of analysis runs.
+   *
+   * @param callable|null $callback
+   *   Called with the event and its data: 'routes' with the routes to
+   *   snapshot, 'route' with the route being snapshotted, 'assets' with the
+   *   keys of the stylesheets to analyze, 'asset' with the key of the one
+   *   being analyzed, 'phase' with 'static' or 'runtime', 'error' with an
+   *   array of the 'message' and the 'route' or 'asset' concerned, and
+   *   'complete' with the number of candidates. NULL stops the reports.
+   */
+  public function setProgressCallback(callable $callback = NULL) {
+    $this->progressCallback = $callback;
+  }
+
+  /**
+   * Reports the progress of an analysis run.
+   *
+   * @param string $event
+   *   The event.
+   * @param mixed $data
+   *   The event data.
+   */
+  protected function reportProgress($event, $data = NULL) {
+    if ($this->progressCallback) {
+      call_user_func($this->progressCallback, $event, $data);
+    }
   }
 
   /**
    * Analyzes assets to identify unused CSS and JS.
    *
    * @param array $options
-   *   Analysis options including routes, sample size, etc.
+   *   Analysis options including routes, sample size, etc. The 'assets' key
+   *   limits the analysis to the listed asset keys.
    *
    * @return array
    *   Analysis results with suggested purges.
@@ -96,10 +188,32 @@ class AssetAnalyzer {
         $results = $this->combineAnalysisResults($static_results, $runtime_results);
         break;
     }
+    $results = $this->filterRequestedAssets($results, $options);
+
+    $this->reportProgress('complete', count($results));
 
     return $results;
   }
 
+  /**
+   * Limits assets to the ones an analysis was requested for.
+   *
+   * @param array $assets
+   *   Assets or results, keyed by asset key.
+   * @param array $options
+   *   Analysis options.
+   *
+   * @return array
+   *   The assets listed in the 'assets' option, or all without it.
+   */
+  protected function filterRequestedAssets(array $assets, array $options) {
+    if (empty($options['assets'])) {
+      return $assets;
+    }
+    
+    return array_intersect_key($assets, array_flip($options['assets']));
+  }
+
   /**
    * Performs static analysis using PurgeCSS-like approach.
    *
@@ -110,22 +224,34 @@ class AssetAnalyzer {
    *   Static analysis results.
    */
   protected function performStaticAnalysis(array $options) {
+    $this->reportProgress('phase', 'static');
     $config = $this->configFactory->get('bootstrap_purge.settings');
     $routes = $options['routes'] ?? $config->get('snapshot_routes');
     
     // Generate HTML snapshots
     $html_snapshots = $this->generateHtmlSnapshots($routes);
+    $this->saveSnapshots($html_snapshots);
+    
+    // Markup stored in the database counts as one more snapshot.
+    $this->contentMarkupSource->reset();
+    $content_markup = $this->contentMarkupSource->getMarkup();
+    if ($content_markup !== '') {
+      $html_snapshots['<content>'] = $content_markup;
+    }
     
     // Get all CSS assets
     $assets = $this->assetCollector->collectAssets();
-    $css_assets = array_filter($assets, function($asset) {
+    $css_assets = $this->filterRequestedAssets(array_filter($assets, function($asset) {
       return $asset['type'] === 'css';
-    });
+    }), $options);
 
+    $state_rules = $this->getStateRules();
     $results = [];
     
+    $this->reportProgress('assets', array_keys($css_assets));
     foreach ($css_assets as $asset_key => $asset) {
-      $analysis = $this->analyzeCssAsset($asset, $html_snapshots);
+      $this->reportProgress('asset', $asset_key);
+      $analysis = $this->analyzeCssAsset($asset, $html_snapshots, $state_rules);
       if (!empty($analysis['unused_selectors'])) {
         $results[$asset_key] = $analysis;
       }
@@ -137,11 +263,16 @@ class AssetAnalyzer {
   /**
    * Generates HTML snapshots for specified routes.
    *
+   * With the crawl enabled, the pages it finds are snapshotted too, as each
+   * crawl role.
+   *
    * @param array $routes
    *   Array of route names or 'key' for key routes.
    *
    * @return array
    *   Array of HTML content for each route.
+   *
+   * @see \Drupal\bootstrap_purge\Service\SnapshotCrawler::getPages()
    */
   protected function generateHtmlSnapshots(array $routes) {
     $snapshots = [];
@@ -150,30 +281,84 @@ class AssetAnalyzer {
       $routes = $this->getKeyRoutes();
     }
 
-    foreach ($routes as $route) {
+    $pages = $this->snapshotCrawler->getPages($routes);
+    $this->reportProgress('routes', array_keys($pages));
+    foreach ($pages as $key => $page) {
+      $this->reportProgress('route', $key);
       try {
-        if ($route === '<front>') {
-          $url = Url::fromRoute('<front>')->toString();
-        } else {
-          $url = Url::fromRoute($route)->toString();
-        }
-        
-        // Use Drupal's internal request to get HTML
-        $html = $this->fetchRouteHtml($url);
+        $html = $this->snapshotCrawler->fetch($page);
         if ($html) {
-          $snapshots[$route] = $html;
+          $snapshots[$key] = $html;
+        } else {
+          $this->reportProgress('error', ['route' => $key, 'message' => 'The page could not be fetched.']);
         }
       } catch (\Exception $e) {
         $this->logger->warning('Failed to generate snapshot for route @route: @message', [
-          '@route' => $route,
+          '@route' => $key,
           '@message' => $e->getMessage(),
         ]);
+        $this->reportProgress('error', ['route' => $key, 'message' => $e->getMessage()]);
       }
     }
 
     return $snapshots;
   }
 
+  /**
+   * Saves HTML snapshots, replacing those of the previous analysis.
+   *
+   * @param array $snapshots
+   *   HTML content keyed by route name.
+   */
+  protected function saveSnapshots(array $snapshots) {
+    $directory = self::SNAPSHOT_DIRECTORY;
+    $this->fileSystem->deleteRecursive($directory);
+    if (!$snapshots || !$this->fileSystem->prepareDirectory($directory, FileSystemInterface::CREATE_DIRECTORY)) {
+      return;
+    }
+
+    // File names lose characters of snapshot keys, so "route@role:/node/1"
+    // and "route@role:/node_1" would share one without the hash of the key,
+    // and an index maps them back.
+    $index = [];
+    foreach ($snapshots as $route => $html) {
+      $filename = preg_replace('/[^a-zA-Z0-9_.-]+/', '_', $route) . '.' . substr(md5($route), 0, 8) . '.html';
+      file_put_contents($directory . '/' . $filename, $html);
+      $index[$route] = $filename;
+    }
+    file_put_contents($directory . '/routes.json', json_encode($index));
+  }
+
+  /**
+   * Gets the HTML snapshots saved by the last static analysis.
+   *
+   * @param bool $include_variants
+   *   Whether to include the crawled pages beyond the first of each route.
+   *
+   * @return array
+   *   Real paths of the snapshot files, keyed by route name, or for the
+   *   other pages of a route, by route name, role and path.
+   */
+  public function getSnapshotFiles($include_variants = TRUE) {
+    $directory = $this->fileSystem->realpath(self::SNAPSHOT_DIRECTORY);
+    if (!$directory || !is_dir($directory)) {
+      return [];
+    }
+
+    $index = json_decode((string) @file_get_contents($directory . '/routes.json'), TRUE) ?: [];
+    $files = [];
+    foreach ($index as $route => $filename) {
+      if (!$include_variants && !SnapshotCrawler::isRouteSnapshot($route)) {
+        continue;
+      }
+      if (is_file($directory . '/' . $filename)) {
+        $files[$route] = $directory . '/' . $filename;
+      }
+    }
+
+    return $files;
+  }
+
   /**
    * Gets key routes for analysis.
    *
@@ -190,35 +375,6 @@ class AssetAnalyzer {
     ];
   }
 
-  /**
-   * Fetches HTML content for a route.
-   *
-   * @param string $url
-   *   The URL to fetch.
-   *
-   * @return string|null
-   *   The HTML content or NULL on failure.
-   */
-  protected function fetchRouteHtml($url) {
-    try {
-      // Use Drupal's kernel to make an internal request
-      $request = \Symfony\Component\HttpFoundation\Request::create($url);
-      $kernel = \Drupal::service('http_kernel');
-      $response = $kernel->handle($request);
-      
-      if ($response->getStatusCode() === 200) {
-        return $response->getContent();
-      }
-    } catch (\Exception $e) {
-      $this->logger->error('Failed to fetch HTML for URL @url: @message', [
-        '@url' => $url,
-        '@message' => $e->getMessage(),
-      ]);
-    }
-    
-    return NULL;
-  }
-
   /**
    * Analyzes a CSS asset against HTML snapshots.
    *
@@ -226,52 +382,96 @@ class AssetAnalyzer {
    *   The CSS asset information.
    * @param array $html_snapshots
    *   Array of HTML snapshots.
+   * @param array $state_rules
+   *   Normalized interaction-state selectors seen at runtime, as keys.
    *
    * @return array
    *   Analysis results for the asset.
    */
-  protected function analyzeCssAsset(array $asset, array $html_snapshots) {
+  protected function analyzeCssAsset(array $asset, array $html_snapshots, array $state_rules = []) {
     $css_content = file_get_contents($asset['full_path']);
     $selectors = $this->extractCssSelectors($css_content);
     $whitelist = $this->getWhitelistPatterns();
     
     $unused_selectors = [];
     $used_selectors = [];
+    $provenance = [];
     
     foreach ($selectors as $selector) {
       // Skip whitelisted selectors
-      if ($this->isWhitelisted($selector, $whitelist)) {
+      $pattern = $this->matchWhitelist($selector, $whitelist);
+      if ($pattern !== NULL) {
+        $provenance[$selector] = $this->buildProvenance('kept', 'whitelist', $pattern);
+        continue;
+      }
+
+      // Interaction states seen at runtime are always kept.
+      if (isset($state_rules[$this->normalizeSelector($selector)])) {
+        $used_selectors[] = $selector;
+        $provenance[$selector] = $this->buildProvenance('kept', 'state');
         continue;
       }
       
-      $is_used = FALSE;
-      foreach ($html_snapshots as $html) {
+      $used_on = NULL;
+      foreach ($html_snapshots as $route => $html) {
         if ($this->isSelectorUsed($selector, $html)) {
-          $is_used = TRUE;
+          $used_on = $route;
           break;
         }
       }
       
-      if ($is_used) {
+      if ($used_on !== NULL) {
         $used_selectors[] = $selector;
+        if ($this->isComplexSelector($selector)) {
+          $provenance[$selector] = $this->buildProvenance('kept', 'complex');
+        } elseif ($used_on === '<content>') {
+          $provenance[$selector] = $this->buildProvenance('kept', 'content');
+        } else {
+          $provenance[$selector] = $this->buildProvenance('kept', 'snapshot', $used_on);
+        }
       } else {
         $unused_selectors[] = $selector;
+        $provenance[$selector] = $this->buildProvenance('removed', 'never_seen');
       }
     }
 
+    $result = $this->buildAssetResult($asset, $css_content, $used_selectors, $unused_selectors, 'static');
+    $result['provenance'] = $provenance;
+    
+    return $result;
+  }
+
+  /**
+   * Builds the analysis result for a CSS asset.
+   *
+   * @param array $asset
+   *   The CSS asset information.
+   * @param string $css_content
+   *   The original CSS content.
+   * @param array $used_selectors
+   *   Array of used selectors.
+   * @param array $unused_selectors
+   *   Array of unused selectors.
+   * @param string $analysis_type
+   *   The analysis type (static, runtime or combined).
+   *
+   * @return array
+   *   Analysis results for the asset.
+   */
+  protected function buildAssetResult(array $asset, $css_content, array $used_selectors, array $unused_selectors, $analysis_type) {
     $original_size = strlen($css_content);
     $estimated_purged_size = $this->estimatePurgedSize($css_content, $unused_selectors);
-    
+
     return [
       'asset_key' => $asset['file_path'],
       'original_size' => $original_size,
       'estimated_purged_size' => $estimated_purged_size,
       'savings_bytes' => $original_size - $estimated_purged_size,
-      'savings_percent' => round((($original_size - $estimated_purged_size) / $original_size) * 100, 2),
-      'unused_selectors' => $unused_selectors,
-      'used_selectors' => $used_selectors,
+      'savings_percent' => $original_size > 0 ? round((($original_size - $estimated_purged_size) / $original_size) * 100, 2) : 0,
+      'unused_selectors' => array_values($unused_selectors),
+      'used_selectors' => array_values($used_selectors),
       'confidence_score' => $this->calculateConfidenceScore($used_selectors, $unused_selectors),
-      'analysis_type' => 'static',
+      'analysis_type' => $analysis_type,
       'analyzed_at' => time(),
     ];
   }
@@ -308,6 +508,77 @@ class AssetAnalyzer {
     return array_unique($selectors);
   }
 
+  /**
+   * Builds an index of the selectors used by stylesheets.
+   *
+   * @param array $assets
+   *   CSS assets as returned by the asset collector.
+   *
+   * @return array
+   *   An array with "tokens", the class and id selectors (".btn", "#main")
+   *   used anywhere in the stylesheets, and "rules", the normalized rule
+   *   selectors; both as keys.
+   */
+  public function buildSelectorIndex(array $assets) {
+    $index = ['tokens' => [], 'rules' => []];
+
+    foreach ($assets as $asset) {
+      $css_content = file_get_contents($asset['full_path']);
+      if ($css_content === FALSE) {
+        continue;
+      }
+
+      foreach ($this->extractCssSelectors($css_content) as $selector) {
+        $index['rules'][$this->normalizeSelector($selector)] = TRUE;
+        preg_match_all('/([.#])((?:\\\\.|[\w-])+)/', $selector, $matches, PREG_SET_ORDER);
+        foreach ($matches as $match) {
+          $index['tokens'][$match[1] . stripslashes($match[2])] = TRUE;
+        }
+      }
+    }
+
+    return $index;
+  }
+
+  /**
+   * Builds an index of the rules of stylesheets for the whitelist tester.
+   *
+   * @param array $assets
+   *   CSS assets as returned by the asset collector.
+   *
+   * @return array
+   *   An array with 'assets', the asset paths, and 'rules', each a list of
+   *   the rule's selectors, its size in bytes and the index of its asset.
+   */
+  public function buildRuleIndex(array $assets) {
+    $index = ['assets' => [], 'rules' => []];
+    
+    foreach ($assets as $asset) {
+      $css_content = file_get_contents($asset['full_path']);
+      if ($css_content === FALSE) {
+        continue;
+      }
+      
+      $asset_index = count($index['assets']);
+      $index['assets'][] = $asset['file_path'];
+      
+      // Innermost blocks only, so rules inside @media are indexed on their
+      // own; keyframe steps and at-rules such as @font-face are skipped.
+      $css_content = preg_replace('/\/\*.*?\*\//s', '', $css_content);
+      preg_match_all('/([^{};]+)\{[^{}]*\}/', $css_content, $matches, PREG_SET_ORDER);
+      foreach ($matches as $match) {
+        $selectors = array_filter(array_map('trim', explode(',', $match[1])), function ($selector) {
+          return $selector !== '' && $selector[0] !== '@' && !preg_match('/^(from|to|[\d.]+%)$/', $selector);
+        });
+        if ($selectors) {
+          $index['rules'][] = [array_values($selectors), strlen($match[0]), $asset_index];
+        }
+      }
+    }
+    
+    return $index;
+  }
+
   /**
    * Gets whitelist patterns from configuration.
    *
@@ -324,6 +595,11 @@ class AssetAnalyzer {
     $patterns = array_merge($patterns, $whitelist_config->get('global_patterns') ?: []);
     $patterns = array_merge($patterns, $whitelist_config->get('selector_patterns') ?: []);
     
+    // Selectors restored from the diff view match only themselves.
+    foreach ($whitelist_config->get('restored_selectors') ?: [] as $selector) {
+      $patterns[] = '/^' . preg_quote($selector, '/') . '$/';
+    }
+    
     return $patterns;
   }
 
@@ -339,20 +615,74 @@ class AssetAnalyzer {
    *   TRUE if the selector is whitelisted.
    */
   protected function isWhitelisted($selector, array $whitelist) {
+    return $this->matchWhitelist($selector, $whitelist) !== NULL;
+  }
+
+  /**
+   * Finds the whitelist pattern a selector matches.
+   *
+   * @param string $selector
+   *   The CSS selector.
+   * @param array $whitelist
+   *   Array of whitelist patterns.
+   *
+   * @return string|null
+   *   The first matching pattern, or NULL.
+   */
+  protected function matchWhitelist($selector, array $whitelist) {
     foreach ($whitelist as $pattern) {
       // Handle regex patterns
       if (preg_match('/^\/.*\/$/', $pattern)) {
         if (preg_match($pattern, $selector)) {
-          return TRUE;
+          return $pattern;
         }
       }
       // Handle glob patterns
       elseif (fnmatch($pattern, $selector)) {
-        return TRUE;
+        return $pattern;
       }
     }
     
-    return FALSE;
+    return NULL;
+  }
+
+  /**
+   * Checks if a selector is too complex for isSelectorUsed() to match.
+   *
+   * @param string $selector
+   *   The CSS selector.
+   *
+   * @return bool
+   *   TRUE if the selector is kept without being matched.
+   */
+  protected function isComplexSelector($selector) {
+    $selector = trim($selector);
+    return strpos($selector, '.') !== 0 && strpos($selector, '#') !== 0 && !preg_match('/^[a-zA-Z][a-zA-Z0-9]*$/', $selector);
+  }
+
+  /**
+   * Builds the provenance record of a selector.
+   *
+   * @param string $status
+   *   Either 'kept' or 'removed'.
+   * @param string $reason
+   *   Why: 'whitelist', 'state', 'snapshot', 'content', 'complex', 'runtime'
+   *   or 'never_seen' from analysis; the purge runner adds 'safelist',
+   *   'dynamic_prefix', 'template', 'purgecss' and 'blocklist'.
+   * @param string|null $source
+   *   The pattern, route or file responsible, if any.
+   *
+   * @return array
+   *   The provenance record.
+   */
+  public function buildProvenance($status, $reason, $source = NULL) {
+    return array_filter([
+      'status' => $status,
+      'reason' => $reason,
+      'source' => $source,
+    ], function ($value) {
+      return $value !== NULL;
+    });
   }
 
   /**
@@ -458,9 +788,281 @@ class AssetAnalyzer {
    *   Runtime analysis results.
    */
   protected function performRuntimeAnalysis(array $options) {
-    // This would analyze runtime data collected from users
-    // For now, return empty array as runtime collection needs to be implemented
-    return [];
+    $this->reportProgress('phase', 'runtime');
+    $runtime_options = array_intersect_key($options, array_flip(['route', 'since']));
+    $results = $this->analyzeBootstrapJsAssets($runtime_options);
+
+    $matched_rules = [];
+    foreach ($this->runtimeDataCollector->getMatchedRuleRoutes($runtime_options) as $selector => $routes) {
+      $normalized = $this->normalizeSelector($selector);
+      $matched_rules[$normalized] = ($matched_rules[$normalized] ?? []) + $routes;
+    }
+
+    if (empty($matched_rules)) {
+      return $results;
+    }
+
+    $assets = $this->assetCollector->collectAssets();
+    $css_assets = $this->filterRequestedAssets(array_filter($assets, function($asset) {
+      return $asset['type'] === 'css';
+    }), $options);
+    $whitelist = $this->getWhitelistPatterns();
+    $state_rules = $this->getStateRules($runtime_options);
+    $breakpoint_rules = $this->runtimeDataCollector->getBreakpointRules($runtime_options);
+
+    $this->reportProgress('assets', array_keys($css_assets));
+    foreach ($css_assets as $asset_key => $asset) {
+      $this->reportProgress('asset', $asset_key);
+      $css_content = file_get_contents($asset['full_path']);
+      $used_selectors = [];
+      $unused_selectors = [];
+      $provenance = [];
+
+      foreach ($this->extractCssSelectors($css_content) as $selector) {
+        $pattern = $this->matchWhitelist($selector, $whitelist);
+        if ($pattern !== NULL) {
+          $provenance[$selector] = $this->buildProvenance('kept', 'whitelist', $pattern);
+          continue;
+        }
+
+        $normalized = $this->normalizeSelector($selector);
+        if (isset($matched_rules[$normalized])) {
+          $used_selectors[] = $selector;
+          // The routes it matched on most often.
+          arsort($matched_rules[$normalized]);
+          $provenance[$selector] = $this->buildProvenance('kept', 'runtime', implode(', ', array_slice(array_keys($matched_rules[$normalized]), 0, 3)));
+        }
+        elseif (isset($state_rules[$normalized])) {
+          $used_selectors[] = $selector;
+          $provenance[$selector] = $this->buildProvenance('kept', 'state');
+        }
+        else {
+          $unused_selectors[] = $selector;
+          $provenance[$selector] = $this->buildProvenance('removed', 'never_seen');
+        }
+      }
+
+      // Assets none of whose rules matched were most likely not loaded on the
+      // sampled pages, so runtime data says nothing about them.
+      if (!empty($used_selectors) && !empty($unused_selectors)) {
+        $results[$asset_key] = $this->buildAssetResult($asset, $css_content, $used_selectors, $unused_selectors, 'runtime');
+        $results[$asset_key]['provenance'] = $provenance;
+        $results[$asset_key]['breakpoints_seen'] = array_keys($breakpoint_rules);
+        $results[$asset_key]['unseen_media_rules'] = $this->findUnseenMediaRules($css_content, $breakpoint_rules, $whitelist);
+      }
+    }
+
+    return $results;
+  }
+
+  /**
+   * Finds Bootstrap JavaScript bundles that ship plugins nobody used.
+   *
+   * @param array $options
+   *   Options passed to the runtime data collector.
+   *
+   * @return array
+   *   Analysis results keyed by asset key, listing the used and unused
+   *   plugins of each Bootstrap JavaScript asset.
+   */
+  protected function analyzeBootstrapJsAssets(array $options) {
+    $used_plugins = array_keys($this->runtimeDataCollector->getUsedPlugins($options));
+    if (empty($used_plugins)) {
+      return [];
+    }
+
+    $used = array_values(array_intersect(self::BOOTSTRAP_JS_PLUGINS, $used_plugins));
+    $unused = array_values(array_diff(self::BOOTSTRAP_JS_PLUGINS, $used_plugins));
+    if (empty($unused)) {
+      return [];
+    }
+
+    $results = [];
+    foreach ($this->assetCollector->getBootstrapAssets() as $asset_key => $asset) {
+      if ($asset['type'] !== 'js' || stripos(basename($asset['file_path']), 'bootstrap') === FALSE) {
+        continue;
+      }
+
+      // Plugins share a common core, which is counted as two plugins.
+      $original_size = $asset['size'];
+      $estimated_purged_size = (int) round($original_size * (count($used) + 2) / (count(self::BOOTSTRAP_JS_PLUGINS) + 2));
+
+      $results[$asset_key] = [
+        'asset_key' => $asset['file_path'],
+        'original_size' => $original_size,
+        'estimated_purged_size' => $estimated_purged_size,
+        'savings_bytes' => $original_size - $estimated_purged_size,
+        'savings_percent' => $original_size > 0 ? round((($original_size - $estimated_purged_size) / $original_size) * 100, 2) : 0,
+        'unused_selectors' => [],
+        'used_selectors' => [],
+        'used_plugins' => $used,
+        'unused_plugins' => $unused,
+        'confidence_score' => $this->calculateConfidenceScore($used, $unused),
+        'analysis_type' => 'runtime',
+        'analyzed_at' => time(),
+      ];
+    }
+
+    return $results;
+  }
+
+  /**
+   * Gets the @media rules of an asset that were never seen at any breakpoint.
+   *
+   * A responsive rule only counts as seen when the collector matched it while
+   * its media query applied, so classes such as .d-md-none are not assumed to
+   * be used just because the page contains them.
+   *
+   * @param array $asset
+   *   The CSS asset information.
+   * @param array $options
+   *   Options passed to the runtime data collector.
+   *
+   * @return array
+   *   Array of rules with 'media' and 'selector' keys. Empty when no
+   *   per-breakpoint runtime data has been collected.
+   */
+  public function getUnseenMediaRules(array $asset, array $options = []) {
+    $breakpoint_rules = $this->runtimeDataCollector->getBreakpointRules($options);
+    $css_content = file_get_contents($asset['full_path']);
+
+    return $this->findUnseenMediaRules($css_content, $breakpoint_rules, $this->getWhitelistPatterns());
+  }
+
+  /**
+   * Finds @media rules that were not matched at any breakpoint.
+   *
+   * @param string $css_content
+   *   The CSS content.
+   * @param array $breakpoint_rules
+   *   Rule keys keyed by breakpoint, as returned by the runtime collector.
+   * @param array $whitelist
+   *   Array of whitelist patterns.
+   *
+   * @return array
+   *   Array of rules with 'media' and 'selector' keys.
+   */
+  protected function findUnseenMediaRules($css_content, array $breakpoint_rules, array $whitelist) {
+    if (empty($breakpoint_rules)) {
+      return [];
+    }
+
+    $seen = [];
+    foreach ($breakpoint_rules as $rules) {
+      foreach (array_keys($rules) as $key) {
+        if (preg_match('/^@media (.+)\{(.*)\}$/s', $key, $matches)) {
+          $seen[$this->normalizeMedia($matches[1]) . '|' . $this->normalizeSelector($matches[2])] = TRUE;
+        }
+      }
+    }
+
+    $unseen = [];
+    foreach ($this->extractMediaRules($css_content) as $rule) {
+      if ($this->isWhitelisted($rule['selector'], $whitelist)) {
+        continue;
+      }
+      if (!isset($seen[$this->normalizeMedia($rule['media']) . '|' . $this->normalizeSelector($rule['selector'])])) {
+        $unseen[] = $rule;
+      }
+    }
+
+    return $unseen;
+  }
+
+  /**
+   * Extracts the rules nested in @media blocks.
+   *
+   * @param string $css_content
+   *   The CSS content.
+   *
+   * @return array
+   *   Array of rules with 'media' and 'selector' keys.
+   */
+  protected function extractMediaRules($css_content) {
+    $css_content = preg_replace('/\/\*.*?\*\//s', '', $css_content);
+    $length = strlen($css_content);
+    $offset = 0;
+    $rules = [];
+
+    while (preg_match('/@media\s*([^{;]+)\{/', $css_content, $match, PREG_OFFSET_CAPTURE, $offset)) {
+      $start = $match[0][1] + strlen($match[0][0]);
+      $depth = 1;
+      $position = $start;
+
+      while ($position < $length && $depth > 0) {
+        if ($css_content[$position] === '{') {
+          $depth++;
+        }
+        elseif ($css_content[$position] === '}') {
+          $depth--;
+        }
+        $position++;
+      }
+
+      $body = substr($css_content, $start, $position - $start - 1);
+      foreach ($this->extractCssSelectors($body) as $selector) {
+        // Skip keyframe steps of animations declared inside the block.
+        if (!preg_match('/^(from|to|[\d.]+%)$/', $selector)) {
+          $rules[] = [
+            'media' => trim($match[1][0]),
+            'selector' => $selector,
+          ];
+        }
+      }
+
+      $offset = $position;
+    }
+
+    return $rules;
+  }
+
+  /**
+   * Normalizes a media query so CSSOM and source queries can be compared.
+   *
+   * @param string $media
+   *   The media query text.
+   *
+   * @return string
+   *   The normalized media query.
+   */
+  protected function normalizeMedia($media) {
+    return strtolower(preg_replace('/\s+/', '', $media));
+  }
+
+  /**
+   * Gets the interaction-state selectors flagged by the runtime collector.
+   *
+   * @param array $options
+   *   Options passed to the runtime data collector.
+   *
+   * @return array
+   *   Normalized state selectors as keys.
+   */
+  protected function getStateRules(array $options = []) {
+    $state_rules = [];
+    foreach ($this->runtimeDataCollector->getStateRules($options) as $selector) {
+      $state_rules[$this->normalizeSelector($selector)] = TRUE;
+    }
+    return $state_rules;
+  }
+
+  /**
+   * Normalizes a selector so CSSOM and source selectors can be compared.
+   *
+   * Browsers serialize selectors with spaces around combinators and quoted
+   * attribute values, while minified sources omit both.
+   *
+   * @param string $selector
+   *   The CSS selector.
+   *
+   * @return string
+   *   The normalized selector.
+   */
+  public function normalizeSelector($selector) {
+    $selector = preg_replace('/\s+/', ' ', trim($selector));
+    $selector = preg_replace('/\s*([>+~])\s*/', '$1', $selector);
+    $selector = preg_replace('/=\s*(["\'])([^"\']*)\1\s*\]/', '=$2]', $selector);
+    return $selector;
   }
 
   /**
@@ -475,19 +1077,51 @@ class AssetAnalyzer {
    *   Combined analysis results.
    */
   protected function combineAnalysisResults(array $static_results, array $runtime_results) {
-    // Combine and weight the results
     $combined = $static_results;
-    
+    $assets = $this->assetCollector->collectAssets();
+
     foreach ($runtime_results as $asset_key => $runtime_data) {
-      if (isset($combined[$asset_key])) {
-        // Merge runtime data with static analysis
-        $combined[$asset_key]['runtime_data'] = $runtime_data;
-        // Adjust confidence score based on runtime data
-        $combined[$asset_key]['confidence_score'] = min(100, 
-          $combined[$asset_key]['confidence_score'] + 20);
+      if (!isset($combined[$asset_key]) || !isset($assets[$asset_key])) {
+        $combined[$asset_key] = $runtime_data;
+        continue;
+      }
+
+      // A rule is kept when either source saw it in use; static analysis only
+      // guesses from class names, while runtime data records matched rules.
+      $runtime_used = array_flip($runtime_data['used_selectors']);
+      $used_selectors = $combined[$asset_key]['used_selectors'];
+      $unused_selectors = [];
+      $runtime_confirmed = 0;
+      $provenance = $combined[$asset_key]['provenance'] ?? [];
+
+      foreach ($combined[$asset_key]['unused_selectors'] as $selector) {
+        if (isset($runtime_used[$selector])) {
+          $used_selectors[] = $selector;
+          $runtime_confirmed++;
+          if (isset($runtime_data['provenance'][$selector])) {
+            $provenance[$selector] = $runtime_data['provenance'][$selector];
+          }
+        }
+        else {
+          $unused_selectors[] = $selector;
+        }
+      }
+
+      $css_content = file_get_contents($assets[$asset_key]['full_path']);
+      $result = $this->buildAssetResult($assets[$asset_key], $css_content, $used_selectors, $unused_selectors, 'combined');
+      $result['runtime_confirmed'] = $runtime_confirmed;
+      $result['provenance'] = $provenance;
+      // Adjust confidence score based on runtime data
+      $result['confidence_score'] = min(100, $result['confidence_score'] + 20);
+
+      if (empty($unused_selectors)) {
+        unset($combined[$asset_key]);
+      }
+      else {
+        $combined[$asset_key] = $result;
       }
     }
-    
+
     return $combined;
   }
 
@@ -2,6 +2,7 @@
 
 namespace Drupal\bootstrap_purge\Service;
 
+use Drupal\Core\Cache\CacheTagsInvalidatorInterface;
 use Drupal\Core\Config\ConfigFactoryInterface;
 use Drupal\Core\State\StateInterface;
 
@@ -45,6 +46,48 @@ class AssetManager {
    */
   protected $state;
 
+  /**
+   * The purge verifier service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\PurgeVerifier
+   */
+  protected $purgeVerifier;
+
+  /**
+   * The route bundle builder service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\RouteBundleBuilder
+   */
+  protected $routeBundleBuilder;
+
+  /**
+   * The whitelist manager service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\WhitelistManager
+   */
+  protected $whitelistManager;
+
+  /**
+   * The cache tags invalidator.
+   *
+   * @var \Drupal\Core\Cache\CacheTagsInvalidatorInterface
+   */
+  protected $cacheTagsInvalidator;
+
+  /**
+   * The purge history service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\PurgeHistory
+   */
+  protected $purgeHistory;
+
+  /**
+   * Whether route bundles are rebuilt once at the end of an analysis run.
+   *
+   * @var bool
+   */
+  protected $deferRouteBundles = FALSE;
+
   /**
    * Constructs an AssetManager object.
    *
@@ -58,19 +101,39 @@ class AssetManager {
    *   The config factory.
    * @param \Drupal\Core\State\StateInterface $state
    *   The state service.
+   * @param \Drupal\bootstrap_purge\Service\PurgeVerifier $purge_verifier
+   *   The purge verifier service.
+   * @param \Drupal\bootstrap_purge\Service\RouteBundleBuilder $route_bundle_builder
+   *   The route bundle builder service.
+   * @param \Drupal\bootstrap_purge\Service\WhitelistManager $whitelist_manager
+   *   The whitelist manager service.
+   * @param \Drupal\Core\Cache\CacheTagsInvalidatorInterface $cache_tags_invalidator
+   *   The cache tags invalidator.
+   * @param \Drupal\bootstrap_purge\Service\PurgeHistory $purge_history
+   *   The purge history service.
    */
   public function __construct(
     AssetCollector $asset_collector,
     AssetAnalyzer $asset_analyzer,
     AssetPurger $asset_purger,
     ConfigFactoryInterface $config_factory,
-    StateInterface $state
+    StateInterface $state,
+    PurgeVerifier $purge_verifier,
+    RouteBundleBuilder $route_bundle_builder,
+    WhitelistManager $whitelist_manager,
+    CacheTagsInvalidatorInterface $cache_tags_invalidator,
+    PurgeHistory $purge_history
   ) {
     $this->assetCollector = $asset_collector;
     $this->assetAnalyzer = $asset_analyzer;
     $this->assetPurger = $asset_purger;
     $this->configFactory = $config_factory;
     $this->state = $state;
+    $this->purgeVerifier = $purge_verifier;
+    $this->routeBundleBuilder = $route_bundle_builder;
+    $this->whitelistManager = $whitelist_manager;
+    $this->cacheTagsInvalidator = $cache_tags_invalidator;
+    $this->purgeHistory = $purge_history;
   }
 
   /**
@@ -143,11 +206,14 @@ class AssetManager {
    *
    * @param string $asset_key
    *   The asset key.
+   * @param bool $rebuild_route_bundles
+   *   Whether to rebuild the route bundles; FALSE when the caller rebuilds
+   *   them once after approving several purges.
    *
    * @return bool
    *   TRUE on success, FALSE on failure.
    */
-  public function approvePurge($asset_key) {
+  public function approvePurge($asset_key, $rebuild_route_bundles = TRUE) {
     $pending = $this->getPendingCandidates();
     
     if (!isset($pending[$asset_key])) {
@@ -155,6 +221,8 @@ class AssetManager {
     }
     
     $candidate = $pending[$asset_key];
+    // A report from an earlier refused attempt no longer applies.
+    unset($candidate['verification']);
     
     // Perform the actual purge
     $asset = $this->assetCollector->collectAssets()[$asset_key] ?? NULL;
@@ -168,7 +236,36 @@ class AssetManager {
       $purged_info = $this->assetPurger->purgeJsAsset($asset, $candidate);
     }
     
+    // Compare computed styles of the analysis snapshots before applying.
+    $verification_mode = $this->configFactory->get('bootstrap_purge.settings')->get('verification_mode') ?: 'warn';
+    if ($purged_info && $asset['type'] === 'css' && $verification_mode !== 'off') {
+      $verification = $this->purgeVerifier->verify($asset, $purged_info);
+      if ($verification) {
+        $purged_info['verification'] = $verification;
+        if ($verification_mode === 'refuse' && $verification['regressions'] > 0) {
+          // Keep the report with the candidate; the purged file is not mapped
+          // and is replaced by the next attempt.
+          $pending[$asset_key]['verification'] = $verification;
+          $this->state->set('bootstrap_purge.pending_candidates', $pending);
+          return FALSE;
+        }
+      }
+    }
+    
     if ($purged_info) {
+      $version = $this->purgeHistory->recordVersion($asset_key, $asset, $candidate, $purged_info);
+      if ($version) {
+        $purged_info['version'] = $version;
+      }
+      
+      // Stylesheets go to a share of sessions first in canary mode; the
+      // purge is only mapped for everyone once the canary is promoted.
+      $canary = $asset['type'] === 'css' && !empty($this->configFactory->get('bootstrap_purge.settings')->get('canary.enabled'));
+      if ($canary) {
+        $purged_info['canary'] = ['started' => time(), 'mapping' => $purged_info];
+      }
+      unset($candidate['canary_rollback']);
+      
       // Move to approved
       $approved = $this->getApprovedPurges();
       $approved[$asset_key] = array_merge($candidate, $purged_info);
@@ -179,10 +276,18 @@ class AssetManager {
       $this->state->set('bootstrap_purge.pending_candidates', $pending);
       
       // Update mappings
-      $this->updatePurgedAssetMappings($asset_key, $purged_info);
+      if ($canary) {
+        $this->invalidateCanaries();
+      } else {
+        $this->updatePurgedAssetMappings($asset_key, $purged_info);
+      }
       
       $this->state->set('bootstrap_purge.last_purge', time());
       
+      if ($asset['type'] === 'css' && $rebuild_route_bundles && !$this->deferRouteBundles) {
+        $this->rebuildRouteBundles();
+      }
+      
       return TRUE;
     }
     
@@ -219,6 +324,83 @@ class AssetManager {
     return TRUE;
   }
 
+  /**
+   * Gets the analyzed assets for the review queue.
+   *
+   * An asset both pending and approved or rejected is listed as pending, and
+   * one both approved and rejected as approved.
+   *
+   * @param array $filters
+   *   Optional filters: the 'status' (pending, approved or rejected), the
+   *   'confidence_min' and 'confidence_max' in percent, the 'extension' the
+   *   asset belongs to and the 'min_savings' in percent of the original size.
+   *
+   * @return array
+   *   Review items keyed by asset key, each with the 'status', the analysis
+   *   or purge as 'data', and its 'savings' in bytes and 'savings_percent'.
+   */
+  public function getReviewItems(array $filters = []) {
+    $lists = [
+      'pending' => $this->getPendingCandidates(),
+      'approved' => $this->getApprovedPurges(),
+      'rejected' => $this->getRejectedPurges(),
+    ];
+    
+    $items = [];
+    $seen = [];
+    foreach ($lists as $status => $entries) {
+      foreach ($entries as $asset_key => $data) {
+        if (isset($seen[$asset_key])) {
+          continue;
+        }
+        $seen[$asset_key] = TRUE;
+        
+        if (!empty($filters['status']) && $filters['status'] !== $status) {
+          continue;
+        }
+        
+        $original_size = $data['original_size'] ?? 0;
+        $savings = $original_size - ($data['estimated_purged_size'] ?? $data['size'] ?? 0);
+        $savings_percent = $original_size > 0 ? round(($savings / $original_size) * 100, 1) : 0;
+        $confidence = $data['confidence_score'] ?? 0;
+        
+        if ((isset($filters['confidence_min']) && $filters['confidence_min'] !== '' && $confidence < $filters['confidence_min'])
+          || (isset($filters['confidence_max']) && $filters['confidence_max'] !== '' && $confidence > $filters['confidence_max'])
+          || (!empty($filters['extension']) && strtok($asset_key, '/') !== $filters['extension'])
+          || (isset($filters['min_savings']) && $filters['min_savings'] !== '' && $savings_percent < $filters['min_savings'])) {
+          continue;
+        }
+        
+        $items[$asset_key] = [
+          'status' => $status,
+          'data' => $data,
+          'savings' => $savings,
+          'savings_percent' => $savings_percent,
+        ];
+      }
+    }
+    
+    return $items;
+  }
+
+  /**
+   * Gets the themes and modules with analyzed assets.
+   *
+   * @return array
+   *   Extension names, sorted.
+   */
+  public function getReviewExtensions() {
+    $extensions = [];
+    foreach ([$this->getPendingCandidates(), $this->getApprovedPurges(), $this->getRejectedPurges()] as $entries) {
+      foreach (array_keys($entries) as $asset_key) {
+        $extensions[strtok($asset_key, '/')] = TRUE;
+      }
+    }
+    ksort($extensions);
+    
+    return array_keys($extensions);
+  }
+
   /**
    * Runs analysis and generates purge candidates.
    *
@@ -229,27 +411,40 @@ class AssetManager {
    *   Analysis results.
    */
   public function runAnalysis(array $options = []) {
+    $config = $this->configFactory->get('bootstrap_purge.settings');
     $results = $this->assetAnalyzer->analyzeAssets($options);
     
-    // Store as pending candidates
+    // Store as pending candidates, with the options the purge history keeps
+    $analysis_options = $options + [
+      'mode' => $config->get('analysis_mode'),
+      'routes' => $config->get('snapshot_routes'),
+    ];
     $pending = $this->getPendingCandidates();
     foreach ($results as $asset_key => $analysis) {
-      $pending[$asset_key] = $analysis;
+      $pending[$asset_key] = $analysis + ['analysis_options' => $analysis_options];
     }
     $this->state->set('bootstrap_purge.pending_candidates', $pending);
     $this->state->set('bootstrap_purge.last_analysis', time());
+    $this->state->delete('bootstrap_purge.tracked_stylesheets');
+    $this->state->delete('bootstrap_purge.tracked_selector_index');
+    $this->state->delete('bootstrap_purge.whitelist_rule_index');
+    $this->state->delete('bootstrap_purge.canary_class_index');
     
     // Auto-approve high-confidence candidates if enabled
-    $config = $this->configFactory->get('bootstrap_purge.settings');
     if ($config->get('auto_apply')) {
       $threshold = $config->get('confidence_threshold') ?: 80;
+      $this->deferRouteBundles = TRUE;
       foreach ($results as $asset_key => $analysis) {
         if ($analysis['confidence_score'] >= $threshold) {
           $this->approvePurge($asset_key);
         }
       }
+      $this->deferRouteBundles = FALSE;
     }
     
+    // The analysis replaced the snapshots the bundles are built from.
+    $this->rebuildRouteBundles();
+    
     return $results;
   }
 
@@ -263,6 +458,83 @@ class AssetManager {
     return $this->state->get('bootstrap_purge.asset_mappings', []);
   }
 
+  /**
+   * Gets the stylesheets tracked by the runtime collector.
+   *
+   * The list is cached in state and rebuilt after each analysis run, since
+   * detecting Bootstrap assets reads every collected file.
+   *
+   * @return array
+   *   Array of stylesheet paths relative to the web root.
+   */
+  public function getTrackedStylesheets() {
+    $stylesheets = $this->state->get('bootstrap_purge.tracked_stylesheets');
+
+    if ($stylesheets === NULL) {
+      $stylesheets = [];
+      foreach ($this->assetCollector->getBootstrapAssets() as $asset) {
+        if ($asset['type'] === 'css') {
+          $stylesheets[] = substr($asset['full_path'], strlen(DRUPAL_ROOT));
+        }
+      }
+      $this->state->set('bootstrap_purge.tracked_stylesheets', $stylesheets);
+    }
+
+    return $stylesheets;
+  }
+
+  /**
+   * Gets the selectors used by the tracked Bootstrap stylesheets.
+   *
+   * Runtime data is checked against this index so that only selectors the
+   * stylesheets actually contain are stored.
+   *
+   * @return array
+   *   The selector index, see AssetAnalyzer::buildSelectorIndex().
+   */
+  public function getTrackedSelectorIndex() {
+    $index = $this->state->get('bootstrap_purge.tracked_selector_index');
+
+    if ($index === NULL) {
+      $stylesheets = [];
+      foreach ($this->assetCollector->getBootstrapAssets() as $asset_key => $asset) {
+        if ($asset['type'] === 'css') {
+          $stylesheets[$asset_key] = $asset;
+        }
+      }
+      $index = $this->assetAnalyzer->buildSelectorIndex($stylesheets);
+      $this->state->set('bootstrap_purge.tracked_selector_index', $index);
+    }
+
+    return $index;
+  }
+
+  /**
+   * Gets the rules of the Bootstrap stylesheets for the whitelist tester.
+   *
+   * Like the tracked selector index, it is cached in state until the next
+   * analysis run.
+   *
+   * @return array
+   *   The rule index, see AssetAnalyzer::buildRuleIndex().
+   */
+  public function getWhitelistRuleIndex() {
+    $index = $this->state->get('bootstrap_purge.whitelist_rule_index');
+
+    if ($index === NULL) {
+      $stylesheets = [];
+      foreach ($this->assetCollector->getBootstrapAssets() as $asset_key => $asset) {
+        if ($asset['type'] === 'css') {
+          $stylesheets[$asset_key] = $asset;
+        }
+      }
+      $index = $this->assetAnalyzer->buildRuleIndex($stylesheets);
+      $this->state->set('bootstrap_purge.whitelist_rule_index', $index);
+    }
+
+    return $index;
+  }
+
   /**
    * Updates purged asset mappings.
    *
@@ -293,6 +565,8 @@ class AssetManager {
       return FALSE;
     }
     
+    $purge = $approved[$asset_key];
+    
     // Remove from approved
     unset($approved[$asset_key]);
     $this->state->set('bootstrap_purge.approved_purges', $approved);
@@ -302,12 +576,352 @@ class AssetManager {
     unset($mappings[$asset_key]);
     $this->state->set('bootstrap_purge.asset_mappings', $mappings);
     
+    if (!empty($purge['canary'])) {
+      $this->invalidateCanaries();
+    } else {
+      $this->cacheTagsInvalidator->invalidateTags(['library_info']);
+    }
+    
     // Call purger to clean up files
-    $this->assetPurger->revertAsset($asset_key);
+    $this->assetPurger->revertAsset($asset_key, $this->getDisposableFiles($purge));
+    
+    $this->rebuildRouteBundles();
     
     return TRUE;
   }
 
+  /**
+   * Maps a version from the purge history again.
+   *
+   * The version replaces the approved purge of the asset, or its candidate,
+   * and is served to every visitor right away.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   * @param int $version
+   *   The version number.
+   * @param bool $force
+   *   Whether to restore a version purged from a different original file.
+   *
+   * @return bool
+   *   TRUE on success, FALSE if the version does not exist, its purged file
+   *   is gone, or its original file changed and it was not forced.
+   */
+  public function restoreVersion($asset_key, $version, $force = FALSE) {
+    $record = $this->purgeHistory->loadVersion($asset_key, $version);
+    $asset = $this->assetCollector->collectAssets()[$asset_key] ?? NULL;
+    
+    if (!$record || !$asset || !file_exists($record['path'])) {
+      return FALSE;
+    }
+    
+    if (!$force && $this->purgeHistory->isStale($record, $asset)) {
+      return FALSE;
+    }
+    
+    $approved = $this->getApprovedPurges();
+    $previous = $approved[$asset_key] ?? NULL;
+    
+    $approved[$asset_key] = array_merge($record['analysis'], $record['mapping'], [
+      'version' => $record['version'],
+      'restored' => time(),
+    ]);
+    $this->state->set('bootstrap_purge.approved_purges', $approved);
+    $this->updatePurgedAssetMappings($asset_key, $record['mapping']);
+    
+    foreach (['pending_candidates', 'rejected_purges'] as $list) {
+      $entries = $this->state->get('bootstrap_purge.' . $list, []);
+      if (isset($entries[$asset_key])) {
+        unset($entries[$asset_key]);
+        $this->state->set('bootstrap_purge.' . $list, $entries);
+      }
+    }
+    
+    if ($previous) {
+      $this->assetPurger->revertAsset($asset_key, $this->getDisposableFiles($previous));
+    }
+    
+    if (!empty($previous['canary'])) {
+      $this->invalidateCanaries();
+    } else {
+      $this->cacheTagsInvalidator->invalidateTags(['library_info']);
+    }
+    
+    $this->state->set('bootstrap_purge.last_purge', time());
+    
+    if ($asset['type'] === 'css') {
+      $this->rebuildRouteBundles();
+    }
+    
+    return TRUE;
+  }
+
+  /**
+   * Gets the files of a purge that can be deleted once it is replaced.
+   *
+   * @param array $purge
+   *   The approved purge.
+   *
+   * @return array
+   *   The purged file information, without the files the history keeps.
+   */
+  protected function getDisposableFiles(array $purge) {
+    return array_filter(array_intersect_key($purge, array_flip(['path', 'provenance_path'])), function ($path) {
+      return $path && !$this->purgeHistory->isVersionFile($path);
+    });
+  }
+
+  /**
+   * Gets the approved stylesheet purges still in their canary rollout.
+   *
+   * @return array
+   *   The approved purges served to canary sessions only, keyed by asset key.
+   */
+  public function getCanaryPurges() {
+    return array_filter($this->getApprovedPurges(), function ($purge) {
+      return !empty($purge['canary']);
+    });
+  }
+
+  /**
+   * Serves a purge in its canary rollout to every visitor.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   *
+   * @return bool
+   *   TRUE on success, FALSE if the asset is not in a canary rollout.
+   */
+  public function promoteCanary($asset_key) {
+    $approved = $this->getApprovedPurges();
+    
+    if (empty($approved[$asset_key]['canary'])) {
+      return FALSE;
+    }
+    
+    $this->updatePurgedAssetMappings($asset_key, $approved[$asset_key]['canary']['mapping']);
+    unset($approved[$asset_key]['canary']);
+    $this->state->set('bootstrap_purge.approved_purges', $approved);
+    $this->invalidateCanaries();
+    
+    if (!$this->deferRouteBundles) {
+      $this->rebuildRouteBundles();
+    }
+    
+    return TRUE;
+  }
+
+  /**
+   * Moves a purge in its canary rollout back to the pending candidates.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   * @param array $report
+   *   Why the canary was rolled back, kept with the candidate for review.
+   *
+   * @return bool
+   *   TRUE on success, FALSE if the asset is not in a canary rollout.
+   */
+  public function rollbackCanary($asset_key, array $report) {
+    $approved = $this->getApprovedPurges();
+    
+    if (empty($approved[$asset_key]['canary'])) {
+      return FALSE;
+    }
+    
+    $candidate = $approved[$asset_key];
+    unset($candidate['canary']);
+    $candidate['canary_rollback'] = $report + ['time' => time()];
+    
+    unset($approved[$asset_key]);
+    $this->state->set('bootstrap_purge.approved_purges', $approved);
+    
+    $pending = $this->getPendingCandidates();
+    $pending[$asset_key] = $candidate;
+    $this->state->set('bootstrap_purge.pending_candidates', $pending);
+    
+    $this->invalidateCanaries();
+    
+    return TRUE;
+  }
+
+  /**
+   * Makes libraries and pages pick up changed canary rollouts.
+   *
+   * Canary stylesheets are left out of CSS aggregation so the browser can
+   * swap them, and the pages list the canaries in their settings.
+   */
+  protected function invalidateCanaries() {
+    $this->cacheTagsInvalidator->invalidateTags(['library_info', CanaryRollout::CACHE_TAG]);
+  }
+
+  /**
+   * Rebuilds the route group bundles from the approved stylesheet purges.
+   *
+   * @return array|null
+   *   The route bundles, or NULL when they are disabled or could not be
+   *   built.
+   */
+  public function rebuildRouteBundles() {
+    $settings = $this->configFactory->get('bootstrap_purge.settings')->get('route_bundles') ?: [];
+    if (empty($settings['enabled'])) {
+      return NULL;
+    }
+
+    $assets = [];
+    $collected = $this->assetCollector->collectAssets();
+    foreach ($this->getApprovedPurges() as $asset_key => $purge) {
+      // Canary sessions get the site-wide purge only.
+      if (isset($collected[$asset_key]) && $collected[$asset_key]['type'] === 'css' && empty($purge['canary'])) {
+        $assets[$asset_key] = $collected[$asset_key];
+      }
+    }
+
+    return $this->routeBundleBuilder->build($assets);
+  }
+
+  /**
+   * Keeps selectors a purge removed and applies the change in place.
+   *
+   * The selectors, or a pattern generated from each, are added to the
+   * whitelist. Analysis results listing a matching selector as unused are
+   * updated, and approved purges among them are purged again so that the
+   * mapped files contain the restored rules.
+   *
+   * @param array $selectors
+   *   The selectors to keep, as written in the stylesheet.
+   * @param string $mode
+   *   'selector' to keep exactly these selectors, or 'pattern' to keep the
+   *   component family each belongs to.
+   *
+   * @return array
+   *   An array with the 'whitelisted' entries that were added, and the keys
+   *   of the assets whose analysis was 'updated' and that were 'repurged'.
+   */
+  public function restoreSelectors(array $selectors, $mode = 'selector') {
+    $patterns = [];
+    $exact = [];
+    foreach ($selectors as $selector) {
+      $pattern = $mode === 'pattern' ? $this->whitelistManager->generatePattern($selector) : NULL;
+      // Selectors without a class are kept exactly.
+      if ($pattern !== NULL) {
+        $patterns[] = $pattern;
+      } else {
+        $exact[] = $selector;
+      }
+    }
+    
+    $result = [
+      'whitelisted' => array_merge(
+        $this->whitelistManager->addGlobalPatterns($patterns),
+        $this->whitelistManager->addRestoredSelectors($exact)
+      ),
+      'updated' => [],
+      'repurged' => [],
+    ];
+    $patterns = array_unique(array_merge($patterns, array_map([$this->whitelistManager, 'toExactPattern'], $exact)));
+    
+    $assets = $this->assetCollector->collectAssets();
+    $verification_mode = $this->configFactory->get('bootstrap_purge.settings')->get('verification_mode') ?: 'warn';
+    
+    foreach (['pending_candidates', 'approved_purges'] as $list) {
+      $entries = $this->state->get('bootstrap_purge.' . $list, []);
+      
+      foreach ($entries as $asset_key => $entry) {
+        $matched = [];
+        foreach (array_merge($entry['unused_selectors'] ?? [], $entry['rejected_selectors'] ?? []) as $selector) {
+          $pattern = $this->whitelistManager->findMatchingPattern($selector, $patterns);
+          if ($pattern !== NULL) {
+            $matched[$selector] = $pattern;
+          }
+        }
+        if (!$matched) {
+          continue;
+        }
+        
+        $entry['unused_selectors'] = array_values(array_diff($entry['unused_selectors'] ?? [], array_keys($matched)));
+        foreach ($matched as $selector => $pattern) {
+          $entry['provenance'][$selector] = $this->assetAnalyzer->buildProvenance('kept', 'whitelist', $pattern);
+        }
+        $result['updated'][] = $asset_key;
+        
+        // The mapped file of an approved purge is replaced right away.
+        $asset = $assets[$asset_key] ?? NULL;
+        if ($list === 'approved_purges' && $asset && $asset['type'] === 'css') {
+          unset($entry['verification']);
+          $purged_info = $this->assetPurger->purgeCssAsset($asset, $entry);
+          if ($purged_info) {
+            if ($verification_mode !== 'off' && ($verification = $this->purgeVerifier->verify($asset, $purged_info))) {
+              $purged_info['verification'] = $verification;
+            }
+            $version = $this->purgeHistory->recordVersion($asset_key, $asset, $entry, $purged_info);
+            if ($version) {
+              $purged_info['version'] = $version;
+            }
+            $entry = array_merge($entry, $purged_info);
+            if (empty($entry['canary'])) {
+              $this->updatePurgedAssetMappings($asset_key, $purged_info);
+            } else {
+              $entry['canary']['mapping'] = $purged_info;
+              $this->invalidateCanaries();
+            }
+            $result['repurged'][] = $asset_key;
+          }
+        }
+        
+        $entries[$asset_key] = $entry;
+      }
+      
+      $this->state->set('bootstrap_purge.' . $list, $entries);
+    }
+    
+    if ($result['repurged']) {
+      $this->state->set('bootstrap_purge.last_purge', time());
+      if (!$this->deferRouteBundles) {
+        $this->rebuildRouteBundles();
+      }
+    }
+    
+    return $result;
+  }
+
+  /**
+   * Gets the pending purges of stylesheets that can be previewed.
+   *
+   * @return array
+   *   The collected assets of the pending CSS candidates, keyed by asset key.
+   */
+  public function getPreviewableAssets() {
+    $assets = $this->assetCollector->collectAssets();
+    
+    $previewable = [];
+    foreach (array_keys($this->getPendingCandidates()) as $asset_key) {
+      if (isset($assets[$asset_key]) && $assets[$asset_key]['type'] === 'css') {
+        $previewable[$asset_key] = $assets[$asset_key];
+      }
+    }
+    
+    return $previewable;
+  }
+
+  /**
+   * Gets the CSS a pending purge would produce.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   *
+   * @return string|null
+   *   The purged CSS, or NULL if the asset is no pending CSS candidate.
+   */
+  public function getPreviewCss($asset_key) {
+    $assets = $this->getPreviewableAssets();
+    if (!isset($assets[$asset_key])) {
+      return NULL;
+    }
+    
+    return $this->assetPurger->buildPreviewCss($assets[$asset_key], $this->getPendingCandidates()[$asset_key]);
+  }
+
   /**
    * Gets asset information by key.
    *
@@ -339,6 +953,41 @@ class AssetManager {
     return $pending[$asset_key] ?? $approved[$asset_key] ?? $rejected[$asset_key] ?? NULL;
   }
 
+  /**
+   * Gets why each selector of an asset is kept or removed.
+   *
+   * Analysis records are replaced by those of the purge runner once the purge
+   * is approved, since the runner decided what the purged file contains.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   *
+   * @return array|null
+   *   Provenance records keyed by selector, each with 'status', 'reason',
+   *   optional 'source' and the 'stage' (analysis or purge) it comes from, or
+   *   NULL if the asset was not analyzed.
+   */
+  public function getSelectorProvenance($asset_key) {
+    $analysis = $this->getAssetAnalysis($asset_key);
+    if (!$analysis) {
+      return NULL;
+    }
+    
+    $provenance = [];
+    foreach ($analysis['provenance'] ?? [] as $selector => $record) {
+      $provenance[$selector] = $record + ['stage' => 'analysis'];
+    }
+    
+    if (!empty($analysis['provenance_path'])) {
+      $purged = json_decode((string) @file_get_contents($analysis['provenance_path']), TRUE);
+      foreach (is_array($purged) ? $purged : [] as $selector => $record) {
+        $provenance[$selector] = $record + ['stage' => 'purge'];
+      }
+    }
+    
+    return $provenance;
+  }
+
   /**
    * Clears all analysis data.
    */
@@ -349,6 +998,12 @@ class AssetManager {
     $this->state->delete('bootstrap_purge.asset_mappings');
     $this->state->delete('bootstrap_purge.last_analysis');
     $this->state->delete('bootstrap_purge.last_purge');
+    $this->state->delete('bootstrap_purge.tracked_stylesheets');
+    $this->state->delete('bootstrap_purge.tracked_selector_index');
+    $this->state->delete('bootstrap_purge.whitelist_rule_index');
+    $this->state->delete('bootstrap_purge.canary_class_index');
+    $this->routeBundleBuilder->clear();
+    $this->invalidateCanaries();
   }
 
 }
\ No newline at end of file
@@ -42,6 +42,13 @@ class AssetPurger {
    */
   protected $logger;
 
+  /**
+   * The content markup source service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\ContentMarkupSource
+   */
+  protected $contentMarkupSource;
+
   /**
    * Constructs an AssetPurger object.
    *
@@ -53,17 +60,21 @@ class AssetPurger {
    *   The file repository service.
    * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
    *   The logger factory.
+   * @param \Drupal\bootstrap_purge\Service\ContentMarkupSource $content_markup_source
+   *   The content markup source service.
    */
   public function __construct(
     ConfigFactoryInterface $config_factory,
     FileSystemInterface $file_system,
     FileRepositoryInterface $file_repository,
-    LoggerChannelFactoryInterface $logger_factory
+    LoggerChannelFactoryInterface $logger_factory,
+    ContentMarkupSource $content_markup_source
   ) {
     $this->configFactory = $config_factory;
     $this->fileSystem = $file_system;
     $this->fileRepository = $file_repository;
     $this->logger = $logger_factory->get('bootstrap_purge');
+    $this->contentMarkupSource = $content_markup_source;
   }
 
   /**
@@ -101,7 +112,7 @@ class AssetPurger {
    */
   protected function purgeCssWithPurgeCSS(array $asset, array $analysis) {
     $config = $this->configFactory->get('bootstrap_purge.settings');
-    $purgecss_path = $config->get('purgecss_path');
+    $node_path = $config->get('node_path') ?: 'node';
     $storage_path = $config->get('storage_path');
     
     // Prepare storage directory
@@ -116,44 +127,55 @@ class AssetPurger {
     $hash = substr(md5($asset['full_path'] . serialize($analysis)), 0, 8);
     $output_filename = pathinfo($asset['file_path'], PATHINFO_FILENAME) . '.purged.' . $hash . '.css';
     $output_path = $storage_path . '/' . $output_filename;
-    $full_output_path = $this->fileSystem->realpath($output_path);
+    $temp_output_dir = $this->fileSystem->getTempDirectory() . '/purgecss_output_' . uniqid();
+    $this->fileSystem->prepareDirectory($temp_output_dir, FileSystemInterface::CREATE_DIRECTORY);
     
     try {
-      // Run PurgeCSS
+      // Run PurgeCSS through the runner, which reports its results as JSON.
       $process = new Process([
-        $purgecss_path,
+        $node_path,
+        $this->getRunnerPath(),
+        'purge',
         '--config', $temp_config_path,
-        '--output', dirname($full_output_path)
+        '--output', $temp_output_dir,
+        '--provenance',
+        '--json',
       ]);
-      
+      $process->setTimeout(300);
       $process->run();
       
-      if ($process->isSuccessful()) {
-        // Clean up temp config
-        unlink($temp_config_path);
+      $result = json_decode($process->getOutput(), TRUE);
+      foreach ($result['warnings'] ?? [] as $warning) {
+        $this->logger->warning('PurgeCSS configuration: @warning', ['@warning' => $warning]);
+      }
+      
+      if ($process->isSuccessful() && !empty($result['files'][0]['output']) && file_exists($result['files'][0]['output'])) {
+        $report = $result['files'][0];
         
-        if (file_exists($full_output_path)) {
-          // Create managed file
-          $file = $this->fileRepository->writeData(
-            file_get_contents($full_output_path),
-            $output_path,
-            FileRepositoryInterface::EXISTS_REPLACE
-          );
-          
-          return [
-            'path' => $output_path,
-            'file_id' => $file->id(),
-            'size' => filesize($full_output_path),
-            'hash' => $hash,
-            'method' => 'purgecss',
-            'created' => time(),
-          ];
-        }
-      } else {
-        $this->logger->error('PurgeCSS failed: @error', [
-          '@error' => $process->getErrorOutput(),
-        ]);
+        // Create managed file
+        $file = $this->fileRepository->writeData(
+          file_get_contents($report['output']),
+          $output_path,
+          FileRepositoryInterface::EXISTS_REPLACE
+        );
+        
+        return [
+          'path' => $output_path,
+          'provenance_path' => $this->saveProvenance($report['provenance'] ?? [], $storage_path . '/' . pathinfo($output_filename, PATHINFO_FILENAME) . '.provenance.json'),
+          'file_id' => $file->id(),
+          'size' => $report['purgedSize'],
+          'hash' => $hash,
+          'method' => 'purgecss',
+          'rejected_count' => count($report['rejected']),
+          'rejected_selectors' => $report['rejected'],
+          'dynamic_prefixes' => $result['dynamicPrefixes'] ?? [],
+          'created' => time(),
+        ];
       }
+      
+      $this->logger->error('PurgeCSS failed: @error', [
+        '@error' => $result['error'] ?? $process->getErrorOutput(),
+      ]);
     } catch (\Exception $e) {
       $this->logger->error('PurgeCSS execution failed: @message', [
         '@message' => $e->getMessage(),
@@ -163,11 +185,59 @@ class AssetPurger {
       if (file_exists($temp_config_path)) {
         unlink($temp_config_path);
       }
+      $this->fileSystem->deleteRecursive($temp_output_dir);
     }
     
     return NULL;
   }
 
+  /**
+   * Saves the runner's selector provenance next to the purged file.
+   *
+   * Selectors found in a content file are recorded as template matches, with
+   * the path relative to the web root. Raw content is the database markup.
+   *
+   * @param array $provenance
+   *   Provenance records keyed by selector.
+   * @param string $path
+   *   The file URI to write.
+   *
+   * @return string|null
+   *   The file URI, or NULL when there was nothing to save.
+   */
+  protected function saveProvenance(array $provenance, $path) {
+    if (!$provenance) {
+      return NULL;
+    }
+    
+    $root = DRUPAL_ROOT . '/';
+    foreach ($provenance as &$record) {
+      if ($record['reason'] !== 'content') {
+        continue;
+      }
+      if ($record['source'] === '(raw content)') {
+        unset($record['source']);
+      } else {
+        $record['reason'] = 'template';
+        if (strpos($record['source'], $root) === 0) {
+          $record['source'] = substr($record['source'], strlen($root));
+        }
+      }
+    }
+    
+    return $this->fileSystem->saveData(json_encode($provenance), $path, FileSystemInterface::EXISTS_REPLACE) ?: NULL;
+  }
+
+  /**
+   * Gets the path of the Node.js purge runner.
+   *
+   * @return string
+   *   The path of scripts/purge-runner.js.
+   */
+  public function getRunnerPath() {
+    return dirname(__DIR__, 2) . '/scripts/purge-runner.js';
+  }
+
   /**
    * Purges CSS using PHP implementation.
    *
@@ -219,6 +289,37 @@ class AssetPurger {
     return NULL;
   }
 
+  /**
+   * Builds the purged CSS of a candidate without writing a purged file.
+   *
+   * The PHP purge is used, as it needs no Node.js and is quick enough to run
+   * on request. The result is cached in the temporary directory until the
+   * stylesheet or its unused selectors change.
+   *
+   * @param array $asset
+   *   The asset information.
+   * @param array $analysis
+   *   The analysis results.
+   *
+   * @return string
+   *   The purged CSS.
+   */
+  public function buildPreviewCss(array $asset, array $analysis) {
+    $unused_selectors = $analysis['unused_selectors'] ?? [];
+    $directory = 'temporary://bootstrap_purge/preview';
+    $path = $directory . '/' . md5($asset['full_path'] . filemtime($asset['full_path']) . serialize($unused_selectors)) . '.css';
+    
+    if (file_exists($path)) {
+      return file_get_contents($path);
+    }
+    
+    $css = $this->removeCssRules(file_get_contents($asset['full_path']), $unused_selectors);
+    $this->fileSystem->prepareDirectory($directory, FileSystemInterface::CREATE_DIRECTORY);
+    $this->fileSystem->saveData($css, $path, FileSystemInterface::EXISTS_REPLACE);
+    
+    return $css;
+  }
+
   /**
    * Removes CSS rules containing unused selectors.
    *
@@ -264,10 +365,15 @@ class AssetPurger {
    *   Purged file information or NULL on failure.
    */
   public function purgeJsAsset(array $asset, array $analysis) {
-    // JavaScript purging is more complex and would typically require
-    // integration with bundlers like webpack, rollup, or esbuild
-    // For now, we'll implement a basic approach
-    
+    // Bootstrap bundles are rebuilt from the plugins seen at runtime; any
+    // other script, or a failed build, falls back to basic minification.
+    if (!empty($analysis['used_plugins'])) {
+      $bundle = $this->buildBootstrapJsBundle($asset, $analysis);
+      if ($bundle) {
+        return $bundle;
+      }
+    }
+
     $config = $this->configFactory->get('bootstrap_purge.settings');
     $storage_path = $config->get('storage_path');
     
@@ -309,6 +415,161 @@ class AssetPurger {
     return NULL;
   }
 
+  /**
+   * Builds a Bootstrap JavaScript bundle with only the used plugins.
+   *
+   * @param array $asset
+   *   The asset information.
+   * @param array $analysis
+   *   The analysis results, including the used plugins.
+   *
+   * @return array|null
+   *   Purged file information or NULL on failure.
+   */
+  protected function buildBootstrapJsBundle(array $asset, array $analysis) {
+    $config = $this->configFactory->get('bootstrap_purge.settings');
+    $node_path = $config->get('node_path') ?: 'node';
+    $storage_path = $config->get('storage_path');
+
+    $dist_dir = $this->findBootstrapDistDir($asset['full_path']);
+    if (!$dist_dir) {
+      $this->logger->warning('Could not locate Bootstrap plugin sources for @asset.', [
+        '@asset' => $asset['file_path'],
+      ]);
+      return NULL;
+    }
+
+    $this->fileSystem->prepareDirectory($storage_path, FileSystemInterface::CREATE_DIRECTORY);
+
+    $hash = substr(md5($asset['full_path'] . serialize($analysis)), 0, 8);
+    $output_filename = pathinfo($asset['file_path'], PATHINFO_FILENAME) . '.purged.' . $hash . '.js';
+    $output_path = $storage_path . '/' . $output_filename;
+    $full_output_path = $this->fileSystem->realpath($storage_path) . '/' . $output_filename;
+
+    // The bundled build embeds Popper, so the trimmed one must too.
+    $popper = NULL;
+    if (strpos(basename($asset['file_path']), 'bundle') !== FALSE) {
+      $popper = $this->findPopper($dist_dir);
+    }
+
+    $temp_config_path = $this->fileSystem->getTempDirectory() . '/bootstrap_js_config_' . uniqid() . '.json';
+    file_put_contents($temp_config_path, json_encode([
+      'bootstrapJs' => [
+        'distDir' => $dist_dir,
+        'plugins' => array_values($analysis['used_plugins']),
+        'popper' => $popper,
+        'output' => $output_filename,
+      ],
+    ]));
+
+    try {
+      $process = new Process([
+        $node_path,
+        $this->getRunnerPath(),
+        'purge',
+        '--config', $temp_config_path,
+        '--output', dirname($full_output_path),
+        '--json',
+      ]);
+      $process->setTimeout(120);
+      $process->run();
+
+      $result = json_decode($process->getOutput(), TRUE);
+
+      if ($process->isSuccessful() && file_exists($full_output_path)) {
+        $file = $this->fileRepository->writeData(
+          file_get_contents($full_output_path),
+          $output_path,
+          FileRepositoryInterface::EXISTS_REPLACE
+        );
+
+        if (!empty($result['bundles'][0]['missing'])) {
+          $this->logger->warning('The trimmed bundle for @asset does not include @missing; load it separately.', [
+            '@asset' => $asset['file_path'],
+            '@missing' => implode(', ', $result['bundles'][0]['missing']),
+          ]);
+        }
+
+        return [
+          'path' => $output_path,
+          'file_id' => $file->id(),
+          'size' => filesize($full_output_path),
+          'hash' => $hash,
+          'method' => 'bootstrap_bundle',
+          'plugins' => $result['bundles'][0]['plugins'] ?? array_values($analysis['used_plugins']),
+          'created' => time(),
+        ];
+      }
+
+      $this->logger->error('Bootstrap bundle build failed: @error', [
+        '@error' => $result['error'] ?? $process->getErrorOutput(),
+      ]);
+    } catch (\Exception $e) {
+      $this->logger->error('Bootstrap bundle build failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+    } finally {
+      if (file_exists($temp_config_path)) {
+        unlink($temp_config_path);
+      }
+    }
+
+    return NULL;
+  }
+
+  /**
+   * Finds the directory holding Bootstrap's per-plugin builds.
+   *
+   * @param string $file_path
+   *   The full path of the Bootstrap JavaScript file.
+   *
+   * @return string|null
+   *   The js/dist directory, or NULL when it cannot be found.
+   */
+  protected function findBootstrapDistDir($file_path) {
+    $dir = dirname($file_path);
+    $candidates = [
+      $dir . '/../../js/dist',
+      $dir . '/../js/dist',
+      $dir . '/dist',
+      $dir,
+    ];
+
+    foreach ($candidates as $candidate) {
+      if (file_exists($candidate . '/base-component.js')) {
+        return realpath($candidate);
+      }
+    }
+
+    return NULL;
+  }
+
+  /**
+   * Finds the Popper UMD build installed next to Bootstrap.
+   *
+   * @param string $dist_dir
+   *   The Bootstrap js/dist directory.
+   *
+   * @return string|null
+   *   The Popper file path, or NULL when it cannot be found.
+   */
+  protected function findPopper($dist_dir) {
+    $bootstrap_root = dirname($dist_dir, 2);
+    $candidates = [
+      dirname($bootstrap_root) . '/@popperjs/core/dist/umd/popper.min.js',
+      $bootstrap_root . '/node_modules/@popperjs/core/dist/umd/popper.min.js',
+      dirname($bootstrap_root) . '/popperjs/dist/umd/popper.min.js',
+    ];
+
+    foreach ($candidates as $candidate) {
+      if (file_exists($candidate)) {
+        return $candidate;
+      }
+    }
+
+    return NULL;
+  }
+
   /**
    * Basic JavaScript minification.
    *
@@ -345,19 +606,31 @@ class AssetPurger {
    * @return array
    *   PurgeCSS configuration array.
    */
-  protected function createPurgeCssConfig(array $asset, array $analysis) {
+  public function createPurgeCssConfig(array $asset, array $analysis) {
     $config = $this->configFactory->get('bootstrap_purge.settings');
-    $whitelist = $this->getWhitelistForPurgeCSS();
+    $options = $config->get('purgecss') ?: [];
+    $safelist = $this->getSafelistForPurgeCSS();
     
     return [
       'content' => $this->getContentPaths(),
       'css' => [$asset['full_path']],
-      'whitelist' => $whitelist,
-      'whitelistPatterns' => $this->getWhitelistPatterns(),
+      'safelist' => [
+        'standard' => $safelist,
+        'deep' => array_values(array_map([$this, 'toPurgeCssPattern'], $options['safelist_deep'] ?? [])),
+        'greedy' => array_values(array_map([$this, 'toPurgeCssPattern'], $options['safelist_greedy'] ?? [])),
+      ],
+      'blocklist' => array_values(array_map([$this, 'toPurgeCssPattern'], $options['blocklist'] ?? [])),
+      'keyframes' => !empty($options['keyframes']),
+      'fontFace' => !empty($options['font_face']),
+      'variables' => !empty($options['variables']),
       'extractors' => [
+        [
+          'extractor' => 'drupal',
+          'extensions' => ['twig', 'php', 'theme', 'module'],
+        ],
         [
           'extractor' => 'purgeCSS.defaultExtractor',
-          'extensions' => ['html', 'php', 'twig'],
+          'extensions' => ['html'],
         ],
       ],
     ];
@@ -367,44 +640,92 @@ class AssetPurger {
    * Gets content paths for PurgeCSS.
    *
    * @return array
-   *   Array of content paths.
+   *   Array of content paths, and raw content for markup stored in the
+   *   database.
    */
   protected function getContentPaths() {
     // This would return paths to template files and generated HTML
     // For now, return basic paths
-    return [
+    $paths = [
       DRUPAL_ROOT . '/core/themes/**/*.html.twig',
       DRUPAL_ROOT . '/themes/**/*.html.twig',
       DRUPAL_ROOT . '/modules/**/*.html.twig',
+      DRUPAL_ROOT . '/themes/**/*.theme',
+      DRUPAL_ROOT . '/modules/custom/**/*.module',
     ];
+    
+    // Markup stored in the database is passed as raw content.
+    $content_markup = $this->contentMarkupSource->getMarkup();
+    if ($content_markup !== '') {
+      $paths[] = ['raw' => $content_markup, 'extension' => 'html'];
+    }
+    
+    return $paths;
   }
 
   /**
-   * Gets whitelist for PurgeCSS.
+   * Gets the PurgeCSS safelist from the whitelist settings.
+   *
+   * All whitelist patterns, regex and wildcard ones included, go to the
+   * standard safelist, as the pre-3.0 whitelistPatterns option did. The deep
+   * and greedy safelists only hold the patterns set for them under the
+   * PurgeCSS options, since a greedy pattern keeps every rule with any
+   * matching part in its selector.
    *
    * @return array
-   *   Array of whitelisted selectors.
+   *   The standard safelist.
    */
-  protected function getWhitelistForPurgeCSS() {
+  protected function getSafelistForPurgeCSS() {
     $config = $this->configFactory->get('bootstrap_purge.settings');
     $whitelist_config = $this->configFactory->get('bootstrap_purge.whitelist');
     
-    $whitelist = [];
-    $whitelist = array_merge($whitelist, $config->get('whitelist_patterns') ?: []);
-    $whitelist = array_merge($whitelist, $whitelist_config->get('global_patterns') ?: []);
+    $patterns = array_merge(
+      $config->get('whitelist_patterns') ?: [],
+      $whitelist_config->get('global_patterns') ?: [],
+      $config->get('bootstrap_whitelist') ?: []
+    );
     
-    return $whitelist;
+    $safelist = array_map([$this, 'toPurgeCssPattern'], array_unique($patterns));
+    
+    // PurgeCSS keeps a selector when each of its class, ID, attribute and
+    // tag names is found or safelisted, so safelisting the names of a
+    // restored selector keeps it, along with any selector made of the same
+    // names.
+    foreach ($whitelist_config->get('restored_selectors') ?: [] as $selector) {
+      preg_match_all('/[.#]((?:\\\\.|[\w-])+)|\[\s*([\w-]+)|(?:^|[\s>+~(])([a-zA-Z][\w-]*)/', $selector, $matches);
+      $names = array_filter(array_merge($matches[1], $matches[2], $matches[3]));
+      $safelist = array_merge($safelist, array_map('stripslashes', $names));
+    }
+    
+    return array_values(array_unique($safelist));
   }
 
   /**
-   * Gets whitelist patterns for PurgeCSS.
+   * Converts a whitelist pattern to a PurgeCSS safelist pattern.
    *
-   * @return array
-   *   Array of whitelist patterns.
+   * PurgeCSS matches class names, IDs and attribute names without their
+   * ".", "#" or "[" prefix, so the prefix is dropped from the pattern.
+   * Regex patterns are kept as "/.../flags" strings, which the runner turns
+   * back into regular expressions, and wildcard patterns become regexes.
+   *
+   * @param string $pattern
+   *   The whitelist pattern.
+   *
+   * @return string
+   *   The safelist pattern.
    */
-  protected function getWhitelistPatterns() {
-    $config = $this->configFactory->get('bootstrap_purge.settings');
-    return $config->get('bootstrap_whitelist') ?: [];
+  protected function toPurgeCssPattern($pattern) {
+    if (preg_match('/^\/(.+)\/([a-z]*)$/s', $pattern, $matches)) {
+      $regex = preg_replace('/^(\^?)\\\\[.#\[]/', '$1', $matches[1]);
+      return '/' . $regex . '/' . $matches[2];
+    }
+    
+    $pattern = ltrim($pattern, '.#');
+    if (strpbrk($pattern, '*?') !== FALSE) {
+      return '/^' . strtr(preg_quote($pattern, '/'), ['\\*' => '.*', '\\?' => '.']) . '$/';
+    }
+    
+    return $pattern;
   }
 
   /**
@@ -431,18 +752,42 @@ class AssetPurger {
   }
 
   /**
-   * Reverts a purged asset to its original version.
+   * Deletes the files of a purge that is no longer mapped.
    *
    * @param string $asset_key
    *   The asset key.
+   * @param array $purged_info
+   *   The purged file information; its 'path' and 'provenance_path' files
+   *   are deleted.
    *
    * @return bool
    *   TRUE on success, FALSE on failure.
    */
-  public function revertAsset($asset_key) {
-    // Implementation would remove the purged file and update mappings
-    // This is a placeholder for the revert functionality
-    $this->logger->info('Reverting asset: @asset', ['@asset' => $asset_key]);
+  public function revertAsset($asset_key, array $purged_info) {
+    foreach (['path', 'provenance_path'] as $key) {
+      if (empty($purged_info[$key]) || !file_exists($purged_info[$key])) {
+        continue;
+      }
+      
+      try {
+        // Purged files are managed; provenance files are not.
+        $file = $this->fileRepository->loadByUri($purged_info[$key]);
+        if ($file) {
+          $file->delete();
+        } else {
+          $this->fileSystem->delete($purged_info[$key]);
+        }
+      } catch (\Exception $e) {
+        $this->logger->error('Failed to delete @path of @asset: @message', [
+          '@path' => $purged_info[$key],
+          '@asset' => $asset_key,
+          '@message' => $e->getMessage(),
+        ]);
+        return FALSE;
+      }
+    }
+    
+    $this->logger->info('Reverted asset: @asset', ['@asset' => $asset_key]);
     return TRUE;
   }
 
@@ -0,0 +1,398 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Component\Utility\Crypt;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Database\Connection;
+use Drupal\Core\File\FileUrlGeneratorInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\State\StateInterface;
+
+/**
+ * Service for serving approved stylesheet purges to canary sessions first.
+ *
+ * While a purge is in its canary rollout, the browser swaps the original
+ * stylesheet for the purged one in a share of sessions. Those sessions report
+ * the classes on the page that the original stylesheet styles and the purged
+ * one does not; once visitors from enough anonymized IP addresses did, the
+ * purge is rolled back.
+ */
+class CanaryRollout {
+
+  /**
+   * Cache tag of pages and responses listing the canary rollouts.
+   */
+  const CACHE_TAG = 'bootstrap_purge_canary';
+
+  /**
+   * Classes kept with a rolled back candidate, most reported first.
+   */
+  const MAX_REPORTED_CLASSES = 50;
+
+  /**
+   * The asset manager service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetManager
+   */
+  protected $assetManager;
+
+  /**
+   * The asset collector service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetCollector
+   */
+  protected $assetCollector;
+
+  /**
+   * The asset analyzer service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetAnalyzer
+   */
+  protected $assetAnalyzer;
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The state service.
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The file URL generator.
+   *
+   * @var \Drupal\Core\File\FileUrlGeneratorInterface
+   */
+  protected $fileUrlGenerator;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs a CanaryRollout object.
+   *
+   * @param \Drupal\bootstrap_purge\Service\AssetManager $asset_manager
+   *   The asset manager service.
+   * @param \Drupal\bootstrap_purge\Service\AssetCollector $asset_collector
+   *   The asset collector service.
+   * @param \Drupal\bootstrap_purge\Service\AssetAnalyzer $asset_analyzer
+   *   The asset analyzer service.
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state service.
+   * @param \Drupal\Core\File\FileUrlGeneratorInterface $file_url_generator
+   *   The file URL generator.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(
+    AssetManager $asset_manager,
+    AssetCollector $asset_collector,
+    AssetAnalyzer $asset_analyzer,
+    Connection $database,
+    ConfigFactoryInterface $config_factory,
+    StateInterface $state,
+    FileUrlGeneratorInterface $file_url_generator,
+    LoggerChannelFactoryInterface $logger_factory
+  ) {
+    $this->assetManager = $asset_manager;
+    $this->assetCollector = $asset_collector;
+    $this->assetAnalyzer = $asset_analyzer;
+    $this->database = $database;
+    $this->configFactory = $config_factory;
+    $this->state = $state;
+    $this->fileUrlGenerator = $file_url_generator;
+    $this->logger = $logger_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * Lists the canary rollouts for the browser.
+   *
+   * @return array
+   *   Per canary, the base64 encoded asset key as 'id', the path of the
+   *   'original' stylesheet relative to the web root and the URL of the
+   *   'purged' one.
+   */
+  public function getCanaryStylesheets() {
+    $canaries = $this->assetManager->getCanaryPurges();
+    $assets = $canaries ? $this->assetCollector->collectAssets() : [];
+
+    $stylesheets = [];
+    foreach ($canaries as $asset_key => $purge) {
+      if (!isset($assets[$asset_key])) {
+        continue;
+      }
+      $stylesheets[] = [
+        'id' => base64_encode($asset_key),
+        'original' => substr($assets[$asset_key]['full_path'], strlen(DRUPAL_ROOT)),
+        'purged' => $this->fileUrlGenerator->generateString($purge['path']),
+      ];
+    }
+
+    return $stylesheets;
+  }
+
+  /**
+   * Gets the classes the purge of each canary removed.
+   *
+   * These are the classes the original stylesheet styles and the purged one
+   * does not. They are read from the stylesheets once and cached in state
+   * until the next analysis run or until the asset is purged again.
+   *
+   * @return array
+   *   Lists of class names, keyed by base64 encoded asset key.
+   */
+  public function getClassIndex() {
+    $cached = $this->state->get('bootstrap_purge.canary_class_index', []);
+    $canaries = $this->assetManager->getCanaryPurges();
+    $stale = array_filter($canaries, function ($purge, $asset_key) use ($cached) {
+      return ($cached[$asset_key]['path'] ?? NULL) !== $purge['path'];
+    }, ARRAY_FILTER_USE_BOTH);
+    // Assets are only collected for canaries not indexed since their purge.
+    $assets = $stale ? $this->assetCollector->collectAssets() : [];
+
+    $index = [];
+    foreach ($canaries as $asset_key => $purge) {
+      if (isset($stale[$asset_key]) && isset($assets[$asset_key])) {
+        $original = $this->getClasses($assets[$asset_key]);
+        $purged = $this->getClasses(['full_path' => $purge['path']]);
+        $cached[$asset_key] = [
+          'path' => $purge['path'],
+          'classes' => array_values(array_diff($original, $purged)),
+        ];
+        $this->state->set('bootstrap_purge.canary_class_index', $cached);
+      }
+      $index[base64_encode($asset_key)] = $cached[$asset_key]['classes'] ?? [];
+    }
+
+    return $index;
+  }
+
+  /**
+   * Gets the classes a stylesheet has rules for.
+   *
+   * @param array $asset
+   *   The asset information, with a 'full_path' key.
+   *
+   * @return array
+   *   The class names.
+   */
+  protected function getClasses(array $asset) {
+    $classes = [];
+    foreach (array_keys($this->assetAnalyzer->buildSelectorIndex([$asset])['tokens']) as $token) {
+      if ($token[0] === '.') {
+        $classes[] = substr($token, 1);
+      }
+    }
+
+    return $classes;
+  }
+
+  /**
+   * Records classes a canary session found without styles.
+   *
+   * Reports sent with the same page token from the same anonymized IP address
+   * are merged per route. The canary is rolled back once visitors from as
+   * many anonymized IP addresses as the threshold reported.
+   *
+   * @param string $asset_key
+   *   The asset key of the canary.
+   * @param string $token
+   *   The validated page token the report was sent with.
+   * @param string $ip_address
+   *   The anonymized IP address of the visitor.
+   * @param string $route
+   *   The route name the classes were found on.
+   * @param array $classes
+   *   The class names.
+   *
+   * @return bool|null
+   *   TRUE if the report rolled the canary back, FALSE if it was stored, or
+   *   NULL if the asset is not in a canary rollout or no reported class was
+   *   removed by its purge.
+   */
+  public function recordReport($asset_key, $token, $ip_address, $route, array $classes) {
+    $index = $this->getClassIndex();
+    $asset_id = base64_encode($asset_key);
+    if (!isset($index[$asset_id])) {
+      return NULL;
+    }
+
+    // Only classes the purge removed can be missing styles.
+    $classes = array_values(array_intersect(array_unique($classes), $index[$asset_id]));
+    if (!$classes) {
+      return NULL;
+    }
+
+    // The session the browser reports is not trusted; a report belongs to
+    // the signed page token and the network it was sent from.
+    $session_id = Crypt::hashBase64($token . '|' . $ip_address);
+    $existing = $this->database->select('bootstrap_purge_canary_reports', 'cr')
+      ->fields('cr', ['id', 'classes'])
+      ->condition('asset_key', $asset_key)
+      ->condition('session_id', $session_id)
+      ->condition('route', $route)
+      ->range(0, 1)
+      ->execute()
+      ->fetchObject();
+
+    if ($existing) {
+      $stored = json_decode($existing->classes ?? '[]', TRUE) ?: [];
+      $this->database->update('bootstrap_purge_canary_reports')
+        ->fields(['classes' => json_encode(array_values(array_unique(array_merge($stored, $classes))))])
+        ->condition('id', $existing->id)
+        ->execute();
+    } else {
+      $this->database->insert('bootstrap_purge_canary_reports')
+        ->fields([
+          'asset_key' => $asset_key,
+          'session_id' => $session_id,
+          'ip_address' => $ip_address,
+          'route' => $route,
+          'classes' => json_encode($classes),
+          'created' => time(),
+        ])
+        ->execute();
+    }
+
+    $threshold = (int) $this->configFactory->get('bootstrap_purge.settings')->get('canary.rollback_threshold');
+    if ($threshold > 0 && $this->getReportSummary($asset_key)['visitors'] >= $threshold) {
+      return $this->rollback($asset_key, TRUE);
+    }
+
+    return FALSE;
+  }
+
+  /**
+   * Summarizes the missing-style reports of a canary.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   *
+   * @return array
+   *   An array with the number of 'sessions' and of 'visitors', distinct
+   *   anonymized IP addresses, that reported, and the 'classes' and 'routes'
+   *   reported, each with its number of visitors and most reported first.
+   */
+  public function getReportSummary($asset_key) {
+    $result = $this->database->select('bootstrap_purge_canary_reports', 'cr')
+      ->fields('cr', ['session_id', 'ip_address', 'route', 'classes'])
+      ->condition('asset_key', $asset_key)
+      ->execute();
+
+    $sessions = [];
+    $visitors = [];
+    $classes = [];
+    $routes = [];
+    foreach ($result as $row) {
+      $ip_address = (string) $row->ip_address;
+      $sessions[$row->session_id] = TRUE;
+      $visitors[$ip_address] = TRUE;
+      $routes[$row->route][$ip_address] = TRUE;
+      foreach (json_decode($row->classes ?? '[]', TRUE) ?: [] as $class) {
+        $classes[$class][$ip_address] = TRUE;
+      }
+    }
+
+    $classes = array_map('count', $classes);
+    $routes = array_map('count', $routes);
+    arsort($classes);
+    arsort($routes);
+
+    return [
+      'sessions' => count($sessions),
+      'visitors' => count($visitors),
+      'classes' => $classes,
+      'routes' => $routes,
+    ];
+  }
+
+  /**
+   * Serves a canary to every visitor.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   *
+   * @return bool
+   *   TRUE on success, FALSE if the asset is not in a canary rollout.
+   */
+  public function promote($asset_key) {
+    if (!$this->assetManager->promoteCanary($asset_key)) {
+      return FALSE;
+    }
+
+    $this->deleteReports($asset_key);
+    return TRUE;
+  }
+
+  /**
+   * Stops a canary and moves its purge back to the pending candidates.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   * @param bool $automatic
+   *   Whether the missing-style threshold triggered the rollback.
+   *
+   * @return bool
+   *   TRUE on success, FALSE if the asset is not in a canary rollout.
+   */
+  public function rollback($asset_key, $automatic = FALSE) {
+    $summary = $this->getReportSummary($asset_key);
+    $report = [
+      'automatic' => $automatic,
+      'sessions' => $summary['sessions'],
+      'visitors' => $summary['visitors'],
+      'classes' => array_slice($summary['classes'], 0, self::MAX_REPORTED_CLASSES, TRUE),
+    ];
+
+    if (!$this->assetManager->rollbackCanary($asset_key, $report)) {
+      return FALSE;
+    }
+
+    $this->deleteReports($asset_key);
+
+    if ($automatic) {
+      $this->logger->warning('Rolled back the canary of @asset: visitors from @count IP addresses reported missing styles for @classes.', [
+        '@asset' => $asset_key,
+        '@count' => $summary['visitors'],
+        '@classes' => implode(', ', array_slice(array_keys($summary['classes']), 0, 10)),
+      ]);
+    }
+
+    return TRUE;
+  }
+
+  /**
+   * Deletes the missing-style reports of an asset.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   */
+  protected function deleteReports($asset_key) {
+    $this->database->delete('bootstrap_purge_canary_reports')
+      ->condition('asset_key', $asset_key)
+      ->execute();
+  }
+
+}
@@ -0,0 +1,389 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Entity\EntityFieldManagerInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Entity\Sql\SqlEntityStorageInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+
+/**
+ * Service for collecting classes from markup stored in the database.
+ *
+ * Editors put classes straight into formatted text fields, such as node and
+ * custom block bodies, and into menu link attributes, and pick them from
+ * CKEditor templates and styles. None of that markup is in a template, so it
+ * is read from the field tables in batches and from the editor config, and
+ * reduced to the tags, classes and IDs it uses.
+ */
+class ContentMarkupSource {
+
+  /**
+   * Field types that hold formatted markup.
+   */
+  const TEXT_FIELD_TYPES = ['text', 'text_long', 'text_with_summary'];
+
+  /**
+   * Number of rows read per query.
+   */
+  const BATCH_SIZE = 500;
+
+  /**
+   * Config holding editor markup: CKEditor 5 styles of the text formats, and
+   * the templates of the CKEditor 5 Templates and CKEditor Templates UI
+   * modules.
+   */
+  const EDITOR_CONFIG_PREFIXES = [
+    'editor.editor.',
+    'ckeditor5_template.',
+    'ckeditor_templates_ui.',
+  ];
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The entity field manager.
+   *
+   * @var \Drupal\Core\Entity\EntityFieldManagerInterface
+   */
+  protected $entityFieldManager;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * The collected summary, built once per request.
+   *
+   * @var array|null
+   */
+  protected $summary;
+
+  /**
+   * Constructs a ContentMarkupSource object.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Entity\EntityFieldManagerInterface $entity_field_manager
+   *   The entity field manager.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(
+    Connection $database,
+    EntityTypeManagerInterface $entity_type_manager,
+    EntityFieldManagerInterface $entity_field_manager,
+    ConfigFactoryInterface $config_factory,
+    LoggerChannelFactoryInterface $logger_factory
+  ) {
+    $this->database = $database;
+    $this->entityTypeManager = $entity_type_manager;
+    $this->entityFieldManager = $entity_field_manager;
+    $this->configFactory = $config_factory;
+    $this->logger = $logger_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * Gets markup standing in for the content stored in the database.
+   *
+   * @return string
+   *   One element per tag and ID and one element carrying every class, or an
+   *   empty string when the source is disabled or finds nothing.
+   */
+  public function getMarkup() {
+    $summary = $this->getSummary();
+    $markup = [];
+
+    foreach (array_keys($summary['tags']) as $tag) {
+      $markup[] = '<' . $tag . '></' . $tag . '>';
+    }
+    foreach (array_keys($summary['ids']) as $id) {
+      $markup[] = '<div id="' . $id . '"></div>';
+    }
+    if ($summary['classes']) {
+      $markup[] = '<div class="' . implode(' ', array_keys($summary['classes'])) . '"></div>';
+    }
+
+    return implode("\n", $markup);
+  }
+
+  /**
+   * Gets the tags, classes and IDs used in stored content.
+   *
+   * @return array
+   *   An array with:
+   *   - tags: Tag names, as keys.
+   *   - classes: Class names, as keys.
+   *   - ids: IDs, as keys.
+   *   - values: Number of field values and editor config strings read.
+   */
+  public function getSummary() {
+    if (isset($this->summary)) {
+      return $this->summary;
+    }
+
+    $settings = $this->configFactory->get('bootstrap_purge.settings')->get('content_markup') ?: [];
+    $summary = ['tags' => [], 'classes' => [], 'ids' => [], 'values' => 0];
+
+    if (!empty($settings['enabled'])) {
+      try {
+        foreach ($this->getTextSources(!empty($settings['include_revisions'])) as $source) {
+          foreach ($this->readColumns($source) as $value) {
+            $this->collectFromMarkup($value, $summary);
+            $summary['values']++;
+          }
+        }
+        foreach ($this->getMenuLinkClasses() as $class) {
+          $summary['classes'][$class] = TRUE;
+        }
+        foreach ($this->getEditorMarkup() as $value) {
+          $this->collectFromMarkup($value, $summary);
+          $summary['values']++;
+        }
+      } catch (\Exception $e) {
+        $this->logger->error('Failed to read content markup: @message', [
+          '@message' => $e->getMessage(),
+        ]);
+      }
+    }
+
+    return $this->summary = $summary;
+  }
+
+  /**
+   * Clears the collected summary so the next call reads the database again.
+   */
+  public function reset() {
+    $this->summary = NULL;
+  }
+
+  /**
+   * Gets the tables and columns holding formatted text.
+   *
+   * @param bool $include_revisions
+   *   Whether to read revision tables instead of current values.
+   *
+   * @return array
+   *   Sources with 'table', 'columns', 'order' and optional 'conditions'
+   *   keys.
+   */
+  protected function getTextSources($include_revisions) {
+    $sources = [];
+
+    foreach (self::TEXT_FIELD_TYPES as $field_type) {
+      foreach ($this->entityFieldManager->getFieldMapByFieldType($field_type) as $entity_type_id => $fields) {
+        $storage = $this->entityTypeManager->getStorage($entity_type_id);
+        if (!$storage instanceof SqlEntityStorageInterface) {
+          continue;
+        }
+
+        $entity_type = $storage->getEntityType();
+        $table_mapping = $storage->getTableMapping();
+        $definitions = $this->entityFieldManager->getFieldStorageDefinitions($entity_type_id);
+        $revisions = $include_revisions && $entity_type->isRevisionable();
+
+        foreach (array_keys($fields) as $field_name) {
+          if (!isset($definitions[$field_name])) {
+            continue;
+          }
+          $definition = $definitions[$field_name];
+
+          $columns = [];
+          foreach (['value', 'summary'] as $property) {
+            if (isset($definition->getColumns()[$property])) {
+              $columns[] = $table_mapping->getFieldColumnName($definition, $property);
+            }
+          }
+
+          $use_revisions = $revisions && $definition->isRevisionable();
+          if ($table_mapping->requiresDedicatedTableStorage($definition)) {
+            $sources[] = [
+              'table' => $use_revisions ? $table_mapping->getDedicatedRevisionTableName($definition) : $table_mapping->getDedicatedDataTableName($definition),
+              'columns' => $columns,
+              'order' => [$use_revisions ? 'revision_id' : 'entity_id', 'delta', 'langcode'],
+              'conditions' => ['deleted' => 0],
+            ];
+          } else {
+            $sources[] = [
+              'table' => $use_revisions ? ($entity_type->getRevisionDataTable() ?: $entity_type->getRevisionTable()) : $table_mapping->getFieldTableName($field_name),
+              'columns' => $columns,
+              'order' => array_filter([$use_revisions ? $entity_type->getKey('revision') : $entity_type->getKey('id'), $entity_type->getKey('langcode')]),
+            ];
+          }
+        }
+      }
+    }
+
+    return $sources;
+  }
+
+  /**
+   * Reads the non-empty values of a source in batches.
+   *
+   * @param array $source
+   *   A source as returned by getTextSources().
+   *
+   * @return \Generator
+   *   The values.
+   */
+  protected function readColumns(array $source) {
+    if (!$this->database->schema()->tableExists($source['table'])) {
+      return;
+    }
+
+    for ($offset = 0; ; $offset += self::BATCH_SIZE) {
+      $query = $this->database->select($source['table'], 't')
+        ->fields('t', $source['columns'])
+        ->range($offset, self::BATCH_SIZE);
+      foreach ($source['conditions'] ?? [] as $column => $value) {
+        $query->condition($column, $value);
+      }
+      foreach ($source['order'] as $column) {
+        $query->orderBy($column);
+      }
+
+      $rows = $query->execute()->fetchAll(\PDO::FETCH_NUM);
+      foreach ($rows as $row) {
+        foreach ($row as $value) {
+          if ($value !== NULL && $value !== '') {
+            yield $value;
+          }
+        }
+      }
+
+      if (count($rows) < self::BATCH_SIZE) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Adds the tags, classes and IDs of a markup fragment to a summary.
+   *
+   * @param string $markup
+   *   The markup.
+   * @param array $summary
+   *   The summary to add to.
+   */
+  protected function collectFromMarkup($markup, array &$summary) {
+    if (!preg_match_all('/<([a-z][a-z0-9-]*)\b([^>]*)>/i', $markup, $matches, PREG_SET_ORDER)) {
+      return;
+    }
+
+    foreach ($matches as $match) {
+      $summary['tags'][strtolower($match[1])] = TRUE;
+
+      if (preg_match('/\bclass\s*=\s*(["\'])(.*?)\1/is', $match[2], $class)) {
+        foreach (preg_split('/\s+/', $class[2], -1, PREG_SPLIT_NO_EMPTY) as $name) {
+          if (preg_match('/^-?[_a-zA-Z][\w-]*$/', $name)) {
+            $summary['classes'][$name] = TRUE;
+          }
+        }
+      }
+      if (preg_match('/\bid\s*=\s*(["\'])([_a-zA-Z][\w-]*)\1/i', $match[2], $id)) {
+        $summary['ids'][$id[2]] = TRUE;
+      }
+    }
+  }
+
+  /**
+   * Gets the markup of CKEditor templates and styles.
+   *
+   * Styles are stored as an element with its classes, such as
+   * '<p class="lead">', and templates as an HTML fragment, so any config
+   * string holding a tag is read.
+   *
+   * @return \Generator
+   *   The config strings holding markup.
+   */
+  protected function getEditorMarkup() {
+    foreach (self::EDITOR_CONFIG_PREFIXES as $prefix) {
+      foreach ($this->configFactory->loadMultiple($this->configFactory->listAll($prefix)) as $config) {
+        $data = $config->get();
+        $values = [];
+        array_walk_recursive($data, function ($value) use (&$values) {
+          if (is_string($value) && strpos($value, '<') !== FALSE) {
+            $values[] = $value;
+          }
+        });
+        yield from $values;
+      }
+    }
+  }
+
+  /**
+   * Gets the classes set on menu links, such as by Menu Link Attributes.
+   *
+   * @return array
+   *   Class names.
+   */
+  protected function getMenuLinkClasses() {
+    if (!$this->entityTypeManager->hasDefinition('menu_link_content')) {
+      return [];
+    }
+
+    $storage = $this->entityTypeManager->getStorage('menu_link_content');
+    $definitions = $this->entityFieldManager->getFieldStorageDefinitions('menu_link_content');
+    if (!$storage instanceof SqlEntityStorageInterface || !isset($definitions['link'])) {
+      return [];
+    }
+
+    $table_mapping = $storage->getTableMapping();
+    $source = [
+      'table' => $table_mapping->getFieldTableName('link'),
+      'columns' => [$table_mapping->getFieldColumnName($definitions['link'], 'options')],
+      'order' => ['id', 'langcode'],
+    ];
+
+    $classes = [];
+    foreach ($this->readColumns($source) as $value) {
+      $options = @unserialize($value, ['allowed_classes' => FALSE]);
+      if (!is_array($options)) {
+        continue;
+      }
+      // Link, item and container attributes all end up in rendered markup.
+      foreach ($options as $key => $attributes) {
+        if (substr($key, -10) !== 'attributes' || !isset($attributes['class'])) {
+          continue;
+        }
+        $names = is_array($attributes['class']) ? $attributes['class'] : preg_split('/\s+/', (string) $attributes['class']);
+        foreach ($names as $name) {
+          if (is_string($name) && preg_match('/^-?[_a-zA-Z][\w-]*$/', $name)) {
+            $classes[$name] = TRUE;
+          }
+        }
+      }
+    }
+
+    return array_keys($classes);
+  }
+
+}
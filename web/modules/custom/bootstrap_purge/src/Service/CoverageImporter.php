@@ -0,0 +1,391 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+
+/**
+ * Service for importing CSS coverage recorded by DevTools or Puppeteer.
+ *
+ * Both export a JSON list of stylesheets with the text that was loaded and
+ * the ranges of that text that were used:
+ * @code
+ * [{"url": "https://example.com/themes/custom/foo/css/bootstrap.css",
+ *   "ranges": [{"start": 0, "end": 120}], "text": "..."}]
+ * @endcode
+ * Ranges are mapped back to the rules of the collected CSS assets, and the
+ * rules they cover are stored as runtime data from the "coverage" source.
+ */
+class CoverageImporter {
+
+  /**
+   * Breakpoint name that coverage media rules are recorded under.
+   */
+  const BREAKPOINT = 'coverage';
+
+  /**
+   * The asset collector service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetCollector
+   */
+  protected $assetCollector;
+
+  /**
+   * The runtime data collector service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\RuntimeDataCollector
+   */
+  protected $runtimeDataCollector;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs a CoverageImporter object.
+   *
+   * @param \Drupal\bootstrap_purge\Service\AssetCollector $asset_collector
+   *   The asset collector service.
+   * @param \Drupal\bootstrap_purge\Service\RuntimeDataCollector $runtime_data_collector
+   *   The runtime data collector service.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(
+    AssetCollector $asset_collector,
+    RuntimeDataCollector $runtime_data_collector,
+    LoggerChannelFactoryInterface $logger_factory
+  ) {
+    $this->assetCollector = $asset_collector;
+    $this->runtimeDataCollector = $runtime_data_collector;
+    $this->logger = $logger_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * Imports a coverage file.
+   *
+   * @param string $json
+   *   The contents of the coverage file.
+   * @param string $route
+   *   The route name to record the coverage for.
+   * @param string $label
+   *   A label identifying the file, such as its name. Importing the same
+   *   contents again merges into the earlier import.
+   *
+   * @return array
+   *   An array with:
+   *   - assets: Matched rule counts keyed by asset key.
+   *   - skipped: URLs of coverage entries that match no collected asset.
+   *
+   * @throws \InvalidArgumentException
+   *   When the file is not a coverage export.
+   */
+  public function import($json, $route = '<coverage>', $label = '') {
+    $entries = json_decode($json, TRUE);
+    // DevTools wraps the list in an object in some versions.
+    if (is_array($entries) && isset($entries['result']) && is_array($entries['result'])) {
+      $entries = $entries['result'];
+    }
+    if (!is_array($entries) || ($entries && array_keys($entries) !== range(0, count($entries) - 1))) {
+      throw new \InvalidArgumentException('The file is not a CSS coverage export.');
+    }
+
+    $assets = $this->getCssAssetsByPath();
+    $rules = [];
+    $media_rules = [];
+    $summary = ['assets' => [], 'skipped' => []];
+
+    foreach ($entries as $entry) {
+      if (!is_array($entry) || empty($entry['url']) || !isset($entry['ranges']) || !is_array($entry['ranges'])) {
+        continue;
+      }
+
+      $asset_key = $this->matchAsset($entry['url'], $assets);
+      if ($asset_key === NULL) {
+        // JavaScript coverage shares the format; only report stylesheets.
+        if (preg_match('/\.css(\?|$)/', $entry['url'])) {
+          $summary['skipped'][] = $entry['url'];
+        }
+        continue;
+      }
+
+      $text = $entry['text'] ?? file_get_contents($assets[$asset_key]['full_path']);
+      $matched = $this->mapRanges($text, $entry['ranges']);
+
+      foreach ($matched as $rule) {
+        foreach ($rule['selectors'] as $selector) {
+          $rules[$selector] = TRUE;
+          if ($rule['media'] !== '') {
+            $media_rules['@media ' . $rule['media'] . '{' . $selector . '}'] = TRUE;
+          }
+        }
+      }
+      $summary['assets'][$asset_key] = ($summary['assets'][$asset_key] ?? 0) + count($matched);
+    }
+
+    if ($rules) {
+      $this->runtimeDataCollector->storeRuntimeData([
+        'route' => $route,
+        'session' => 'coverage-' . substr(hash('sha256', $json), 0, 16),
+        'rules' => array_keys($rules),
+        'breakpoints' => $media_rules ? [self::BREAKPOINT => array_keys($media_rules)] : [],
+        'url' => $label,
+        'timestamp' => time(),
+      ], 'coverage');
+
+      $this->logger->info('Imported CSS coverage @label: @count rules used in @assets assets.', [
+        '@label' => $label,
+        '@count' => count($rules),
+        '@assets' => count($summary['assets']),
+      ]);
+    }
+
+    return $summary;
+  }
+
+  /**
+   * Gets the rules of a stylesheet covered by the used ranges.
+   *
+   * @param string $text
+   *   The stylesheet text the ranges refer to.
+   * @param array $ranges
+   *   Ranges with 'start' and 'end' offsets.
+   *
+   * @return array
+   *   Rules with 'selectors', 'media', 'start' and 'end' keys.
+   */
+  public function mapRanges($text, array $ranges) {
+    $spans = [];
+    foreach ($ranges as $range) {
+      if (isset($range['start'], $range['end']) && $range['end'] > $range['start']) {
+        $spans[] = [(int) $range['start'], (int) $range['end']];
+      }
+    }
+    if (empty($spans)) {
+      return [];
+    }
+    usort($spans, function ($a, $b) {
+      return $a[0] <=> $b[0];
+    });
+
+    $rules = $this->convertOffsets($text, $this->parseRules($text));
+
+    $used = [];
+    $position = 0;
+    $count = count($spans);
+    foreach ($rules as $rule) {
+      while ($position < $count && $spans[$position][1] <= $rule['start']) {
+        $position++;
+      }
+      // Ranges may overlap, so look ahead while they start inside the rule.
+      for ($i = $position; $i < $count && $spans[$i][0] < $rule['end']; $i++) {
+        if ($spans[$i][1] > $rule['start']) {
+          $used[] = $rule;
+          break;
+        }
+      }
+    }
+
+    return $used;
+  }
+
+  /**
+   * Parses the style rules of a stylesheet with their offsets.
+   *
+   * @param string $css
+   *   The stylesheet text.
+   *
+   * @return array
+   *   Rules with 'selectors', 'media', 'start' and 'end' keys, ordered by
+   *   their position. Offsets are in bytes; 'end' is exclusive.
+   */
+  protected function parseRules($css) {
+    $length = strlen($css);
+    $rules = [];
+    $stack = [];
+    $prelude_start = 0;
+
+    for ($i = 0; $i < $length; $i++) {
+      $char = $css[$i];
+
+      if ($char === '/' && ($css[$i + 1] ?? '') === '*') {
+        $end = strpos($css, '*/', $i + 2);
+        $i = $end === FALSE ? $length : $end + 1;
+        continue;
+      }
+
+      if ($char === '"' || $char === "'") {
+        for ($i++; $i < $length && $css[$i] !== $char; $i++) {
+          if ($css[$i] === '\\') {
+            $i++;
+          }
+        }
+        continue;
+      }
+
+      if ($char === '{') {
+        $raw = substr($css, $prelude_start, $i - $prelude_start);
+        $prelude = trim(preg_replace('/\/\*.*?\*\//s', '', $raw));
+        // Browsers start a rule at its selector, after any comment before it.
+        preg_match('/^(?:\s+|\/\*.*?\*\/)*/s', $raw, $leading);
+        $parent = end($stack) ?: ['type' => 'group', 'media' => ''];
+        $block = [
+          'type' => 'other',
+          'media' => $parent['media'],
+          'prelude' => $prelude,
+          'start' => $prelude_start + strlen($leading[0]),
+        ];
+
+        if ($parent['type'] === 'group') {
+          if (preg_match('/^@media\s+(.+)$/is', $prelude, $matches)) {
+            $block['type'] = 'group';
+            $block['media'] = $parent['media'] === '' ? trim($matches[1]) : $parent['media'] . ' and ' . trim($matches[1]);
+          } elseif (preg_match('/^@(supports|layer|container)\b/i', $prelude)) {
+            $block['type'] = 'group';
+          } elseif ($prelude !== '' && $prelude[0] !== '@') {
+            $block['type'] = 'rule';
+          }
+        }
+
+        $stack[] = $block;
+        $prelude_start = $i + 1;
+      } elseif ($char === '}') {
+        $block = array_pop($stack);
+        if ($block && $block['type'] === 'rule') {
+          $rules[] = [
+            'selectors' => $this->splitSelectorList($block['prelude']),
+            'media' => $block['media'],
+            'start' => $block['start'],
+            'end' => $i + 1,
+          ];
+        }
+        $prelude_start = $i + 1;
+      } elseif ($char === ';') {
+        $prelude_start = $i + 1;
+      }
+    }
+
+    return $rules;
+  }
+
+  /**
+   * Converts byte offsets to the UTF-16 offsets browsers report.
+   *
+   * @param string $text
+   *   The stylesheet text.
+   * @param array $rules
+   *   Rules with byte offsets, ordered by position.
+   *
+   * @return array
+   *   The rules with UTF-16 offsets.
+   */
+  protected function convertOffsets($text, array $rules) {
+    if (!preg_match('/[^\x00-\x7F]/', $text)) {
+      return $rules;
+    }
+
+    // Offsets only grow, so each conversion continues from the previous one.
+    $offsets = [];
+    foreach ($rules as $rule) {
+      $offsets[] = $rule['start'];
+      $offsets[] = $rule['end'];
+    }
+    $offsets = array_unique($offsets);
+    sort($offsets);
+
+    $map = [];
+    $byte = 0;
+    $units = 0;
+    foreach ($offsets as $offset) {
+      $units += strlen(mb_convert_encoding(substr($text, $byte, $offset - $byte), 'UTF-16LE', 'UTF-8')) / 2;
+      $byte = $offset;
+      $map[$offset] = $units;
+    }
+
+    foreach ($rules as &$rule) {
+      $rule['start'] = $map[$rule['start']];
+      $rule['end'] = $map[$rule['end']];
+    }
+    unset($rule);
+
+    return $rules;
+  }
+
+  /**
+   * Splits a selector list on top-level commas.
+   *
+   * @param string $selector_list
+   *   The selector list.
+   *
+   * @return array
+   *   Array of selectors.
+   */
+  protected function splitSelectorList($selector_list) {
+    $selectors = [];
+    $depth = 0;
+    $current = '';
+
+    foreach (str_split($selector_list) as $char) {
+      if ($char === '(' || $char === '[') {
+        $depth++;
+      } elseif ($char === ')' || $char === ']') {
+        $depth--;
+      } elseif ($char === ',' && $depth === 0) {
+        $selectors[] = trim($current);
+        $current = '';
+        continue;
+      }
+      $current .= $char;
+    }
+    $selectors[] = trim($current);
+
+    return array_values(array_filter($selectors, 'strlen'));
+  }
+
+  /**
+   * Gets the collected CSS assets keyed by asset key.
+   *
+   * @return array
+   *   CSS assets with a 'web_path' key relative to the web root.
+   */
+  protected function getCssAssetsByPath() {
+    $assets = [];
+    foreach ($this->assetCollector->collectAssets() as $asset_key => $asset) {
+      if ($asset['type'] === 'css') {
+        $asset['web_path'] = substr($asset['full_path'], strlen(DRUPAL_ROOT));
+        $assets[$asset_key] = $asset;
+      }
+    }
+    return $assets;
+  }
+
+  /**
+   * Finds the asset a coverage URL was loaded from.
+   *
+   * @param string $url
+   *   The stylesheet URL.
+   * @param array $assets
+   *   CSS assets as returned by getCssAssetsByPath().
+   *
+   * @return string|null
+   *   The asset key, or NULL if no asset matches.
+   */
+  protected function matchAsset($url, array $assets) {
+    $path = parse_url($url, PHP_URL_PATH);
+    if (!$path) {
+      return NULL;
+    }
+
+    foreach ($assets as $asset_key => $asset) {
+      if ($asset['web_path'] !== '' && substr($path, -strlen($asset['web_path'])) === $asset['web_path']) {
+        return $asset_key;
+      }
+    }
+
+    return NULL;
+  }
+
+}
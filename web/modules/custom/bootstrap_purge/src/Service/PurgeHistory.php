@@ -0,0 +1,385 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Database\Connection;
+use Drupal\Core\File\Exception\FileException;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Session\AccountProxyInterface;
+
+/**
+ * Service for keeping every approved purge as an immutable version.
+ *
+ * Each version keeps a copy of the purged file next to the hash of the
+ * original it was purged from, the whitelist and the analysis options in
+ * effect, so any version can be compared with another or mapped again.
+ */
+class PurgeHistory {
+
+  /**
+   * Directory below the storage path the purged files are copied to.
+   */
+  const DIRECTORY = 'versions';
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The file system service.
+   *
+   * @var \Drupal\Core\File\FileSystemInterface
+   */
+  protected $fileSystem;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The whitelist manager service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\WhitelistManager
+   */
+  protected $whitelistManager;
+
+  /**
+   * The asset analyzer service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetAnalyzer
+   */
+  protected $assetAnalyzer;
+
+  /**
+   * The current user.
+   *
+   * @var \Drupal\Core\Session\AccountProxyInterface
+   */
+  protected $currentUser;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs a PurgeHistory object.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\File\FileSystemInterface $file_system
+   *   The file system service.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\bootstrap_purge\Service\WhitelistManager $whitelist_manager
+   *   The whitelist manager service.
+   * @param \Drupal\bootstrap_purge\Service\AssetAnalyzer $asset_analyzer
+   *   The asset analyzer service.
+   * @param \Drupal\Core\Session\AccountProxyInterface $current_user
+   *   The current user.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(
+    Connection $database,
+    FileSystemInterface $file_system,
+    ConfigFactoryInterface $config_factory,
+    WhitelistManager $whitelist_manager,
+    AssetAnalyzer $asset_analyzer,
+    AccountProxyInterface $current_user,
+    LoggerChannelFactoryInterface $logger_factory
+  ) {
+    $this->database = $database;
+    $this->fileSystem = $file_system;
+    $this->configFactory = $config_factory;
+    $this->whitelistManager = $whitelist_manager;
+    $this->assetAnalyzer = $asset_analyzer;
+    $this->currentUser = $current_user;
+    $this->logger = $logger_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * Records an approved purge as the next version of its asset.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   * @param array $asset
+   *   The collected asset.
+   * @param array $analysis
+   *   The analysis the purge was made from.
+   * @param array $purged_info
+   *   The purged file information.
+   *
+   * @return int|null
+   *   The version number, or NULL if the purged file could not be copied.
+   */
+  public function recordVersion($asset_key, array $asset, array $analysis, array $purged_info) {
+    $directory = $this->getDirectory();
+    $this->fileSystem->prepareDirectory($directory, FileSystemInterface::CREATE_DIRECTORY);
+    $version = $this->getLatestVersion($asset_key) + 1;
+
+    // The version is mapped from its own copy, which nothing overwrites.
+    $mapping = $purged_info;
+    unset($mapping['file_id'], $mapping['canary']);
+    try {
+      foreach (['path', 'provenance_path'] as $key) {
+        if (!empty($purged_info[$key])) {
+          $info = pathinfo($purged_info[$key]);
+          $mapping[$key] = $this->fileSystem->copy($purged_info[$key], $directory . '/' . $info['filename'] . '.v' . $version . '.' . $info['extension'], FileSystemInterface::EXISTS_REPLACE);
+        }
+      }
+    } catch (FileException $e) {
+      $this->logger->error('Failed to record version @version of @asset: @message', [
+        '@version' => $version,
+        '@asset' => $asset_key,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+
+    $options = ($analysis['analysis_options'] ?? []) + ['method' => $purged_info['method'] ?? NULL];
+    $analysis = array_diff_key($analysis, $purged_info, array_flip(['canary', 'canary_rollback', 'version']));
+
+    $this->database->insert('bootstrap_purge_versions')
+      ->fields([
+        'asset_key' => $asset_key,
+        'version' => $version,
+        'original_hash' => (string) md5_file($asset['full_path']),
+        'path' => $mapping['path'],
+        'size' => (int) ($purged_info['size'] ?? 0),
+        'whitelist' => json_encode(array_values($this->whitelistManager->getAllPatterns())),
+        'options' => json_encode($options),
+        'mapping' => json_encode($mapping),
+        'analysis' => json_encode($analysis),
+        'uid' => (int) $this->currentUser->id(),
+        'created' => time(),
+      ])
+      ->execute();
+
+    return $version;
+  }
+
+  /**
+   * Gets the versions of an asset.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   *
+   * @return array
+   *   The versions, newest first and keyed by version number.
+   */
+  public function getVersions($asset_key) {
+    $result = $this->database->select('bootstrap_purge_versions', 'v')
+      ->fields('v')
+      ->condition('asset_key', $asset_key)
+      ->orderBy('version', 'DESC')
+      ->execute();
+
+    $versions = [];
+    foreach ($result as $row) {
+      $versions[(int) $row->version] = $this->decodeVersion($row);
+    }
+
+    return $versions;
+  }
+
+  /**
+   * Loads a version of an asset.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   * @param int $version
+   *   The version number.
+   *
+   * @return array|null
+   *   The version, or NULL if it does not exist.
+   */
+  public function loadVersion($asset_key, $version) {
+    $row = $this->database->select('bootstrap_purge_versions', 'v')
+      ->fields('v')
+      ->condition('asset_key', $asset_key)
+      ->condition('version', (int) $version)
+      ->execute()
+      ->fetchObject();
+
+    return $row ? $this->decodeVersion($row) : NULL;
+  }
+
+  /**
+   * Counts the versions of each asset.
+   *
+   * @return array
+   *   Numbers of versions, keyed by asset key.
+   */
+  public function getVersionCounts() {
+    $query = $this->database->select('bootstrap_purge_versions', 'v')
+      ->fields('v', ['asset_key']);
+    $query->addExpression('COUNT(*)', 'count');
+    $query->groupBy('v.asset_key');
+
+    return array_map('intval', $query->execute()->fetchAllKeyed());
+  }
+
+  /**
+   * Checks whether a version was purged from the current original file.
+   *
+   * @param array $version
+   *   The version.
+   * @param array $asset
+   *   The collected asset.
+   *
+   * @return bool
+   *   TRUE if the original file changed since the version was purged.
+   */
+  public function isStale(array $version, array $asset) {
+    return $version['original_hash'] !== md5_file($asset['full_path']);
+  }
+
+  /**
+   * Compares two versions of an asset.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   * @param int $from
+   *   The version compared against.
+   * @param int $to
+   *   The version compared.
+   *
+   * @return array|null
+   *   An array with both versions as 'from' and 'to', the selectors of
+   *   'removed' and 'added' rules, the whitelist patterns 'whitelist_added'
+   *   and 'whitelist_removed', the 'options' that changed, each with its old
+   *   and new value, and whether the 'original_changed'; or NULL if either
+   *   version does not exist.
+   */
+  public function diffVersions($asset_key, $from, $to) {
+    $from = $this->loadVersion($asset_key, $from);
+    $to = $this->loadVersion($asset_key, $to);
+    if (!$from || !$to) {
+      return NULL;
+    }
+
+    $from_selectors = $this->getVersionSelectors($from);
+    $to_selectors = $this->getVersionSelectors($to);
+
+    $options = [];
+    foreach (array_keys($from['options'] + $to['options']) as $key) {
+      $old = $from['options'][$key] ?? NULL;
+      $new = $to['options'][$key] ?? NULL;
+      if ($old !== $new) {
+        $options[$key] = [$old, $new];
+      }
+    }
+
+    return [
+      'from' => $from,
+      'to' => $to,
+      'removed' => array_values(array_diff($from_selectors, $to_selectors)),
+      'added' => array_values(array_diff($to_selectors, $from_selectors)),
+      'whitelist_added' => array_values(array_diff($to['whitelist'], $from['whitelist'])),
+      'whitelist_removed' => array_values(array_diff($from['whitelist'], $to['whitelist'])),
+      'options' => $options,
+      'original_changed' => $from['original_hash'] !== $to['original_hash'],
+    ];
+  }
+
+  /**
+   * Checks whether a file is the copy of a version.
+   *
+   * @param string $path
+   *   The file URI.
+   *
+   * @return bool
+   *   TRUE if the file belongs to the history and must be kept.
+   */
+  public function isVersionFile($path) {
+    return strpos($path, $this->getDirectory() . '/') === 0;
+  }
+
+  /**
+   * Gets the directory the purged files of versions are copied to.
+   *
+   * @return string
+   *   The directory URI.
+   */
+  public function getDirectory() {
+    return $this->configFactory->get('bootstrap_purge.settings')->get('storage_path') . '/' . self::DIRECTORY;
+  }
+
+  /**
+   * Gets the number of the latest version of an asset.
+   *
+   * @param string $asset_key
+   *   The asset key.
+   *
+   * @return int
+   *   The version number, or 0 without versions.
+   */
+  protected function getLatestVersion($asset_key) {
+    $query = $this->database->select('bootstrap_purge_versions', 'v')
+      ->condition('asset_key', $asset_key);
+    $query->addExpression('MAX(version)', 'version');
+
+    return (int) $query->execute()->fetchField();
+  }
+
+  /**
+   * Gets the selectors of the rules a version kept.
+   *
+   * @param array $version
+   *   The version.
+   *
+   * @return array
+   *   The selectors; empty for scripts or a missing file.
+   */
+  protected function getVersionSelectors(array $version) {
+    $full_path = $this->fileSystem->realpath($version['path']);
+    if (!$full_path || pathinfo($full_path, PATHINFO_EXTENSION) !== 'css') {
+      return [];
+    }
+
+    $selectors = [];
+    foreach ($this->assetAnalyzer->buildRuleIndex([['full_path' => $full_path, 'file_path' => $version['path']]])['rules'] as $rule) {
+      foreach ($rule[0] as $selector) {
+        $selectors[$selector] = $selector;
+      }
+    }
+
+    return array_values($selectors);
+  }
+
+  /**
+   * Decodes a version row.
+   *
+   * @param object $row
+   *   The database row.
+   *
+   * @return array
+   *   The version.
+   */
+  protected function decodeVersion($row) {
+    return [
+      'version' => (int) $row->version,
+      'original_hash' => $row->original_hash,
+      'path' => $row->path,
+      'size' => (int) $row->size,
+      'whitelist' => json_decode($row->whitelist ?? '[]', TRUE) ?: [],
+      'options' => json_decode($row->options ?? '[]', TRUE) ?: [],
+      'mapping' => json_decode($row->mapping ?? '[]', TRUE) ?: [],
+      'analysis' => json_decode($row->analysis ?? '[]', TRUE) ?: [],
+      'uid' => (int) $row->uid,
+      'created' => (int) $row->created,
+    ];
+  }
+
+}
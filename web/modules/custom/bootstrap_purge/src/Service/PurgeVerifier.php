@@ -0,0 +1,178 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Symfony\Component\Process\Process;
+
+/**
+ * Service for verifying purged stylesheets against HTML snapshots.
+ *
+ * The purge runner loads each snapshot of the last static analysis in jsdom,
+ * once with the original and once with the purged stylesheet at each
+ * Bootstrap breakpoint, and reports the elements whose computed styles
+ * differ.
+ */
+class PurgeVerifier {
+
+  /**
+   * Regressions kept per snapshot in stored reports.
+   */
+  const MAX_STORED_REGRESSIONS = 20;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The file system service.
+   *
+   * @var \Drupal\Core\File\FileSystemInterface
+   */
+  protected $fileSystem;
+
+  /**
+   * The asset analyzer service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetAnalyzer
+   */
+  protected $assetAnalyzer;
+
+  /**
+   * The asset purger service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetPurger
+   */
+  protected $assetPurger;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs a PurgeVerifier object.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\File\FileSystemInterface $file_system
+   *   The file system service.
+   * @param \Drupal\bootstrap_purge\Service\AssetAnalyzer $asset_analyzer
+   *   The asset analyzer service.
+   * @param \Drupal\bootstrap_purge\Service\AssetPurger $asset_purger
+   *   The asset purger service.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(
+    ConfigFactoryInterface $config_factory,
+    FileSystemInterface $file_system,
+    AssetAnalyzer $asset_analyzer,
+    AssetPurger $asset_purger,
+    LoggerChannelFactoryInterface $logger_factory
+  ) {
+    $this->configFactory = $config_factory;
+    $this->fileSystem = $file_system;
+    $this->assetAnalyzer = $asset_analyzer;
+    $this->assetPurger = $asset_purger;
+    $this->logger = $logger_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * Verifies a purged stylesheet.
+   *
+   * @param array $asset
+   *   The asset information.
+   * @param array $purged_info
+   *   The purged file information, with a 'path' key.
+   *
+   * @return array|null
+   *   The verification report, or NULL when it could not run because there
+   *   are no snapshots or the runner failed. The report has:
+   *   - verified: Timestamp of the verification.
+   *   - elements: Number of elements compared.
+   *   - regressions: Number of elements whose computed styles changed.
+   *   - widths: The viewport widths styles were compared at.
+   *   - snapshots: Per snapshot, the 'route', 'elements', 'regressions' and
+   *     up to MAX_STORED_REGRESSIONS changed 'items', each with the
+   *     'element', the viewport 'width' and the 'changes'.
+   */
+  public function verify(array $asset, array $purged_info) {
+    $snapshots = $this->assetAnalyzer->getSnapshotFiles();
+    $purged_path = $this->fileSystem->realpath($purged_info['path'] ?? '');
+    if (!$snapshots || !$purged_path) {
+      return NULL;
+    }
+
+    $node_path = $this->configFactory->get('bootstrap_purge.settings')->get('node_path') ?: 'node';
+
+    try {
+      $process = new Process(array_merge([
+        $node_path,
+        $this->assetPurger->getRunnerPath(),
+        'verify',
+        '--original', $asset['full_path'],
+        '--purged', $purged_path,
+        '--json',
+      ], array_values($snapshots)));
+      $process->setTimeout(600);
+      $process->run();
+
+      $result = json_decode($process->getOutput(), TRUE);
+
+      // The runner exits with 2 when it finds regressions.
+      if (in_array($process->getExitCode(), [0, 2], TRUE) && isset($result['totals'])) {
+        return $this->summarize($result, array_flip($snapshots));
+      }
+
+      $this->logger->error('Purge verification failed: @error', [
+        '@error' => $result['error'] ?? $process->getErrorOutput(),
+      ]);
+    } catch (\Exception $e) {
+      $this->logger->error('Purge verification failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+    }
+
+    return NULL;
+  }
+
+  /**
+   * Reduces a runner report to what is stored with a purge.
+   *
+   * @param array $result
+   *   The report of the runner's verify command.
+   * @param array $routes
+   *   Route names keyed by snapshot file.
+   *
+   * @return array
+   *   The verification report.
+   */
+  protected function summarize(array $result, array $routes) {
+    $snapshots = [];
+    foreach ($result['snapshots'] as $snapshot) {
+      $snapshots[] = [
+        'route' => $routes[$snapshot['file']] ?? pathinfo($snapshot['file'], PATHINFO_FILENAME),
+        'elements' => $snapshot['elements'],
+        'regressions' => $snapshot['regressionCount'],
+        'items' => array_slice($snapshot['regressions'], 0, self::MAX_STORED_REGRESSIONS),
+      ];
+    }
+
+    return [
+      'verified' => time(),
+      'elements' => $result['totals']['elements'],
+      'regressions' => $result['totals']['regressions'],
+      'widths' => $result['widths'] ?? [],
+      'snapshots' => $snapshots,
+    ];
+  }
+
+}
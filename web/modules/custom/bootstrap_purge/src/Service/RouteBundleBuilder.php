@@ -0,0 +1,375 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Core\Asset\LibraryDiscoveryInterface;
+use Drupal\Core\Cache\CacheTagsInvalidatorInterface;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\State\StateInterface;
+use Symfony\Component\Process\Process;
+
+/**
+ * Service for building route group bundles and critical CSS.
+ *
+ * The purge runner purges each approved stylesheet once per route group,
+ * against the snapshots of the group's routes only, so pages of one group do
+ * not carry styles only another group needs. It also writes the critical CSS
+ * of every snapshot route. The module declares a library per group bundle and
+ * swaps it in for the stylesheets it replaces on the group's routes.
+ */
+class RouteBundleBuilder {
+
+  /**
+   * Cache tag of everything rendered from the route bundles.
+   */
+  const CACHE_TAG = 'bootstrap_purge_route_bundles';
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The file system service.
+   *
+   * @var \Drupal\Core\File\FileSystemInterface
+   */
+  protected $fileSystem;
+
+  /**
+   * The state service.
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The asset analyzer service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetAnalyzer
+   */
+  protected $assetAnalyzer;
+
+  /**
+   * The asset purger service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetPurger
+   */
+  protected $assetPurger;
+
+  /**
+   * The library discovery service.
+   *
+   * @var \Drupal\Core\Asset\LibraryDiscoveryInterface
+   */
+  protected $libraryDiscovery;
+
+  /**
+   * The cache tags invalidator.
+   *
+   * @var \Drupal\Core\Cache\CacheTagsInvalidatorInterface
+   */
+  protected $cacheTagsInvalidator;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs a RouteBundleBuilder object.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\File\FileSystemInterface $file_system
+   *   The file system service.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state service.
+   * @param \Drupal\bootstrap_purge\Service\AssetAnalyzer $asset_analyzer
+   *   The asset analyzer service.
+   * @param \Drupal\bootstrap_purge\Service\AssetPurger $asset_purger
+   *   The asset purger service.
+   * @param \Drupal\Core\Asset\LibraryDiscoveryInterface $library_discovery
+   *   The library discovery service.
+   * @param \Drupal\Core\Cache\CacheTagsInvalidatorInterface $cache_tags_invalidator
+   *   The cache tags invalidator.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(
+    ConfigFactoryInterface $config_factory,
+    FileSystemInterface $file_system,
+    StateInterface $state,
+    AssetAnalyzer $asset_analyzer,
+    AssetPurger $asset_purger,
+    LibraryDiscoveryInterface $library_discovery,
+    CacheTagsInvalidatorInterface $cache_tags_invalidator,
+    LoggerChannelFactoryInterface $logger_factory
+  ) {
+    $this->configFactory = $config_factory;
+    $this->fileSystem = $file_system;
+    $this->state = $state;
+    $this->assetAnalyzer = $asset_analyzer;
+    $this->assetPurger = $asset_purger;
+    $this->libraryDiscovery = $library_discovery;
+    $this->cacheTagsInvalidator = $cache_tags_invalidator;
+    $this->logger = $logger_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * Builds the route group bundles and critical CSS of stylesheets.
+   *
+   * @param array $assets
+   *   The CSS assets to split, keyed by asset key.
+   *
+   * @return array|null
+   *   The stored route bundles, see getBundles(), or NULL when they could not
+   *   be built. Without assets or snapshots, the bundles are cleared.
+   */
+  public function build(array $assets) {
+    $settings = $this->configFactory->get('bootstrap_purge.settings')->get('route_bundles') ?: [];
+    // Bundles and critical CSS are built from the first page of each route.
+    $snapshots = $this->assetAnalyzer->getSnapshotFiles(FALSE);
+
+    if (!$assets || !$snapshots) {
+      $this->clear();
+      return $this->getBundles();
+    }
+
+    // Each snapshot route goes to the first group matching it.
+    $groups = [];
+    foreach (array_keys($snapshots) as $route) {
+      $group = $this->getRouteGroup($route);
+      if ($group !== NULL) {
+        $groups[$group][] = $route;
+      }
+    }
+
+    $config = $this->assetPurger->createPurgeCssConfig(reset($assets), []);
+    $config['css'] = array_values(array_map(function ($asset) {
+      return $asset['full_path'];
+    }, $assets));
+    $config['routes'] = $snapshots;
+    $config['groups'] = $groups;
+    $config['critical'] = ['elements' => (int) ($settings['critical_elements'] ?? 150)];
+    // Group bundles are purged against their snapshots only.
+    unset($config['content']);
+
+    $node_path = $this->configFactory->get('bootstrap_purge.settings')->get('node_path') ?: 'node';
+    $temp_config_path = $this->fileSystem->getTempDirectory() . '/purgecss_split_' . uniqid() . '.json';
+    $temp_output_dir = $this->fileSystem->getTempDirectory() . '/purgecss_split_' . uniqid();
+    file_put_contents($temp_config_path, json_encode($config));
+    $this->fileSystem->prepareDirectory($temp_output_dir, FileSystemInterface::CREATE_DIRECTORY);
+
+    try {
+      $process = new Process([
+        $node_path,
+        $this->assetPurger->getRunnerPath(),
+        'split',
+        '--config', $temp_config_path,
+        '--output', $temp_output_dir,
+        '--json',
+      ]);
+      $process->setTimeout(600);
+      $process->run();
+
+      $result = json_decode($process->getOutput(), TRUE);
+      if ($process->isSuccessful() && isset($result['groups'], $result['critical'])) {
+        foreach ($result['warnings'] as $warning) {
+          $this->logger->warning('Route bundles: @warning', ['@warning' => $warning]);
+        }
+        $bundles = $this->storeBundles($result, $assets);
+        $this->logger->info('Built @groups route group bundles and critical CSS for @routes routes.', [
+          '@groups' => count($bundles['groups']),
+          '@routes' => count($bundles['critical']),
+        ]);
+        return $bundles;
+      }
+
+      $this->logger->error('Building route bundles failed: @error', [
+        '@error' => $result['error'] ?? $process->getErrorOutput(),
+      ]);
+    } catch (\Exception $e) {
+      $this->logger->error('Building route bundles failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+    } finally {
+      if (file_exists($temp_config_path)) {
+        unlink($temp_config_path);
+      }
+      $this->fileSystem->deleteRecursive($temp_output_dir);
+    }
+
+    return NULL;
+  }
+
+  /**
+   * Moves the files written by the runner to storage and records them.
+   *
+   * @param array $result
+   *   The report of the runner's split command.
+   * @param array $assets
+   *   The split CSS assets, keyed by asset key.
+   *
+   * @return array
+   *   The stored route bundles.
+   */
+  protected function storeBundles(array $result, array $assets) {
+    $directory = $this->getDirectory();
+    $this->fileSystem->deleteRecursive($directory);
+    $this->fileSystem->prepareDirectory($directory, FileSystemInterface::CREATE_DIRECTORY);
+
+    $asset_keys = [];
+    foreach ($assets as $asset_key => $asset) {
+      $asset_keys[$asset['full_path']] = $asset_key;
+    }
+
+    $bundles = ['groups' => [], 'critical' => [], 'built' => time()];
+    foreach ($result['groups'] as $group) {
+      $files = [];
+      foreach ($group['files'] as $file) {
+        $asset = $assets[$asset_keys[$file['file']]];
+        // Hashed names make browsers fetch a rebuilt bundle.
+        $hash = substr(md5_file($file['output']), 0, 8);
+        $path = $directory . '/' . $group['name'] . '.' . pathinfo($asset['file_path'], PATHINFO_FILENAME) . '.' . $hash . '.css';
+        $this->fileSystem->copy($file['output'], $path, FileSystemInterface::EXISTS_REPLACE);
+        $files[$asset_keys[$file['file']]] = [
+          'path' => $path,
+          'original' => ltrim(substr($asset['full_path'], strlen(DRUPAL_ROOT)), '/'),
+          'size' => $file['purgedSize'],
+          'original_size' => $file['originalSize'],
+        ];
+      }
+      $bundles['groups'][$group['name']] = [
+        'routes' => $group['routes'],
+        'files' => $files,
+      ];
+    }
+
+    foreach ($result['critical'] as $critical) {
+      $path = $directory . '/' . basename($critical['output']);
+      $this->fileSystem->copy($critical['output'], $path, FileSystemInterface::EXISTS_REPLACE);
+      $bundles['critical'][$critical['route']] = [
+        'path' => $path,
+        'size' => $critical['size'],
+      ];
+    }
+
+    $this->state->set('bootstrap_purge.route_bundles', $bundles);
+    $this->invalidate();
+
+    return $bundles;
+  }
+
+  /**
+   * Gets the route bundles built last.
+   *
+   * @return array
+   *   An array with:
+   *   - groups: Per group name, the snapshot 'routes' it was built from and
+   *     its 'files', keyed by asset key, each with the bundle 'path', the
+   *     'original' stylesheet path relative to the web root, and sizes.
+   *   - critical: Per snapshot route, the critical CSS 'path' and 'size'.
+   *   - built: Timestamp of the build.
+   */
+  public function getBundles() {
+    return $this->state->get('bootstrap_purge.route_bundles', ['groups' => [], 'critical' => [], 'built' => 0]);
+  }
+
+  /**
+   * Removes the route bundles and their files.
+   */
+  public function clear() {
+    $this->fileSystem->deleteRecursive($this->getDirectory());
+    $this->state->delete('bootstrap_purge.route_bundles');
+    $this->invalidate();
+  }
+
+  /**
+   * Gets the route group a route belongs to.
+   *
+   * @param string $route_name
+   *   The route name.
+   * @param bool $is_front
+   *   Whether the route is serving the front page, which '<front>' matches.
+   *
+   * @return string|null
+   *   The name of the first group with a matching pattern, or NULL.
+   */
+  public function getRouteGroup($route_name, $is_front = FALSE) {
+    $settings = $this->configFactory->get('bootstrap_purge.settings')->get('route_bundles') ?: [];
+
+    foreach ($settings['groups'] ?? [] as $group) {
+      foreach ($group['routes'] as $pattern) {
+        if ($pattern === '<front>' ? ($is_front || $route_name === '<front>') : $this->matchesPattern($route_name, $pattern)) {
+          return $group['name'];
+        }
+      }
+    }
+
+    return NULL;
+  }
+
+  /**
+   * Gets the critical CSS of a route.
+   *
+   * @param string $route_name
+   *   The route name.
+   * @param bool $is_front
+   *   Whether the route is serving the front page.
+   *
+   * @return string|null
+   *   The critical CSS, or NULL when the route had no snapshot.
+   */
+  public function getCriticalCss($route_name, $is_front = FALSE) {
+    $critical = $this->getBundles()['critical'];
+    $info = $is_front && isset($critical['<front>']) ? $critical['<front>'] : ($critical[$route_name] ?? NULL);
+    if (!$info) {
+      return NULL;
+    }
+
+    $css = @file_get_contents($info['path']);
+    return $css === FALSE ? NULL : $css;
+  }
+
+  /**
+   * Checks a route name against a pattern where "*" matches anything.
+   *
+   * @param string $route_name
+   *   The route name.
+   * @param string $pattern
+   *   The pattern.
+   *
+   * @return bool
+   *   TRUE if the route name matches.
+   */
+  protected function matchesPattern($route_name, $pattern) {
+    $regex = '/^' . str_replace('\*', '.*', preg_quote($pattern, '/')) . '$/';
+    return (bool) preg_match($regex, $route_name);
+  }
+
+  /**
+   * Gets the directory the bundles are stored in.
+   *
+   * @return string
+   *   The directory URI.
+   */
+  protected function getDirectory() {
+    return $this->configFactory->get('bootstrap_purge.settings')->get('storage_path') . '/routes';
+  }
+
+  /**
+   * Makes libraries and pages pick up changed bundles.
+   */
+  protected function invalidate() {
+    $this->libraryDiscovery->clearCachedDefinitions();
+    $this->cacheTagsInvalidator->invalidateTags([self::CACHE_TAG]);
+  }
+
+}
@@ -4,6 +4,7 @@ namespace Drupal\bootstrap_purge\Service;
 
 use Drupal\Core\Database\Connection;
 use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Lock\LockBackendInterface;
 use Drupal\Core\Logger\LoggerChannelFactoryInterface;
 use Drupal\Core\Logger\LoggerChannelInterface;
 
@@ -27,53 +28,222 @@ class RuntimeDataCollector {
    */
   protected $logger;
 
+  /**
+   * The lock backend.
+   */
+  protected $lock;
+
   /**
    * Constructs a RuntimeDataCollector object.
    */
   public function __construct(
     Connection $database,
     ConfigFactoryInterface $config_factory,
-    LoggerChannelFactoryInterface $logger_factory
+    LoggerChannelFactoryInterface $logger_factory,
+    LockBackendInterface $lock
   ) {
     $this->database = $database;
     $this->configFactory = $config_factory;
     $this->logger = $logger_factory->get('bootstrap_purge');
+    $this->lock = $lock;
   }
 
   /**
    * Stores runtime usage data.
+   *
+   * The collector sends incremental deltas tagged with a session id and a
+   * sequence number. Deltas for the same session and route are merged into a
+   * single row instead of each being stored in full. Beacons of a session are
+   * merged one at a time under a lock, and a payload whose sequence number
+   * was already merged is a replay and is dropped.
+   *
+   * The source is "browser" for data from the runtime collector and
+   * "coverage" for imported DevTools or Puppeteer coverage.
    */
-  public function storeRuntimeData(array $data) {
-    try {
-      if (empty($data['route']) || empty($data['selectors'])) {
-        return FALSE;
-      }
+  public function storeRuntimeData(array $data, $source = 'browser') {
+    if (empty($data['route'])) {
+      return FALSE;
+    }
 
-      $record = [
-        'route' => $data['route'],
-        'selectors' => json_encode($data['selectors']),
-        'events' => json_encode($data['events'] ?? []),
-        'duration' => $data['duration'] ?? 0,
-        'url' => $data['url'] ?? '',
-        'viewport_width' => $data['viewport']['width'] ?? 0,
-        'viewport_height' => $data['viewport']['height'] ?? 0,
-        'user_agent' => $_SERVER['HTTP_USER_AGENT'] ?? '',
-        'ip_address' => $this->getAnonymizedIp(),
-        'timestamp' => $data['timestamp'] ?? time(),
-        'created' => time(),
-      ];
+    if (empty($data['selectors']) && empty($data['rules']) && empty($data['states']) && empty($data['events']) && empty($data['plugins']) && empty($data['breakpoints']) && empty($data['documents'])) {
+      return FALSE;
+    }
 
-      $this->database->insert('bootstrap_purge_runtime_data')
-        ->fields($record)
-        ->execute();
+    $session_id = substr((string) ($data['session'] ?? ''), 0, 64);
+    $lock_name = 'bootstrap_purge_runtime_data:' . $session_id;
 
+    if ($session_id !== '' && !$this->lock->acquire($lock_name)) {
+      // Another beacon of the session is being merged.
+      $this->lock->wait($lock_name, 5);
+      if (!$this->lock->acquire($lock_name)) {
+        return FALSE;
+      }
+    }
+
+    $transaction = $this->database->startTransaction();
+    try {
+      $this->mergeRuntimeData($data, $session_id, $source);
       return TRUE;
     } catch (\Exception $e) {
+      $transaction->rollBack();
       $this->logger->error('Failed to store runtime data: @message', [
         '@message' => $e->getMessage(),
       ]);
       return FALSE;
+    } finally {
+      // The lock is held until the merge is committed.
+      unset($transaction);
+      if ($session_id !== '') {
+        $this->lock->release($lock_name);
+      }
+    }
+  }
+
+  /**
+   * Merges a payload into the row of its session and route.
+   *
+   * @param array $data
+   *   The payload.
+   * @param string $session_id
+   *   The collection session id, or an empty string to always add a row.
+   * @param string $source
+   *   The source of the data.
+   */
+  protected function mergeRuntimeData(array $data, $session_id, $source) {
+    $sequence = (int) ($data['sequence'] ?? 0);
+
+    if ($session_id !== '') {
+      $existing = $this->database->select('bootstrap_purge_runtime_data', 'rd')
+        ->fields('rd', ['id', 'selectors', 'rules', 'states', 'breakpoints', 'documents', 'events', 'plugins', 'duration', 'sequence', 'sequences', 'timestamp'])
+        ->condition('session_id', $session_id)
+        ->condition('route', $data['route'])
+        ->condition('source', $source)
+        ->range(0, 1)
+        ->execute()
+        ->fetchObject();
+
+      if ($existing) {
+        // Retried deliveries arrive out of order, so the merged sequence
+        // numbers are kept rather than only the highest one.
+        $sequences = json_decode($existing->sequences ?? '[]', TRUE) ?: [];
+        if ($sequence > 0 && in_array($sequence, $sequences, TRUE)) {
+          return;
+        }
+        if ($sequence > 0) {
+          $sequences[] = $sequence;
+        }
+
+        $this->database->update('bootstrap_purge_runtime_data')
+          ->fields([
+            'selectors' => $this->mergeJsonList($existing->selectors, $data['selectors'] ?? []),
+            'rules' => $this->mergeJsonList($existing->rules, $data['rules'] ?? []),
+            'states' => $this->mergeJsonList($existing->states, $data['states'] ?? []),
+            'events' => $this->mergeJsonList($existing->events, $data['events'] ?? []),
+            'plugins' => $this->mergeJsonList($existing->plugins, $data['plugins'] ?? []),
+            'breakpoints' => $this->mergeBreakpoints($existing->breakpoints, $data['breakpoints'] ?? []),
+            'documents' => $this->mergeDocuments($existing->documents, $data['documents'] ?? []),
+            'duration' => max((int) $existing->duration, (int) ($data['duration'] ?? 0)),
+            'sequence' => max((int) $existing->sequence, $sequence),
+            'sequences' => json_encode($sequences),
+            'timestamp' => max((int) $existing->timestamp, (int) ($data['timestamp'] ?? time())),
+          ])
+          ->condition('id', $existing->id)
+          ->execute();
+
+        return;
+      }
     }
+
+    $record = [
+      'route' => $data['route'],
+      'session_id' => $session_id,
+      'source' => $source,
+      'sequence' => $sequence,
+      'sequences' => json_encode($sequence > 0 ? [$sequence] : []),
+      'selectors' => json_encode(array_values(array_unique($data['selectors'] ?? []))),
+      'rules' => json_encode(array_values(array_unique($data['rules'] ?? []))),
+      'states' => json_encode(array_values(array_unique($data['states'] ?? []))),
+      'events' => json_encode(array_values(array_unique($data['events'] ?? []))),
+      'plugins' => json_encode(array_values(array_unique($data['plugins'] ?? []))),
+      'breakpoints' => $this->mergeBreakpoints(NULL, $data['breakpoints'] ?? []),
+      'documents' => $this->mergeDocuments(NULL, $data['documents'] ?? []),
+      'duration' => $data['duration'] ?? 0,
+      'url' => $data['url'] ?? '',
+      'viewport_width' => $data['viewport']['width'] ?? 0,
+      'viewport_height' => $data['viewport']['height'] ?? 0,
+      'user_agent' => $_SERVER['HTTP_USER_AGENT'] ?? '',
+      'ip_address' => $this->getAnonymizedIp(),
+      'timestamp' => $data['timestamp'] ?? time(),
+      'created' => time(),
+    ];
+
+    $this->database->insert('bootstrap_purge_runtime_data')
+      ->fields($record)
+      ->execute();
+  }
+
+  /**
+   * Merges new items into a stored JSON list.
+   *
+   * @param string|null $json
+   *   The stored JSON list.
+   * @param array $items
+   *   The items to add.
+   *
+   * @return string
+   *   The merged JSON list without duplicates.
+   */
+  protected function mergeJsonList($json, array $items) {
+    $existing = json_decode($json ?? '[]', TRUE) ?: [];
+    return json_encode(array_values(array_unique(array_merge($existing, $items))));
+  }
+
+  /**
+   * Merges per-breakpoint rules into a stored JSON object.
+   *
+   * @param string|null $json
+   *   The stored JSON object.
+   * @param array $breakpoints
+   *   Rule keys keyed by breakpoint name.
+   *
+   * @return string
+   *   The merged JSON object.
+   */
+  protected function mergeBreakpoints($json, array $breakpoints) {
+    $existing = json_decode($json ?? '{}', TRUE) ?: [];
+
+    foreach ($breakpoints as $breakpoint => $rules) {
+      if (!is_array($rules) || !preg_match('/^[a-z]{1,8}$/', (string) $breakpoint)) {
+        continue;
+      }
+      $existing[$breakpoint] = array_values(array_unique(array_merge($existing[$breakpoint] ?? [], $rules)));
+    }
+
+    return json_encode((object) $existing);
+  }
+
+  /**
+   * Merges selectors found in shadow roots and frames into a stored object.
+   *
+   * @param string|null $json
+   *   The stored JSON object.
+   * @param array $documents
+   *   Selectors keyed by owning document, e.g. "iframe:/node/1/edit".
+   *
+   * @return string
+   *   The merged JSON object.
+   */
+  protected function mergeDocuments($json, array $documents) {
+    $existing = json_decode($json ?? '{}', TRUE) ?: [];
+
+    foreach ($documents as $document => $selectors) {
+      if (!is_array($selectors) || $document === '' || strlen((string) $document) > 255) {
+        continue;
+      }
+      $existing[$document] = array_values(array_unique(array_merge($existing[$document] ?? [], $selectors)));
+    }
+
+    return json_encode((object) $existing);
   }
 
   /**
@@ -87,6 +257,10 @@ class RuntimeDataCollector {
       $query->condition('route', $options['route']);
     }
 
+    if (!empty($options['source'])) {
+      $query->condition('source', $options['source']);
+    }
+
     if (!empty($options['since'])) {
       $query->condition('timestamp', $options['since'], '>=');
     }
@@ -103,8 +277,16 @@ class RuntimeDataCollector {
       $processed_data[] = [
         'id' => $row->id,
         'route' => $row->route,
+        'session_id' => $row->session_id ?? '',
+        'source' => $row->source ?? 'browser',
+        'sequence' => $row->sequence ?? 0,
         'selectors' => json_decode($row->selectors, TRUE),
+        'rules' => json_decode($row->rules ?? '[]', TRUE) ?: [],
+        'states' => json_decode($row->states ?? '[]', TRUE) ?: [],
+        'breakpoints' => json_decode($row->breakpoints ?? '{}', TRUE) ?: [],
+        'documents' => json_decode($row->documents ?? '{}', TRUE) ?: [],
         'events' => json_decode($row->events, TRUE),
+        'plugins' => json_decode($row->plugins ?? '[]', TRUE) ?: [],
         'duration' => $row->duration,
         'url' => $row->url,
         'viewport' => [
@@ -119,10 +301,156 @@ class RuntimeDataCollector {
     return $processed_data;
   }
 
+  /**
+   * Gets the rule selectors that matched during runtime collection.
+   *
+   * @param array $options
+   *   Options passed to getRuntimeData().
+   *
+   * @return array
+   *   Rule selectors keyed by selector, valued by the number of sessions in
+   *   which the rule matched.
+   */
+  public function getMatchedRules(array $options = []) {
+    $rules = [];
+
+    foreach ($this->getRuntimeData($options) as $row) {
+      foreach (array_unique($row['rules']) as $selector) {
+        $rules[$selector] = ($rules[$selector] ?? 0) + 1;
+      }
+    }
+
+    return $rules;
+  }
+
+  /**
+   * Gets the routes on which each rule selector matched.
+   *
+   * @param array $options
+   *   Options passed to getRuntimeData().
+   *
+   * @return array
+   *   Per rule selector, the number of sessions in which the rule matched,
+   *   keyed by route name.
+   */
+  public function getMatchedRuleRoutes(array $options = []) {
+    $rules = [];
+
+    foreach ($this->getRuntimeData($options) as $row) {
+      foreach (array_unique($row['rules']) as $selector) {
+        $rules[$selector][$row['route']] = ($rules[$selector][$row['route']] ?? 0) + 1;
+      }
+    }
+
+    return $rules;
+  }
+
+  /**
+   * Gets the interaction-state rule selectors seen during runtime collection.
+   *
+   * These are rules such as :hover, :focus-visible, .show or .collapsing that
+   * only match while a user interacts with the page. They must never be
+   * purged, however rarely they were seen.
+   *
+   * @param array $options
+   *   Options passed to getRuntimeData().
+   *
+   * @return array
+   *   Array of unique rule selectors.
+   */
+  public function getStateRules(array $options = []) {
+    $rules = [];
+
+    foreach ($this->getRuntimeData($options) as $row) {
+      foreach ($row['states'] as $selector) {
+        $rules[$selector] = TRUE;
+      }
+    }
+
+    return array_keys($rules);
+  }
+
+  /**
+   * Gets the Bootstrap JavaScript plugins used during runtime collection.
+   *
+   * @param array $options
+   *   Options passed to getRuntimeData().
+   *
+   * @return array
+   *   Plugin names keyed by name, valued by the number of sessions in which
+   *   the plugin was used.
+   */
+  public function getUsedPlugins(array $options = []) {
+    $plugins = [];
+
+    foreach ($this->getRuntimeData($options) as $row) {
+      foreach (array_unique($row['plugins']) as $plugin) {
+        $plugins[$plugin] = ($plugins[$plugin] ?? 0) + 1;
+      }
+    }
+
+    return $plugins;
+  }
+
+  /**
+   * Gets the rules matched at each Bootstrap breakpoint.
+   *
+   * Rules nested in a media query are keyed as "@media <query>{<selector>}"
+   * and were only recorded while that query applied.
+   *
+   * @param array $options
+   *   Options passed to getRuntimeData().
+   *
+   * @return array
+   *   Rule keys keyed by breakpoint name, valued by the number of sessions in
+   *   which the rule matched at that breakpoint.
+   */
+  public function getBreakpointRules(array $options = []) {
+    $breakpoints = [];
+
+    foreach ($this->getRuntimeData($options) as $row) {
+      foreach ($row['breakpoints'] as $breakpoint => $rules) {
+        foreach (array_unique($rules) as $key) {
+          $breakpoints[$breakpoint][$key] = ($breakpoints[$breakpoint][$key] ?? 0) + 1;
+        }
+      }
+    }
+
+    return $breakpoints;
+  }
+
+  /**
+   * Gets the selectors found in shadow roots and frames.
+   *
+   * Selectors of the main document are returned by getRuntimeData() as
+   * before; these belong to embedded documents such as editor iframes or
+   * web components, which may load their own stylesheets.
+   *
+   * @param array $options
+   *   Options passed to getRuntimeData().
+   *
+   * @return array
+   *   Selectors keyed by owning document, valued by the number of sessions in
+   *   which the selector was seen.
+   */
+  public function getDocumentSelectors(array $options = []) {
+    $documents = [];
+
+    foreach ($this->getRuntimeData($options) as $row) {
+      foreach ($row['documents'] as $document => $selectors) {
+        foreach (array_unique($selectors) as $selector) {
+          $documents[$document][$selector] = ($documents[$document][$selector] ?? 0) + 1;
+        }
+      }
+    }
+
+    return $documents;
+  }
+
   /**
    * Gets anonymized IP address for privacy.
    */
-  protected function getAnonymizedIp() {
+  public function getAnonymizedIp() {
     $ip = $_SERVER['REMOTE_ADDR'] ?? '';
     
     if (empty($ip)) {
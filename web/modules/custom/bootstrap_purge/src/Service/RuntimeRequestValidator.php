@@ -0,0 +1,346 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Component\Utility\Crypt;
+use Drupal\Core\PrivateKey;
+use Drupal\Core\Site\Settings;
+
+/**
+ * Service for signing and validating runtime data requests.
+ */
+class RuntimeRequestValidator {
+
+  /**
+   * Seconds a page embedding a token may be cached.
+   */
+  const TOKEN_LIFETIME = 86400;
+
+  /**
+   * Maximum size of a request body in bytes.
+   */
+  const MAX_PAYLOAD_BYTES = 524288;
+
+  /**
+   * Maximum number of items in a single list of the payload.
+   */
+  const MAX_LIST_ITEMS = 10000;
+
+  /**
+   * Maximum length of a single selector or other list item.
+   */
+  const MAX_ITEM_LENGTH = 1024;
+
+  /**
+   * Payload keys holding lists of strings.
+   */
+  const LIST_KEYS = ['selectors', 'rules', 'states', 'events', 'plugins'];
+
+  /**
+   * Payload keys holding lists of strings keyed by name.
+   */
+  const MAP_KEYS = ['breakpoints', 'documents'];
+
+  /**
+   * The private key service.
+   *
+   * @var \Drupal\Core\PrivateKey
+   */
+  protected $privateKey;
+
+  /**
+   * The asset manager service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetManager
+   */
+  protected $assetManager;
+
+  /**
+   * The asset analyzer service.
+   *
+   * @var \Drupal\bootstrap_purge\Service\AssetAnalyzer
+   */
+  protected $assetAnalyzer;
+
+  /**
+   * Constructs a RuntimeRequestValidator object.
+   *
+   * @param \Drupal\Core\PrivateKey $private_key
+   *   The private key service.
+   * @param \Drupal\bootstrap_purge\Service\AssetManager $asset_manager
+   *   The asset manager service.
+   * @param \Drupal\bootstrap_purge\Service\AssetAnalyzer $asset_analyzer
+   *   The asset analyzer service.
+   */
+  public function __construct(
+    PrivateKey $private_key,
+    AssetManager $asset_manager,
+    AssetAnalyzer $asset_analyzer
+  ) {
+    $this->privateKey = $private_key;
+    $this->assetManager = $asset_manager;
+    $this->assetAnalyzer = $asset_analyzer;
+  }
+
+  /**
+   * Generates the token a page sends along with its runtime data.
+   *
+   * The token is bound to the route and the time it was issued, so it can be
+   * embedded in cacheable pages without identifying the visitor.
+   *
+   * @param string $route
+   *   The route name of the page.
+   * @param int|null $issued
+   *   The issue timestamp, defaults to the current time.
+   *
+   * @return string
+   *   The signed token.
+   */
+  public function generateToken($route, $issued = NULL) {
+    $issued = $issued ?? time();
+    return $issued . '.' . Crypt::hmacBase64($route . '|' . $issued, $this->getKey());
+  }
+
+  /**
+   * Validates a page token.
+   *
+   * @param string $token
+   *   The token sent by the page.
+   * @param string $route
+   *   The route name the data is reported for.
+   *
+   * @return bool
+   *   TRUE if the token was issued for the route and has not expired.
+   */
+  public function validateToken($token, $route) {
+    if (!is_string($token) || !preg_match('/^(\d+)\.([\w-]+)$/', $token, $matches)) {
+      return FALSE;
+    }
+
+    // Pages are cached for up to the token lifetime and may stay open after
+    // that, so tokens are accepted for twice as long.
+    $issued = (int) $matches[1];
+    if ($issued > time() + 60 || time() - $issued > 2 * self::TOKEN_LIFETIME) {
+      return FALSE;
+    }
+
+    return hash_equals($this->generateToken($route, $issued), $token);
+  }
+
+  /**
+   * Validates the structure of a runtime data payload.
+   *
+   * @param mixed $data
+   *   The decoded payload.
+   *
+   * @return array
+   *   Array of error messages, empty if the payload is valid.
+   */
+  public function validatePayload($data) {
+    if (!is_array($data)) {
+      return ['The payload must be a JSON object.'];
+    }
+
+    $errors = [];
+
+    if (!isset($data['route']) || !is_string($data['route']) || $data['route'] === '' || strlen($data['route']) > 255) {
+      $errors[] = 'The route must be a non-empty string of at most 255 characters.';
+    }
+
+    if (isset($data['session']) && (!is_string($data['session']) || !preg_match('/^[A-Za-z0-9_-]{1,64}$/', $data['session']))) {
+      $errors[] = 'The session must be an alphanumeric string of at most 64 characters.';
+    }
+
+    foreach (['sequence', 'duration', 'timestamp'] as $key) {
+      if (isset($data[$key]) && (!is_int($data[$key]) || $data[$key] < 0)) {
+        $errors[] = sprintf('%s must be a non-negative integer.', $key);
+      }
+    }
+
+    if (isset($data['url']) && (!is_string($data['url']) || strlen($data['url']) > 2048)) {
+      $errors[] = 'The url must be a string of at most 2048 characters.';
+    }
+
+    if (isset($data['viewport']) && (!is_array($data['viewport']) || !is_int($data['viewport']['width'] ?? 0) || !is_int($data['viewport']['height'] ?? 0))) {
+      $errors[] = 'The viewport must contain integer width and height.';
+    }
+
+    foreach (self::LIST_KEYS as $key) {
+      if (isset($data[$key]) && !$this->isStringList($data[$key])) {
+        $errors[] = sprintf('%s must be a list of at most %d strings.', $key, self::MAX_LIST_ITEMS);
+      }
+    }
+
+    foreach (self::MAP_KEYS as $key) {
+      if (!isset($data[$key])) {
+        continue;
+      }
+      if (!is_array($data[$key]) || count($data[$key]) > 100) {
+        $errors[] = sprintf('%s must be an object of at most 100 lists.', $key);
+        continue;
+      }
+      foreach ($data[$key] as $name => $items) {
+        if (!is_string($name) || strlen($name) > 255 || !$this->isStringList($items)) {
+          $errors[] = sprintf('%s must map names to lists of at most %d strings.', $key, self::MAX_LIST_ITEMS);
+          break;
+        }
+      }
+    }
+
+    return $errors;
+  }
+
+  /**
+   * Validates the structure of a canary missing-style report.
+   *
+   * @param mixed $data
+   *   The decoded report.
+   *
+   * @return array
+   *   Array of error messages, empty if the report is valid.
+   */
+  public function validateCanaryReport($data) {
+    if (!is_array($data)) {
+      return ['The report must be a JSON object.'];
+    }
+
+    $errors = [];
+
+    if (!isset($data['route']) || !is_string($data['route']) || $data['route'] === '' || strlen($data['route']) > 255) {
+      $errors[] = 'The route must be a non-empty string of at most 255 characters.';
+    }
+
+    if (!isset($data['session']) || !is_string($data['session']) || !preg_match('/^[A-Za-z0-9_-]{1,64}$/', $data['session'])) {
+      $errors[] = 'The session must be an alphanumeric string of at most 64 characters.';
+    }
+
+    if (!isset($data['asset']) || !is_string($data['asset']) || base64_decode($data['asset'], TRUE) === FALSE) {
+      $errors[] = 'The asset must be a base64 encoded asset key.';
+    }
+
+    if (!isset($data['classes']) || !$this->isStringList($data['classes'])) {
+      $errors[] = sprintf('classes must be a list of at most %d strings.', self::MAX_LIST_ITEMS);
+    }
+
+    return $errors;
+  }
+
+  /**
+   * Removes selectors that do not occur in the tracked stylesheets.
+   *
+   * Class and id selectors are checked against the classes and ids the
+   * stylesheets use, matched rules against their normalized rule selectors.
+   *
+   * @param array $data
+   *   A validated payload.
+   *
+   * @return array
+   *   The payload without untracked selectors.
+   */
+  public function filterUntrackedSelectors(array $data) {
+    $index = $this->assetManager->getTrackedSelectorIndex();
+    if (empty($index['rules'])) {
+      return $data;
+    }
+
+    $data['selectors'] = $this->filterTokens($data['selectors'] ?? [], $index['tokens']);
+    $data['rules'] = $this->filterRules($data['rules'] ?? [], $index['rules']);
+    $data['states'] = $this->filterRules($data['states'] ?? [], $index['rules']);
+
+    foreach ($data['documents'] ?? [] as $document => $selectors) {
+      $data['documents'][$document] = $this->filterTokens($selectors, $index['tokens']);
+    }
+    $data['documents'] = array_filter($data['documents'] ?? []);
+
+    foreach ($data['breakpoints'] ?? [] as $breakpoint => $keys) {
+      $kept = [];
+      foreach ($keys as $key) {
+        // Rules nested in a media query are keyed "@media <query>{<selector>}".
+        $selector = preg_match('/^@media [^{]*\{(.*)\}$/s', $key, $matches) ? $matches[1] : $key;
+        if (isset($index['rules'][$this->assetAnalyzer->normalizeSelector($selector)])) {
+          $kept[] = $key;
+        }
+      }
+      $data['breakpoints'][$breakpoint] = $kept;
+    }
+    $data['breakpoints'] = array_filter($data['breakpoints'] ?? []);
+
+    return $data;
+  }
+
+  /**
+   * Keeps the class and id selectors found in the index.
+   *
+   * @param array $selectors
+   *   Selectors such as ".btn" or "#main".
+   * @param array $tokens
+   *   Tracked class and id selectors as keys.
+   *
+   * @return array
+   *   The tracked selectors.
+   */
+  protected function filterTokens(array $selectors, array $tokens) {
+    $kept = [];
+    foreach ($selectors as $selector) {
+      if (isset($tokens[$selector])) {
+        $kept[] = $selector;
+      }
+    }
+    return $kept;
+  }
+
+  /**
+   * Keeps the rule selectors found in the index.
+   *
+   * @param array $rules
+   *   Rule selectors as serialized by the browser.
+   * @param array $tracked
+   *   Normalized tracked rule selectors as keys.
+   *
+   * @return array
+   *   The tracked rule selectors.
+   */
+  protected function filterRules(array $rules, array $tracked) {
+    $kept = [];
+    foreach ($rules as $rule) {
+      if (isset($tracked[$this->assetAnalyzer->normalizeSelector($rule)])) {
+        $kept[] = $rule;
+      }
+    }
+    return $kept;
+  }
+
+  /**
+   * Checks whether a value is a bounded list of bounded strings.
+   *
+   * @param mixed $value
+   *   The value to check.
+   *
+   * @return bool
+   *   TRUE if the value is a valid list.
+   */
+  protected function isStringList($value) {
+    if (!is_array($value) || count($value) > self::MAX_LIST_ITEMS || ($value && array_keys($value) !== range(0, count($value) - 1))) {
+      return FALSE;
+    }
+
+    foreach ($value as $item) {
+      if (!is_string($item) || strlen($item) > self::MAX_ITEM_LENGTH) {
+        return FALSE;
+      }
+    }
+
+    return TRUE;
+  }
+
+  /**
+   * Gets the key used to sign tokens.
+   *
+   * @return string
+   *   The signing key.
+   */
+  protected function getKey() {
+    return $this->privateKey->get() . Settings::getHashSalt();
+  }
+
+}
@@ -0,0 +1,477 @@
+<?php
+
+namespace Drupal\bootstrap_purge\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Entity\EntityTypeBundleInfoInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Menu\MenuLinkTreeInterface;
+use Drupal\Core\Menu\MenuTreeParameters;
+use Drupal\Core\Routing\RouteProviderInterface;
+use Drupal\Core\Session\AccountInterface;
+use Drupal\Core\Session\AccountSwitcherInterface;
+use Drupal\Core\Session\AnonymousUserSession;
+use Drupal\Core\Session\UserSession;
+use Drupal\Core\Url;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Service for finding and rendering the pages snapshotted for analysis.
+ *
+ * Besides the snapshot routes, the crawl follows menus, routes without
+ * parameters and a sample of entities of each bundle, and renders every page
+ * as each selected role. Pages are rendered by the site's own kernel, so the
+ * crawl needs no network access.
+ */
+class SnapshotCrawler {
+
+  /**
+   * Separates the route from the role and path in keys of extra snapshots.
+   *
+   * The first page of each route keeps the route name as its key, so route
+   * bundles and critical CSS are built from one snapshot per route.
+   */
+  const VARIANT_SEPARATOR = '@';
+
+  /**
+   * Request attribute marking crawl requests, which the page cache skips.
+   */
+  const REQUEST_ATTRIBUTE = '_bootstrap_purge_crawl';
+
+  /**
+   * Routes that never lead to a page worth crawling.
+   */
+  const SPECIAL_ROUTES = ['<none>', '<nolink>', '<button>'];
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The entity type bundle info.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeBundleInfoInterface
+   */
+  protected $bundleInfo;
+
+  /**
+   * The menu link tree.
+   *
+   * @var \Drupal\Core\Menu\MenuLinkTreeInterface
+   */
+  protected $menuLinkTree;
+
+  /**
+   * The route provider.
+   *
+   * @var \Drupal\Core\Routing\RouteProviderInterface
+   */
+  protected $routeProvider;
+
+  /**
+   * The account switcher.
+   *
+   * @var \Drupal\Core\Session\AccountSwitcherInterface
+   */
+  protected $accountSwitcher;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * The accounts pages are rendered as, keyed by role.
+   *
+   * @var \Drupal\Core\Session\AccountInterface[]
+   */
+  protected $accounts = [];
+
+  /**
+   * Constructs a SnapshotCrawler object.
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Entity\EntityTypeBundleInfoInterface $bundle_info
+   *   The entity type bundle info.
+   * @param \Drupal\Core\Menu\MenuLinkTreeInterface $menu_link_tree
+   *   The menu link tree.
+   * @param \Drupal\Core\Routing\RouteProviderInterface $route_provider
+   *   The route provider.
+   * @param \Drupal\Core\Session\AccountSwitcherInterface $account_switcher
+   *   The account switcher.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(
+    EntityTypeManagerInterface $entity_type_manager,
+    EntityTypeBundleInfoInterface $bundle_info,
+    MenuLinkTreeInterface $menu_link_tree,
+    RouteProviderInterface $route_provider,
+    AccountSwitcherInterface $account_switcher,
+    ConfigFactoryInterface $config_factory,
+    LoggerChannelFactoryInterface $logger_factory
+  ) {
+    $this->entityTypeManager = $entity_type_manager;
+    $this->bundleInfo = $bundle_info;
+    $this->menuLinkTree = $menu_link_tree;
+    $this->routeProvider = $route_provider;
+    $this->accountSwitcher = $account_switcher;
+    $this->configFactory = $config_factory;
+    $this->logger = $logger_factory->get('bootstrap_purge');
+  }
+
+  /**
+   * Lists the pages to snapshot.
+   *
+   * Without the crawl enabled, these are the given routes as anonymous
+   * pages. With it, the pages found in menus, among the routes and in the
+   * entity sample follow, up to the page limit, for each crawl role.
+   *
+   * @param array $routes
+   *   The snapshot route names.
+   *
+   * @return array
+   *   Pages keyed by snapshot key, each with the 'route' name, the 'role' it
+   *   is rendered as and its 'url' object.
+   */
+  public function getPages(array $routes) {
+    $settings = $this->configFactory->get('bootstrap_purge.settings')->get('crawl') ?: [];
+    $crawl = !empty($settings['enabled']);
+
+    $urls = [];
+    foreach ($routes as $route) {
+      $this->addUrl($urls, Url::fromRoute($route), TRUE);
+    }
+
+    if ($crawl) {
+      foreach ($this->getMenuUrls($settings) as $url) {
+        $this->addUrl($urls, $url);
+      }
+      foreach ($this->getEntityUrls($settings) as $url) {
+        $this->addUrl($urls, $url);
+      }
+      if (!empty($settings['discover_routes'])) {
+        foreach ($this->getRouteUrls() as $url) {
+          $this->addUrl($urls, $url);
+        }
+      }
+
+      // Seed routes always count; the crawl fills up to the limit.
+      $max_pages = (int) ($settings['max_pages'] ?? 0);
+      if ($max_pages > 0) {
+        $urls = array_slice($urls, 0, max($max_pages, count($routes)), TRUE);
+      }
+    }
+
+    $roles = $crawl && !empty($settings['roles']) ? $settings['roles'] : [AccountInterface::ANONYMOUS_ROLE];
+
+    $pages = [];
+    foreach ($roles as $role) {
+      if (!$this->getAccount($role)) {
+        $this->logger->warning('Pages are not crawled as @role: no active user has the role.', ['@role' => $role]);
+        continue;
+      }
+      foreach ($urls as $id => $url) {
+        $route = $url->getRouteName();
+        $key = isset($pages[$route]) ? $route . self::VARIANT_SEPARATOR . $role . ':' . $id : $route;
+        $pages[$key] = [
+          'route' => $route,
+          'role' => $role,
+          'url' => $url,
+        ];
+      }
+    }
+
+    return $pages;
+  }
+
+  /**
+   * Renders a page as its role.
+   *
+   * @param array $page
+   *   The page, as returned by getPages().
+   *
+   * @return string|null
+   *   The HTML of the page, or NULL if the role cannot see it or the page is
+   *   not HTML.
+   */
+  public function fetch(array $page) {
+    $account = $this->getAccount($page['role']);
+    $url = $page['url']->toString();
+    if (!$account) {
+      return NULL;
+    }
+
+    $this->accountSwitcher->switchTo($account);
+    try {
+      $request = Request::create($url);
+      $request->attributes->set(self::REQUEST_ATTRIBUTE, TRUE);
+      $response = \Drupal::service('http_kernel')->handle($request);
+
+      if ($response->getStatusCode() === 200 && stripos((string) $response->headers->get('Content-Type'), 'text/html') !== FALSE) {
+        return $response->getContent();
+      }
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to fetch HTML for URL @url as @role: @message', [
+        '@url' => $url,
+        '@role' => $page['role'],
+        '@message' => $e->getMessage(),
+      ]);
+    } finally {
+      $this->accountSwitcher->switchBack();
+    }
+
+    return NULL;
+  }
+
+  /**
+   * Checks whether a snapshot key is the first page of its route.
+   *
+   * @param string $key
+   *   The snapshot key.
+   *
+   * @return bool
+   *   TRUE if the key is a route name.
+   */
+  public static function isRouteSnapshot($key) {
+    return strpos($key, self::VARIANT_SEPARATOR) === FALSE;
+  }
+
+  /**
+   * Adds a URL to the crawl unless it is excluded or already listed.
+   *
+   * @param \Drupal\Core\Url[] $urls
+   *   URLs keyed by internal path.
+   * @param \Drupal\Core\Url $url
+   *   The URL.
+   * @param bool $seed
+   *   Whether the URL is of a snapshot route, which is listed even if
+   *   excluded or broken so that fetching it reports the error.
+   */
+  protected function addUrl(array &$urls, Url $url, $seed = FALSE) {
+    if ($url->isExternal() || !$url->isRouted() || in_array($url->getRouteName(), self::SPECIAL_ROUTES, TRUE)) {
+      return;
+    }
+
+    if (!$seed && $this->isExcluded($url->getRouteName())) {
+      return;
+    }
+
+    try {
+      $id = '/' . $url->getInternalPath();
+    } catch (\Exception $e) {
+      if (!$seed) {
+        return;
+      }
+      $id = $url->getRouteName();
+    }
+
+    if (!isset($urls[$id])) {
+      $urls[$id] = $url;
+    }
+  }
+
+  /**
+   * Gets the URLs of the links in the crawled menus.
+   *
+   * @param array $settings
+   *   The crawl settings.
+   *
+   * @return \Drupal\Core\Url[]
+   *   The URLs, in menu order.
+   */
+  protected function getMenuUrls(array $settings) {
+    $parameters = new MenuTreeParameters();
+    $parameters->onlyEnabledLinks();
+    if (!empty($settings['menu_depth'])) {
+      $parameters->setMaxDepth((int) $settings['menu_depth']);
+    }
+
+    $urls = [];
+    foreach ($settings['menus'] ?? [] as $menu) {
+      $this->collectMenuUrls($this->menuLinkTree->load($menu, $parameters), $urls);
+    }
+
+    return $urls;
+  }
+
+  /**
+   * Collects the URLs of a menu tree.
+   *
+   * @param \Drupal\Core\Menu\MenuLinkTreeElement[] $tree
+   *   The menu tree.
+   * @param \Drupal\Core\Url[] $urls
+   *   The URLs collected.
+   */
+  protected function collectMenuUrls(array $tree, array &$urls) {
+    foreach ($tree as $element) {
+      try {
+        $urls[] = $element->link->getUrlObject();
+      } catch (\Exception $e) {
+        // Links to routes that no longer exist are skipped.
+      }
+      if ($element->subtree) {
+        $this->collectMenuUrls($element->subtree, $urls);
+      }
+    }
+  }
+
+  /**
+   * Gets the URLs of the newest published entities of each bundle.
+   *
+   * @param array $settings
+   *   The crawl settings.
+   *
+   * @return \Drupal\Core\Url[]
+   *   The canonical URLs of the sampled entities.
+   */
+  protected function getEntityUrls(array $settings) {
+    $samples = (int) ($settings['entity_samples'] ?? 0);
+    if ($samples < 1) {
+      return [];
+    }
+
+    $urls = [];
+    foreach ($settings['entity_types'] ?? [] as $entity_type_id) {
+      $entity_type = $this->entityTypeManager->getDefinition($entity_type_id, FALSE);
+      if (!$entity_type || !$entity_type->hasLinkTemplate('canonical')) {
+        continue;
+      }
+
+      $storage = $this->entityTypeManager->getStorage($entity_type_id);
+      foreach (array_keys($this->bundleInfo->getBundleInfo($entity_type_id)) as $bundle) {
+        // Access is checked when each role renders the page.
+        $query = $storage->getQuery()
+          ->accessCheck(FALSE)
+          ->sort($entity_type->getKey('id'), 'DESC')
+          ->range(0, $samples);
+        if ($entity_type->hasKey('bundle')) {
+          $query->condition($entity_type->getKey('bundle'), $bundle);
+        }
+        if ($entity_type->hasKey('published')) {
+          $query->condition($entity_type->getKey('published'), 1);
+        }
+
+        foreach ($storage->loadMultiple($query->execute()) as $entity) {
+          $urls[] = $entity->toUrl();
+        }
+      }
+    }
+
+    return $urls;
+  }
+
+  /**
+   * Gets the URLs of the routes that take no parameters.
+   *
+   * Routes that change data on GET, such as those protected by a CSRF token,
+   * and routes not serving HTML are left out.
+   *
+   * @return \Drupal\Core\Url[]
+   *   The URLs, ordered by path.
+   */
+  protected function getRouteUrls() {
+    $urls = [];
+    foreach ($this->routeProvider->getAllRoutes() as $name => $route) {
+      $methods = $route->getMethods();
+      $format = $route->getRequirement('_format');
+      if (($methods && !in_array('GET', $methods, TRUE))
+        || $route->hasRequirement('_csrf_token')
+        || $route->hasRequirement('_csrf_request_header_token')
+        || $route->getRequirement('_access') === 'FALSE'
+        || ($format !== NULL && $format !== 'html')
+        || array_diff($route->compile()->getPathVariables(), array_keys($route->getDefaults()))) {
+        continue;
+      }
+
+      $urls[$route->getPath()] = Url::fromRoute($name);
+    }
+    ksort($urls);
+
+    return array_values($urls);
+  }
+
+  /**
+   * Checks whether the crawl leaves a route out.
+   *
+   * @param string $route_name
+   *   The route name.
+   *
+   * @return bool
+   *   TRUE if the route matches an excluded route pattern.
+   */
+  protected function isExcluded($route_name) {
+    $patterns = $this->configFactory->get('bootstrap_purge.settings')->get('crawl.exclude_routes') ?: [];
+    foreach ($patterns as $pattern) {
+      if (preg_match('/^' . str_replace('\*', '.*', preg_quote($pattern, '/')) . '$/', $route_name)) {
+        return TRUE;
+      }
+    }
+
+    return FALSE;
+  }
+
+  /**
+   * Gets the account pages are rendered as for a role.
+   *
+   * A role is rendered as the active user with the lowest ID holding it,
+   * reduced to that role, so the pages show what the role is allowed to see
+   * rather than what the user is.
+   *
+   * @param string $role
+   *   The role ID.
+   *
+   * @return \Drupal\Core\Session\AccountInterface|null
+   *   The account, or NULL if no active user has the role.
+   */
+  protected function getAccount($role) {
+    if (array_key_exists($role, $this->accounts)) {
+      return $this->accounts[$role];
+    }
+
+    if ($role === AccountInterface::ANONYMOUS_ROLE) {
+      return $this->accounts[$role] = new AnonymousUserSession();
+    }
+
+    // The user 1 may bypass access checks, so it never stands in for a role.
+    $query = $this->entityTypeManager->getStorage('user')->getQuery()
+      ->accessCheck(FALSE)
+      ->condition('status', 1)
+      ->condition('uid', 1, '>')
+      ->sort('uid')
+      ->range(0, 1);
+    if ($role !== AccountInterface::AUTHENTICATED_ROLE) {
+      $query->condition('roles', $role);
+    }
+    $uids = $query->execute();
+    $user = $uids ? $this->entityTypeManager->getStorage('user')->load(reset($uids)) : NULL;
+
+    $this->accounts[$role] = $user ? new UserSession([
+      'uid' => $user->id(),
+      'name' => $user->getAccountName(),
+      'mail' => $user->getEmail(),
+      'timezone' => $user->getTimeZone(),
+      'preferred_langcode' => $user->getPreferredLangcode(),
+      'roles' => array_unique([AccountInterface::AUTHENTICATED_ROLE, $role]),
+    ]) : NULL;
+
+    return $this->accounts[$role];
+  }
+
+}
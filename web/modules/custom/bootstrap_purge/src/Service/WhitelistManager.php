@@ -33,10 +33,83 @@ class WhitelistManager {
     $patterns = array_merge($patterns, $config->get('bootstrap_whitelist') ?: []);
     $patterns = array_merge($patterns, $whitelist_config->get('global_patterns') ?: []);
     $patterns = array_merge($patterns, $whitelist_config->get('selector_patterns') ?: []);
+    $patterns = array_merge($patterns, array_map([$this, 'toExactPattern'], $whitelist_config->get('restored_selectors') ?: []));
     
     return array_unique($patterns);
   }
 
+  /**
+   * Adds selectors restored from the diff view, kept exactly as written.
+   *
+   * Returns the selectors that were not restored already.
+   */
+  public function addRestoredSelectors(array $selectors) {
+    $config = $this->configFactory->getEditable('bootstrap_purge.whitelist');
+    $restored = $config->get('restored_selectors') ?: [];
+    
+    $added = array_values(array_diff(array_unique($selectors), $restored));
+    if ($added) {
+      $config->set('restored_selectors', array_merge($restored, $added))->save();
+    }
+    
+    return $added;
+  }
+
+  /**
+   * Adds patterns to the global whitelist.
+   *
+   * Returns the patterns that were not in the list already.
+   */
+  public function addGlobalPatterns(array $patterns) {
+    $config = $this->configFactory->getEditable('bootstrap_purge.whitelist');
+    $global = $config->get('global_patterns') ?: [];
+    
+    $added = array_values(array_diff(array_unique($patterns), $global));
+    if ($added) {
+      $config->set('global_patterns', array_merge($global, $added))->save();
+    }
+    
+    return $added;
+  }
+
+  /**
+   * Generates a pattern for the component family of a selector.
+   *
+   * The last dash-separated part of the selector's first class is dropped, so
+   * ".btn-outline-primary:hover" gives a pattern for all ".btn-outline-"
+   * classes. Returns NULL for selectors without a class.
+   */
+  public function generatePattern($selector) {
+    if (!preg_match('/\.((?:\\\\.|[\w-])+)/', $selector, $matches)) {
+      return NULL;
+    }
+    
+    $class = $matches[1];
+    $prefix = strpos($class, '-') !== FALSE ? substr($class, 0, strrpos($class, '-') + 1) : $class;
+    
+    return '/^\\.' . preg_quote($prefix, '/') . '/';
+  }
+
+  /**
+   * Finds the first of the given patterns a selector matches, if any.
+   */
+  public function findMatchingPattern($selector, array $patterns) {
+    foreach ($patterns as $pattern) {
+      if ($this->matchesPattern($selector, $pattern)) {
+        return $pattern;
+      }
+    }
+    
+    return NULL;
+  }
+
+  /**
+   * Converts a restored selector to a pattern matching only that selector.
+   */
+  public function toExactPattern($selector) {
+    return '/^' . preg_quote($selector, '/') . '$/';
+  }
+
   /**
    * Checks if a selector matches any whitelist pattern.
    */
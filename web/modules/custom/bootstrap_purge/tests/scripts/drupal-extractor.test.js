@@ -0,0 +1,60 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { cleanClass, extractDrupal } = require('../../scripts/lib/drupal-extractor');
+const { runPurge } = require('../../scripts/lib/purge');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Extracts a fixture, with sorted lists for comparison.
+ */
+function extractFixture(name) {
+  const result = extractDrupal(fs.readFileSync(path.join(FIXTURES, 'templates', name), 'utf8'));
+  return { classes: result.classes.sort(), prefixes: result.prefixes.sort() };
+}
+
+test('cleanClass mirrors Html::getClass()', () => {
+  assert.equal(cleanClass('Node Title'), 'node-title');
+  assert.equal(cleanClass('block__title_Main'), 'block__title-main');
+  assert.equal(cleanClass('field[name]/value'), 'field-name-value');
+  assert.equal(cleanClass('Icon!Large'), 'iconlarge');
+});
+
+test('Twig: addClass, set classes, merge, create_attribute and class attributes', () => {
+  assert.deepEqual(extractFixture('card.html.twig'), {
+    classes: ['badge', 'btn', 'card', 'card-body', 'card-featured', 'card-title', 'h5', 'icon-large', 'rounded', 'shadow-sm'],
+    // 'card--' ~ variant, text-{{ align }}, 'mb-' ~ spacing, btn-{{ style }}
+    // and 'bg-' ~ tone build classes at runtime.
+    prefixes: ['bg-', 'btn-', 'card--', 'mb-', 'text-']
+  });
+});
+
+test('PHP: #attributes, class assignments, addClass and Html::getClass()', () => {
+  assert.deepEqual(extractFixture('example.theme'), {
+    // Array keys such as $variables['node'] are not classes.
+    classes: ['d-flex', 'list-unstyled', 'nav', 'nav-pills', 'node-title', 'position-relative'],
+    prefixes: ['col-md-', 'gap-', 'node--']
+  });
+});
+
+test('Literals joined after a variable only contribute their prefix', () => {
+  assert.deepEqual(extractDrupal("{{ attributes.addClass(prefix ~ '-item is-active', 'list-' ~ type) }}"), {
+    classes: ['is-active'],
+    prefixes: ['list-']
+  });
+});
+
+test('Dynamic prefixes are kept through the greedy safelist', async () => {
+  const { files, dynamicPrefixes, warnings } = await runPurge({
+    content: [path.join(FIXTURES, 'templates', 'card.html.twig')],
+    css: [path.join(FIXTURES, 'css', 'components.css')]
+  }, { provenance: true });
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(dynamicPrefixes, ['bg-', 'btn-', 'card--', 'mb-', 'text-']);
+  assert.deepEqual(files[0].rejected, ['.alert', '.alert-danger', '.table']);
+  assert.deepEqual(files[0].provenance['.btn-outline-light'], { status: 'kept', reason: 'dynamic_prefix', source: 'btn-' });
+  assert.equal(files[0].provenance['.icon-large'].reason, 'content');
+});
@@ -0,0 +1,74 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { matchesMedia, resolveMedia, verifyPurge } = require('../../scripts/lib/verify');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const ORIGINAL = path.join(FIXTURES, 'css', 'responsive.css');
+const SNAPSHOT = path.join(FIXTURES, 'snapshots', 'responsive.html');
+const MAIN = 'body > div.row:nth-child(1) > div.col-md-6.d-print-none:nth-child(1)';
+const ASIDE = 'body > div.row:nth-child(1) > div.d-md-grid:nth-child(2)';
+
+/**
+ * Writes a purged copy of the fixture stylesheet without some rules.
+ */
+function purgedCopy(t, pattern) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bootstrap-purge-verify-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'purged.css');
+  fs.writeFileSync(file, fs.readFileSync(ORIGINAL, 'utf8').replace(pattern, ''));
+  return file;
+}
+
+test('matchesMedia evaluates media queries at a viewport width', () => {
+  assert.equal(matchesMedia('(min-width: 768px)', 767), false);
+  assert.equal(matchesMedia('(min-width: 768px)', 768), true);
+  assert.equal(matchesMedia('(max-width: 575.98px)', 375), true);
+  assert.equal(matchesMedia('screen and (min-width: 62em)', 992), true);
+  assert.equal(matchesMedia('only screen and (width >= 1200px)', 992), false);
+  assert.equal(matchesMedia('print', 1200), false);
+  assert.equal(matchesMedia('not print', 375), true);
+  assert.equal(matchesMedia('print, (min-width: 576px)', 576), true);
+  assert.equal(matchesMedia('(prefers-reduced-motion: reduce)', 768), false);
+  assert.equal(matchesMedia('(orientation: portrait)', 375), true);
+});
+
+test('resolveMedia keeps the rules of matching blocks at the top level', () => {
+  const css = fs.readFileSync(ORIGINAL, 'utf8');
+  const narrow = resolveMedia(css, 375);
+  const wide = resolveMedia(css, 992);
+
+  assert.doesNotMatch(narrow, /@media|@supports|width: 50%|d-md-grid|d-print-none/);
+  assert.match(narrow, /\.text-sm-center/);
+  assert.doesNotMatch(wide, /@media|@supports|text-sm-center|d-print-none/);
+  assert.match(wide, /\.col-md-6 \{\s+width: 50%;/);
+  assert.match(wide, /\.d-md-grid/);
+});
+
+test('verifyPurge reports responsive rules at the widths they apply at', t => {
+  const purged = purgedCopy(t, /@media \(min-width: 768px\) \{[\s\S]*?\n\}\n/);
+  const report = verifyPurge({ original: ORIGINAL, purged, snapshots: [SNAPSHOT], widths: [375, 768, 1200] });
+  const [snapshot] = report.snapshots;
+
+  assert.deepEqual(report.widths, [375, 768, 1200]);
+  assert.ok(report.limitations.length > 0);
+  assert.equal(snapshot.regressionCount, 2);
+  assert.equal(report.totals.regressions, 2);
+  assert.deepEqual(snapshot.regressions.map(regression => [regression.element, regression.width]), [
+    [MAIN, 768],
+    [ASIDE, 768],
+    [MAIN, 1200],
+    [ASIDE, 1200]
+  ]);
+  assert.deepEqual(snapshot.regressions[1].changes.map(change => [change.property, change.original]), [['display', 'grid']]);
+});
+
+test('verifyPurge ignores rules that apply to no compared width', t => {
+  const purged = purgedCopy(t, /@media print \{[\s\S]*?\n\}\n/);
+  const report = verifyPurge({ original: ORIGINAL, purged, snapshots: [SNAPSHOT] });
+
+  assert.deepEqual(report.widths, [375, 576, 768, 992, 1200, 1400]);
+  assert.equal(report.totals.regressions, 0);
+});
@@ -0,0 +1,103 @@
+<?php
+
+namespace Drupal\Tests\bootstrap_purge\Unit;
+
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Logger\LoggerChannelInterface;
+use Drupal\Tests\UnitTestCase;
+use Drupal\bootstrap_purge\Service\AssetCollector;
+use Drupal\bootstrap_purge\Service\CoverageImporter;
+use Drupal\bootstrap_purge\Service\RuntimeDataCollector;
+
+/**
+ * Tests mapping coverage ranges back to stylesheet rules.
+ *
+ * @coversDefaultClass \Drupal\bootstrap_purge\Service\CoverageImporter
+ * @group bootstrap_purge
+ */
+class CoverageImporterTest extends UnitTestCase {
+
+  /**
+   * The coverage importer.
+   *
+   * @var \Drupal\bootstrap_purge\Service\CoverageImporter
+   */
+  protected $importer;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+
+    $logger_factory = $this->createMock(LoggerChannelFactoryInterface::class);
+    $logger_factory->method('get')->willReturn($this->createMock(LoggerChannelInterface::class));
+
+    $this->importer = new CoverageImporter(
+      $this->createMock(AssetCollector::class),
+      $this->createMock(RuntimeDataCollector::class),
+      $logger_factory
+    );
+  }
+
+  /**
+   * Tests ranges over a stylesheet with non-ASCII text and nested at-rules.
+   *
+   * The ranges are UTF-16 offsets, as DevTools and Puppeteer report them:
+   * the comment, the "→" and "✓" characters and the "😀" surrogate pairs
+   * before a rule make its byte offset differ from them.
+   *
+   * @covers ::mapRanges
+   */
+  public function testMapRangesUnicode() {
+    $css = file_get_contents(__DIR__ . '/../../fixtures/css/coverage-unicode.css');
+
+    $rules = $this->importer->mapRanges($css, [
+      // The ".c, .c-ü" rule in @supports inside @media, exactly.
+      ['start' => 114, 'end' => 135],
+      // Part of the declarations of ".d".
+      ['start' => 141, 'end' => 146],
+      // The line break between ".d" and ".e": ends are exclusive, so
+      // neither rule is used.
+      ['start' => 156, 'end' => 157],
+      // Empty ranges are ignored.
+      ['start' => 26, 'end' => 26],
+    ]);
+
+    $this->assertSame([
+      [
+        'selectors' => ['.c', '.c-ü'],
+        'media' => '(min-width: 768px)',
+        'start' => 114,
+        'end' => 135,
+      ],
+      [
+        'selectors' => ['.d'],
+        'media' => '',
+        'start' => 138,
+        'end' => 156,
+      ],
+    ], $rules);
+  }
+
+  /**
+   * Tests that ranges sent out of order and overlapping select rules once.
+   *
+   * @covers ::mapRanges
+   */
+  public function testMapRangesOverlapping() {
+    $css = file_get_contents(__DIR__ . '/../../fixtures/css/coverage-unicode.css');
+
+    $rules = $this->importer->mapRanges($css, [
+      ['start' => 157, 'end' => 171],
+      ['start' => 70, 'end' => 120],
+      ['start' => 26, 'end' => 80],
+    ]);
+
+    $this->assertSame(['.a::before', '.b', '.c', '.c-ü', '.e'], array_merge(...array_column($rules, 'selectors')));
+    $this->assertSame(['', '(min-width: 768px)', '(min-width: 768px)', ''], array_column($rules, 'media'));
+    // The comment before the first rule is not part of it.
+    $this->assertSame([26, 76, 114, 157], array_column($rules, 'start'));
+  }
+
+}